@@ -0,0 +1,35 @@
+// Serverless entry point for Vercel (see vercel.json), which routes every /api/* request here.
+// The deployment's API base URL is therefore https://<host>/api, e.g. for the frontend's VITE_API_BASE_URL,
+// while the public API for integrations (routes/api.js) keeps its own prefix: https://<host>/api/v1/...,
+// the same path as on the long-running server.
+// Unlike the long-running server (index.js), a function only lives for its requests, so:
+// - background schedules don't run: old uploads are not swept and failed webhook deliveries are only
+//   retried by a redelivery, ingestion sources are only checked on demand, and analysis jobs only finish
+//   while their instance is kept alive;
+// - DATABASE_PATH must point to a writable place such as /tmp, and STORAGE_DRIVER should be s3
+//   so uploads outlive the instance;
+// - request bodies are limited by the platform (about 4.5 MB), whatever UPLOAD_MAX_FILE_MB says.
+import 'dotenv/config';
+import createApp from '../app.js';
+import { API_VERSION } from '../routes/api.js';
+
+const app = createApp();
+
+// The public API's own prefix, which is left on requests
+const PUBLIC_API = new RegExp(`^/api/${API_VERSION}(?=[/?]|$)`);
+
+/**
+ * Serves a request with the app, without the /api prefix the deployment routes by, except for the public API.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+export default function handler(req, res) {
+    if (PUBLIC_API.test(req.url)) {
+        return app(req, res);
+    }
+    req.url = req.url.replace(/^\/api(?=[/?]|$)/, '') || '/';
+    if (!req.url.startsWith('/')) {
+        req.url = `/${req.url}`;
+    }
+    return app(req, res);
+}
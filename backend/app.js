@@ -0,0 +1,237 @@
+import express from 'express';
+import cors from 'cors';
+import multer from 'multer';
+import { createProvider } from './providers/index.js';
+import { createMeteredProvider } from './providers/metered.js';
+import { queueAnalysis } from './jobs/analysis.js';
+import { findOrCreatePosting, getPosting } from './db/postings.js';
+import createJobsRouter from './routes/jobs.js';
+import candidatesRouter from './routes/candidates.js';
+import pipelineRouter from './routes/pipeline.js';
+import createRunsRouter from './routes/runs.js';
+import authRouter from './routes/auth.js';
+import usersRouter from './routes/users.js';
+import usageRouter from './routes/usage.js';
+import createScoringRouter from './routes/scoring.js';
+import createEvaluationsRouter from './routes/evaluations.js';
+import createIngestionRouter from './routes/ingestion.js';
+import createChatRouter from './routes/chat.js';
+import createCoachRouter from './routes/coach.js';
+import integrationsRouter from './routes/integrations.js';
+import createApiRouter, { API_VERSION } from './routes/api.js';
+import { authenticate, canEdit, requireAuth } from './auth/middleware.js';
+import { validatingStorage, discardUploads, readStoredFile, readUpload, MAX_FILE_SIZE, MAX_FILES } from './files/storage.js';
+import { getAnalyzedFile } from './db/files.js';
+import { PII_REDACTION } from './privacy/redaction.js';
+import { blindRun } from './privacy/blind.js';
+import { getScoringVersion, setJobScoringVersion } from './db/scoring.js';
+import { extractText, listFormats } from './extractors/index.js';
+import { buildProfile } from './parsing/profile.js';
+
+// Ids of analysis runs (see jobs/queue.js)
+const RUN_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Creates the handler that queues uploaded resumes as a background analysis job and responds right away with its id.
+ * Handles /analyze and the public API's POST /api/v1/analyses.
+ * @param {object} llm - The LLM provider resumes are scored with (see providers/index.js).
+ * @returns {Function} - An Express handler for requests with the multer `files`, and a `jobId` or `jobDescription`.
+ */
+function createAnalyzeHandler(llm) {
+    return async function analyzeUploads(req, res) {
+        try {
+            if (!req.files || req.files.length === 0) {
+                return res.status(400).json({ error: 'No resume files uploaded.' });
+            }
+
+            // A saved job (jobId) brings its weighted requirements; otherwise the pasted description is used as-is
+            const { workspaceId } = req.user;
+            let posting;
+            if (req.body.jobId) {
+                posting = getPosting(req.body.jobId, workspaceId);
+                if (!posting) {
+                    discardUploads(req.files);
+                    return res.status(404).json({ error: 'Job not found.' });
+                }
+            } else if (req.body.jobDescription) {
+                posting = findOrCreatePosting({
+                    workspaceId,
+                    // Without an explicit title, the first line of the description names the posting
+                    title: req.body.jobTitle || req.body.jobDescription.trim().split('\n')[0].slice(0, 100),
+                    description: req.body.jobDescription,
+                });
+            } else {
+                discardUploads(req.files);
+                return res.status(400).json({ error: 'Job description is required.' });
+            }
+            // A scoringVersionId ("built-in" for the built-in prompt) also becomes the posting's selection for later runs
+            if (req.body.scoringVersionId) {
+                const versionId = req.body.scoringVersionId === 'built-in' ? null : Number(req.body.scoringVersionId);
+                if (versionId !== null && !getScoringVersion(versionId, workspaceId)) {
+                    discardUploads(req.files);
+                    return res.status(404).json({ error: 'Prompt version not found.' });
+                }
+                setJobScoringVersion(posting.id, versionId, workspaceId);
+                posting.scoringVersionId = versionId;
+            }
+            // Blind screening hides who the candidates are until a reviewer un-blinds them (see privacy/blind.js)
+            const blind = req.body.blind === 'true';
+            // Resumes already scored for the job are reused unless reanalyzeDuplicates=true
+            const run = queueAnalysis(llm, {
+                files: req.files,
+                posting,
+                workspaceId,
+                userId: req.user.id,
+                blind,
+                reanalyzeDuplicates: req.body.reanalyzeDuplicates === 'true',
+            });
+
+            res.status(202).json({ runId: run.id, jobId: posting.id, run: blindRun({ ...run, blind }, new Set()) });
+        } catch (err) {
+            console.error('Error in /analyze endpoint:', err);
+            res.status(500).json({ error: 'Internal server error during analysis.' });
+        }
+    };
+}
+
+/**
+ * Creates the Express app with every route, without listening or starting background schedules, so it
+ * can be served by the long-running server (index.js) or by a serverless function (api/index.js).
+ * @param {object} [options]
+ * @param {object} [options.llm] - The LLM provider; defaults to the one selected by LLM_PROVIDER.
+ * @returns {import('express').Express}
+ */
+export default function createApp({ llm = createProvider() } = {}) {
+    const app = express();
+
+    // Only the frontend's origins may call the API with the user's session cookie
+    const corsOrigins = (process.env.CORS_ORIGINS || 'http://localhost:5173').split(',').map((origin) => origin.trim());
+    app.use(cors({ origin: corsOrigins, credentials: true }));
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+    app.use(authenticate);
+
+    // Uploads are checked by content as they are saved (see files/storage.js)
+    const upload = multer({
+        storage: validatingStorage,
+        limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+    });
+    const analyzeUploads = createAnalyzeHandler(llm);
+
+    // --- API Endpoint for Capabilities ---
+    // Lets the frontend offer exactly the formats and limits this server accepts
+    app.get('/capabilities', (req, res) => {
+        const formats = listFormats();
+        res.json({
+            formats,
+            accept: formats.flatMap((format) => [...format.extensions, format.mimeType]).join(','),
+            maxFileSize: MAX_FILE_SIZE,
+            maxFiles: MAX_FILES,
+            redaction: PII_REDACTION,
+        });
+    });
+
+    // --- API Endpoints for Accounts ---
+    app.use('/auth', authRouter);
+
+    // --- Public API for Integrations ---
+    // Authenticated with API keys rather than sessions (see routes/api.js)
+    app.use(`/api/${API_VERSION}`, createApiRouter({ upload, analyze: analyzeUploads }));
+
+    // --- API Endpoint for Job Seekers ---
+    // An ATS-style report on one applicant's own resume; job seekers have no account, so signing in is optional (see routes/coach.js)
+    app.use('/coach', createCoachRouter({ llm, upload }));
+
+    // Everything below needs a signed-in user, and only sees the data of their workspace
+    app.use(requireAuth);
+    app.use('/users', usersRouter);
+    app.use('/usage', usageRouter);
+    app.use('/integrations', integrationsRouter);
+
+    // --- API Endpoint for Resume Analysis ---
+    app.post('/analyze', canEdit, upload.array('resumes'), analyzeUploads);
+
+    // --- API Endpoint for Resume Parsing ---
+    // Parses uploaded resumes (or pasted `text`) into candidate profiles without scoring or storing them.
+    // Pass llm=true (query or form field) to add the LLM extraction pass.
+    app.post('/parse', canEdit, upload.array('resumes'), async (req, res) => {
+        const useLLM = req.query.llm === 'true' || req.body?.llm === 'true' || undefined;
+        const provider = createMeteredProvider(llm, { workspaceId: req.user.workspaceId, userId: req.user.id });
+
+        if (req.body?.text) {
+            return res.json([{ filename: null, profile: await buildProfile(req.body.text, { llm: provider, useLLM }) }]);
+        }
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'No resume files or text provided.' });
+        }
+
+        const results = [];
+        for (const file of req.files) {
+            if (file.rejected) {
+                results.push({ filename: file.originalname, error: file.rejected });
+                continue;
+            }
+            try {
+                const resumeText = await extractText(file.format.id, await readUpload(file));
+                results.push({ filename: file.originalname, profile: await buildProfile(resumeText, { llm: provider, useLLM }) });
+            } catch (error) {
+                console.error(`Error parsing file ${file.originalname}:`, error);
+                results.push({ filename: file.originalname, error: `Failed to parse: ${error.message}` });
+            } finally {
+                // Parsed files are not kept
+                await discardUploads([file]);
+            }
+        }
+        res.json(results);
+    });
+
+    // --- API Endpoints for Jobs, Candidates and Analysis Runs ---
+    // An analysis's progress was served at /jobs/:id and /jobs/:id/events before saved jobs took /jobs over, and
+    // now is at /runs/:id. The old paths still reach the run for run ids, which are UUIDs where saved jobs have numbers.
+    app.get(['/jobs/:id', '/jobs/:id/events'], (req, res, next) => {
+        if (RUN_ID.test(req.params.id)) {
+            req.url = req.url.replace(/^\/jobs\//, '/runs/');
+        }
+        next();
+    });
+    app.use('/jobs', createJobsRouter({ llm, upload }));
+    app.use('/candidates', candidatesRouter);
+    app.use('/pipeline', pipelineRouter);
+    app.use('/runs', createRunsRouter({ llm }));
+    app.use('/scoring-configs', createScoringRouter({ llm }));
+    app.use('/evaluations', createEvaluationsRouter({ llm }));
+    app.use('/ingestion', createIngestionRouter({ llm }));
+    app.use('/chat', createChatRouter({ llm }));
+
+    // --- API Endpoint for Downloading Files ---
+    // Only files recorded for an analysis are served, under their original name
+    app.get('/download/:filename', async (req, res) => {
+        const storedFile = getAnalyzedFile(req.params.filename, req.user.workspaceId);
+        try {
+            const content = storedFile && await readStoredFile(storedFile.stored_name);
+            if (!content) {
+                return res.status(404).send('File not found.');
+            }
+            res.attachment(storedFile.original_name);
+            res.type(storedFile.mime_type || 'application/octet-stream');
+            res.send(content);
+        } catch (err) {
+            console.error('Error downloading file:', err);
+            res.status(500).send('Could not download the file.');
+        }
+    });
+
+    // Turn upload limit violations into client errors instead of a generic 500
+    app.use((err, req, res, next) => {
+        if (err instanceof multer.MulterError) {
+            const messages = {
+                LIMIT_FILE_SIZE: `Each resume must be smaller than ${Math.round(MAX_FILE_SIZE / 1024 / 1024)} MB.`,
+                LIMIT_FILE_COUNT: `At most ${MAX_FILES} resumes can be analyzed at once.`,
+            };
+            return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: messages[err.code] || err.message });
+        }
+        next(err);
+    });
+
+    return app;
+}
@@ -0,0 +1,102 @@
+import { getSessionUser } from '../db/sessions.js';
+import { getApiKeyUser } from '../db/integrations.js';
+
+export const SESSION_COOKIE = 'session';
+// How long a sign-in lasts
+export const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 7 * 24;
+// Set COOKIE_SECURE=true when the backend is served over HTTPS
+const COOKIE_SECURE = process.env.COOKIE_SECURE === 'true';
+
+/**
+ * Reads one cookie from the request's Cookie header.
+ * @param {import('express').Request} req
+ * @param {string} name
+ * @returns {string|undefined} - Undefined too when its value is not validly percent-encoded.
+ */
+export function readCookie(req, name) {
+    const cookie = (req.headers.cookie || '').split(';').map((part) => part.trim()).find((part) => part.startsWith(`${name}=`));
+    if (!cookie) {
+        return undefined;
+    }
+    try {
+        return decodeURIComponent(cookie.slice(name.length + 1));
+    } catch (error) {
+        // A malformed cookie is treated as absent, so the browser can still sign in and replace it
+        return undefined;
+    }
+}
+
+/**
+ * Sets the session cookie. It is HTTP-only so scripts on the page can't read it.
+ * @param {import('express').Response} res
+ * @param {string} token
+ */
+export function setSessionCookie(res, token) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: COOKIE_SECURE,
+        maxAge: SESSION_TTL_HOURS * 60 * 60 * 1000,
+        path: '/',
+    });
+}
+
+/**
+ * @param {import('express').Response} res
+ */
+export function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'lax', secure: COOKIE_SECURE, path: '/' });
+}
+
+/**
+ * Attaches the signed-in user, if any, to `req.user`.
+ */
+export function authenticate(req, res, next) {
+    const token = readCookie(req, SESSION_COOKIE);
+    req.user = token ? getSessionUser(token) ?? null : null;
+    next();
+}
+
+/**
+ * Authenticates requests to the public API by their API key, sent as `Authorization: Bearer <key>`
+ * or `X-API-Key: <key>`. The request acts with the key's workspace and role; session cookies aren't accepted.
+ */
+export function requireApiKey(req, res, next) {
+    const header = req.headers.authorization || '';
+    const key = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : req.headers['x-api-key'];
+    req.user = key ? getApiKeyUser(key) ?? null : null;
+    if (!req.user) {
+        return res.status(401).json({ error: 'A valid API key is required.' });
+    }
+    next();
+}
+
+/**
+ * Rejects requests without a signed-in user.
+ */
+export function requireAuth(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Please sign in.' });
+    }
+    next();
+}
+
+/**
+ * Only lets users with one of the given roles through.
+ * @param {...string} roles - See ROLES in db/users.js.
+ * @returns {import('express').RequestHandler}
+ */
+export function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Please sign in.' });
+        }
+        if (!roles.includes(req.user.role)) {
+            return res.status(403).json({ error: 'You do not have permission to do this.' });
+        }
+        next();
+    };
+}
+
+// Roles that can run analyses and change jobs, candidates and results
+export const canEdit = requireRole('admin', 'recruiter');
@@ -0,0 +1,35 @@
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+
+// Shortest password accepted for an account
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Hashes a password with scrypt and a random salt.
+ * @param {string} password
+ * @returns {Promise<string>} - "scrypt$<salt>$<hash>", both hex encoded.
+ */
+export async function hashPassword(password) {
+    const salt = randomBytes(16).toString('hex');
+    const hash = await scryptAsync(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Checks a password against a hash made by hashPassword(), in constant time.
+ * @param {string} password
+ * @param {string} stored - The stored hash.
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scryptAsync(password, salt, expected.length);
+    return timingSafeEqual(expected, actual);
+}
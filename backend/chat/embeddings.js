@@ -0,0 +1,87 @@
+import { Embeddings } from '@langchain/core/embeddings';
+import { GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
+
+// Which embeddings resume chunks are retrieved with: local (default, offline) or gemini
+const EMBEDDINGS_PROVIDER = process.env.EMBEDDINGS_PROVIDER || 'local';
+
+// Length of the local embedding vectors; words and word pieces are hashed into this many dimensions
+const LOCAL_DIMENSIONS = 1024;
+
+/**
+ * 32-bit FNV-1a hash of a string.
+ * @param {string} text
+ * @returns {number}
+ */
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Embeddings computed locally with the hashing trick: every word, and every three-letter piece of longer
+ * words (so "deployments" still lands near "deployed"), adds to a dimension picked by its hash.
+ * They capture shared vocabulary rather than meaning, but need no model download, key or network,
+ * and are good enough to find the resume passages a recruiter's question is about.
+ */
+export class LocalHashEmbeddings extends Embeddings {
+    constructor(fields = {}) {
+        super(fields);
+        this.dimensions = fields.dimensions ?? LOCAL_DIMENSIONS;
+    }
+
+    /**
+     * @param {string} text
+     * @returns {number[]} - A unit-length vector.
+     */
+    embed(text) {
+        const counts = new Map();
+        const add = (feature, weight) => counts.set(feature, (counts.get(feature) ?? 0) + weight);
+        for (const word of text.toLowerCase().match(/[a-z0-9][a-z0-9+#.]*[a-z0-9+#]|[a-z0-9]/g) ?? []) {
+            add(`w:${word}`, 1);
+            if (word.length > 4) {
+                for (let i = 0; i + 3 <= word.length; i++) {
+                    add(`p:${word.slice(i, i + 3)}`, 0.3);
+                }
+            }
+        }
+
+        const vector = new Array(this.dimensions).fill(0);
+        counts.forEach((count, feature) => {
+            const hash = fnv1a(feature);
+            // The hash's top bit picks a sign, so collisions cancel out instead of piling up
+            vector[hash % this.dimensions] += (hash & 0x80000000 ? -1 : 1) * (1 + Math.log(count));
+        });
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+        return vector.map((value) => value / norm);
+    }
+
+    async embedDocuments(texts) {
+        return texts.map((text) => this.embed(text));
+    }
+
+    async embedQuery(text) {
+        return this.embed(text);
+    }
+}
+
+/**
+ * Creates the embeddings selected by EMBEDDINGS_PROVIDER. Gemini embeddings use GOOGLE_API_KEY;
+ * without it, or for any other value, the local embeddings are used.
+ * @returns {{name: string, embeddings: Embeddings}}
+ */
+export function createEmbeddings() {
+    if (EMBEDDINGS_PROVIDER === 'gemini' && process.env.GOOGLE_API_KEY) {
+        return {
+            name: 'gemini',
+            embeddings: new GoogleGenerativeAIEmbeddings({ apiKey: process.env.GOOGLE_API_KEY, model: 'text-embedding-004' }),
+        };
+    }
+    if (EMBEDDINGS_PROVIDER !== 'local') {
+        console.error(`Embeddings provider "${EMBEDDINGS_PROVIDER}" is not available, using local embeddings.`);
+    }
+    return { name: 'local', embeddings: new LocalHashEmbeddings() };
+}
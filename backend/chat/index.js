@@ -0,0 +1,136 @@
+import { MemoryVectorStore } from 'langchain/vectorstores/memory';
+import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
+import { createEmbeddings } from './embeddings.js';
+
+// Resume text is split into overlapping chunks of about this many characters before it is embedded
+const CHUNK_SIZE = Number(process.env.CHAT_CHUNK_SIZE) || 800;
+const CHUNK_OVERLAP = 100;
+
+// How many chunks are retrieved for a question about one candidate; batch questions get more, up to MAX_PASSAGES
+const CHAT_TOP_K = Number(process.env.CHAT_TOP_K) || 6;
+const MAX_PASSAGES = 16;
+
+// Earlier questions and answers sent along, so follow-up questions can refer back to them
+const MAX_HISTORY_TURNS = 6;
+
+// Indexes kept in memory, so follow-up questions about the same candidates don't re-embed their resumes
+const MAX_CACHED_INDEXES = 20;
+
+const { name: embeddingsName, embeddings } = createEmbeddings();
+const splitter = new RecursiveCharacterTextSplitter({ chunkSize: CHUNK_SIZE, chunkOverlap: CHUNK_OVERLAP });
+const indexes = new Map();
+
+const SYSTEM_PROMPT = `You answer a recruiter's questions about job candidates using ONLY the numbered resume excerpts in the question.
+- Cite every excerpt you rely on by its number in square brackets, e.g. [2].
+- Name the candidate an excerpt belongs to, as its header does, when you use it.
+- If the excerpts do not answer the question, say that the resumes don't mention it. Do not guess.
+- Do not infer or comment on age, gender, ethnicity, religion, health, family status or other protected attributes.`;
+
+/**
+ * Replaces names in a text, all in one pass so a replacement is never replaced again.
+ * @param {string} text
+ * @param {Map<string, string>} replacements - Each name to its replacement.
+ * @returns {string}
+ */
+function replaceNames(text, replacements) {
+    const names = [...replacements.keys()].filter(Boolean).sort((a, b) => b.length - a.length);
+    if (names.length === 0) {
+        return text;
+    }
+    const pattern = new RegExp(`(?<!\\w)(?:${names.map((name) => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})(?!\\w)`, 'g');
+    return text.replace(pattern, (name) => replacements.get(name));
+}
+
+/**
+ * Returns the vector store of a set of resumes, building it unless the same resumes were indexed recently.
+ * @param {object[]} sources - See answerQuestion().
+ * @returns {Promise<MemoryVectorStore>}
+ */
+async function getIndex(sources) {
+    const key = JSON.stringify([embeddingsName, sources.map((source) => [source.runId, source.fileIndex, source.text.length])]);
+    if (indexes.has(key)) {
+        const index = indexes.get(key);
+        // Re-inserted so the least recently used index is evicted first
+        indexes.delete(key);
+        indexes.set(key, index);
+        return index;
+    }
+
+    const documents = await splitter.createDocuments(
+        sources.map((source) => source.text),
+        sources.map(({ runId, fileIndex }) => ({ runId, fileIndex }))
+    );
+    const index = await MemoryVectorStore.fromDocuments(documents, embeddings);
+    indexes.set(key, index);
+    if (indexes.size > MAX_CACHED_INDEXES) {
+        indexes.delete(indexes.keys().next().value);
+    }
+    return index;
+}
+
+/**
+ * Answers a question over the extracted text of one or more resumes: the passages most similar to the
+ * question are retrieved from the chunked resumes and the LLM answers from them alone, citing them by number.
+ * Without a usable LLM (not configured, or over its budget) the passages are returned without an answer.
+ *
+ * The LLM never sees the names the resumes are shown under: the excerpts are headed with stand-ins
+ * ("Candidate 2"), names in the question and the earlier turns are swapped for them, and the stand-ins
+ * in the answer are swapped back.
+ * @param {object} llm - The LLM provider (see providers/index.js), ideally metered.
+ * @param {object} input
+ * @param {Array<{label: string, runId: string, fileIndex: number, text: string}>} input.sources - The resumes
+ *   to search, with the name (or blind stand-in) each is shown under.
+ * @param {string} input.question
+ * @param {Array<{question: string, answer: string}>} [input.history] - Earlier turns of the conversation, oldest first.
+ * @param {function(Error): boolean} [input.isRecoverable] - Tells which LLM errors fall back to the passages alone.
+ * @returns {Promise<object>} - The `answer` (null without an LLM), the `passages` it could cite and why an LLM was skipped.
+ */
+export async function answerQuestion(llm, { sources, question, history = [], isRecoverable = () => false }) {
+    const index = await getIndex(sources);
+    const k = sources.length > 1 ? Math.min(MAX_PASSAGES, Math.max(CHAT_TOP_K, sources.length * 2)) : CHAT_TOP_K;
+    const found = await index.similaritySearchWithScore(question, k);
+    const sourceOf = ({ runId, fileIndex }) => sources.findIndex((source) => source.runId === runId && source.fileIndex === fileIndex);
+    const aliasOf = (position) => `Candidate ${position + 1}`;
+    const passages = found.map(([document, similarity], position) => ({
+        n: position + 1,
+        label: sources[sourceOf(document.metadata)].label,
+        runId: document.metadata.runId,
+        fileIndex: document.metadata.fileIndex,
+        text: document.pageContent,
+        similarity: Math.round(similarity * 100) / 100,
+    }));
+
+    if (!llm.isConfigured()) {
+        return { answer: null, passages, llmSkipped: `LLM provider "${llm.name}" is not configured.` };
+    }
+
+    const toAliases = new Map(sources.map((source, position) => [source.label, aliasOf(position)]));
+    const toLabels = new Map(sources.map((source, position) => [aliasOf(position), source.label]));
+    const hidden = (text) => replaceNames(String(text ?? ''), toAliases);
+    const aliased = passages.map((passage) => ({ ...passage, label: aliasOf(sourceOf(passage)) }));
+    const excerpts = aliased.map((passage) => `[${passage.n}] (${passage.label})\n${passage.text}`).join('\n\n');
+    const messages = [
+        { role: 'system', content: SYSTEM_PROMPT },
+        ...history.slice(-MAX_HISTORY_TURNS).flatMap((turn) => [
+            { role: 'user', content: hidden(turn.question) },
+            { role: 'assistant', content: hidden(turn.answer) },
+        ]),
+        { role: 'user', content: `Resume excerpts:\n\n${excerpts || '(none found)'}\n\nQuestion: ${hidden(question)}` },
+    ];
+    try {
+        const { text } = await llm.complete({
+            task: 'chat',
+            input: { question: hidden(question), passages: aliased },
+            messages,
+            temperature: 0.2,
+            maxTokens: 600,
+        });
+        const cited = new Set([...text.matchAll(/\[(\d+)\]/g)].map((match) => Number(match[1])));
+        return { answer: replaceNames(text.trim(), toLabels), passages: passages.map((passage) => ({ ...passage, cited: cited.has(passage.n) })) };
+    } catch (error) {
+        if (!isRecoverable(error)) {
+            throw error;
+        }
+        return { answer: null, passages, llmSkipped: error.message };
+    }
+}
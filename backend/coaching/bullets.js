@@ -0,0 +1,172 @@
+import Ajv from 'ajv';
+import { DATE_RANGE, headingOf } from '../parsing/resume.js';
+import { isBudgetExceeded } from '../providers/metered.js';
+
+// Most weak bullet points reported, weakest first
+export const MAX_WEAK_BULLETS = 8;
+
+// Stands in for a number only the applicant knows, in suggested rewrites
+export const RESULT_PLACEHOLDER = '[add a measurable result, e.g. "cutting load time by 30%"]';
+
+// Sections whose lines describe what the applicant did
+const DESCRIBED_SECTIONS = new Set(['summary', 'experience', 'projects']);
+
+// Bullet glyphs and list markers a line can start with
+const MARKER = /^(\s*(?:[-*•●▪◦‣–·]|\d{1,2}[.)])\s+)/;
+
+// Openings that describe a duty rather than what was achieved, and what they are rewritten to
+const WEAK_OPENINGS = [
+    { pattern: /^(?:was\s+)?(?:responsible for|in charge of|tasked with|accountable for|duties included)\s+/i, verb: 'Owned' },
+    { pattern: /^(?:worked on|worked with)\s+/i, verb: 'Delivered' },
+    { pattern: /^(?:was\s+)?(?:involved in|participated in|took part in)\s+/i, verb: 'Contributed to' },
+    { pattern: /^(?:helped(?: with| to)?|assisted(?: with| in)?)\s+/i, verb: 'Supported' },
+    { pattern: /^handled\s+/i, verb: 'Managed' },
+];
+
+const PASSIVE = /\b(?:was|were|been|being)\s+\w+ed\b/i;
+
+// Past tenses that don't follow the "-ed" rule, by the gerund's stem ("writing" -> "writ")
+const IRREGULAR_PAST = {
+    build: 'built', lead: 'led', run: 'ran', writ: 'wrote', mak: 'made', set: 'set', teach: 'taught',
+    sell: 'sold', driv: 'drove', grow: 'grew', buy: 'bought', bring: 'brought', speak: 'spoke', win: 'won',
+};
+
+const rewritesSchema = {
+    type: 'object',
+    required: ['rewrites'],
+    properties: {
+        rewrites: { type: 'array', items: { type: 'string', minLength: 1 } },
+    },
+};
+
+const validateRewrites = new Ajv().compile(rewritesSchema);
+
+/**
+ * Turns a gerund such as "managing" into its past tense, "managed".
+ * @param {string} gerund
+ * @returns {string}
+ */
+function pastTense(gerund) {
+    const stem = gerund.toLowerCase().replace(/ing$/, '');
+    return IRREGULAR_PAST[stem] ?? IRREGULAR_PAST[stem.replace(/(.)\1$/, '$1')] ?? `${stem}ed`;
+}
+
+/**
+ * Lists what makes a bullet point weak.
+ * @param {string} text - The bullet without its marker.
+ * @returns {Array<{id: string, detail: string}>}
+ */
+function findProblems(text) {
+    const words = text.split(/\s+/).length;
+    return [
+        WEAK_OPENINGS.some(({ pattern }) => pattern.test(text)) && { id: 'weak-opening', detail: 'Starts with a duty rather than an action verb.' },
+        PASSIVE.test(text) && { id: 'passive', detail: 'Uses the passive voice, which hides what you did.' },
+        !/\d/.test(text) && { id: 'no-result', detail: 'Has no number showing the scale or result of the work.' },
+        words > 35 && { id: 'too-long', detail: `At ${words} words it is hard to skim; keep to one or two lines.` },
+    ].filter(Boolean);
+}
+
+/**
+ * Finds the weak bullet points of the summary, experience and projects sections: those opening with
+ * a duty, in the passive voice, without a measurable result, or too long to skim.
+ * Lines with a date range are taken to be position titles, not bullets.
+ * @param {string} text - The resume text.
+ * @returns {Array<{line: number, marker: string, original: string, problems: object[]}>} - `line` is the
+ *   line's index in the text; at most MAX_WEAK_BULLETS, those with the most problems first.
+ */
+export function findWeakBullets(text) {
+    let section = 'header';
+    const bullets = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        const heading = headingOf(line.trim());
+        if (heading) {
+            section = heading;
+            return;
+        }
+        const marker = line.match(MARKER)?.[1] ?? line.match(/^\s*/)[0];
+        const content = line.slice(marker.length).trim();
+        // Unmarked lines only count when they read like a sentence
+        const isBullet = MARKER.test(line) || content.split(/\s+/).length >= 6;
+        if (!DESCRIBED_SECTIONS.has(section) || !isBullet || DATE_RANGE.test(content)) {
+            return;
+        }
+        const problems = findProblems(content);
+        if (problems.length > 0) {
+            bullets.push({ line: index, marker, original: content, problems });
+        }
+    });
+    // A weak opening or the passive voice counts for more than a missing number
+    const weight = (bullet) => bullet.problems.reduce((sum, problem) => sum + (problem.id === 'no-result' ? 1 : 2), 0);
+    return bullets.sort((a, b) => weight(b) - weight(a)).slice(0, MAX_WEAK_BULLETS);
+}
+
+/**
+ * Rewrites a bullet point by rule: the weak opening becomes an action verb, and a missing result
+ * becomes RESULT_PLACEHOLDER for the applicant to fill in. Used without an LLM, and by the mock provider.
+ * @param {string} bullet
+ * @returns {string}
+ */
+export function rewriteLocally(bullet) {
+    let rewrite = bullet.trim().replace(/[.;]$/, '');
+    const opening = WEAK_OPENINGS.find(({ pattern }) => pattern.test(rewrite));
+    if (opening) {
+        const rest = rewrite.replace(opening.pattern, '');
+        const [first, ...others] = rest.split(' ');
+        // "Responsible for managing X" reads better as "Managed X" than "Owned managing X"
+        rewrite = /^[a-z]+ing$/i.test(first) && opening.verb !== 'Contributed to'
+            ? [pastTense(first).replace(/^./, (letter) => letter.toUpperCase()), ...others].join(' ')
+            : `${opening.verb} ${rest}`;
+    }
+    if (!/\d/.test(rewrite)) {
+        rewrite = `${rewrite}, ${RESULT_PLACEHOLDER}`;
+    }
+    return `${rewrite.charAt(0).toUpperCase()}${rewrite.slice(1)}`;
+}
+
+/**
+ * Suggests a rewrite of each weak bullet point: opening with an action verb, naming the result, and using
+ * the job's wording where the bullet supports it. Numbers are never made up; RESULT_PLACEHOLDER marks where
+ * one belongs. Falls back to rewriteLocally() when no LLM is configured, its budget is used up, or its
+ * response is unusable.
+ * @param {object} llm - The LLM provider (see providers/index.js).
+ * @param {object} input
+ * @param {string[]} input.bullets - The bullet points, without their markers.
+ * @param {string} input.jobDescription
+ * @returns {Promise<{rewrites: string[], source: string}>} - One rewrite per bullet; `source` is "llm" or "template".
+ */
+export async function rewriteBullets(llm, { bullets, jobDescription }) {
+    const local = { rewrites: bullets.map(rewriteLocally), source: 'template' };
+    if (bullets.length === 0 || !llm.isConfigured()) {
+        return local;
+    }
+
+    const prompt = `You help a job seeker improve the bullet points of their resume for the job below. Rewrite each bullet point so it starts with a strong action verb, says what was achieved rather than what the duty was, and uses the job description's wording where the bullet already supports it. Keep every fact; never add skills, employers or numbers that are not in the bullet. Where a number would make the result concrete, write ${RESULT_PLACEHOLDER} instead of inventing one. Keep each rewrite to at most two lines. Your response MUST be ONLY a JSON object with the key "rewrites", an array with exactly one rewritten string per bullet point, in order. Do NOT include any other text.
+
+Job Description:
+${jobDescription}
+
+Bullet points:
+${bullets.map((bullet, index) => `${index + 1}. ${bullet}`).join('\n')}
+
+JSON Response:`;
+
+    let response;
+    try {
+        ({ text: response } = await llm.complete({ task: 'rewrite', input: { bullets, jobDescription }, prompt, temperature: 0.4, maxTokens: 1500 }));
+    } catch (error) {
+        if (!isBudgetExceeded(error)) {
+            throw error;
+        }
+        return local;
+    }
+    try {
+        const generated = JSON.parse(response.substring(response.indexOf('{'), response.lastIndexOf('}') + 1));
+        if (validateRewrites(generated) && generated.rewrites.length === bullets.length) {
+            return { rewrites: generated.rewrites, source: 'llm' };
+        }
+        console.error('LLM bullet rewrites did not match the schema:', validateRewrites.errors ?? 'wrong number of rewrites');
+    } catch (error) {
+        console.error('Failed to parse LLM bullet rewrites:', error);
+    }
+    return local;
+}
@@ -0,0 +1,127 @@
+import { EMAIL, PHONE, splitSections } from '../parsing/resume.js';
+
+// Fewer readable characters than this means the file is mostly images or outlined text
+const MIN_TEXT_LENGTH = 200;
+
+// Resumes longer than this many words are hard to skim, for people and ATS alike
+const MAX_WORDS = 1000;
+
+// Sections an ATS looks for under a standard heading
+const EXPECTED_SECTIONS = [
+    { section: 'experience', label: 'Experience' },
+    { section: 'education', label: 'Education' },
+    { section: 'skills', label: 'Skills' },
+];
+
+// Characters a PDF or document decoder puts in place of glyphs it could not map to text
+const UNDECODED = /\uFFFD|\(cid:\d+\)|[\uE000-\uF8FF]|[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g;
+
+// Cells of a table row: separated by pipes or tabs, or by wide runs of spaces
+const CELL_SEPARATOR = /\s*\|\s*|\t+| {3,}/;
+
+/**
+ * Splits the non-empty lines of a text into their cells.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function cellsPerLine(text) {
+    return text.split(/\r?\n/)
+        .filter((line) => line.trim())
+        .map((line) => line.trim().split(CELL_SEPARATOR).filter(Boolean));
+}
+
+/**
+ * Finds formatting problems an ATS would trip over, from what the extraction of the file produced:
+ * text that could not be read or decoded, tables, multi-column layouts, missing standard headings
+ * and contact details, and excessive length.
+ * @param {string} text - The text extracted from the resume.
+ * @param {string} [formatId] - The detected file format (see extractors/index.js), if the resume was uploaded.
+ * @returns {Array<{id: string, severity: string, title: string, detail: string}>} - `severity` is "high", "medium" or "low".
+ */
+export function checkFormatting(text, formatId) {
+    const issues = [];
+    const readable = text.replace(UNDECODED, '').replace(/\s/g, '');
+    if (readable.length < MIN_TEXT_LENGTH) {
+        issues.push({
+            id: 'unreadable',
+            severity: 'high',
+            title: 'Little or no text could be read',
+            detail: formatId === 'pdf'
+                ? 'The PDF is probably a scanned image or has its text converted to outlines. Export it again from your editor as a text-based PDF.'
+                : 'The file holds almost no text. Make sure the content is typed text rather than images or text boxes.',
+        });
+        // Nothing else can be judged from what little was read
+        return issues;
+    }
+
+    const undecoded = text.match(UNDECODED)?.length ?? 0;
+    if (undecoded > 5) {
+        issues.push({
+            id: 'undecoded-characters',
+            severity: 'high',
+            title: 'Some characters could not be read',
+            detail: `${undecoded} characters came out as unknown symbols, usually because of decorative fonts, icons or ligatures. Use a standard font and plain bullets.`,
+        });
+    }
+
+    const rows = cellsPerLine(text);
+    const tableRows = rows.filter((cells) => cells.length >= 3);
+    if (tableRows.length >= 3) {
+        issues.push({
+            id: 'table',
+            severity: 'medium',
+            title: 'Tables detected',
+            detail: `${tableRows.length} lines read as table rows. An ATS often reads tables cell by cell or drops them; list the same content as plain lines instead.`,
+        });
+    }
+    // Two wide-apart blocks of text on many lines, or most lines cut into a few words, are what two columns turn into
+    const twoColumnRows = rows.filter((cells) => cells.length === 2 && cells.every((cell) => cell.split(/\s+/).length >= 2));
+    const fragments = rows.filter((cells) => cells.join(' ').split(/\s+/).length <= 3);
+    if (twoColumnRows.length >= 5 && twoColumnRows.length >= rows.length * 0.2) {
+        issues.push({
+            id: 'multi-column',
+            severity: 'high',
+            title: 'Multi-column layout detected',
+            detail: 'Text from two columns was read side by side, so an ATS may mix up lines from both. Use a single-column layout.',
+        });
+    } else if (rows.length >= 15 && fragments.length >= rows.length * 0.6) {
+        issues.push({
+            id: 'fragmented',
+            severity: 'medium',
+            title: 'Text is broken into short fragments',
+            detail: 'Most lines hold only a few words, which happens with multi-column layouts, text boxes and sidebars. Use a single column of full lines.',
+        });
+    }
+
+    const sections = splitSections(text);
+    const missing = EXPECTED_SECTIONS.filter(({ section }) => !sections[section]);
+    if (missing.length > 0) {
+        issues.push({
+            id: 'missing-headings',
+            severity: missing.some(({ section }) => section === 'experience') ? 'high' : 'medium',
+            title: `No "${missing.map(({ label }) => label).join('", "')}" heading found`,
+            detail: 'An ATS sorts your resume into sections by their headings. Use standard headings on a line of their own.',
+        });
+    }
+
+    const hasPhone = [...text.matchAll(PHONE)].some(([match]) => match.replace(/\D/g, '').length >= 9);
+    if (!EMAIL.test(text) || !hasPhone) {
+        issues.push({
+            id: 'missing-contact',
+            severity: 'medium',
+            title: `No ${!EMAIL.test(text) ? 'email address' : 'phone number'} found`,
+            detail: 'Contact details in a page header, footer or image are often not read. Put them as text at the top of the first page.',
+        });
+    }
+
+    const words = text.split(/\s+/).filter(Boolean).length;
+    if (words > MAX_WORDS) {
+        issues.push({
+            id: 'too-long',
+            severity: 'low',
+            title: 'Long resume',
+            detail: `About ${words} words. Keep to the experience relevant to the job, ideally one or two pages.`,
+        });
+    }
+    return issues;
+}
@@ -0,0 +1,99 @@
+import { scoreResume } from '../scoring/index.js';
+import { LOCAL_ENGINE, prescreenResumes } from '../scoring/prescreen.js';
+import { parseJobDescription } from '../parsing/job.js';
+import { parseResume } from '../parsing/resume.js';
+import { PII_REDACTION, redactResume } from '../privacy/redaction.js';
+import { checkFormatting } from './formatting.js';
+import { findWeakBullets, rewriteBullets } from './bullets.js';
+
+/**
+ * Lists the job's keywords the resume lacks: its unmet requirements, then the skills it names that
+ * the resume doesn't mention.
+ * @param {object} analysis - The pre-screen of the resume, which matches keywords literally as an ATS does.
+ * @returns {Array<{keyword: string, importance: string}>} - `importance` is "required", "nice-to-have" or "mentioned".
+ */
+function missingKeywords(analysis) {
+    const unmet = analysis.requirements.filter((requirement) => requirement.met === 'no')
+        .sort((a, b) => (a.type === 'required' ? 0 : 1) - (b.type === 'required' ? 0 : 1))
+        .map((requirement) => ({ keyword: requirement.requirement, importance: requirement.type }));
+    // Skills an unmet requirement already names, such as Kafka in "Experience with Kafka", aren't listed twice
+    const named = unmet.map(({ keyword }) => keyword.toLowerCase()).join('\n');
+    return [
+        ...unmet,
+        ...analysis.missingSkills.filter((skill) => !named.includes(skill.toLowerCase())).map((skill) => ({ keyword: skill, importance: 'mentioned' })),
+    ];
+}
+
+/**
+ * Scores the original and the improved resume with the same engine, so the two scores compare.
+ * The LLM scores both when it can; if it can't score either one, the local pre-screen scores both.
+ * Like recruiter runs, the LLM only sees the resumes redacted unless PII_REDACTION=false.
+ * @param {object} llm
+ * @param {string[]} texts - The original and the improved resume text.
+ * @param {string} jobDescription
+ * @param {object} job - The parsed job, for the pre-screen.
+ * @returns {Promise<{analyses: object[], engine: string, llmSkipped?: string}>}
+ */
+async function scoreVersions(llm, texts, jobDescription, job) {
+    let llmSkipped;
+    if (!llm.isConfigured()) {
+        llmSkipped = `LLM provider "${llm.name}" is not configured.`;
+    } else {
+        try {
+            const profile = parseResume(texts[0]);
+            const analyses = [];
+            for (const text of texts) {
+                analyses.push(await scoreResume(llm, PII_REDACTION ? redactResume(text, profile).text : text, jobDescription));
+            }
+            return { analyses, engine: 'llm' };
+        } catch (error) {
+            console.error('LLM scoring failed for the resume report, using the pre-screen:', error);
+            llmSkipped = `LLM scoring failed: ${error.message}`;
+        }
+    }
+    return { analyses: prescreenResumes(texts, job), engine: LOCAL_ENGINE.name, llmSkipped };
+}
+
+/**
+ * Builds the ATS-style report on a job seeker's resume for a job: the job's keywords it lacks, its weak
+ * bullet points with suggested rewrites, the formatting problems found while extracting it, and its score
+ * before and after the rewrites are applied. Nothing about the resume is stored.
+ * @param {object} llm - The LLM provider (see providers/index.js), already metered.
+ * @param {object} input
+ * @param {string} input.resumeText - The extracted or pasted resume text.
+ * @param {string} input.jobDescription
+ * @param {string} [input.formatId] - The format of the uploaded file, if any (see extractors/index.js).
+ * @returns {Promise<object>} - The report, with `improvedText`: the resume with every rewrite applied,
+ *   for the applicant to edit and score again.
+ */
+export async function buildResumeReport(llm, { resumeText, jobDescription, formatId }) {
+    const job = parseJobDescription(jobDescription);
+    const [keywordCheck] = prescreenResumes([resumeText], job);
+    const formatting = checkFormatting(resumeText, formatId);
+    const weakBullets = findWeakBullets(resumeText);
+    // Bullets are redacted like the rest of the resume, in case one names the applicant or their contact details
+    const profile = parseResume(resumeText);
+    const { rewrites, source } = await rewriteBullets(llm, {
+        bullets: weakBullets.map((bullet) => (PII_REDACTION ? redactResume(bullet.original, profile).text : bullet.original)),
+        jobDescription,
+    });
+    const bullets = weakBullets.map((bullet, index) => ({ ...bullet, rewrite: rewrites[index] }));
+
+    const lines = resumeText.split(/\r?\n/);
+    bullets.forEach((bullet) => {
+        lines[bullet.line] = `${bullet.marker}${bullet.rewrite}`;
+    });
+    const improvedText = lines.join('\n');
+
+    const { analyses: [before, after], engine, llmSkipped } = await scoreVersions(llm, [resumeText, improvedText], jobDescription, job);
+    return {
+        score: { before: before.score, after: after.score, engine, breakdown: { before: before.breakdown, after: after.breakdown } },
+        llmSkipped,
+        missingKeywords: missingKeywords(keywordCheck),
+        matchedSkills: keywordCheck.matchedSkills,
+        formatting,
+        bullets,
+        rewriteSource: source,
+        improvedText,
+    };
+}
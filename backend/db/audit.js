@@ -0,0 +1,30 @@
+import db from './index.js';
+
+/**
+ * Records a privacy event for one file of a run: "redacted" when its text was masked before
+ * being sent to an LLM, "unblinded" when a reviewer revealed the candidate of a blind run.
+ * @param {object} event
+ * @param {string} event.runId
+ * @param {number} event.fileIndex
+ * @param {string} event.action - "redacted" or "unblinded".
+ * @param {number} [event.userId] - The reviewer, for actions taken by a user.
+ * @param {object} [event.details] - e.g. the number of masked values per type. Never the values themselves.
+ */
+export function recordPrivacyEvent({ runId, fileIndex, action, userId, details }) {
+    db.prepare('INSERT INTO privacy_audit (run_id, file_index, action, user_id, details_json) VALUES (?, ?, ?, ?, ?)')
+        .run(runId, fileIndex, action, userId ?? null, details ? JSON.stringify(details) : null);
+}
+
+/**
+ * Lists the privacy events of a run, oldest first, with the name of the user who took them.
+ * @param {string} runId
+ * @returns {object[]}
+ */
+export function listPrivacyEvents(runId) {
+    return db.prepare(`
+        SELECT a.id, a.file_index, a.action, a.details_json, a.created_at, u.name AS user_name
+        FROM privacy_audit a LEFT JOIN users u ON u.id = a.user_id
+        WHERE a.run_id = ?
+        ORDER BY a.id
+    `).all(runId).map(({ details_json: detailsJson, ...row }) => ({ ...row, details: detailsJson ? JSON.parse(detailsJson) : null }));
+}
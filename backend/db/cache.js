@@ -0,0 +1,49 @@
+import db from './index.js';
+
+/**
+ * Looks up a cached LLM analysis and counts the hit.
+ * @param {string} key - Hash of everything the analysis depends on (see scoring/index.js).
+ * @param {number} ttlDays - Entries older than this are ignored.
+ * @returns {object|null} - The cached analysis.
+ */
+export function getCachedAnalysis(key, ttlDays) {
+    const row = db.prepare(`SELECT result_json FROM llm_cache WHERE key = ? AND created_at >= datetime('now', ?)`)
+        .get(key, `-${ttlDays} days`);
+    if (!row) {
+        return null;
+    }
+    db.prepare("UPDATE llm_cache SET hits = hits + 1, last_hit_at = datetime('now') WHERE key = ?").run(key);
+    return JSON.parse(row.result_json);
+}
+
+/**
+ * Caches an LLM analysis, replacing an expired entry with the same key.
+ * @param {string} key
+ * @param {object} entry
+ * @param {string} entry.provider
+ * @param {string} entry.model
+ * @param {object} entry.result - The validated analysis.
+ */
+export function saveCachedAnalysis(key, { provider, model, result }) {
+    db.prepare(`
+        INSERT INTO llm_cache (key, provider, model, result_json) VALUES (?, ?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET result_json = excluded.result_json, hits = 0, created_at = datetime('now'), last_hit_at = NULL
+    `).run(key, provider, model, JSON.stringify(result));
+}
+
+/**
+ * Counts the cache's entries and the LLM calls it saved.
+ * @returns {{entries: number, hits: number}}
+ */
+export function getCacheStats() {
+    return db.prepare('SELECT COUNT(*) AS entries, COALESCE(SUM(hits), 0) AS hits FROM llm_cache').get();
+}
+
+/**
+ * Deletes cache entries older than the given number of days.
+ * @param {number} ttlDays
+ * @returns {number} - How many entries were deleted.
+ */
+export function deleteExpiredCache(ttlDays) {
+    return db.prepare("DELETE FROM llm_cache WHERE created_at < datetime('now', ?)").run(`-${ttlDays} days`).changes;
+}
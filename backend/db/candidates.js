@@ -0,0 +1,232 @@
+import db from './index.js';
+import { toAnalysis } from './runs.js';
+
+/**
+ * Expands the stored profile JSON of a candidate row.
+ * @param {object} row
+ * @returns {object}
+ */
+function toCandidate({ profile_json: profileJson, ...row }) {
+    return { ...row, profile: profileJson ? JSON.parse(profileJson) : null };
+}
+
+/**
+ * Records an uploaded file of a candidate.
+ * @param {number} candidateId
+ * @param {object} file - See createCandidateWithFile().
+ * @returns {number} - The file's id.
+ */
+function insertFile(candidateId, file) {
+    const storedFile = db.prepare(`
+        INSERT INTO files (candidate_id, original_name, stored_name, mime_type, size, extracted_text, content_hash, text_hash, signature)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        candidateId,
+        file.originalName,
+        file.storedName,
+        file.mimeType ?? null,
+        file.size ?? null,
+        file.extractedText ?? null,
+        file.fingerprint?.contentHash ?? null,
+        file.fingerprint?.textHash ?? null,
+        file.fingerprint ? JSON.stringify(file.fingerprint.signature) : null
+    );
+    return Number(storedFile.lastInsertRowid);
+}
+
+/**
+ * Creates a candidate together with the record of their uploaded file.
+ * @param {object} candidate
+ * @param {number} candidate.workspaceId
+ * @param {string} candidate.name
+ * @param {object} [candidate.profile] - The parsed profile (see parsing/profile.js).
+ * @param {object} candidate.file
+ * @param {string} candidate.file.originalName - The filename as uploaded.
+ * @param {string} candidate.file.storedName - The unique filename in the uploads directory.
+ * @param {string} [candidate.file.mimeType]
+ * @param {number} [candidate.file.size]
+ * @param {string} [candidate.file.extractedText]
+ * @param {object} [candidate.file.fingerprint] - For duplicate detection (see duplicates/index.js).
+ * @returns {{candidateId: number, fileId: number}}
+ */
+export function createCandidateWithFile({ workspaceId, name, profile, file }) {
+    return db.transaction(() => {
+        const candidate = db.prepare('INSERT INTO candidates (workspace_id, name, email, phone, profile_json) VALUES (?, ?, ?, ?, ?)')
+            .run(workspaceId, name, profile?.email ?? null, profile?.phone ?? null, profile ? JSON.stringify(profile) : null);
+        const candidateId = Number(candidate.lastInsertRowid);
+        return { candidateId, fileId: insertFile(candidateId, file) };
+    })();
+}
+
+/**
+ * Adds a new resume to an existing candidate, e.g. when they re-apply. The candidate's profile becomes
+ * the one of the new resume; contact details it lacks are kept from before.
+ * @param {number} candidateId
+ * @param {object} upload
+ * @param {object} [upload.profile]
+ * @param {object} upload.file - See createCandidateWithFile().
+ * @returns {{candidateId: number, fileId: number}}
+ */
+export function addFileToCandidate(candidateId, { profile, file }) {
+    return db.transaction(() => {
+        if (profile) {
+            db.prepare('UPDATE candidates SET email = COALESCE(?, email), phone = COALESCE(?, phone), profile_json = ? WHERE id = ?')
+                .run(profile.email ?? null, profile.phone ?? null, JSON.stringify(profile), candidateId);
+        }
+        return { candidateId, fileId: insertFile(candidateId, file) };
+    })();
+}
+
+/**
+ * Returns a candidate's most recently uploaded file that still has its text, with the candidate's profile.
+ * @param {number} candidateId
+ * @returns {object|undefined} - With `original_name`, `extracted_text`, `created_at` and `profile`.
+ */
+export function getLatestFile(candidateId) {
+    const row = db.prepare(`
+        SELECT f.original_name, f.extracted_text, f.created_at, c.profile_json FROM files f
+        JOIN candidates c ON c.id = f.candidate_id
+        WHERE f.candidate_id = ? AND f.extracted_text IS NOT NULL
+        ORDER BY f.id DESC LIMIT 1
+    `).get(candidateId);
+    return row && toCandidate(row);
+}
+
+/**
+ * Lists a candidate's earlier scores, newest first, with the job each was for.
+ * @param {number} candidateId
+ * @returns {Array<{runId: string, fileIndex: number, jobTitle: string, score: number|null, filename: string, analyzedAt: string}>}
+ */
+export function listPriorScores(candidateId) {
+    return db.prepare(`
+        SELECT a.run_id AS runId, a.file_index AS fileIndex, p.title AS jobTitle, a.score, a.filename, a.created_at AS analyzedAt
+        FROM analyses a
+        JOIN analysis_runs r ON r.id = a.run_id
+        JOIN job_postings p ON p.id = r.job_posting_id
+        WHERE a.candidate_id = ? AND a.error IS NULL
+        ORDER BY a.id DESC LIMIT 10
+    `).all(candidateId);
+}
+
+/**
+ * Merges one candidate into another: the source's files, analyses and pipeline history move to the target, which keeps
+ * its name and profile and takes the source's contact details where it has none. The source is deleted.
+ * @param {number} targetId
+ * @param {number} sourceId
+ * @param {number} workspaceId
+ * @returns {boolean} - Whether both candidates belong to the workspace and were merged.
+ */
+export function mergeCandidates(targetId, sourceId, workspaceId) {
+    return db.transaction(() => {
+        const select = db.prepare('SELECT * FROM candidates WHERE id = ? AND workspace_id = ?');
+        const target = select.get(targetId, workspaceId);
+        const source = select.get(sourceId, workspaceId);
+        if (!target || !source || target.id === source.id) {
+            return false;
+        }
+        db.prepare('UPDATE files SET candidate_id = ? WHERE candidate_id = ?').run(target.id, source.id);
+        db.prepare('UPDATE analyses SET candidate_id = ? WHERE candidate_id = ?').run(target.id, source.id);
+        // Pipeline notes and moves follow too; on a job's board where both are, the target keeps its place
+        db.prepare('UPDATE OR IGNORE pipeline_entries SET candidate_id = ? WHERE candidate_id = ?').run(target.id, source.id);
+        db.prepare('UPDATE pipeline_moves SET candidate_id = ? WHERE candidate_id = ?').run(target.id, source.id);
+        db.prepare('UPDATE pipeline_notes SET candidate_id = ? WHERE candidate_id = ?').run(target.id, source.id);
+        db.prepare('UPDATE candidates SET email = COALESCE(email, ?), phone = COALESCE(phone, ?) WHERE id = ?')
+            .run(source.email, source.phone, target.id);
+        db.prepare('DELETE FROM candidates WHERE id = ?').run(source.id);
+        return true;
+    })();
+}
+
+/**
+ * Lists a workspace's candidates, newest first, with their best score across all analyses.
+ * `blind_file_index` is set for candidates with an analysis of a blind-screening run that wasn't
+ * un-blinded: the index of its file within that run (see privacy/blind.js).
+ * @param {number} workspaceId
+ * @returns {object[]}
+ */
+export function listCandidates(workspaceId) {
+    return db.prepare(`
+        SELECT c.*, MAX(a.score) AS best_score, COUNT(a.id) AS analysis_count,
+            MIN(CASE WHEN r.blind = 1 AND a.unblinded_at IS NULL THEN a.file_index END) AS blind_file_index
+        FROM candidates c LEFT JOIN analyses a ON a.candidate_id = c.id LEFT JOIN analysis_runs r ON r.id = a.run_id
+        WHERE c.workspace_id = ?
+        GROUP BY c.id
+        ORDER BY c.created_at DESC, c.id DESC
+    `).all(workspaceId).map(toCandidate);
+}
+
+/**
+ * Returns a candidate with their files (without extracted text) and analyses, each with the `blind`
+ * flag of its run.
+ * @param {number} id
+ * @param {number} workspaceId
+ * @returns {object|null} - The candidate, if they belong to the workspace.
+ */
+export function getCandidate(id, workspaceId) {
+    const candidate = db.prepare('SELECT * FROM candidates WHERE id = ? AND workspace_id = ?').get(id, workspaceId);
+    if (!candidate) {
+        return null;
+    }
+    return {
+        ...toCandidate(candidate),
+        files: db.prepare(`
+            SELECT id, original_name, stored_name, mime_type, size, created_at
+            FROM files WHERE candidate_id = ? ORDER BY id
+        `).all(id),
+        analyses: db.prepare(`
+            SELECT a.*, r.blind FROM analyses a JOIN analysis_runs r ON r.id = a.run_id
+            WHERE a.candidate_id = ? ORDER BY a.id DESC
+        `).all(id).map(toAnalysis),
+    };
+}
+
+/**
+ * Lists the candidates nothing happened to for a number of days: no resume uploaded, analysis made or
+ * pipeline move since, for the retention sweep (see files/retention.js).
+ * @param {number} days
+ * @returns {number[]}
+ */
+export function listInactiveCandidateIds(days) {
+    const cutoff = `-${days} days`;
+    return db.prepare(`
+        SELECT c.id FROM candidates c
+        WHERE c.created_at < datetime('now', ?)
+            AND NOT EXISTS (SELECT 1 FROM files f WHERE f.candidate_id = c.id AND f.created_at >= datetime('now', ?))
+            AND NOT EXISTS (SELECT 1 FROM analyses a WHERE a.candidate_id = c.id AND a.created_at >= datetime('now', ?))
+            AND NOT EXISTS (SELECT 1 FROM pipeline_moves m WHERE m.candidate_id = c.id AND m.created_at >= datetime('now', ?))
+    `).pluck().all(cutoff, cutoff, cutoff, cutoff);
+}
+
+/**
+ * Deletes candidates of any workspace with their profile, file records, analyses and pipeline history,
+ * and the documents and audits of their analyses. Their stored files are up to the caller.
+ * @param {number[]} ids
+ */
+export function deleteCandidates(ids) {
+    const deleteDocuments = db.prepare(`
+        DELETE FROM candidate_documents WHERE EXISTS (
+            SELECT 1 FROM analyses a WHERE a.candidate_id = ? AND a.run_id = candidate_documents.run_id AND a.file_index = candidate_documents.file_index
+        )
+    `);
+    const deleteAudits = db.prepare(`
+        DELETE FROM score_audits WHERE EXISTS (
+            SELECT 1 FROM analyses a WHERE a.candidate_id = ? AND a.run_id = score_audits.run_id AND a.file_index = score_audits.file_index
+        )
+    `);
+    const deleteCandidate = db.prepare('DELETE FROM candidates WHERE id = ?');
+    db.transaction(() => ids.forEach((id) => {
+        deleteDocuments.run(id);
+        deleteAudits.run(id);
+        deleteCandidate.run(id);
+    }))();
+}
+
+/**
+ * Deletes a candidate with their files and analyses.
+ * @param {number} id
+ * @param {number} workspaceId
+ * @returns {boolean} - Whether a candidate was deleted.
+ */
+export function deleteCandidate(id, workspaceId) {
+    return db.prepare('DELETE FROM candidates WHERE id = ? AND workspace_id = ?').run(id, workspaceId).changes > 0;
+}
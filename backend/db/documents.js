@@ -0,0 +1,72 @@
+import db from './index.js';
+
+/**
+ * Converts a candidate_documents row into the document shape sent to clients.
+ * @param {object} row
+ * @returns {object}
+ */
+function toDocument({ details_json: detailsJson, run_id: runId, file_index: fileIndex, created_by: createdBy, created_at: createdAt, updated_at: updatedAt, ...row }) {
+    return { ...row, runId, fileIndex, details: JSON.parse(detailsJson), createdBy, createdAt, updatedAt };
+}
+
+/**
+ * Stores a generated document for one analyzed file, replacing the earlier one of the same kind.
+ * @param {object} document
+ * @param {string} document.runId
+ * @param {number} document.fileIndex - Position of the file within the run.
+ * @param {string} document.kind - "interview-questions" or "email".
+ * @param {string} document.title - The set's title, or the email's subject.
+ * @param {string} document.content - The editable text.
+ * @param {object} document.details - What it was generated from and with, e.g. the structured questions or the email's tone.
+ * @param {string} document.source - "llm" or "template".
+ * @param {number} document.userId
+ * @returns {object} - The stored document.
+ */
+export function saveDocument({ runId, fileIndex, kind, title, content, details, source, userId }) {
+    db.prepare(`
+        INSERT INTO candidate_documents (run_id, file_index, kind, title, content, details_json, source, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (run_id, file_index, kind) DO UPDATE SET title = excluded.title, content = excluded.content,
+            details_json = excluded.details_json, source = excluded.source, created_by = excluded.created_by,
+            created_at = datetime('now'), updated_at = datetime('now')
+    `).run(runId, fileIndex, kind, title, content, JSON.stringify(details), source, userId);
+    return getDocument(runId, fileIndex, kind);
+}
+
+/**
+ * Saves a recruiter's edits to a document's title and text.
+ * @param {string} runId
+ * @param {number} fileIndex
+ * @param {string} kind
+ * @param {object} edits
+ * @param {string} edits.title
+ * @param {string} edits.content
+ * @returns {object|undefined} - The updated document, or undefined if there is none of this kind.
+ */
+export function updateDocument(runId, fileIndex, kind, { title, content }) {
+    const { changes } = db.prepare(`
+        UPDATE candidate_documents SET title = ?, content = ?, updated_at = datetime('now')
+        WHERE run_id = ? AND file_index = ? AND kind = ?
+    `).run(title, content, runId, fileIndex, kind);
+    return changes > 0 ? getDocument(runId, fileIndex, kind) : undefined;
+}
+
+/**
+ * @param {string} runId
+ * @param {number} fileIndex
+ * @param {string} kind
+ * @returns {object|undefined}
+ */
+export function getDocument(runId, fileIndex, kind) {
+    const row = db.prepare('SELECT * FROM candidate_documents WHERE run_id = ? AND file_index = ? AND kind = ?').get(runId, fileIndex, kind);
+    return row && toDocument(row);
+}
+
+/**
+ * @param {string} runId
+ * @param {number} fileIndex
+ * @returns {object[]} - The documents generated for one analyzed file.
+ */
+export function listDocuments(runId, fileIndex) {
+    return db.prepare('SELECT * FROM candidate_documents WHERE run_id = ? AND file_index = ? ORDER BY kind').all(runId, fileIndex).map(toDocument);
+}
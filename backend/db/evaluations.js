@@ -0,0 +1,87 @@
+import db from './index.js';
+
+// Evaluations run from the command line belong to no workspace and are shown to every workspace's admins
+const VISIBLE = '(workspace_id IS NULL OR workspace_id = ?)';
+
+/**
+ * Expands an evaluation_runs row into the evaluation it stored.
+ * @param {object} row
+ * @returns {object}
+ */
+function toEvaluation(row) {
+    return {
+        id: row.id,
+        workspaceId: row.workspace_id,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        passed: Boolean(row.passed),
+        ...JSON.parse(row.result_json),
+    };
+}
+
+/**
+ * Stores an evaluation with its gate outcome, so later runs can be compared with it.
+ * @param {object} options
+ * @param {object} options.evaluation - As returned by runEvaluation() in evaluation/index.js.
+ * @param {object} options.gate - As returned by gateEvaluation().
+ * @param {number|null} [options.workspaceId] - The workspace it was run for; null from the command line.
+ * @param {number|null} [options.userId]
+ * @returns {object} - The stored evaluation.
+ */
+export function saveEvaluation({ evaluation, gate, workspaceId = null, userId = null }) {
+    const { lastInsertRowid } = db.prepare(`
+        INSERT INTO evaluation_runs (workspace_id, dataset, dataset_hash, provider, model, scoring_version_id, passed, result_json, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        workspaceId,
+        evaluation.dataset.name,
+        evaluation.dataset.hash,
+        evaluation.provider,
+        evaluation.model,
+        evaluation.scoringConfig.versionId,
+        gate.passed ? 1 : 0,
+        JSON.stringify({ ...evaluation, gate }),
+        userId,
+    );
+    return toEvaluation(db.prepare('SELECT * FROM evaluation_runs WHERE id = ?').get(lastInsertRowid));
+}
+
+/**
+ * Lists the evaluations a workspace can see, newest first, without their per-pair scores.
+ * @param {number|null} workspaceId
+ * @param {object} [filters]
+ * @param {string} [filters.dataset] - Only the evaluations of this dataset.
+ * @returns {object[]}
+ */
+export function listEvaluations(workspaceId, { dataset } = {}) {
+    const rows = dataset
+        ? db.prepare(`SELECT * FROM evaluation_runs WHERE ${VISIBLE} AND dataset = ? ORDER BY id DESC`).all(workspaceId, dataset)
+        : db.prepare(`SELECT * FROM evaluation_runs WHERE ${VISIBLE} ORDER BY id DESC`).all(workspaceId);
+    return rows.map((row) => {
+        const { jobs, pairs, ...summary } = toEvaluation(row);
+        return summary;
+    });
+}
+
+/**
+ * @param {number} id
+ * @param {number|null} workspaceId
+ * @returns {object|undefined} - The evaluation, if the workspace can see it.
+ */
+export function getEvaluation(id, workspaceId) {
+    const row = db.prepare(`SELECT * FROM evaluation_runs WHERE id = ? AND ${VISIBLE}`).get(id, workspaceId);
+    return row && toEvaluation(row);
+}
+
+/**
+ * Finds the latest evaluation of a dataset the workspace can see, e.g. the baseline of a new one.
+ * @param {string} dataset
+ * @param {number|null} workspaceId
+ * @param {number} [beforeId] - Only evaluations stored before this one.
+ * @returns {object|undefined}
+ */
+export function getLatestEvaluation(dataset, workspaceId, beforeId = Number.MAX_SAFE_INTEGER) {
+    const row = db.prepare(`SELECT * FROM evaluation_runs WHERE dataset = ? AND ${VISIBLE} AND id < ? ORDER BY id DESC LIMIT 1`)
+        .get(dataset, workspaceId, beforeId);
+    return row && toEvaluation(row);
+}
@@ -0,0 +1,47 @@
+import db from './index.js';
+
+/**
+ * Stores the outcome of a consistency or counterfactual audit of one analyzed file.
+ * @param {object} audit
+ * @param {string} audit.runId
+ * @param {number} audit.fileIndex - Position of the file within the run.
+ * @param {string} audit.kind - "consistency" or "counterfactual".
+ * @param {object} audit.result - As returned by scoring/fairness.js.
+ * @returns {object} - The stored audit.
+ */
+export function saveScoreAudit({ runId, fileIndex, kind, result }) {
+    const { lastInsertRowid } = db.prepare('INSERT INTO score_audits (run_id, file_index, kind, result_json) VALUES (?, ?, ?, ?)')
+        .run(runId, fileIndex, kind, JSON.stringify(result));
+    return toScoreAudit(db.prepare('SELECT * FROM score_audits WHERE id = ?').get(lastInsertRowid));
+}
+
+/**
+ * Lists the audits of one analyzed file, newest first.
+ * @param {string} runId
+ * @param {number} fileIndex
+ * @returns {object[]}
+ */
+export function listFileAudits(runId, fileIndex) {
+    return db.prepare('SELECT * FROM score_audits WHERE run_id = ? AND file_index = ? ORDER BY id DESC').all(runId, fileIndex).map(toScoreAudit);
+}
+
+/**
+ * Lists the audits of every file analyzed for a job posting.
+ * @param {number} jobPostingId
+ * @returns {object[]}
+ */
+export function listPostingAudits(jobPostingId) {
+    return db.prepare(`
+        SELECT s.* FROM score_audits s JOIN analysis_runs r ON r.id = s.run_id
+        WHERE r.job_posting_id = ? ORDER BY s.id
+    `).all(jobPostingId).map(toScoreAudit);
+}
+
+/**
+ * Expands the stored JSON of an audit row.
+ * @param {object} row
+ * @returns {object}
+ */
+function toScoreAudit({ result_json: resultJson, ...row }) {
+    return { ...row, result: JSON.parse(resultJson) };
+}
@@ -0,0 +1,105 @@
+import db from './index.js';
+
+const FILE_COLUMNS = 'f.id, f.candidate_id, f.original_name, f.stored_name, f.mime_type, f.size, f.created_at';
+
+/**
+ * Finds a stored file of a workspace's candidate that belongs to at least one analysis.
+ * Files without an analysis are never served, even if they are still on disk.
+ * @param {string} storedName - The unique filename in the uploads directory.
+ * @param {number} workspaceId
+ * @returns {object|undefined}
+ */
+export function getAnalyzedFile(storedName, workspaceId) {
+    return db.prepare(`
+        SELECT ${FILE_COLUMNS} FROM files f
+        JOIN candidates c ON c.id = f.candidate_id
+        WHERE f.stored_name = ? AND c.workspace_id = ? AND EXISTS (SELECT 1 FROM analyses a WHERE a.file_id = f.id)
+    `).get(storedName, workspaceId);
+}
+
+/**
+ * Returns the text extracted from a stored file, e.g. to score its resume again.
+ * @param {number} id
+ * @returns {string|null} - null once the file record is gone or had no text.
+ */
+export function getExtractedText(id) {
+    return db.prepare('SELECT extracted_text FROM files WHERE id = ?').pluck().get(id) ?? null;
+}
+
+/**
+ * @param {number} candidateId
+ * @returns {object[]}
+ */
+export function listFilesForCandidate(candidateId) {
+    return db.prepare(`SELECT ${FILE_COLUMNS} FROM files f WHERE f.candidate_id = ?`).all(candidateId);
+}
+
+/**
+ * Lists the files analyzed in any of the given runs.
+ * @param {string[]} runIds
+ * @returns {object[]}
+ */
+export function listFilesForRuns(runIds) {
+    if (runIds.length === 0) {
+        return [];
+    }
+    return db.prepare(`
+        SELECT DISTINCT ${FILE_COLUMNS} FROM files f
+        JOIN analyses a ON a.file_id = f.id
+        WHERE a.run_id IN (${runIds.map(() => '?').join(', ')})
+    `).all(...runIds);
+}
+
+/**
+ * Lists files uploaded more than the given number of days ago.
+ * @param {number} days
+ * @returns {object[]}
+ */
+export function listFilesOlderThan(days) {
+    return db.prepare(`SELECT ${FILE_COLUMNS} FROM files f WHERE f.created_at < datetime('now', ?)`).all(`-${days} days`);
+}
+
+/**
+ * Deletes file records, including their extracted text.
+ * @param {number[]} ids
+ */
+export function deleteFileRecords(ids) {
+    const statement = db.prepare('DELETE FROM files WHERE id = ?');
+    db.transaction(() => ids.forEach((id) => statement.run(id)))();
+}
+
+/**
+ * Deletes the record of a file by its stored name, e.g. when the file itself has expired.
+ * @param {string} storedName
+ */
+export function deleteFileRecordByStoredName(storedName) {
+    db.prepare('DELETE FROM files WHERE stored_name = ?').run(storedName);
+}
+
+/**
+ * Lists the fingerprints of every file of a workspace's candidates, with the candidate's name and
+ * contact details, for duplicate detection. The extracted text is only included for files without a
+ * signature yet, so it can be computed.
+ * @param {number} workspaceId
+ * @returns {object[]}
+ */
+export function listFingerprints(workspaceId) {
+    return db.prepare(`
+        SELECT f.id, f.candidate_id, f.content_hash, f.text_hash, f.signature,
+            CASE WHEN f.signature IS NULL THEN f.extracted_text END AS extracted_text,
+            c.name, c.email, c.phone
+        FROM files f JOIN candidates c ON c.id = f.candidate_id
+        WHERE c.workspace_id = ?
+    `).all(workspaceId);
+}
+
+/**
+ * Stores the text fingerprint computed for a file uploaded before fingerprints were recorded.
+ * @param {number} id
+ * @param {object} fingerprint
+ * @param {string} fingerprint.textHash
+ * @param {number[]} fingerprint.signature
+ */
+export function saveFingerprint(id, { textHash, signature }) {
+    db.prepare('UPDATE files SET text_hash = ?, signature = ? WHERE id = ?').run(textHash, JSON.stringify(signature), id);
+}
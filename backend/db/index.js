@@ -0,0 +1,322 @@
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Schema changes are appended here; each runs once, tracked through PRAGMA user_version
+const migrations = [
+    `CREATE TABLE job_postings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        description TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE candidates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        email TEXT,
+        phone TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE files (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        candidate_id INTEGER NOT NULL REFERENCES candidates(id) ON DELETE CASCADE,
+        original_name TEXT NOT NULL,
+        stored_name TEXT NOT NULL UNIQUE,
+        mime_type TEXT,
+        size INTEGER,
+        extracted_text TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE analysis_runs (
+        id TEXT PRIMARY KEY,
+        job_posting_id INTEGER NOT NULL REFERENCES job_postings(id) ON DELETE CASCADE,
+        status TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        finished_at TEXT
+    );
+    CREATE TABLE analyses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id TEXT NOT NULL REFERENCES analysis_runs(id) ON DELETE CASCADE,
+        file_index INTEGER NOT NULL,
+        candidate_id INTEGER REFERENCES candidates(id) ON DELETE CASCADE,
+        file_id INTEGER REFERENCES files(id) ON DELETE SET NULL,
+        filename TEXT NOT NULL,
+        score INTEGER,
+        error TEXT,
+        provider TEXT,
+        model TEXT,
+        result_json TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX analyses_run_id ON analyses(run_id);
+    CREATE INDEX analyses_candidate_id ON analyses(candidate_id);`,
+    `ALTER TABLE candidates ADD COLUMN profile_json TEXT;`,
+    `ALTER TABLE job_postings ADD COLUMN location TEXT;
+    ALTER TABLE job_postings ADD COLUMN min_experience_years REAL;
+    ALTER TABLE job_postings ADD COLUMN education TEXT;
+    ALTER TABLE job_postings ADD COLUMN must_have_json TEXT NOT NULL DEFAULT '[]';
+    ALTER TABLE job_postings ADD COLUMN nice_to_have_json TEXT NOT NULL DEFAULT '[]';
+    ALTER TABLE job_postings ADD COLUMN is_template INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE job_postings ADD COLUMN updated_at TEXT;`,
+    `ALTER TABLE analyses ADD COLUMN decision TEXT;`,
+    `CREATE TABLE workspaces (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+        email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        name TEXT NOT NULL,
+        role TEXT NOT NULL,
+        password_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        expires_at TEXT NOT NULL
+    );
+    ALTER TABLE job_postings ADD COLUMN workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE;
+    ALTER TABLE candidates ADD COLUMN workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE;
+    CREATE INDEX job_postings_workspace_id ON job_postings(workspace_id);
+    CREATE INDEX candidates_workspace_id ON candidates(workspace_id);`,
+    `ALTER TABLE analysis_runs ADD COLUMN blind INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE analyses ADD COLUMN unblinded_at TEXT;
+    CREATE TABLE privacy_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id TEXT NOT NULL REFERENCES analysis_runs(id) ON DELETE CASCADE,
+        file_index INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        details_json TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX privacy_audit_run_id ON privacy_audit(run_id);`,
+    `CREATE TABLE score_audits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id TEXT NOT NULL REFERENCES analysis_runs(id) ON DELETE CASCADE,
+        file_index INTEGER NOT NULL,
+        kind TEXT NOT NULL,
+        result_json TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX score_audits_run_id ON score_audits(run_id);`,
+    `CREATE TABLE llm_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        job_posting_id INTEGER REFERENCES job_postings(id) ON DELETE SET NULL,
+        run_id TEXT REFERENCES analysis_runs(id) ON DELETE SET NULL,
+        task TEXT,
+        provider TEXT NOT NULL,
+        model TEXT NOT NULL,
+        prompt_tokens INTEGER NOT NULL,
+        completion_tokens INTEGER NOT NULL,
+        cost REAL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX llm_usage_workspace_id ON llm_usage(workspace_id, created_at);
+    CREATE INDEX llm_usage_run_id ON llm_usage(run_id);
+    CREATE TABLE llm_cache (
+        key TEXT PRIMARY KEY,
+        provider TEXT NOT NULL,
+        model TEXT NOT NULL,
+        result_json TEXT NOT NULL,
+        hits INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        last_hit_at TEXT
+    );`,
+    `CREATE TABLE scoring_configs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX scoring_configs_workspace_id ON scoring_configs(workspace_id);
+    CREATE TABLE scoring_config_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        config_id INTEGER NOT NULL REFERENCES scoring_configs(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        template TEXT NOT NULL,
+        rubric_json TEXT NOT NULL,
+        notes TEXT,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        UNIQUE (config_id, version)
+    );
+    ALTER TABLE job_postings ADD COLUMN scoring_version_id INTEGER REFERENCES scoring_config_versions(id) ON DELETE SET NULL;
+    ALTER TABLE analysis_runs ADD COLUMN scoring_version_id INTEGER REFERENCES scoring_config_versions(id) ON DELETE SET NULL;`,
+    `CREATE TABLE candidate_documents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id TEXT NOT NULL REFERENCES analysis_runs(id) ON DELETE CASCADE,
+        file_index INTEGER NOT NULL,
+        kind TEXT NOT NULL,
+        title TEXT NOT NULL,
+        content TEXT NOT NULL,
+        details_json TEXT NOT NULL,
+        source TEXT NOT NULL,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+        UNIQUE (run_id, file_index, kind)
+    );`,
+    `ALTER TABLE files ADD COLUMN content_hash TEXT;
+    ALTER TABLE files ADD COLUMN text_hash TEXT;
+    ALTER TABLE files ADD COLUMN signature TEXT;
+    CREATE INDEX files_content_hash ON files(content_hash);
+    CREATE INDEX files_text_hash ON files(text_hash);`,
+    `CREATE TABLE api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        role TEXT NOT NULL,
+        prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        last_used_at TEXT,
+        revoked_at TEXT
+    );
+    CREATE TABLE webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events_json TEXT NOT NULL,
+        format TEXT NOT NULL,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX webhooks_workspace_id ON webhooks(workspace_id);
+    CREATE TABLE webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        event TEXT NOT NULL,
+        payload_json TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        response_body TEXT,
+        error TEXT,
+        next_attempt_at TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        last_attempt_at TEXT,
+        delivered_at TEXT
+    );
+    CREATE INDEX webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id, created_at);
+    CREATE INDEX webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);`,
+    `CREATE TABLE evaluation_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+        dataset TEXT NOT NULL,
+        dataset_hash TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        model TEXT NOT NULL,
+        scoring_version_id INTEGER REFERENCES scoring_config_versions(id) ON DELETE SET NULL,
+        passed INTEGER NOT NULL,
+        result_json TEXT NOT NULL,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX evaluation_runs_dataset ON evaluation_runs(dataset, id);`,
+    `CREATE TABLE ingestion_sources (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        job_posting_id INTEGER NOT NULL REFERENCES job_postings(id) ON DELETE CASCADE,
+        settings_json TEXT NOT NULL,
+        state_json TEXT NOT NULL DEFAULT '{}',
+        active INTEGER NOT NULL DEFAULT 1,
+        status TEXT NOT NULL DEFAULT 'pending',
+        last_error TEXT,
+        last_checked_at TEXT,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX ingestion_sources_workspace_id ON ingestion_sources(workspace_id);
+    CREATE TABLE ingested_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source_id INTEGER NOT NULL REFERENCES ingestion_sources(id) ON DELETE CASCADE,
+        item_key TEXT NOT NULL,
+        filename TEXT NOT NULL,
+        content_hash TEXT,
+        status TEXT NOT NULL,
+        run_id TEXT REFERENCES analysis_runs(id) ON DELETE SET NULL,
+        detail TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        UNIQUE (source_id, item_key)
+    );
+    CREATE INDEX ingested_items_content_hash ON ingested_items(source_id, content_hash);`,
+    `CREATE TABLE pipeline_stages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_posting_id INTEGER NOT NULL REFERENCES job_postings(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        outcome TEXT
+    );
+    CREATE INDEX pipeline_stages_job ON pipeline_stages(job_posting_id, position);
+    CREATE TABLE pipeline_entries (
+        job_posting_id INTEGER NOT NULL REFERENCES job_postings(id) ON DELETE CASCADE,
+        candidate_id INTEGER NOT NULL REFERENCES candidates(id) ON DELETE CASCADE,
+        stage_id INTEGER NOT NULL REFERENCES pipeline_stages(id) ON DELETE RESTRICT,
+        position INTEGER NOT NULL DEFAULT 0,
+        updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+        PRIMARY KEY (job_posting_id, candidate_id)
+    );
+    CREATE TABLE pipeline_moves (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_posting_id INTEGER NOT NULL REFERENCES job_postings(id) ON DELETE CASCADE,
+        candidate_id INTEGER NOT NULL REFERENCES candidates(id) ON DELETE CASCADE,
+        from_stage_id INTEGER REFERENCES pipeline_stages(id) ON DELETE SET NULL,
+        to_stage_id INTEGER REFERENCES pipeline_stages(id) ON DELETE SET NULL,
+        from_stage_name TEXT,
+        to_stage_name TEXT NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX pipeline_moves_candidate ON pipeline_moves(job_posting_id, candidate_id);
+    CREATE TABLE pipeline_notes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_posting_id INTEGER NOT NULL REFERENCES job_postings(id) ON DELETE CASCADE,
+        candidate_id INTEGER NOT NULL REFERENCES candidates(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        body TEXT NOT NULL,
+        rating INTEGER,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX pipeline_notes_candidate ON pipeline_notes(job_posting_id, candidate_id);`,
+];
+
+/**
+ * Brings the database schema up to date.
+ * @param {Database.Database} database
+ */
+function migrate(database) {
+    const version = database.pragma('user_version', { simple: true });
+    migrations.slice(version).forEach((sql, index) => {
+        database.transaction(() => {
+            database.exec(sql);
+            database.pragma(`user_version = ${version + index + 1}`);
+        })();
+    });
+}
+
+const databasePath = process.env.DATABASE_PATH || path.join(__dirname, '..', 'data', 'resume-bot.db');
+if (databasePath !== ':memory:') {
+    fs.mkdirSync(path.dirname(databasePath), { recursive: true });
+}
+
+const db = new Database(databasePath);
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+migrate(db);
+
+export default db;
@@ -0,0 +1,214 @@
+import db from './index.js';
+
+// Settings that are never sent to clients, only used to connect
+const SECRET_SETTINGS = ['password'];
+
+/**
+ * Converts an ingestion_sources row into the source shape sent to clients. Secret settings, like the
+ * mailbox password, are replaced by whether they are set, unless asked for.
+ * @param {object} row
+ * @param {boolean} [withSecrets]
+ * @returns {object}
+ */
+function toSource(row, withSecrets = false) {
+    const settings = JSON.parse(row.settings_json);
+    if (!withSecrets) {
+        SECRET_SETTINGS.filter((key) => key in settings).forEach((key) => {
+            settings[key] = Boolean(settings[key]);
+        });
+    }
+    return {
+        id: row.id,
+        workspaceId: row.workspace_id,
+        name: row.name,
+        kind: row.kind,
+        jobId: row.job_posting_id,
+        jobTitle: row.job_title,
+        settings,
+        active: Boolean(row.active),
+        status: row.status,
+        lastError: row.last_error,
+        lastCheckedAt: row.last_checked_at,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        ...(withSecrets && { state: JSON.parse(row.state_json) }),
+    };
+}
+
+const SOURCE_SELECT = 'SELECT s.*, p.title AS job_title FROM ingestion_sources s JOIN job_postings p ON p.id = s.job_posting_id';
+
+/**
+ * Creates a source applications are ingested from.
+ * @param {object} options
+ * @param {number} options.workspaceId
+ * @param {string} options.name
+ * @param {string} options.kind - "imap" or "folder" (see ingestion/index.js).
+ * @param {number} options.jobId - The job ingested resumes are scored for.
+ * @param {object} options.settings - How to reach the mailbox or folder.
+ * @param {number} options.userId - The admin creating it; the source's LLM usage is recorded for them.
+ * @returns {object}
+ */
+export function createSource({ workspaceId, name, kind, jobId, settings, userId }) {
+    const { lastInsertRowid } = db.prepare(`
+        INSERT INTO ingestion_sources (workspace_id, name, kind, job_posting_id, settings_json, created_by) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(workspaceId, name, kind, jobId, JSON.stringify(settings), userId);
+    return getSource(lastInsertRowid, workspaceId);
+}
+
+/**
+ * @param {number} id
+ * @param {number} workspaceId
+ * @param {object} [options]
+ * @param {boolean} [options.withSecrets] - Also return the secret settings and the source's state, to check it.
+ * @returns {object|undefined}
+ */
+export function getSource(id, workspaceId, { withSecrets = false } = {}) {
+    const row = db.prepare(`${SOURCE_SELECT} WHERE s.id = ? AND s.workspace_id = ?`).get(id, workspaceId);
+    return row && toSource(row, withSecrets);
+}
+
+/**
+ * @param {number} workspaceId
+ * @returns {object[]} - The workspace's sources, with how many items of each status they ingested.
+ */
+export function listSources(workspaceId) {
+    const counts = db.prepare(`
+        SELECT i.source_id, i.status, COUNT(*) AS count FROM ingested_items i
+        JOIN ingestion_sources s ON s.id = i.source_id WHERE s.workspace_id = ? GROUP BY i.source_id, i.status
+    `).all(workspaceId);
+    return db.prepare(`${SOURCE_SELECT} WHERE s.workspace_id = ? ORDER BY s.id`).all(workspaceId).map((row) => ({
+        ...toSource(row),
+        items: Object.fromEntries(counts.filter((count) => count.source_id === row.id).map((count) => [count.status, count.count])),
+    }));
+}
+
+/**
+ * Lists the active sources of every workspace, with their secrets and state, for the ingestion schedule.
+ * @returns {object[]}
+ */
+export function listActiveSources() {
+    return db.prepare(`${SOURCE_SELECT} WHERE s.active = 1 ORDER BY s.id`).all().map((row) => toSource(row, true));
+}
+
+/**
+ * Changes a source. Settings replace the current ones, except for secret settings that are left out,
+ * which are kept. A source whose settings change starts over from a new state, e.g. in another mailbox.
+ * @param {number} id
+ * @param {number} workspaceId
+ * @param {object} changes
+ * @param {string} [changes.name]
+ * @param {number} [changes.jobId]
+ * @param {object} [changes.settings]
+ * @param {boolean} [changes.active]
+ * @returns {object|undefined} - The updated source.
+ */
+export function updateSource(id, workspaceId, { name, jobId, settings, active }) {
+    const current = getSource(id, workspaceId, { withSecrets: true });
+    if (!current) {
+        return undefined;
+    }
+    const merged = settings && { ...settings };
+    SECRET_SETTINGS.filter((key) => merged && !merged[key] && current.settings[key]).forEach((key) => {
+        merged[key] = current.settings[key];
+    });
+    const moved = merged && JSON.stringify(merged) !== JSON.stringify(current.settings);
+    db.prepare(`
+        UPDATE ingestion_sources SET name = COALESCE(?, name), job_posting_id = COALESCE(?, job_posting_id),
+            settings_json = COALESCE(?, settings_json), state_json = COALESCE(?, state_json), active = COALESCE(?, active)
+        WHERE id = ? AND workspace_id = ?
+    `).run(
+        name ?? null,
+        jobId ?? null,
+        merged ? JSON.stringify(merged) : null,
+        moved ? '{}' : null,
+        active === undefined ? null : Number(active),
+        id,
+        workspaceId
+    );
+    return getSource(id, workspaceId);
+}
+
+/**
+ * Deletes a source and its log of ingested items; the runs it queued are kept.
+ * @param {number} id
+ * @param {number} workspaceId
+ * @returns {boolean}
+ */
+export function deleteSource(id, workspaceId) {
+    return db.prepare('DELETE FROM ingestion_sources WHERE id = ? AND workspace_id = ?').run(id, workspaceId).changes > 0;
+}
+
+/**
+ * Records the outcome of checking a source.
+ * @param {number} id
+ * @param {object} outcome
+ * @param {string} outcome.status - "ok" or "error".
+ * @param {string|null} [outcome.error]
+ * @param {object} [outcome.state] - Where the next check continues from, e.g. the last mailbox UID; kept when left out.
+ */
+export function recordSourceCheck(id, { status, error = null, state }) {
+    db.prepare(`
+        UPDATE ingestion_sources SET status = ?, last_error = ?, state_json = COALESCE(?, state_json), last_checked_at = datetime('now')
+        WHERE id = ?
+    `).run(status, error, state ? JSON.stringify(state) : null, id);
+}
+
+/**
+ * Tells whether a source already ingested an item, e.g. one attachment of one email.
+ * @param {number} sourceId
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function hasIngestedItem(sourceId, key) {
+    return Boolean(db.prepare('SELECT 1 FROM ingested_items WHERE source_id = ? AND item_key = ?').get(sourceId, key));
+}
+
+/**
+ * Finds an earlier item of a source with the same content, e.g. a resume sent twice.
+ * @param {number} sourceId
+ * @param {string} contentHash
+ * @returns {object|undefined}
+ */
+export function findIngestedContent(sourceId, contentHash) {
+    return db.prepare("SELECT * FROM ingested_items WHERE source_id = ? AND content_hash = ? AND status = 'queued' ORDER BY id LIMIT 1")
+        .get(sourceId, contentHash);
+}
+
+/**
+ * Records what became of an item found in a source.
+ * @param {object} item
+ * @param {number} item.sourceId
+ * @param {string} item.key - Identifies the item within the source, so it is only ingested once.
+ * @param {string} item.filename
+ * @param {string|null} item.contentHash
+ * @param {string} item.status - "queued", "duplicate", "rejected" or "error".
+ * @param {string|null} [item.runId] - The analysis run a queued item is scored in.
+ * @param {string|null} [item.detail] - Why it was not queued.
+ */
+export function recordIngestedItem({ sourceId, key, filename, contentHash, status, runId = null, detail = null }) {
+    db.prepare(`
+        INSERT INTO ingested_items (source_id, item_key, filename, content_hash, status, run_id, detail) VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (source_id, item_key) DO NOTHING
+    `).run(sourceId, key, filename, contentHash, status, runId, detail);
+}
+
+/**
+ * Lists the latest items a source ingested, newest first.
+ * @param {number} sourceId
+ * @param {number} workspaceId
+ * @param {number} [limit]
+ * @returns {object[]}
+ */
+export function listIngestedItems(sourceId, workspaceId, limit = 100) {
+    return db.prepare(`
+        SELECT i.* FROM ingested_items i JOIN ingestion_sources s ON s.id = i.source_id
+        WHERE i.source_id = ? AND s.workspace_id = ? ORDER BY i.id DESC LIMIT ?
+    `).all(sourceId, workspaceId, limit).map((row) => ({
+        id: row.id,
+        filename: row.filename,
+        status: row.status,
+        runId: row.run_id,
+        detail: row.detail,
+        createdAt: row.created_at,
+    }));
+}
@@ -0,0 +1,325 @@
+import { createHash, randomBytes } from 'crypto';
+import db from './index.js';
+
+// Like session tokens, only a hash of each API key is stored; the key itself is shown once, when it is created
+const hashKey = (key) => createHash('sha256').update(key).digest('hex');
+
+// Characters of a key kept in clear so users can tell their keys apart
+const KEY_PREFIX_LENGTH = 12;
+
+/**
+ * Converts an api_keys row into the key shape sent to clients; the hash never leaves this module.
+ * @param {object} row
+ * @returns {object}
+ */
+function toApiKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        role: row.role,
+        prefix: row.prefix,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at,
+        revokedAt: row.revoked_at,
+    };
+}
+
+/**
+ * Creates an API key for a workspace's integrations.
+ * @param {object} options
+ * @param {number} options.workspaceId
+ * @param {string} options.name - What the key is for, e.g. the ATS it is used by.
+ * @param {string} options.role - The role the key acts with (see ROLES in db/users.js).
+ * @param {number} options.userId - The admin creating it.
+ * @returns {object} - The stored key, with the `key` itself.
+ */
+export function createApiKey({ workspaceId, name, role, userId }) {
+    const key = `rbk_${randomBytes(24).toString('base64url')}`;
+    const { lastInsertRowid } = db.prepare('INSERT INTO api_keys (workspace_id, name, role, prefix, key_hash, created_by) VALUES (?, ?, ?, ?, ?, ?)')
+        .run(workspaceId, name, role, key.slice(0, KEY_PREFIX_LENGTH), hashKey(key), userId);
+    return { ...toApiKey(db.prepare('SELECT * FROM api_keys WHERE id = ?').get(lastInsertRowid)), key };
+}
+
+/**
+ * @param {number} workspaceId
+ * @returns {object[]} - The workspace's keys, revoked ones included, newest first.
+ */
+export function listApiKeys(workspaceId) {
+    return db.prepare('SELECT * FROM api_keys WHERE workspace_id = ? ORDER BY id DESC').all(workspaceId).map(toApiKey);
+}
+
+/**
+ * Revokes an API key; requests made with it are rejected from then on.
+ * @param {number} id
+ * @param {number} workspaceId
+ * @returns {boolean} - Whether an active key was revoked.
+ */
+export function revokeApiKey(id, workspaceId) {
+    return db.prepare("UPDATE api_keys SET revoked_at = datetime('now') WHERE id = ? AND workspace_id = ? AND revoked_at IS NULL")
+        .run(id, workspaceId).changes > 0;
+}
+
+/**
+ * Returns who a request made with an API key acts as, and records that the key was used.
+ * @param {string} key
+ * @returns {object|undefined} - A user-like object: the key's creator as `id`, its workspace and role, and `apiKeyId`.
+ */
+export function getApiKeyUser(key) {
+    const row = db.prepare(`
+        SELECT k.*, w.name AS workspace_name FROM api_keys k JOIN workspaces w ON w.id = k.workspace_id
+        WHERE k.key_hash = ? AND k.revoked_at IS NULL
+    `).get(hashKey(key));
+    if (!row) {
+        return undefined;
+    }
+    db.prepare("UPDATE api_keys SET last_used_at = datetime('now') WHERE id = ?").run(row.id);
+    return { id: row.created_by, name: row.name, role: row.role, workspaceId: row.workspace_id, workspaceName: row.workspace_name, apiKeyId: row.id };
+}
+
+/**
+ * Converts a webhooks row into the webhook shape sent to clients. The signing secret is only included when asked for.
+ * @param {object} row
+ * @param {boolean} [withSecret]
+ * @returns {object}
+ */
+function toWebhook(row, withSecret = false) {
+    return {
+        id: row.id,
+        workspaceId: row.workspace_id,
+        url: row.url,
+        events: JSON.parse(row.events_json),
+        format: row.format,
+        active: Boolean(row.active),
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        ...(withSecret && { secret: row.secret }),
+    };
+}
+
+/**
+ * Generates the secret a webhook's payloads are signed with.
+ * @returns {string}
+ */
+function generateSecret() {
+    return `whsec_${randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Registers an endpoint that is sent the workspace's events.
+ * @param {object} options
+ * @param {number} options.workspaceId
+ * @param {string} options.url
+ * @param {string[]} options.events - See WEBHOOK_EVENTS in integrations/webhooks.js.
+ * @param {string} options.format - How results are mapped (see integrations/ats.js).
+ * @param {number} options.userId
+ * @returns {object} - The webhook, with its signing `secret`.
+ */
+export function createWebhook({ workspaceId, url, events, format, userId }) {
+    const { lastInsertRowid } = db.prepare('INSERT INTO webhooks (workspace_id, url, secret, events_json, format, created_by) VALUES (?, ?, ?, ?, ?, ?)')
+        .run(workspaceId, url, generateSecret(), JSON.stringify(events), format, userId);
+    return getWebhook(lastInsertRowid, workspaceId, { withSecret: true });
+}
+
+/**
+ * @param {number} id
+ * @param {number} workspaceId
+ * @param {object} [options]
+ * @param {boolean} [options.withSecret]
+ * @returns {object|undefined}
+ */
+export function getWebhook(id, workspaceId, { withSecret = false } = {}) {
+    const row = db.prepare('SELECT * FROM webhooks WHERE id = ? AND workspace_id = ?').get(id, workspaceId);
+    return row && toWebhook(row, withSecret);
+}
+
+/**
+ * @param {number} workspaceId
+ * @returns {object[]} - The workspace's webhooks, with the outcome counts of their deliveries.
+ */
+export function listWebhooks(workspaceId) {
+    return db.prepare(`
+        SELECT w.*,
+            (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'delivered') AS delivered,
+            (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'pending') AS pending,
+            (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'failed') AS failed
+        FROM webhooks w WHERE w.workspace_id = ? ORDER BY w.id
+    `).all(workspaceId).map((row) => ({ ...toWebhook(row), deliveries: { delivered: row.delivered, pending: row.pending, failed: row.failed } }));
+}
+
+/**
+ * Changes a webhook's settings.
+ * @param {number} id
+ * @param {number} workspaceId
+ * @param {object} changes
+ * @param {string} [changes.url]
+ * @param {string[]} [changes.events]
+ * @param {string} [changes.format]
+ * @param {boolean} [changes.active]
+ * @param {boolean} [changes.rotateSecret] - Replaces the signing secret; the new one is returned.
+ * @returns {object|undefined} - The updated webhook, with its secret if it was rotated.
+ */
+export function updateWebhook(id, workspaceId, { url, events, format, active, rotateSecret = false }) {
+    const { changes } = db.prepare(`
+        UPDATE webhooks SET url = COALESCE(?, url), events_json = COALESCE(?, events_json), format = COALESCE(?, format),
+            active = COALESCE(?, active), secret = COALESCE(?, secret)
+        WHERE id = ? AND workspace_id = ?
+    `).run(
+        url ?? null,
+        events ? JSON.stringify(events) : null,
+        format ?? null,
+        active === undefined ? null : Number(active),
+        rotateSecret ? generateSecret() : null,
+        id,
+        workspaceId
+    );
+    return changes > 0 ? getWebhook(id, workspaceId, { withSecret: rotateSecret }) : undefined;
+}
+
+/**
+ * Deletes a webhook and its delivery log.
+ * @param {number} id
+ * @param {number} workspaceId
+ * @returns {boolean}
+ */
+export function deleteWebhook(id, workspaceId) {
+    return db.prepare('DELETE FROM webhooks WHERE id = ? AND workspace_id = ?').run(id, workspaceId).changes > 0;
+}
+
+/**
+ * Lists the active webhooks of a workspace subscribed to an event, with their secrets for signing.
+ * @param {number} workspaceId
+ * @param {string} event
+ * @returns {object[]}
+ */
+export function listSubscribedWebhooks(workspaceId, event) {
+    return db.prepare('SELECT * FROM webhooks WHERE workspace_id = ? AND active = 1').all(workspaceId)
+        .map((row) => toWebhook(row, true))
+        .filter((webhook) => webhook.events.includes(event));
+}
+
+/**
+ * Converts a webhook_deliveries row into the delivery shape sent to clients.
+ * @param {object} row
+ * @returns {object}
+ */
+function toDelivery(row) {
+    return {
+        id: row.id,
+        webhookId: row.webhook_id,
+        event: row.event,
+        payload: JSON.parse(row.payload_json),
+        status: row.status,
+        attempts: row.attempts,
+        responseStatus: row.response_status,
+        responseBody: row.response_body,
+        error: row.error,
+        nextAttemptAt: row.next_attempt_at,
+        createdAt: row.created_at,
+        lastAttemptAt: row.last_attempt_at,
+        deliveredAt: row.delivered_at,
+    };
+}
+
+/**
+ * Queues a payload for delivery to a webhook, due right away.
+ * @param {object} delivery
+ * @param {string} delivery.id
+ * @param {number} delivery.webhookId
+ * @param {string} delivery.event
+ * @param {object} delivery.payload - The body to send.
+ * @returns {object} - The stored delivery.
+ */
+export function createDelivery({ id, webhookId, event, payload }) {
+    db.prepare("INSERT INTO webhook_deliveries (id, webhook_id, event, payload_json, status, next_attempt_at) VALUES (?, ?, ?, ?, 'pending', datetime('now'))")
+        .run(id, webhookId, event, JSON.stringify(payload));
+    return getDelivery(id);
+}
+
+/**
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+export function getDelivery(id) {
+    const row = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id);
+    return row && toDelivery(row);
+}
+
+/**
+ * The delivery log of a webhook, newest first.
+ * @param {number} webhookId
+ * @param {number} [limit]
+ * @returns {object[]}
+ */
+export function listDeliveries(webhookId, limit = 50) {
+    return db.prepare('SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?').all(webhookId, limit).map(toDelivery);
+}
+
+/**
+ * Claims a pending delivery that is due, so no other attempt sends it at the same time: its next
+ * attempt is pushed back by `leaseSeconds` until the outcome of this one is recorded.
+ * @param {string} id
+ * @param {number} leaseSeconds
+ * @returns {object|undefined} - The delivery with its webhook's url and secret, or undefined if it isn't due.
+ */
+export function claimDelivery(id, leaseSeconds) {
+    return db.transaction(() => {
+        const { changes } = db.prepare(`
+            UPDATE webhook_deliveries SET next_attempt_at = datetime('now', ?)
+            WHERE id = ? AND status = 'pending' AND next_attempt_at <= datetime('now')
+        `).run(`+${leaseSeconds} seconds`, id);
+        if (changes === 0) {
+            return undefined;
+        }
+        const row = db.prepare(`
+            SELECT d.*, w.url, w.secret FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id WHERE d.id = ?
+        `).get(id);
+        return { ...toDelivery(row), url: row.url, secret: row.secret };
+    })();
+}
+
+/**
+ * Lists the ids of the pending deliveries whose next attempt is due.
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+export function listDueDeliveryIds(limit = 20) {
+    return db.prepare(`
+        SELECT d.id FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+        WHERE d.status = 'pending' AND d.next_attempt_at <= datetime('now') AND w.active = 1
+        ORDER BY d.next_attempt_at LIMIT ?
+    `).pluck().all(limit);
+}
+
+/**
+ * Records the outcome of a delivery attempt.
+ * @param {string} id
+ * @param {object} outcome
+ * @param {string} outcome.status - "delivered", "pending" (to be retried) or "failed" (given up).
+ * @param {number|null} outcome.responseStatus - The HTTP status the endpoint answered with, if it answered.
+ * @param {string|null} outcome.responseBody - The start of its response.
+ * @param {string|null} outcome.error - Why the attempt failed.
+ * @param {number|null} outcome.retryInSeconds - When a pending delivery is attempted again.
+ */
+export function recordDeliveryAttempt(id, { status, responseStatus, responseBody, error, retryInSeconds }) {
+    db.prepare(`
+        UPDATE webhook_deliveries SET status = ?, attempts = attempts + 1, response_status = ?, response_body = ?, error = ?,
+            last_attempt_at = datetime('now'),
+            next_attempt_at = CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END,
+            delivered_at = CASE WHEN ? = 'delivered' THEN datetime('now') ELSE delivered_at END
+        WHERE id = ?
+    `).run(status, responseStatus, responseBody, error, retryInSeconds, `+${retryInSeconds ?? 0} seconds`, status, id);
+}
+
+/**
+ * Queues a delivery to be sent again right away, whatever its outcome so far, with a fresh set of attempts.
+ * @param {string} id
+ * @param {number} workspaceId
+ * @returns {boolean} - Whether the workspace has this delivery.
+ */
+export function requeueDelivery(id, workspaceId) {
+    return db.prepare(`
+        UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = datetime('now')
+        WHERE id = ? AND webhook_id IN (SELECT id FROM webhooks WHERE workspace_id = ?)
+    `).run(id, workspaceId).changes > 0;
+}
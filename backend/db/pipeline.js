@@ -0,0 +1,241 @@
+import db from './index.js';
+import { getShortlist } from './postings.js';
+import { blindAnalyses } from '../privacy/blind.js';
+
+// Stages a job's board starts with; the outcome marks the stages where a candidate's application ends
+export const DEFAULT_STAGES = [
+    { name: 'Screened', outcome: null },
+    { name: 'Phone screen', outcome: null },
+    { name: 'Interview', outcome: null },
+    { name: 'Offer', outcome: 'hired' },
+    { name: 'Rejected', outcome: 'rejected' },
+];
+
+export const OUTCOMES = ['hired', 'rejected'];
+
+/**
+ * Lists the stages of a job's pipeline in board order, giving the job the default stages on first use.
+ * @param {number} jobId
+ * @returns {Array<{id: number, name: string, position: number, outcome: string|null}>}
+ */
+export function listStages(jobId) {
+    const select = db.prepare('SELECT id, name, position, outcome FROM pipeline_stages WHERE job_posting_id = ? ORDER BY position, id');
+    const stages = select.all(jobId);
+    if (stages.length > 0) {
+        return stages;
+    }
+    const insert = db.prepare('INSERT INTO pipeline_stages (job_posting_id, name, position, outcome) VALUES (?, ?, ?, ?)');
+    db.transaction(() => DEFAULT_STAGES.forEach((stage, position) => insert.run(jobId, stage.name, position, stage.outcome)))();
+    return select.all(jobId);
+}
+
+/**
+ * Lists the stages of a job that candidates are in, with how many.
+ * @param {number} jobId
+ * @returns {Map<number, number>} - Stage id to number of candidates.
+ */
+export function countStageEntries(jobId) {
+    const rows = db.prepare('SELECT stage_id, COUNT(*) AS count FROM pipeline_entries WHERE job_posting_id = ? GROUP BY stage_id').all(jobId);
+    return new Map(rows.map((row) => [row.stage_id, row.count]));
+}
+
+/**
+ * Replaces the stages of a job's pipeline with a new list, in board order. Stages with an `id` are renamed
+ * and moved, the others are added, and the job's stages missing from the list are deleted; they must be
+ * empty (see countStageEntries()), as the schema refuses to delete a stage candidates are in. The history
+ * keeps the names stages had when candidates were moved.
+ * @param {number} jobId
+ * @param {Array<{id?: number, name: string, outcome: string|null}>} stages
+ * @returns {object[]} - The stages, as listStages() returns them.
+ */
+export function replaceStages(jobId, stages) {
+    db.transaction(() => {
+        const kept = stages.filter((stage) => stage.id).map((stage) => stage.id);
+        db.prepare(`DELETE FROM pipeline_stages WHERE job_posting_id = ? AND id NOT IN (${kept.map(() => '?').join(', ') || 'NULL'})`)
+            .run(jobId, ...kept);
+        const update = db.prepare('UPDATE pipeline_stages SET name = ?, position = ?, outcome = ? WHERE id = ? AND job_posting_id = ?');
+        const insert = db.prepare('INSERT INTO pipeline_stages (job_posting_id, name, position, outcome) VALUES (?, ?, ?, ?)');
+        stages.forEach((stage, position) => {
+            if (stage.id) {
+                update.run(stage.name, position, stage.outcome ?? null, stage.id, jobId);
+            } else {
+                insert.run(jobId, stage.name, position, stage.outcome ?? null);
+            }
+        });
+    })();
+    return listStages(jobId);
+}
+
+/**
+ * Records a candidate's move between stages, for the history and the funnel.
+ * @param {object} move
+ */
+function recordMove({ jobId, candidateId, from, to, userId }) {
+    db.prepare(`
+        INSERT INTO pipeline_moves (job_posting_id, candidate_id, from_stage_id, to_stage_id, from_stage_name, to_stage_name, user_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(jobId, candidateId, from?.id ?? null, to.id, from?.name ?? null, to.name, userId);
+}
+
+/**
+ * Returns a job's pipeline board: its stages and a card for every candidate analyzed for the job, with
+ * their latest analysis (see getShortlist()). Candidates analyzed since the board was last read are put
+ * in its first open stage. Candidates of blind-screening runs are only named once they are un-blinded.
+ * @param {number} jobId
+ * @returns {{stages: object[], cards: object[]}}
+ */
+export function getBoard(jobId) {
+    const stages = listStages(jobId);
+    const analyses = blindAnalyses(getShortlist(jobId));
+
+    db.transaction(() => {
+        const entered = new Set(db.prepare('SELECT candidate_id FROM pipeline_entries WHERE job_posting_id = ?').pluck().all(jobId));
+        const first = stages.find((stage) => !stage.outcome) ?? stages[0];
+        const insert = db.prepare('INSERT INTO pipeline_entries (job_posting_id, candidate_id, stage_id, position) VALUES (?, ?, ?, ?)');
+        analyses.filter((analysis) => !entered.has(analysis.candidate_id)).forEach((analysis, index) => {
+            insert.run(jobId, analysis.candidate_id, first.id, entered.size + index);
+            recordMove({ jobId, candidateId: analysis.candidate_id, from: null, to: first, userId: null });
+        });
+    })();
+
+    const entries = new Map(db.prepare(`
+        SELECT e.candidate_id, e.stage_id, e.position, e.updated_at,
+            (SELECT AVG(n.rating) FROM pipeline_notes n WHERE n.job_posting_id = e.job_posting_id AND n.candidate_id = e.candidate_id) AS rating,
+            (SELECT COUNT(*) FROM pipeline_notes n WHERE n.job_posting_id = e.job_posting_id AND n.candidate_id = e.candidate_id) AS note_count
+        FROM pipeline_entries e WHERE e.job_posting_id = ?
+    `).all(jobId).map((row) => [row.candidate_id, row]));
+
+    const cards = analyses.filter((analysis) => entries.has(analysis.candidate_id)).map((analysis) => {
+        const entry = entries.get(analysis.candidate_id);
+        return {
+            candidateId: analysis.candidate_id,
+            name: analysis.candidate_name ?? analysis.filename,
+            blinded: Boolean(analysis.blind && !analysis.unblinded_at),
+            score: analysis.score,
+            runId: analysis.run_id,
+            fileIndex: analysis.file_index,
+            stageId: entry.stage_id,
+            position: entry.position,
+            movedAt: entry.updated_at,
+            rating: entry.rating === null ? null : Math.round(entry.rating * 10) / 10,
+            noteCount: entry.note_count,
+        };
+    });
+    cards.sort((a, b) => a.position - b.position || a.candidateId - b.candidateId);
+    return { stages, cards };
+}
+
+/**
+ * Moves a candidate to a stage of the job's board, at a position within that stage's column.
+ * A change of stage is recorded with who made it.
+ * @param {object} move
+ * @param {number} move.jobId
+ * @param {number} move.candidateId
+ * @param {number} move.stageId
+ * @param {number} [move.position] - Index within the column; the end of it by default.
+ * @param {number} move.userId
+ * @returns {boolean} - Whether the candidate is on the board and the stage is one of the job's.
+ */
+export function moveCandidate({ jobId, candidateId, stageId, position, userId }) {
+    return db.transaction(() => {
+        const entry = db.prepare('SELECT * FROM pipeline_entries WHERE job_posting_id = ? AND candidate_id = ?').get(jobId, candidateId);
+        const stages = db.prepare('SELECT id, name FROM pipeline_stages WHERE job_posting_id = ?').all(jobId);
+        const to = stages.find((stage) => stage.id === stageId);
+        if (!entry || !to) {
+            return false;
+        }
+
+        const column = db.prepare('SELECT candidate_id FROM pipeline_entries WHERE stage_id = ? AND candidate_id != ? ORDER BY position, candidate_id')
+            .pluck().all(stageId, candidateId);
+        const index = Number.isInteger(position) ? Math.max(0, Math.min(position, column.length)) : column.length;
+        column.splice(index, 0, candidateId);
+        const place = db.prepare('UPDATE pipeline_entries SET position = ? WHERE job_posting_id = ? AND candidate_id = ?');
+        column.forEach((id, order) => place.run(order, jobId, id));
+
+        if (entry.stage_id !== stageId) {
+            db.prepare("UPDATE pipeline_entries SET stage_id = ?, updated_at = datetime('now') WHERE job_posting_id = ? AND candidate_id = ?")
+                .run(stageId, jobId, candidateId);
+            recordMove({ jobId, candidateId, from: stages.find((stage) => stage.id === entry.stage_id), to, userId });
+        }
+        return true;
+    })();
+}
+
+/**
+ * Lists the stage moves of a job's candidates, oldest first, for the funnel (see pipeline/funnel.js).
+ * @param {number} jobId
+ * @returns {Array<{candidateId: number, toStageId: number|null}>}
+ */
+export function listMoves(jobId) {
+    return db.prepare('SELECT candidate_id AS candidateId, to_stage_id AS toStageId FROM pipeline_moves WHERE job_posting_id = ? ORDER BY id')
+        .all(jobId);
+}
+
+/**
+ * Returns who moved a candidate of a job between which stages and when, newest first.
+ * Moves without a user were made when the candidate was first put on the board.
+ * @param {number} jobId
+ * @param {number} candidateId
+ * @returns {object[]}
+ */
+export function getCandidateHistory(jobId, candidateId) {
+    return db.prepare(`
+        SELECT m.id, m.from_stage_name AS fromStage, m.to_stage_name AS toStage, m.user_id AS userId, u.name AS userName, m.created_at AS createdAt
+        FROM pipeline_moves m LEFT JOIN users u ON u.id = m.user_id
+        WHERE m.job_posting_id = ? AND m.candidate_id = ? ORDER BY m.id DESC
+    `).all(jobId, candidateId);
+}
+
+/**
+ * Lists the reviewer notes on a candidate of a job, newest first.
+ * @param {number} jobId
+ * @param {number} candidateId
+ * @returns {object[]}
+ */
+export function listNotes(jobId, candidateId) {
+    return db.prepare(`
+        SELECT n.id, n.body, n.rating, n.user_id AS userId, u.name AS userName, n.created_at AS createdAt
+        FROM pipeline_notes n LEFT JOIN users u ON u.id = n.user_id
+        WHERE n.job_posting_id = ? AND n.candidate_id = ? ORDER BY n.id DESC
+    `).all(jobId, candidateId);
+}
+
+/**
+ * Tells whether a candidate is on a job's board.
+ * @param {number} jobId
+ * @param {number} candidateId
+ * @returns {boolean}
+ */
+export function isOnBoard(jobId, candidateId) {
+    return Boolean(db.prepare('SELECT 1 FROM pipeline_entries WHERE job_posting_id = ? AND candidate_id = ?').get(jobId, candidateId));
+}
+
+/**
+ * Adds a reviewer's note on a candidate of a job.
+ * @param {object} note
+ * @param {number} note.jobId
+ * @param {number} note.candidateId
+ * @param {number} note.userId
+ * @param {string} note.body
+ * @param {number|null} [note.rating] - 1 to 5.
+ * @returns {object} - The note, as listNotes() returns it.
+ */
+export function addNote({ jobId, candidateId, userId, body, rating = null }) {
+    const { lastInsertRowid } = db.prepare('INSERT INTO pipeline_notes (job_posting_id, candidate_id, user_id, body, rating) VALUES (?, ?, ?, ?, ?)')
+        .run(jobId, candidateId, userId, body, rating);
+    return listNotes(jobId, candidateId).find((note) => note.id === lastInsertRowid);
+}
+
+/**
+ * Deletes a note of a job. Only its author can, unless `anyAuthor` is set for admins.
+ * @param {number} id
+ * @param {number} jobId
+ * @param {object} options
+ * @param {number} options.userId
+ * @param {boolean} [options.anyAuthor]
+ * @returns {boolean}
+ */
+export function deleteNote(id, jobId, { userId, anyAuthor = false }) {
+    return db.prepare(`DELETE FROM pipeline_notes WHERE id = ? AND job_posting_id = ? ${anyAuthor ? '' : 'AND user_id = ?'}`)
+        .run(id, jobId, ...(anyAuthor ? [] : [userId])).changes > 0;
+}
@@ -0,0 +1,155 @@
+import db from './index.js';
+import { deleteRun, listRunIdsForPosting, toAnalysis } from './runs.js';
+
+/**
+ * Converts a job posting row into the job shape used by the /jobs API (see parsing/job.js).
+ * @param {object} row
+ * @returns {object}
+ */
+function toJob(row) {
+    return {
+        id: row.id,
+        title: row.title,
+        description: row.description,
+        location: row.location,
+        minExperienceYears: row.min_experience_years,
+        education: row.education,
+        mustHave: JSON.parse(row.must_have_json),
+        niceToHave: JSON.parse(row.nice_to_have_json),
+        isTemplate: Boolean(row.is_template),
+        scoringVersionId: row.scoring_version_id ?? null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        ...(row.run_count !== undefined && { runCount: row.run_count, candidateCount: row.candidate_count }),
+    };
+}
+
+/**
+ * Maps the fields of a job onto job_postings column values.
+ * @param {object} job
+ * @returns {Array} - title, description, location, min_experience_years, education, must_have_json, nice_to_have_json.
+ */
+function toColumns(job) {
+    return [
+        job.title,
+        job.description,
+        job.location ?? null,
+        job.minExperienceYears ?? null,
+        job.education ?? null,
+        JSON.stringify(job.mustHave ?? []),
+        JSON.stringify(job.niceToHave ?? []),
+    ];
+}
+
+/**
+ * Returns the workspace's ad-hoc posting with exactly this description, creating it if needed,
+ * so repeated analyses against the same pasted job description land on one posting.
+ * @param {object} posting
+ * @param {number} posting.workspaceId
+ * @param {string} posting.title
+ * @param {string} posting.description
+ * @returns {object} - The job.
+ */
+export function findOrCreatePosting({ workspaceId, title, description }) {
+    const existing = db.prepare('SELECT * FROM job_postings WHERE workspace_id = ? AND description = ? AND is_template = 0 ORDER BY id LIMIT 1')
+        .get(workspaceId, description);
+    if (existing) {
+        return toJob(existing);
+    }
+    const { lastInsertRowid } = db.prepare('INSERT INTO job_postings (workspace_id, title, description) VALUES (?, ?, ?)').run(workspaceId, title, description);
+    return getPosting(lastInsertRowid, workspaceId);
+}
+
+/**
+ * Saves a job as a reusable template of a workspace.
+ * @param {object} job - A job as produced by parsing/job.js, possibly edited.
+ * @param {number} workspaceId
+ * @returns {object} - The saved job.
+ */
+export function createTemplate(job, workspaceId) {
+    const { lastInsertRowid } = db.prepare(`
+        INSERT INTO job_postings (title, description, location, min_experience_years, education, must_have_json, nice_to_have_json, is_template, updated_at, workspace_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 1, datetime('now'), ?)
+    `).run(...toColumns(job), workspaceId);
+    return getPosting(lastInsertRowid, workspaceId);
+}
+
+/**
+ * Replaces the fields of a job, keeping its runs and analyses.
+ * @param {number} id
+ * @param {object} job
+ * @param {number} workspaceId
+ * @returns {object|undefined} - The updated job, or undefined if the workspace has no such job.
+ */
+export function updatePosting(id, job, workspaceId) {
+    const { changes } = db.prepare(`
+        UPDATE job_postings SET title = ?, description = ?, location = ?, min_experience_years = ?, education = ?,
+            must_have_json = ?, nice_to_have_json = ?, updated_at = datetime('now')
+        WHERE id = ? AND workspace_id = ?
+    `).run(...toColumns(job), id, workspaceId);
+    return changes > 0 ? getPosting(id, workspaceId) : undefined;
+}
+
+/**
+ * Lists a workspace's jobs, newest first, with how many runs and candidates each has.
+ * @param {object} options
+ * @param {number} options.workspaceId
+ * @param {boolean} [options.templatesOnly] - Only list saved templates.
+ * @returns {object[]}
+ */
+export function listPostings({ workspaceId, templatesOnly = false }) {
+    return db.prepare(`
+        SELECT p.*,
+            (SELECT COUNT(*) FROM analysis_runs r WHERE r.job_posting_id = p.id) AS run_count,
+            (SELECT COUNT(DISTINCT a.candidate_id) FROM analyses a
+                JOIN analysis_runs r ON r.id = a.run_id WHERE r.job_posting_id = p.id) AS candidate_count
+        FROM job_postings p
+        WHERE p.workspace_id = ? ${templatesOnly ? 'AND p.is_template = 1' : ''}
+        ORDER BY p.created_at DESC, p.id DESC
+    `).all(workspaceId).map(toJob);
+}
+
+/**
+ * @param {number} id
+ * @param {number} workspaceId
+ * @returns {object|undefined} - The job, if it belongs to the workspace.
+ */
+export function getPosting(id, workspaceId) {
+    const row = db.prepare('SELECT * FROM job_postings WHERE id = ? AND workspace_id = ?').get(id, workspaceId);
+    return row && toJob(row);
+}
+
+/**
+ * Returns the latest analysis of every candidate analyzed for a posting, best score first.
+ * @param {number} id - The job posting id.
+ * @returns {object[]}
+ */
+export function getShortlist(id) {
+    return db.prepare(`
+        SELECT a.*, c.name AS candidate_name, r.blind FROM analyses a
+        JOIN analysis_runs r ON r.id = a.run_id
+        JOIN candidates c ON c.id = a.candidate_id
+        WHERE r.job_posting_id = ? AND a.id = (
+            SELECT MAX(latest.id) FROM analyses latest
+            JOIN analysis_runs lr ON lr.id = latest.run_id
+            WHERE latest.candidate_id = a.candidate_id AND lr.job_posting_id = r.job_posting_id
+        )
+        ORDER BY a.score IS NULL, a.score DESC
+    `).all(id).map(toAnalysis);
+}
+
+/**
+ * Deletes a posting together with its runs, analyses and the candidates only analyzed for it.
+ * @param {number} id
+ * @param {number} workspaceId
+ * @returns {boolean} - Whether a posting was deleted.
+ */
+export function deletePosting(id, workspaceId) {
+    return db.transaction(() => {
+        if (!getPosting(id, workspaceId)) {
+            return false;
+        }
+        listRunIdsForPosting(id).forEach(deleteRun);
+        return db.prepare('DELETE FROM job_postings WHERE id = ?').run(id).changes > 0;
+    })();
+}
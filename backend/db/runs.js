@@ -0,0 +1,220 @@
+import db from './index.js';
+
+/**
+ * Records a new analysis run (one batch submitted to /analyze).
+ * @param {object} run
+ * @param {string} run.id - The analysis job id.
+ * @param {number} run.jobPostingId
+ * @param {boolean} [run.blind] - Whether candidates are shown blinded until a reviewer un-blinds them.
+ * @param {number|null} [run.scoringVersionId] - The prompt and rubric version the run is scored with; null for the built-in one.
+ */
+export function createRun({ id, jobPostingId, blind = false, scoringVersionId = null }) {
+    db.prepare("INSERT INTO analysis_runs (id, job_posting_id, status, blind, scoring_version_id) VALUES (?, ?, 'running', ?, ?)")
+        .run(id, jobPostingId, blind ? 1 : 0, scoringVersionId);
+}
+
+/**
+ * Marks a run as completed.
+ * @param {string} id
+ */
+export function finishRun(id) {
+    db.prepare("UPDATE analysis_runs SET status = 'completed', finished_at = datetime('now') WHERE id = ?").run(id);
+}
+
+/**
+ * Stores the outcome of analyzing one file of a run.
+ * @param {object} analysis
+ * @param {string} analysis.runId
+ * @param {number} analysis.fileIndex - Position of the file within the run.
+ * @param {number} [analysis.candidateId]
+ * @param {number} [analysis.fileId]
+ * @param {string} analysis.filename - The filename as uploaded.
+ * @param {object} analysis.result - The result returned to the client.
+ * @param {object} analysis.llm - The provider that produced the result.
+ */
+export function saveAnalysis({ runId, fileIndex, candidateId, fileId, filename, result, llm }) {
+    db.prepare(`
+        INSERT INTO analyses (run_id, file_index, candidate_id, file_id, filename, score, error, provider, model, result_json)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        runId,
+        fileIndex,
+        candidateId ?? null,
+        fileId ?? null,
+        filename,
+        typeof result.score === 'number' ? result.score : null,
+        result.error ?? null,
+        llm.name,
+        llm.model,
+        JSON.stringify(result)
+    );
+}
+
+/**
+ * Lists a workspace's runs, newest first, with their posting title and number of analyzed files.
+ * @param {number} workspaceId
+ * @returns {object[]}
+ */
+export function listRuns(workspaceId) {
+    return db.prepare(`
+        SELECT r.*, p.title AS job_title, COUNT(a.id) AS file_count
+        FROM analysis_runs r
+        JOIN job_postings p ON p.id = r.job_posting_id
+        LEFT JOIN analyses a ON a.run_id = r.id
+        WHERE p.workspace_id = ?
+        GROUP BY r.id
+        ORDER BY r.created_at DESC
+    `).all(workspaceId);
+}
+
+/**
+ * Returns a run with its analyses in upload order. Runs belong to the workspace of their posting.
+ * @param {string} id
+ * @param {number} workspaceId
+ * @returns {object|null}
+ */
+export function getRun(id, workspaceId) {
+    const run = db.prepare(`
+        SELECT r.*, p.title AS job_title, p.description AS job_description
+        FROM analysis_runs r JOIN job_postings p ON p.id = r.job_posting_id
+        WHERE r.id = ? AND p.workspace_id = ?
+    `).get(id, workspaceId);
+    if (!run) {
+        return null;
+    }
+    return {
+        ...run,
+        analyses: db.prepare(`
+            SELECT a.*, r.blind FROM analyses a JOIN analysis_runs r ON r.id = a.run_id
+            WHERE a.run_id = ? ORDER BY a.file_index
+        `).all(id).map(toAnalysis),
+    };
+}
+
+/**
+ * Returns a stored run in the same shape as a live analysis job (see jobs/queue.js),
+ * plus the job it was run against, so clients can load past results the same way they follow running ones.
+ * @param {string} id
+ * @param {number} workspaceId
+ * @returns {object|null}
+ */
+export function getRunAsJob(id, workspaceId) {
+    const run = getRun(id, workspaceId);
+    if (!run) {
+        return null;
+    }
+    return {
+        id: run.id,
+        status: run.status,
+        createdAt: run.created_at,
+        finishedAt: run.finished_at,
+        jobId: run.job_posting_id,
+        jobTitle: run.job_title,
+        blind: Boolean(run.blind),
+        scoringVersionId: run.scoring_version_id,
+        files: run.analyses.map((analysis) => ({
+            filename: analysis.filename,
+            status: analysis.error ? 'error' : 'done',
+            attempts: 1,
+            result: analysis.result,
+            decision: analysis.decision,
+        })),
+    };
+}
+
+// Tags a recruiter can put on an analyzed candidate
+export const DECISIONS = ['shortlisted', 'rejected'];
+
+/**
+ * Tags the analysis of one file of a run as shortlisted or rejected.
+ * @param {string} runId
+ * @param {number} fileIndex - Position of the file within the run.
+ * @param {string|null} decision - "shortlisted", "rejected", or null to clear the tag.
+ * @returns {boolean} - Whether the file has a stored analysis to tag.
+ */
+export function setDecision(runId, fileIndex, decision) {
+    return db.prepare('UPDATE analyses SET decision = ? WHERE run_id = ? AND file_index = ?').run(decision, runId, fileIndex).changes > 0;
+}
+
+/**
+ * Returns the shortlist/reject tags of a run's files.
+ * @param {string} runId
+ * @returns {Map<number, string>} - Decisions keyed by file index; untagged files are left out.
+ */
+export function getDecisions(runId) {
+    const rows = db.prepare('SELECT file_index, decision FROM analyses WHERE run_id = ? AND decision IS NOT NULL').all(runId);
+    return new Map(rows.map((row) => [row.file_index, row.decision]));
+}
+
+/**
+ * Records that a reviewer un-blinded the candidate of one file of a run.
+ * @param {string} runId
+ * @param {number} fileIndex
+ * @returns {boolean} - Whether the file has a stored analysis.
+ */
+export function unblindFile(runId, fileIndex) {
+    return db.prepare("UPDATE analyses SET unblinded_at = COALESCE(unblinded_at, datetime('now')) WHERE run_id = ? AND file_index = ?")
+        .run(runId, fileIndex).changes > 0;
+}
+
+/**
+ * Returns which files of a run were un-blinded.
+ * @param {string} runId
+ * @returns {Set<number>} - File indexes.
+ */
+export function getUnblinded(runId) {
+    return new Set(db.prepare('SELECT file_index FROM analyses WHERE run_id = ? AND unblinded_at IS NOT NULL').pluck().all(runId));
+}
+
+/**
+ * Lists the ids of the runs of a job posting.
+ * @param {number} jobPostingId
+ * @returns {string[]}
+ */
+export function listRunIdsForPosting(jobPostingId) {
+    return db.prepare('SELECT id FROM analysis_runs WHERE job_posting_id = ?').pluck().all(jobPostingId);
+}
+
+/**
+ * Deletes a run and its analyses, along with the candidates that were only analyzed in this run.
+ * @param {string} id
+ * @returns {boolean} - Whether a run was deleted.
+ */
+export function deleteRun(id) {
+    return db.transaction(() => {
+        const candidateIds = db.prepare('SELECT DISTINCT candidate_id FROM analyses WHERE run_id = ? AND candidate_id IS NOT NULL').pluck().all(id);
+        const deleted = db.prepare('DELETE FROM analysis_runs WHERE id = ?').run(id).changes > 0;
+        const deleteOrphan = db.prepare('DELETE FROM candidates WHERE id = ? AND NOT EXISTS (SELECT 1 FROM analyses WHERE candidate_id = ?)');
+        candidateIds.forEach((candidateId) => deleteOrphan.run(candidateId, candidateId));
+        return deleted;
+    })();
+}
+
+/**
+ * Finds the latest successful analysis, for the same job, of a resume with the same content as an
+ * upload: the same file or the same normalized text. Its result can stand in for scoring the upload again.
+ * @param {object} upload
+ * @param {number} upload.jobPostingId
+ * @param {string} upload.contentHash
+ * @param {string} upload.textHash
+ * @returns {object|undefined} - The analysis row, with its `result`.
+ */
+export function findReusableAnalysis({ jobPostingId, contentHash, textHash }) {
+    const row = db.prepare(`
+        SELECT a.* FROM analyses a
+        JOIN analysis_runs r ON r.id = a.run_id
+        JOIN files f ON f.id = a.file_id
+        WHERE r.job_posting_id = ? AND (f.content_hash = ? OR f.text_hash = ?) AND a.error IS NULL AND a.result_json IS NOT NULL
+        ORDER BY a.id DESC LIMIT 1
+    `).get(jobPostingId, contentHash, textHash);
+    return row && toAnalysis(row);
+}
+
+/**
+ * Expands the stored JSON of an analysis row.
+ * @param {object} row
+ * @returns {object}
+ */
+export function toAnalysis({ result_json: resultJson, ...row }) {
+    return { ...row, result: resultJson ? JSON.parse(resultJson) : null };
+}
@@ -0,0 +1,136 @@
+import db from './index.js';
+import { BUILT_IN_CONFIG } from '../scoring/configs.js';
+
+/**
+ * Converts a scoring_config_versions row, joined with its config's name, into the version shape
+ * used by scoreResume() and the /scoring-configs API.
+ * @param {object} row
+ * @returns {object}
+ */
+function toVersion(row) {
+    return {
+        configId: row.config_id,
+        versionId: row.id,
+        name: row.name,
+        version: row.version,
+        template: row.template,
+        rubric: JSON.parse(row.rubric_json),
+        notes: row.notes,
+        createdBy: row.created_by_name ?? null,
+        createdAt: row.created_at,
+    };
+}
+
+const VERSION_SELECT = `
+    SELECT v.*, c.name, c.workspace_id, u.name AS created_by_name
+    FROM scoring_config_versions v
+    JOIN scoring_configs c ON c.id = v.config_id
+    LEFT JOIN users u ON u.id = v.created_by`;
+
+/**
+ * Adds the next version of a config. Versions are never edited, so every result can be traced to the exact prompt.
+ * @param {number} configId
+ * @param {object} version
+ * @param {string} version.template
+ * @param {object} version.rubric - A normalized rubric (see normalizeRubric in scoring/configs.js).
+ * @param {string} [version.notes] - What changed.
+ * @param {number} version.userId
+ * @returns {number} - The new version's id.
+ */
+function insertVersion(configId, { template, rubric, notes, userId }) {
+    const next = db.prepare('SELECT COALESCE(MAX(version), 0) + 1 FROM scoring_config_versions WHERE config_id = ?').pluck().get(configId);
+    return Number(db.prepare(`
+        INSERT INTO scoring_config_versions (config_id, version, template, rubric_json, notes, created_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(configId, next, template, JSON.stringify(rubric), notes || null, userId).lastInsertRowid);
+}
+
+/**
+ * Creates a named scoring config of a workspace with its first version.
+ * @param {object} config
+ * @param {number} config.workspaceId
+ * @param {string} config.name
+ * @param {string} config.template
+ * @param {object} config.rubric
+ * @param {string} [config.notes]
+ * @param {number} config.userId
+ * @returns {object} - The first version.
+ */
+export function createScoringConfig({ workspaceId, name, ...version }) {
+    const versionId = db.transaction(() => {
+        const configId = Number(db.prepare('INSERT INTO scoring_configs (workspace_id, name) VALUES (?, ?)').run(workspaceId, name).lastInsertRowid);
+        return insertVersion(configId, version);
+    })();
+    return getScoringVersion(versionId, workspaceId);
+}
+
+/**
+ * Saves an edited template and rubric as the next version of a workspace's config.
+ * @param {number} configId
+ * @param {number} workspaceId
+ * @param {object} version - template, rubric, notes and userId, as for createScoringConfig().
+ * @returns {object|undefined} - The new version, or undefined if the workspace has no such config.
+ */
+export function addScoringVersion(configId, workspaceId, version) {
+    const config = db.prepare('SELECT id FROM scoring_configs WHERE id = ? AND workspace_id = ?').get(configId, workspaceId);
+    if (!config) {
+        return undefined;
+    }
+    const versionId = db.transaction(() => insertVersion(config.id, version))();
+    return getScoringVersion(versionId, workspaceId);
+}
+
+/**
+ * Lists a workspace's configs by name, each with its latest version and how many versions it has.
+ * @param {number} workspaceId
+ * @returns {object[]}
+ */
+export function listScoringConfigs(workspaceId) {
+    return db.prepare(`
+        ${VERSION_SELECT}
+        WHERE c.workspace_id = ? AND v.version = (SELECT MAX(version) FROM scoring_config_versions WHERE config_id = c.id)
+        ORDER BY c.name COLLATE NOCASE, c.id
+    `).all(workspaceId).map((row) => ({ ...toVersion(row), versionCount: row.version }));
+}
+
+/**
+ * @param {number} configId
+ * @param {number} workspaceId
+ * @returns {object[]} - The config's versions, newest first; empty if the workspace has no such config.
+ */
+export function listScoringVersions(configId, workspaceId) {
+    return db.prepare(`${VERSION_SELECT} WHERE c.id = ? AND c.workspace_id = ? ORDER BY v.version DESC`)
+        .all(configId, workspaceId).map(toVersion);
+}
+
+/**
+ * @param {number} versionId
+ * @param {number} workspaceId
+ * @returns {object|undefined} - The version, if its config belongs to the workspace.
+ */
+export function getScoringVersion(versionId, workspaceId) {
+    const row = db.prepare(`${VERSION_SELECT} WHERE v.id = ? AND c.workspace_id = ?`).get(versionId, workspaceId);
+    return row && toVersion(row);
+}
+
+/**
+ * The version a job scores with: the one selected for it, or the built-in prompt and rubric.
+ * @param {object} job - A job from db/postings.js.
+ * @param {number} workspaceId
+ * @returns {object}
+ */
+export function resolveScoringVersion(job, workspaceId) {
+    return (job.scoringVersionId && getScoringVersion(job.scoringVersionId, workspaceId)) || BUILT_IN_CONFIG;
+}
+
+/**
+ * Selects the prompt and rubric version a job is scored with.
+ * @param {number} jobPostingId
+ * @param {number|null} versionId - null goes back to the built-in prompt and rubric.
+ * @param {number} workspaceId
+ * @returns {boolean} - Whether the workspace has the job.
+ */
+export function setJobScoringVersion(jobPostingId, versionId, workspaceId) {
+    return db.prepare('UPDATE job_postings SET scoring_version_id = ? WHERE id = ? AND workspace_id = ?')
+        .run(versionId, jobPostingId, workspaceId).changes > 0;
+}
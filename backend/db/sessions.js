@@ -0,0 +1,45 @@
+import { createHash, randomBytes } from 'crypto';
+import db from './index.js';
+import { getUser } from './users.js';
+
+// Only a hash of each session token is stored, so a leaked database can't be used to sign in
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * Starts a session for a user.
+ * @param {number} userId
+ * @param {number} ttlHours - How long the session stays valid.
+ * @returns {string} - The session token to hand to the client.
+ */
+export function createSession(userId, ttlHours) {
+    const token = randomBytes(32).toString('base64url');
+    db.prepare("INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, datetime('now', ?))")
+        .run(hashToken(token), userId, `+${ttlHours} hours`);
+    return token;
+}
+
+/**
+ * Returns the user of a session that hasn't expired.
+ * @param {string} token
+ * @returns {object|undefined}
+ */
+export function getSessionUser(token) {
+    const userId = db.prepare("SELECT user_id FROM sessions WHERE token_hash = ? AND expires_at > datetime('now')").pluck().get(hashToken(token));
+    return userId === undefined ? undefined : getUser(userId);
+}
+
+/**
+ * Ends a session.
+ * @param {string} token
+ */
+export function deleteSession(token) {
+    db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(hashToken(token));
+}
+
+/**
+ * Removes expired sessions.
+ * @returns {number} - How many were removed.
+ */
+export function deleteExpiredSessions() {
+    return db.prepare("DELETE FROM sessions WHERE expires_at <= datetime('now')").run().changes;
+}
@@ -0,0 +1,74 @@
+import db from './index.js';
+
+// Start of the periods budgets are counted over, as SQLite datetime modifiers
+const PERIODS = { day: 'start of day', month: 'start of month' };
+
+const TOTALS = `
+    COUNT(*) AS calls,
+    COALESCE(SUM(u.prompt_tokens), 0) AS promptTokens,
+    COALESCE(SUM(u.completion_tokens), 0) AS completionTokens,
+    COALESCE(SUM(u.prompt_tokens + u.completion_tokens), 0) AS tokens,
+    COALESCE(SUM(u.cost), 0) AS cost
+`;
+
+/**
+ * Records the token usage and estimated cost of one LLM call.
+ * @param {object} usage
+ * @param {number} [usage.workspaceId]
+ * @param {number} [usage.userId] - The user whose request made the call.
+ * @param {number} [usage.jobPostingId]
+ * @param {string} [usage.runId]
+ * @param {string} [usage.task] - e.g. "score", "profile" or "job".
+ * @param {string} usage.provider
+ * @param {string} usage.model
+ * @param {number} usage.promptTokens
+ * @param {number} usage.completionTokens
+ * @param {number|null} usage.cost - USD, null when the model's price is unknown.
+ */
+export function recordUsage({ workspaceId, userId, jobPostingId, runId, task, provider, model, promptTokens, completionTokens, cost }) {
+    db.prepare(`
+        INSERT INTO llm_usage (workspace_id, user_id, job_posting_id, run_id, task, provider, model, prompt_tokens, completion_tokens, cost)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(workspaceId ?? null, userId ?? null, jobPostingId ?? null, runId ?? null, task ?? null, provider, model, promptTokens, completionTokens, cost);
+}
+
+/**
+ * Totals the usage of a workspace over the current day or month (UTC), or of one run.
+ * @param {object} scope
+ * @param {number} [scope.workspaceId]
+ * @param {string} [scope.period] - "day" or "month", with workspaceId.
+ * @param {string} [scope.runId]
+ * @returns {{calls: number, promptTokens: number, completionTokens: number, tokens: number, cost: number}}
+ */
+export function sumUsage({ workspaceId, period, runId }) {
+    if (runId) {
+        return db.prepare(`SELECT ${TOTALS} FROM llm_usage u WHERE u.run_id = ?`).get(runId);
+    }
+    return db.prepare(`SELECT ${TOTALS} FROM llm_usage u WHERE u.workspace_id = ? AND u.created_at >= datetime('now', ?)`)
+        .get(workspaceId, PERIODS[period]);
+}
+
+/**
+ * Reports a workspace's usage over the current day or month (UTC), or all of it:
+ * totals, and breakdowns per job, user, task and model.
+ * @param {number} workspaceId
+ * @param {string} [period] - "day" or "month"; all usage when omitted.
+ * @returns {object}
+ */
+export function getUsageReport(workspaceId, period) {
+    const since = PERIODS[period] ? db.prepare("SELECT datetime('now', ?)").pluck().get(PERIODS[period]) : '0000-01-01';
+    const scope = 'FROM llm_usage u WHERE u.workspace_id = ? AND u.created_at >= ?';
+    const grouped = (columns, joins, groupBy) => db.prepare(`
+        SELECT ${columns}, ${TOTALS} FROM llm_usage u ${joins}
+        WHERE u.workspace_id = ? AND u.created_at >= ?
+        GROUP BY ${groupBy} ORDER BY tokens DESC
+    `).all(workspaceId, since);
+
+    return {
+        totals: db.prepare(`SELECT ${TOTALS} ${scope}`).get(workspaceId, since),
+        byJob: grouped('u.job_posting_id AS jobId, p.title', 'LEFT JOIN job_postings p ON p.id = u.job_posting_id', 'u.job_posting_id'),
+        byUser: grouped('u.user_id AS userId, us.name', 'LEFT JOIN users us ON us.id = u.user_id', 'u.user_id'),
+        byTask: grouped('u.task', '', 'u.task'),
+        byModel: grouped('u.provider, u.model', '', 'u.provider, u.model'),
+    };
+}
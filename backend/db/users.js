@@ -0,0 +1,105 @@
+import db from './index.js';
+
+// admin manages the workspace's users; recruiters run analyses and manage jobs; hiring managers only read
+export const ROLES = ['admin', 'recruiter', 'hiring_manager'];
+
+/**
+ * Converts a user row into the user shape sent to clients; the password hash never leaves this module.
+ * @param {object} row
+ * @returns {object}
+ */
+function toUser(row) {
+    return {
+        id: row.id,
+        email: row.email,
+        name: row.name,
+        role: row.role,
+        workspaceId: row.workspace_id,
+        workspaceName: row.workspace_name,
+        createdAt: row.created_at,
+    };
+}
+
+const USER_SELECT = 'SELECT u.*, w.name AS workspace_name FROM users u JOIN workspaces w ON w.id = u.workspace_id';
+
+/**
+ * @returns {number} - How many user accounts exist.
+ */
+export function countUsers() {
+    return db.prepare('SELECT COUNT(*) FROM users').pluck().get();
+}
+
+/**
+ * Creates a workspace with its first user as admin. The very first workspace also
+ * takes over the jobs and candidates recorded before accounts existed.
+ * @param {object} options
+ * @param {string} options.workspaceName
+ * @param {string} options.email
+ * @param {string} options.name
+ * @param {string} options.passwordHash
+ * @returns {object} - The new admin user.
+ */
+export function createWorkspaceWithAdmin({ workspaceName, email, name, passwordHash }) {
+    return db.transaction(() => {
+        const isFirst = db.prepare('SELECT COUNT(*) FROM workspaces').pluck().get() === 0;
+        const workspaceId = Number(db.prepare('INSERT INTO workspaces (name) VALUES (?)').run(workspaceName).lastInsertRowid);
+        if (isFirst) {
+            db.prepare('UPDATE job_postings SET workspace_id = ? WHERE workspace_id IS NULL').run(workspaceId);
+            db.prepare('UPDATE candidates SET workspace_id = ? WHERE workspace_id IS NULL').run(workspaceId);
+        }
+        return createUser({ workspaceId, email, name, role: 'admin', passwordHash });
+    })();
+}
+
+/**
+ * Adds a user to a workspace.
+ * @param {object} user
+ * @param {number} user.workspaceId
+ * @param {string} user.email
+ * @param {string} user.name
+ * @param {string} user.role - One of ROLES.
+ * @param {string} user.passwordHash - See auth/passwords.js.
+ * @returns {object} - The user.
+ */
+export function createUser({ workspaceId, email, name, role, passwordHash }) {
+    const { lastInsertRowid } = db.prepare('INSERT INTO users (workspace_id, email, name, role, password_hash) VALUES (?, ?, ?, ?, ?)')
+        .run(workspaceId, email.trim(), name, role, passwordHash);
+    return getUser(lastInsertRowid);
+}
+
+/**
+ * @param {number} id
+ * @returns {object|undefined}
+ */
+export function getUser(id) {
+    const row = db.prepare(`${USER_SELECT} WHERE u.id = ?`).get(id);
+    return row && toUser(row);
+}
+
+/**
+ * Looks up a user by email for signing in.
+ * @param {string} email
+ * @returns {{user: object, passwordHash: string}|undefined}
+ */
+export function findUserCredentials(email) {
+    const row = db.prepare(`${USER_SELECT} WHERE u.email = ?`).get((email || '').trim());
+    return row && { user: toUser(row), passwordHash: row.password_hash };
+}
+
+/**
+ * @param {number} workspaceId
+ * @returns {object[]} - The workspace's users, in the order they were added.
+ */
+export function listUsers(workspaceId) {
+    return db.prepare(`${USER_SELECT} WHERE u.workspace_id = ? ORDER BY u.id`).all(workspaceId).map(toUser);
+}
+
+/**
+ * Deletes a user of a workspace, signing them out everywhere.
+ * @param {number} id
+ * @param {number} workspaceId
+ * @returns {boolean} - Whether a user was deleted.
+ */
+export function deleteUser(id, workspaceId) {
+    return db.prepare('DELETE FROM users WHERE id = ? AND workspace_id = ?').run(id, workspaceId).changes > 0;
+}
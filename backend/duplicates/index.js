@@ -0,0 +1,196 @@
+import { createHash } from 'crypto';
+import { listFingerprints, saveFingerprint } from '../db/files.js';
+import { getLatestFile, listPriorScores } from '../db/candidates.js';
+
+// Estimated share of shared phrases above which two resumes are flagged as a possible duplicate
+export const DUPLICATE_SIMILARITY = Number(process.env.DUPLICATE_SIMILARITY ?? 0.8);
+
+// Number of hash functions of a MinHash signature; more is more precise and takes more space
+const SIGNATURE_SIZE = 64;
+
+// Words per shingle, the phrases whose overlap the similarity estimates
+const SHINGLE_WORDS = 3;
+
+// Most changed lines listed between two versions of a resume
+const MAX_CHANGED_LINES = 20;
+
+// Most possible duplicates reported for an upload
+const MAX_POSSIBLE_DUPLICATES = 3;
+
+// Multipliers and offsets of the signature's hash functions, fixed so stored signatures stay comparable
+const HASH_PARAMETERS = Array.from({ length: SIGNATURE_SIZE }, (_, index) => {
+    let seed = (index + 1) * 0x9E3779B1;
+    const next = () => {
+        seed = (Math.imul(seed ^ (seed >>> 15), 0x85EBCA6B) + 0x6A09E667) >>> 0;
+        return seed;
+    };
+    return [next() | 1, next()];
+});
+
+/**
+ * Lowercases a text and reduces it to its words, so layout, punctuation and spacing don't count.
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+    return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * 32-bit FNV-1a hash of a string.
+ * @param {string} text
+ * @returns {number}
+ */
+function fnv1a(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Computes the MinHash signature of a normalized text: per hash function, the smallest hash of its
+ * shingles. The share of equal positions in two signatures estimates how many phrases the texts share.
+ * @param {string} normalized - Text as returned by normalizeText().
+ * @returns {number[]}
+ */
+function signatureOf(normalized) {
+    const words = normalized.split(' ').filter(Boolean);
+    const shingles = new Set();
+    for (let i = 0; i + SHINGLE_WORDS <= Math.max(words.length, SHINGLE_WORDS); i++) {
+        shingles.add(fnv1a(words.slice(i, i + SHINGLE_WORDS).join(' ')));
+    }
+    return HASH_PARAMETERS.map(([multiplier, offset]) => {
+        let min = 0xFFFFFFFF;
+        shingles.forEach((shingle) => {
+            min = Math.min(min, (Math.imul(shingle, multiplier) + offset) >>> 0);
+        });
+        return min;
+    });
+}
+
+/**
+ * Estimates the similarity of two resumes from their signatures.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} - Between 0 and 1.
+ */
+function similarity(a, b) {
+    return a.filter((value, index) => value === b[index]).length / SIGNATURE_SIZE;
+}
+
+/**
+ * Fingerprints an uploaded resume for duplicate detection.
+ * @param {Buffer} content - The file as uploaded.
+ * @param {string} text - Its extracted text.
+ * @returns {{contentHash: string, textHash: string, signature: number[]}}
+ */
+export function fingerprintResume(content, text) {
+    const normalized = normalizeText(text);
+    return {
+        contentHash: createHash('sha256').update(content).digest('hex'),
+        textHash: createHash('sha256').update(normalized).digest('hex'),
+        signature: signatureOf(normalized),
+    };
+}
+
+/**
+ * Reduces a phone number to its last ten digits, so the same number with or without a country code matches.
+ * @param {string|null} phone
+ * @returns {string|null}
+ */
+function normalizePhone(phone) {
+    const digits = (phone || '').replace(/\D/g, '');
+    return digits.length >= 9 ? digits.slice(-10) : null;
+}
+
+/**
+ * Describes what changed between a candidate's previous resume and a new one: the lines and skills
+ * that were added or removed.
+ * @param {object} previous - The previous file, with `extracted_text`, and the candidate's previous profile.
+ * @param {string} text - The new resume text.
+ * @param {object} profile - The new profile.
+ * @returns {{previousFile: string, addedLines: string[], removedLines: string[], addedSkills: string[], removedSkills: string[]}}
+ */
+function describeChanges(previous, text, profile) {
+    const linesOf = (value) => (value || '').split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+    const before = new Set(linesOf(previous.extracted_text).map(normalizeText));
+    const after = new Set(linesOf(text).map(normalizeText));
+    const skillsBefore = previous.profile?.skills ?? [];
+    const skillsAfter = profile?.skills ?? [];
+    return {
+        previousFile: previous.original_name,
+        addedLines: linesOf(text).filter((line) => !before.has(normalizeText(line))).slice(0, MAX_CHANGED_LINES),
+        removedLines: linesOf(previous.extracted_text).filter((line) => !after.has(normalizeText(line))).slice(0, MAX_CHANGED_LINES),
+        addedSkills: skillsAfter.filter((skill) => !skillsBefore.includes(skill)),
+        removedSkills: skillsBefore.filter((skill) => !skillsAfter.includes(skill)),
+    };
+}
+
+/**
+ * Looks for a workspace's existing candidate an uploaded resume belongs to. The same file, the same
+ * normalized text, the same email or the same phone number link it to that candidate; a similar
+ * text alone (DUPLICATE_SIMILARITY or more) only flags a possible duplicate for the user to merge.
+ * Files uploaded before fingerprints were recorded are fingerprinted from their stored text on the way.
+ * @param {object} upload
+ * @param {number} upload.workspaceId
+ * @param {object} upload.fingerprint - As returned by fingerprintResume().
+ * @param {string} upload.text - The extracted resume text.
+ * @param {object} upload.profile - The parsed profile, for its email, phone and skills.
+ * @returns {{duplicate: object|null, possibleDuplicates: object[]}} - `duplicate` names the candidate, what
+ *   matched (`matchedBy`: "file", "text", "email", "phone"), their earlier scores and what changed since their last resume.
+ */
+export function findDuplicates({ workspaceId, fingerprint, text, profile }) {
+    const email = profile?.email?.toLowerCase() ?? null;
+    const phone = normalizePhone(profile?.phone);
+    const matches = new Map();
+
+    listFingerprints(workspaceId).forEach((file) => {
+        let signature = file.signature && JSON.parse(file.signature);
+        if (!signature && file.extracted_text) {
+            const stored = fingerprintResume(Buffer.alloc(0), file.extracted_text);
+            signature = stored.signature;
+            file.text_hash = stored.textHash;
+            saveFingerprint(file.id, stored);
+        }
+        const match = matches.get(file.candidate_id) ?? { candidateId: file.candidate_id, name: file.name, matchedBy: new Set(), similarity: 0 };
+        if (file.content_hash && file.content_hash === fingerprint.contentHash) {
+            match.matchedBy.add('file');
+        }
+        if (file.text_hash === fingerprint.textHash) {
+            match.matchedBy.add('text');
+        }
+        if (email && file.email?.toLowerCase() === email) {
+            match.matchedBy.add('email');
+        }
+        if (phone && normalizePhone(file.phone) === phone) {
+            match.matchedBy.add('phone');
+        }
+        match.similarity = Math.max(match.similarity, signature ? similarity(signature, fingerprint.signature) : 0);
+        matches.set(file.candidate_id, match);
+    });
+
+    // The candidate matching on the most grounds, then the most similar resume, is the one linked
+    const ranked = [...matches.values()]
+        .map((match) => ({ ...match, matchedBy: [...match.matchedBy], similarity: Math.round(match.similarity * 100) / 100 }))
+        .sort((a, b) => b.matchedBy.length - a.matchedBy.length || b.similarity - a.similarity);
+    const linked = ranked.find((match) => match.matchedBy.length > 0) ?? null;
+    const possibleDuplicates = ranked
+        .filter((match) => match !== linked && match.matchedBy.length === 0 && match.similarity >= DUPLICATE_SIMILARITY)
+        .slice(0, MAX_POSSIBLE_DUPLICATES)
+        .map(({ candidateId, name, similarity: score }) => ({ candidateId, name, similarity: score }));
+    if (!linked) {
+        return { duplicate: null, possibleDuplicates };
+    }
+
+    const previous = getLatestFile(linked.candidateId);
+    return {
+        duplicate: {
+            ...linked,
+            priorScores: listPriorScores(linked.candidateId),
+            changes: previous ? describeChanges(previous, text, profile) : null,
+        },
+        possibleDuplicates,
+    };
+}
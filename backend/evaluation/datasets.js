@@ -0,0 +1,124 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Where labeled datasets are kept, one folder per dataset holding a dataset.json and the files it names
+export const DATASETS_DIR = process.env.EVAL_DATASETS_DIR || path.join(__dirname, 'datasets');
+
+// Shortlist size precision@k is computed for when neither the job nor the dataset sets `k`
+const DEFAULT_K = 3;
+
+/**
+ * Reads a file named by a dataset, which must stay inside the dataset's folder.
+ * @param {string} dir - The dataset's folder.
+ * @param {string} file - Path relative to it.
+ * @returns {Buffer}
+ */
+function readDatasetFile(dir, file) {
+    const filePath = path.resolve(dir, file);
+    if (!filePath.startsWith(path.resolve(dir) + path.sep)) {
+        throw new Error(`${file} is outside the dataset.`);
+    }
+    return fs.readFileSync(filePath);
+}
+
+/**
+ * Loads a labeled dataset from a folder. Its dataset.json lists the jobs, each with a `description` or a
+ * description `file`, and the resume/job `pairs` a person labeled: the resume `file`, the `job` id, a
+ * `label` (any scale where higher is a better fit) and optionally whether the person would `shortlist` it.
+ * When no pair of a job says, its `k` best-labeled resumes are the shortlist precision@k is measured against.
+ * @param {string} dir - The dataset's folder.
+ * @returns {object} - The dataset, named after its folder, with its jobs, pairs (with the resume `content`)
+ *   and a `hash` of everything in it, so evaluations can tell whether they ran on the same data.
+ * @throws {Error} - If the dataset is missing or malformed.
+ */
+export function loadDatasetFrom(dir) {
+    const manifestPath = path.join(dir, 'dataset.json');
+    if (!fs.existsSync(manifestPath)) {
+        throw new Error(`No dataset.json found in ${dir}.`);
+    }
+    const manifest = fs.readFileSync(manifestPath);
+    const { description = '', k = DEFAULT_K, thresholds = {}, jobs = [], pairs = [] } = JSON.parse(manifest);
+    const name = path.basename(path.resolve(dir));
+    const hash = createHash('sha256').update(manifest);
+
+    const problems = [];
+    const jobsById = new Map();
+    jobs.forEach((job, index) => {
+        if (!job.id || (!job.description && !job.file)) {
+            problems.push(`jobs[${index}] needs an id and a description or file`);
+            return;
+        }
+        const text = job.description ?? readDatasetFile(dir, job.file).toString('utf8');
+        hash.update(text);
+        jobsById.set(String(job.id), { id: String(job.id), title: job.title ?? String(job.id), description: text, k: job.k ?? k });
+    });
+
+    const loaded = [];
+    pairs.forEach((pair, index) => {
+        if (!pair.file || !jobsById.has(String(pair.job)) || typeof pair.label !== 'number') {
+            problems.push(`pairs[${index}] needs a file, a known job and a numeric label`);
+            return;
+        }
+        const content = readDatasetFile(dir, pair.file);
+        hash.update(content);
+        loaded.push({
+            id: pair.id ?? `${pair.file}@${pair.job}`,
+            file: pair.file,
+            jobId: String(pair.job),
+            label: pair.label,
+            shortlist: typeof pair.shortlist === 'boolean' ? pair.shortlist : null,
+            content,
+        });
+    });
+    if (loaded.length === 0) {
+        problems.push('the dataset has no pairs');
+    }
+    if (problems.length > 0) {
+        throw new Error(`Invalid dataset ${name}: ${problems.join('; ')}`);
+    }
+
+    return { name, description, thresholds, hash: hash.digest('hex'), jobs: [...jobsById.values()], pairs: loaded };
+}
+
+/**
+ * Loads a dataset of DATASETS_DIR by name.
+ * @param {string} name - The name of its folder.
+ * @returns {object|null} - See loadDatasetFrom(); null if there is no such dataset.
+ */
+export function loadDataset(name) {
+    if (!/^[\w-]+$/.test(name ?? '') || !fs.existsSync(path.join(DATASETS_DIR, name, 'dataset.json'))) {
+        return null;
+    }
+    return loadDatasetFrom(path.join(DATASETS_DIR, name));
+}
+
+/**
+ * Lists the datasets of DATASETS_DIR with their size, skipping any that can't be loaded.
+ * @returns {Array<{name: string, description: string, jobs: number, pairs: number, thresholds: object}>}
+ */
+export function listDatasets() {
+    if (!fs.existsSync(DATASETS_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(DATASETS_DIR, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory())
+        .flatMap((entry) => {
+            try {
+                const dataset = loadDataset(entry.name);
+                return dataset ? [{
+                    name: entry.name,
+                    description: dataset.description,
+                    jobs: dataset.jobs.length,
+                    pairs: dataset.pairs.length,
+                    thresholds: dataset.thresholds,
+                }] : [];
+            } catch (error) {
+                console.error(`Error loading the evaluation dataset ${entry.name}:`, error);
+                return [];
+            }
+        });
+}
@@ -0,0 +1,184 @@
+import { detectFormat, extractText } from '../extractors/index.js';
+import { buildProfile } from '../parsing/profile.js';
+import { PII_REDACTION, redactResume } from '../privacy/redaction.js';
+import { SCORING_TEMPERATURE, scoreResume } from '../scoring/index.js';
+import { BUILT_IN_CONFIG, describeConfig } from '../scoring/configs.js';
+import { describe, MAX_AUDIT_REPEATS } from '../scoring/fairness.js';
+import { isRateLimited } from '../jobs/queue.js';
+import { isBudgetExceeded } from '../providers/metered.js';
+import { meanOf, precisionAtK, spearman } from './metrics.js';
+
+// How many times each pair is scored by default, so the run-to-run variance can be measured
+export const EVAL_REPEATS = Number(process.env.EVAL_REPEATS) || 2;
+
+// The metrics an evaluation is gated on: whether higher is better, and by how much a run may be
+// worse than its baseline before it counts as a regression. A dataset's `thresholds` set, per
+// metric, the lowest (or for lower-is-better metrics the highest) value that passes.
+export const GATE_METRICS = {
+    spearman: { higherIsBetter: true, tolerance: 0.05 },
+    precisionAtK: { higherIsBetter: true, tolerance: 0.05 },
+    parseFailureRate: { higherIsBetter: false, tolerance: 0.02 },
+    meanStdDev: { higherIsBetter: false, tolerance: 1 },
+};
+
+const round = (value, digits = 3) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+/**
+ * Extracts the text of a dataset resume and builds its profile, as analyzeFile does for uploads.
+ * @param {Buffer} content
+ * @returns {Promise<{text: string, profile: object}>}
+ */
+async function prepareResume(content) {
+    const format = detectFormat(content);
+    if (!format) {
+        throw new Error('Unsupported file type.');
+    }
+    const text = await extractText(format.id, content);
+    return { text, profile: await buildProfile(text) };
+}
+
+/**
+ * Runs a labeled dataset (see evaluation/datasets.js) through the scoring pipeline: each resume is extracted,
+ * redacted unless PII_REDACTION=false and scored `repeats` times for its job, without the analysis cache, and
+ * the scores are measured against the labels:
+ * - `spearman`: rank correlation of the mean scores with the labels, averaged over the jobs;
+ * - `precisionAtK`: share of each job's k best-scored resumes that are on its labeled shortlist, averaged;
+ * - `parseFailureRate`: share of scorings that never got a valid analysis, and `repairRate` the share that
+ *   only got one after asking the model to fix its response;
+ * - `meanStdDev` and `maxRange`: how much the score of the same pair varies between scorings.
+ * Pairs are scored one at a time, so an evaluation doesn't trip the provider's rate limit.
+ * @param {object} llm - The LLM provider, e.g. a recorded one (see providers/recorded.js) to run offline.
+ * @param {object} dataset - As loaded by evaluation/datasets.js.
+ * @param {object} [options]
+ * @param {object} [options.config] - The prompt template and rubric version to score with (see scoring/configs.js).
+ * @param {number} [options.repeats] - Scorings per pair, up to MAX_AUDIT_REPEATS.
+ * @returns {Promise<object>} - The `metrics`, the metrics of each job and the scores of each pair.
+ * @throws {Error} - If the provider rate limits the evaluation or a budget cap is reached.
+ */
+export async function runEvaluation(llm, dataset, { config = BUILT_IN_CONFIG, repeats = EVAL_REPEATS } = {}) {
+    const count = Math.min(Math.max(Math.trunc(repeats) || 1, 1), MAX_AUDIT_REPEATS);
+    // Counts the calls of each scoring, to tell the responses that had to be repaired
+    let calls = 0;
+    const provider = { ...llm, complete: (request) => { calls++; return llm.complete(request); } };
+    const jobs = new Map(dataset.jobs.map((job) => [job.id, job]));
+    const resumes = new Map();
+
+    const pairs = [];
+    for (const pair of dataset.pairs) {
+        const scored = { id: pair.id, jobId: pair.jobId, label: pair.label, shortlist: pair.shortlist, scores: [], repairs: 0, errors: [] };
+        pairs.push(scored);
+        try {
+            if (!resumes.has(pair.file)) {
+                resumes.set(pair.file, await prepareResume(pair.content));
+            }
+        } catch (error) {
+            scored.extractionError = error.message;
+            continue;
+        }
+        const { text, profile } = resumes.get(pair.file);
+        const resumeText = PII_REDACTION ? redactResume(text, profile).text : text;
+
+        for (let attempt = 0; attempt < count; attempt++) {
+            const before = calls;
+            try {
+                scored.scores.push((await scoreResume(provider, resumeText, jobs.get(pair.jobId).description, { cache: false, config })).score);
+                if (calls - before > 1) {
+                    scored.repairs++;
+                }
+            } catch (error) {
+                if (isRateLimited(error) || isBudgetExceeded(error)) {
+                    throw error;
+                }
+                scored.errors.push(error.message);
+            }
+        }
+        if (scored.scores.length > 0) {
+            const { mean, stdDev } = describe(scored.scores);
+            Object.assign(scored, { score: mean, stdDev });
+        }
+    }
+
+    const byJob = dataset.jobs.map((job) => {
+        const ofJob = pairs.filter((pair) => pair.jobId === job.id);
+        const withScore = ofJob.filter((pair) => pair.score !== undefined);
+        // Without a labeled shortlist, the k best-labeled resumes are the ones that should be on it
+        const labeled = ofJob.some((pair) => pair.shortlist !== null);
+        const shortlist = new Set(labeled
+            ? ofJob.filter((pair) => pair.shortlist).map((pair) => pair.id)
+            : [...ofJob].sort((a, b) => b.label - a.label).slice(0, job.k).map((pair) => pair.id));
+        return {
+            id: job.id,
+            title: job.title,
+            pairs: ofJob.length,
+            scored: withScore.length,
+            k: job.k,
+            spearman: round(spearman(withScore.map((pair) => pair.score), withScore.map((pair) => pair.label))),
+            precisionAtK: round(precisionAtK(ofJob.map((pair) => ({ score: pair.score ?? null, relevant: shortlist.has(pair.id) })), job.k)),
+        };
+    });
+
+    const scorings = pairs.reduce((sum, pair) => sum + pair.scores.length + pair.errors.length, 0);
+    const varied = pairs.filter((pair) => pair.scores.length > 1);
+    return {
+        dataset: { name: dataset.name, hash: dataset.hash, jobs: dataset.jobs.length, pairs: dataset.pairs.length },
+        provider: llm.name,
+        model: llm.model,
+        temperature: SCORING_TEMPERATURE,
+        scoringConfig: describeConfig(config),
+        redacted: PII_REDACTION,
+        repeats: count,
+        metrics: {
+            pairs: pairs.length,
+            scored: pairs.filter((pair) => pair.score !== undefined).length,
+            extractionFailures: pairs.filter((pair) => pair.extractionError).length,
+            scorings,
+            spearman: round(meanOf(byJob.map((job) => job.spearman))),
+            precisionAtK: round(meanOf(byJob.map((job) => job.precisionAtK))),
+            parseFailureRate: scorings ? round(pairs.reduce((sum, pair) => sum + pair.errors.length, 0) / scorings) : null,
+            repairRate: scorings ? round(pairs.reduce((sum, pair) => sum + pair.repairs, 0) / scorings) : null,
+            meanStdDev: varied.length ? round(meanOf(varied.map((pair) => pair.stdDev)), 1) : null,
+            maxRange: varied.length ? Math.max(...varied.map((pair) => Math.max(...pair.scores) - Math.min(...pair.scores))) : null,
+        },
+        jobs: byJob,
+        pairs,
+    };
+}
+
+/**
+ * Decides whether an evaluation passes the gate for changing models or prompts: each metric must meet the
+ * dataset's threshold, and, given a baseline evaluation, must not be worse than it by more than its tolerance.
+ * Metrics that couldn't be measured (null) are skipped.
+ * @param {object} evaluation - As returned by runEvaluation().
+ * @param {object} [thresholds] - The dataset's thresholds per gate metric.
+ * @param {object} [baseline] - An earlier evaluation to compare with, normally on the same dataset.
+ * @returns {{passed: boolean, failures: string[], comparison: object|null}} - The comparison has, per gate
+ *   metric, the current and baseline values and their delta, and whether the baseline ran on the same data.
+ */
+export function gateEvaluation(evaluation, thresholds = {}, baseline = null) {
+    const failures = [];
+    const comparison = baseline ? { baselineId: baseline.id ?? null, sameData: baseline.dataset.hash === evaluation.dataset.hash, metrics: {} } : null;
+
+    Object.entries(GATE_METRICS).forEach(([metric, { higherIsBetter, tolerance }]) => {
+        const value = evaluation.metrics[metric];
+        const threshold = thresholds[metric];
+        if (value === null || value === undefined) {
+            return;
+        }
+        if (typeof threshold === 'number' && (higherIsBetter ? value < threshold : value > threshold)) {
+            failures.push(`${metric} is ${value}, ${higherIsBetter ? 'below the minimum' : 'above the maximum'} of ${threshold}`);
+        }
+
+        const previous = baseline?.metrics[metric];
+        if (previous === null || previous === undefined) {
+            return;
+        }
+        const delta = round(value - previous);
+        const regressed = higherIsBetter ? delta < -tolerance : delta > tolerance;
+        comparison.metrics[metric] = { current: value, baseline: previous, delta, regressed };
+        if (regressed) {
+            failures.push(`${metric} went from ${previous} to ${value}, more than the tolerated ${tolerance}`);
+        }
+    });
+
+    return { passed: failures.length === 0, failures, comparison };
+}
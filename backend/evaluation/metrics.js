@@ -0,0 +1,75 @@
+/**
+ * Ranks values from 1 (lowest) up, giving tied values the average of the ranks they share.
+ * @param {number[]} values
+ * @returns {number[]} - The rank of each value, in the same order.
+ */
+function rank(values) {
+    const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+    const ranks = new Array(values.length);
+    let start = 0;
+    while (start < order.length) {
+        let end = start;
+        while (end + 1 < order.length && order[end + 1].value === order[start].value) {
+            end++;
+        }
+        for (let position = start; position <= end; position++) {
+            ranks[order[position].index] = (start + end) / 2 + 1;
+        }
+        start = end + 1;
+    }
+    return ranks;
+}
+
+/**
+ * Spearman's rank correlation between two lists of numbers: 1 when they order the items the same
+ * way, -1 when they order them the opposite way and around 0 when the orders are unrelated.
+ * @param {number[]} xs
+ * @param {number[]} ys - Paired with xs by position.
+ * @returns {number|null} - null with fewer than two pairs, or when either list has a single distinct value.
+ */
+export function spearman(xs, ys) {
+    if (xs.length < 2) {
+        return null;
+    }
+    const rx = rank(xs);
+    const ry = rank(ys);
+    const mean = (rx.length + 1) / 2;
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    rx.forEach((value, index) => {
+        covariance += (value - mean) * (ry[index] - mean);
+        varianceX += (value - mean) ** 2;
+        varianceY += (ry[index] - mean) ** 2;
+    });
+    if (varianceX === 0 || varianceY === 0) {
+        return null;
+    }
+    return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+/**
+ * Share of the k best-scored items that are relevant, e.g. how much of the shortlist the model
+ * would draw up is on the one a person drew up. Items without a score rank last.
+ * @param {Array<{score: number|null, relevant: boolean}>} items
+ * @param {number} k
+ * @returns {number|null} - null when there are no items.
+ */
+export function precisionAtK(items, k) {
+    const size = Math.min(k, items.length);
+    if (size === 0) {
+        return null;
+    }
+    const top = [...items].sort((a, b) => (b.score ?? -Infinity) - (a.score ?? -Infinity)).slice(0, size);
+    return top.filter((item) => item.relevant).length / size;
+}
+
+/**
+ * Mean of the numbers of a list that aren't null.
+ * @param {Array<number|null>} values
+ * @returns {number|null} - null when there are none.
+ */
+export function meanOf(values) {
+    const numbers = values.filter((value) => typeof value === 'number');
+    return numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+}
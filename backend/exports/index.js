@@ -0,0 +1,46 @@
+import { toCsv, toRankingRows } from './ranking.js';
+import { writePdfReport } from './pdf.js';
+import { blindAnalyses } from '../privacy/blind.js';
+
+export const EXPORT_FORMATS = ['csv', 'excel', 'json', 'pdf'];
+
+/**
+ * Turns a title into a safe download filename.
+ * @param {string} name
+ * @returns {string}
+ */
+function toFilename(name) {
+    return (name || 'export').replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 80) || 'export';
+}
+
+/**
+ * Sends analyses as a download in the requested format:
+ * "csv" or "excel" (CSV Excel opens correctly) ranking sheets, "json", or a formatted "pdf" report.
+ * Candidates of blind-screening runs stay blinded unless a reviewer un-blinded them.
+ * @param {import('express').Response} res
+ * @param {object} options
+ * @param {string} options.format - One of EXPORT_FORMATS.
+ * @param {string} options.title - Report title, also used for the filename.
+ * @param {string} [options.subtitle]
+ * @param {object[]} options.analyses - Stored analyses (see db/runs.js).
+ */
+export function sendExport(res, { format, title, subtitle, analyses }) {
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Unsupported export format. Use one of: ${EXPORT_FORMATS.join(', ')}.` });
+    }
+    const rows = toRankingRows(blindAnalyses(analyses));
+    const filename = toFilename(title);
+
+    if (format === 'json') {
+        res.attachment(`${filename}.json`);
+        return res.json({ title, subtitle: subtitle ?? null, exportedAt: new Date().toISOString(), candidates: rows });
+    }
+    if (format === 'pdf') {
+        res.attachment(`${filename}.pdf`);
+        res.type('application/pdf');
+        return writePdfReport(res, { title, subtitle, rows });
+    }
+    res.attachment(`${filename}${format === 'excel' ? '_excel' : ''}.csv`);
+    res.type('text/csv; charset=utf-8');
+    res.send(toCsv(rows, { excel: format === 'excel' }));
+}
@@ -0,0 +1,118 @@
+import PDFDocument from 'pdfkit';
+
+const SUB_SCORES = ['requirements', 'skills', 'experience', 'education'];
+const MET_LABELS = { yes: 'Met', partial: 'Partly met', no: 'Not met' };
+const MARGIN = 50;
+
+/**
+ * Writes a heading followed by a paragraph, skipping empty paragraphs.
+ * @param {PDFDocument} doc
+ * @param {string} heading
+ * @param {string|null} text
+ */
+function paragraph(doc, heading, text) {
+    if (!text) {
+        return;
+    }
+    doc.moveDown(0.5).font('Helvetica-Bold').fontSize(11).text(heading);
+    doc.font('Helvetica').fontSize(10).text(text);
+}
+
+/**
+ * Writes the summary table of a ranking: one line per candidate with the score and sub-scores.
+ * @param {PDFDocument} doc
+ * @param {object[]} rows - Ranking rows (see exports/ranking.js).
+ */
+function rankingTable(doc, rows) {
+    const columns = [
+        { header: '#', width: 25, value: (row) => row.rank ?? '-' },
+        { header: 'Candidate', width: 170, value: (row) => row.candidate },
+        { header: 'Score', width: 45, value: (row) => row.score ?? '-' },
+        ...SUB_SCORES.map((key) => ({ header: key.slice(0, 4), width: 45, value: (row) => row.breakdown[key] ?? '-' })),
+        { header: 'Decision', width: 85, value: (row) => row.decision ?? (row.error ? 'failed' : '') },
+    ];
+
+    const drawRow = (values, font) => {
+        if (doc.y > doc.page.height - MARGIN - 20) {
+            doc.addPage();
+        }
+        const y = doc.y;
+        let x = MARGIN;
+        doc.font(font).fontSize(9);
+        values.forEach((value, index) => {
+            doc.text(String(value), x, y, { width: columns[index].width - 5, ellipsis: true, lineBreak: false });
+            x += columns[index].width;
+        });
+        doc.x = MARGIN;
+        doc.y = y + 16;
+    };
+
+    drawRow(columns.map((column) => column.header), 'Helvetica-Bold');
+    rows.forEach((row) => drawRow(columns.map((column) => column.value(row)), 'Helvetica'));
+}
+
+/**
+ * Writes the full report of one candidate: score, breakdown, requirements, skills, strengths and gaps.
+ * @param {PDFDocument} doc
+ * @param {object} row - A ranking row (see exports/ranking.js).
+ */
+function candidateSection(doc, row) {
+    doc.font('Helvetica-Bold').fontSize(15).text(`${row.rank ? `${row.rank}. ` : ''}${row.candidate}`);
+    doc.font('Helvetica').fontSize(9).fillColor('#555')
+        .text([row.filename, row.email, row.phone, row.decision && `Tagged: ${row.decision}`].filter(Boolean).join('  |  '))
+        .fillColor('black');
+
+    if (row.error) {
+        paragraph(doc, 'Analysis failed', row.error);
+        return;
+    }
+
+    doc.moveDown(0.5).font('Helvetica-Bold').fontSize(12).text(`Score: ${row.score}/100`);
+    doc.font('Helvetica').fontSize(10).text(SUB_SCORES.map((key) => `${key[0].toUpperCase()}${key.slice(1)}: ${row.breakdown[key] ?? '-'}`).join('   '));
+    if (row.yearsOfExperience !== null || row.education?.candidate) {
+        doc.text(`Experience: ${row.yearsOfExperience ?? 'unknown'} years   Education: ${row.education?.candidate ?? 'not stated'}`);
+    }
+
+    if (row.requirements.length > 0) {
+        doc.moveDown(0.5).font('Helvetica-Bold').fontSize(11).text('Requirements');
+        doc.font('Helvetica').fontSize(10);
+        row.requirements.forEach((requirement) => {
+            doc.text(`[${MET_LABELS[requirement.met] ?? requirement.met}] ${requirement.requirement} (${requirement.type})`, { indent: 10 });
+        });
+    }
+    paragraph(doc, 'Matched skills', row.matchedSkills.join(', '));
+    paragraph(doc, 'Missing skills', row.missingSkills.join(', '));
+    paragraph(doc, 'Strengths', row.goodPoints);
+    paragraph(doc, 'Gaps', row.badPoints);
+}
+
+/**
+ * Renders a PDF report into a writable stream (e.g. an HTTP response).
+ * With several candidates it opens with a ranking table and gives each candidate its own page.
+ * @param {import('stream').Writable} stream
+ * @param {object} report
+ * @param {string} report.title - Usually the job title.
+ * @param {string} [report.subtitle]
+ * @param {object[]} report.rows - Ranking rows (see exports/ranking.js).
+ */
+export function writePdfReport(stream, { title, subtitle, rows }) {
+    const doc = new PDFDocument({ margin: MARGIN, size: 'A4', info: { Title: title } });
+    doc.pipe(stream);
+
+    doc.font('Helvetica-Bold').fontSize(20).text(title);
+    if (subtitle) {
+        doc.font('Helvetica').fontSize(10).fillColor('#555').text(subtitle).fillColor('black');
+    }
+    doc.moveDown();
+
+    if (rows.length === 1) {
+        candidateSection(doc, rows[0]);
+    } else {
+        rankingTable(doc, rows);
+        rows.forEach((row) => {
+            doc.addPage();
+            candidateSection(doc, row);
+        });
+    }
+    doc.end();
+}
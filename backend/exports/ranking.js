@@ -0,0 +1,88 @@
+// Columns of the ranking sheet, in order, and how each is read from a ranked analysis
+const COLUMNS = [
+    ['Rank', (row) => row.rank],
+    ['Candidate', (row) => row.candidate],
+    ['Email', (row) => row.email],
+    ['Phone', (row) => row.phone],
+    ['File', (row) => row.filename],
+    ['Score', (row) => row.score],
+    ['Requirements', (row) => row.breakdown.requirements],
+    ['Skills', (row) => row.breakdown.skills],
+    ['Experience', (row) => row.breakdown.experience],
+    ['Education', (row) => row.breakdown.education],
+    ['Years of Experience', (row) => row.yearsOfExperience],
+    ['Matched Skills', (row) => row.matchedSkills.join('; ')],
+    ['Missing Skills', (row) => row.missingSkills.join('; ')],
+    ['Decision', (row) => row.decision],
+    ['Scored By', (row) => row.engine],
+    ['Prompt Version', (row) => row.scoringConfig],
+    ['Error', (row) => row.error],
+];
+
+/**
+ * Ranks stored analyses best score first, flattening each into one row of the ranking sheet.
+ * Failed analyses come last and are left unranked.
+ * @param {object[]} analyses - Analyses as returned by db/runs.js or db/postings.js.
+ * @returns {object[]}
+ */
+export function toRankingRows(analyses) {
+    const sorted = [...analyses].sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+    return sorted.map((analysis, index) => {
+        const result = analysis.result || {};
+        return {
+            rank: analysis.score === null ? null : index + 1,
+            fileIndex: analysis.file_index,
+            candidateId: analysis.candidate_id ?? null,
+            candidate: result.profile?.name || analysis.candidate_name || analysis.filename,
+            email: result.profile?.email ?? null,
+            phone: result.profile?.phone ?? null,
+            filename: analysis.filename,
+            score: analysis.score,
+            breakdown: result.breakdown || {},
+            yearsOfExperience: result.yearsOfExperience ?? null,
+            matchedSkills: result.matchedSkills || [],
+            missingSkills: result.missingSkills || [],
+            requirements: result.requirements || [],
+            education: result.education ?? null,
+            goodPoints: result.goodPoints ?? null,
+            badPoints: result.badPoints ?? null,
+            decision: analysis.decision ?? null,
+            engine: result.engine ?? analysis.provider ?? null,
+            scoringConfig: result.scoringConfig ? `${result.scoringConfig.name} v${result.scoringConfig.version}` : null,
+            error: analysis.error,
+        };
+    });
+}
+
+/**
+ * Quotes a CSV field. Fields starting like a formula are prefixed with an apostrophe so
+ * spreadsheet apps show them as text instead of evaluating them.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders ranking rows as CSV.
+ * @param {object[]} rows - As returned by toRankingRows().
+ * @param {object} [options]
+ * @param {boolean} [options.excel] - Adds a UTF-8 byte order mark and CRLF line endings, so Excel
+ *   opens the file with the right encoding.
+ * @returns {string}
+ */
+export function toCsv(rows, { excel = false } = {}) {
+    const lines = [
+        COLUMNS.map(([header]) => csvField(header)).join(','),
+        ...rows.map((row) => COLUMNS.map(([, read]) => csvField(read(row))).join(',')),
+    ];
+    return (excel ? '﻿' : '') + lines.join(excel ? '\r\n' : '\n') + (excel ? '\r\n' : '\n');
+}
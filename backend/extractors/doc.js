@@ -0,0 +1,28 @@
+import WordExtractor from 'word-extractor';
+
+// Legacy Word documents are OLE2 compound files
+const OLE2_MAGIC = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+const extractor = new WordExtractor();
+
+export default {
+    id: 'doc',
+    label: 'DOC',
+    extensions: ['.doc'],
+    mimeType: 'application/msword',
+    detect: (buffer) => buffer.subarray(0, OLE2_MAGIC.length).equals(OLE2_MAGIC),
+    /**
+     * Extracts the body text of a legacy (Word 97-2003) .doc file.
+     * @param {Buffer} dataBuffer - The file content.
+     * @returns {Promise<string>} - The extracted text.
+     */
+    async extract(dataBuffer) {
+        try {
+            const document = await extractor.extract(dataBuffer);
+            return document.getBody();
+        } catch (error) {
+            console.error('Error extracting text from DOC:', error);
+            throw new Error('Failed to parse DOC file.');
+        }
+    },
+};
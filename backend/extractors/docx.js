@@ -0,0 +1,24 @@
+import mammoth from 'mammoth';
+import { zipContains } from './zip.js';
+
+export default {
+    id: 'docx',
+    label: 'DOCX',
+    extensions: ['.docx'],
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    detect: (buffer) => zipContains(buffer, 'word/document.xml'),
+    /**
+     * Extracts raw text content from a DOCX file.
+     * @param {Buffer} dataBuffer - The file content.
+     * @returns {Promise<string>} - The extracted text.
+     */
+    async extract(dataBuffer) {
+        try {
+            const result = await mammoth.extractRawText({ buffer: dataBuffer });
+            return result.value;
+        } catch (error) {
+            console.error('Error extracting text from DOCX:', error);
+            throw new Error('Failed to parse DOCX file.');
+        }
+    },
+};
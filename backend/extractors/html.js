@@ -0,0 +1,33 @@
+import { convert } from 'html-to-text';
+import { decodeText, isText } from './text.js';
+
+const HTML_START = /^\s*(<!--[\s\S]*?-->\s*)*<(!doctype html|html|head|body)[\s>]/i;
+
+export default {
+    id: 'html',
+    label: 'HTML',
+    extensions: ['.html', '.htm'],
+    mimeType: 'text/html',
+    detect: (buffer) => isText(buffer) && HTML_START.test(decodeText(buffer.subarray(0, 4096))),
+    /**
+     * Extracts the readable text of an HTML page, e.g. a resume exported from a job board.
+     * @param {Buffer} dataBuffer - The file content.
+     * @returns {Promise<string>} - The extracted text.
+     */
+    async extract(dataBuffer) {
+        try {
+            return convert(decodeText(dataBuffer), {
+                wordwrap: false,
+                selectors: [
+                    { selector: 'a', options: { ignoreHref: true } },
+                    { selector: 'img', format: 'skip' },
+                    // Keep headings as written instead of upper-casing them
+                    ...['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].map((selector) => ({ selector, options: { uppercase: false } })),
+                ],
+            });
+        } catch (error) {
+            console.error('Error extracting text from HTML:', error);
+            throw new Error('Failed to parse HTML file.');
+        }
+    },
+};
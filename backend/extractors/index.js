@@ -0,0 +1,41 @@
+import pdf from './pdf.js';
+import docx from './docx.js';
+import doc from './doc.js';
+import odt from './odt.js';
+import rtf from './rtf.js';
+import html from './html.js';
+import text from './text.js';
+
+// Checked in order: specific signatures first, HTML before the plain text catch-all
+const formats = [pdf, docx, odt, doc, rtf, html, text];
+
+/**
+ * Describes the supported resume formats, e.g. for the /capabilities endpoint.
+ * @returns {Array<{id: string, label: string, extensions: string[], mimeType: string}>}
+ */
+export function listFormats() {
+    return formats.map(({ id, label, extensions, mimeType }) => ({ id, label, extensions, mimeType }));
+}
+
+/**
+ * Detects the format of a file from its content rather than its extension.
+ * @param {Buffer} buffer - The file content.
+ * @returns {object|null} - The matching format, or null if the file is not a supported resume format.
+ */
+export function detectFormat(buffer) {
+    return formats.find((format) => format.detect(buffer)) ?? null;
+}
+
+/**
+ * Extracts the text of a file in a detected format.
+ * @param {string} formatId - The id of the format returned by detectFormat().
+ * @param {Buffer} buffer - The file content.
+ * @returns {Promise<string>} - The extracted text.
+ */
+export async function extractText(formatId, buffer) {
+    const format = formats.find((candidate) => candidate.id === formatId);
+    if (!format) {
+        throw new Error(`Unsupported file format "${formatId}".`);
+    }
+    return format.extract(buffer);
+}
@@ -0,0 +1,34 @@
+import JSZip from 'jszip';
+import { convert } from 'html-to-text';
+import { zipContains } from './zip.js';
+
+const ODT_MIME_TYPE = 'application/vnd.oasis.opendocument.text';
+
+export default {
+    id: 'odt',
+    label: 'ODT',
+    extensions: ['.odt'],
+    mimeType: ODT_MIME_TYPE,
+    // OpenDocument files start with an uncompressed "mimetype" entry naming their type
+    detect: (buffer) => zipContains(buffer, 'content.xml') && buffer.subarray(0, 100).includes(ODT_MIME_TYPE),
+    /**
+     * Extracts text content from an OpenDocument text file.
+     * @param {Buffer} dataBuffer - The file content.
+     * @returns {Promise<string>} - The extracted text.
+     */
+    async extract(dataBuffer) {
+        try {
+            const zip = await JSZip.loadAsync(dataBuffer);
+            const content = await zip.file('content.xml').async('string');
+            // Paragraphs, headings and line breaks become new lines before the markup is dropped
+            const marked = content
+                .replace(/<text:(p|h)[ >]/g, '\n$&')
+                .replace(/<text:line-break\/>/g, '\n')
+                .replace(/<text:tab\/>/g, '\t');
+            return convert(marked, { wordwrap: false, preserveNewlines: true }).trim();
+        } catch (error) {
+            console.error('Error extracting text from ODT:', error);
+            throw new Error('Failed to parse ODT file.');
+        }
+    },
+};
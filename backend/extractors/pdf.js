@@ -0,0 +1,28 @@
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const pdfParse = require('pdf-parse');
+
+const MAGIC = Buffer.from('%PDF-');
+
+export default {
+    id: 'pdf',
+    label: 'PDF',
+    extensions: ['.pdf'],
+    mimeType: 'application/pdf',
+    detect: (buffer) => buffer.subarray(0, MAGIC.length).equals(MAGIC),
+    /**
+     * Extracts text content from a PDF file.
+     * @param {Buffer} dataBuffer - The file content.
+     * @returns {Promise<string>} - The extracted text.
+     */
+    async extract(dataBuffer) {
+        try {
+            const data = await pdfParse(dataBuffer);
+            return data.text;
+        } catch (error) {
+            console.error('Error extracting text from PDF:', error);
+            throw new Error('Failed to parse PDF file.');
+        }
+    },
+};
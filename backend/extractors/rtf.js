@@ -0,0 +1,87 @@
+const MAGIC = Buffer.from('{\\rtf');
+
+// Destinations whose content is not part of the document text
+const IGNORED_DESTINATIONS = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'footer',
+    'headerl', 'headerr', 'footerl', 'footerr', 'listtable', 'listoverridetable', 'rsidtbl',
+    'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'latentstyles', 'datastore',
+]);
+
+/**
+ * Converts RTF markup to plain text.
+ * Handles groups, ignorable destinations, paragraph/tab control words,
+ * \'hh hex escapes and \uN unicode escapes; all other formatting is dropped.
+ * @param {string} rtf
+ * @returns {string}
+ */
+function rtfToText(rtf) {
+    const stack = [];
+    let ignoring = false;
+    let skipFallback = 0; // Characters to skip after \uN, per \ucN (default 1)
+    let output = '';
+    const tokens = /\\([a-z]+)(-?\d+)? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|([^\\{}\r\n]+)|[\r\n]+/gi;
+
+    for (const [, word, param, hex, symbol, brace, text] of rtf.matchAll(tokens)) {
+        if (brace === '{') {
+            stack.push(ignoring);
+            continue;
+        }
+        if (brace === '}') {
+            ignoring = stack.pop() ?? false;
+            continue;
+        }
+        if (symbol === '*') {
+            ignoring = true; // \* marks an ignorable destination
+            continue;
+        }
+        if (word && IGNORED_DESTINATIONS.has(word)) {
+            ignoring = true;
+            continue;
+        }
+        if (ignoring) {
+            continue;
+        }
+
+        if (word) {
+            if (word === 'par' || word === 'line' || word === 'row') output += '\n';
+            else if (word === 'tab' || word === 'cell') output += '\t';
+            else if (word === 'u' && param) {
+                output += String.fromCharCode(Number(param) < 0 ? Number(param) + 65536 : Number(param));
+                skipFallback = 1;
+            }
+        } else if (hex) {
+            if (skipFallback > 0) skipFallback--;
+            else output += Buffer.from(hex, 'hex').toString('latin1');
+        } else if (symbol) {
+            if (symbol === '~') output += ' ';
+            else if (symbol === '\\' || symbol === '{' || symbol === '}') output += symbol;
+        } else if (text) {
+            const skipped = text.slice(skipFallback);
+            skipFallback = Math.max(0, skipFallback - text.length);
+            output += skipped;
+        }
+    }
+
+    return output.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+export default {
+    id: 'rtf',
+    label: 'RTF',
+    extensions: ['.rtf'],
+    mimeType: 'application/rtf',
+    detect: (buffer) => buffer.subarray(0, MAGIC.length).equals(MAGIC),
+    /**
+     * Extracts text content from an RTF file.
+     * @param {Buffer} dataBuffer - The file content.
+     * @returns {Promise<string>} - The extracted text.
+     */
+    async extract(dataBuffer) {
+        try {
+            return rtfToText(dataBuffer.toString('latin1'));
+        } catch (error) {
+            console.error('Error extracting text from RTF:', error);
+            throw new Error('Failed to parse RTF file.');
+        }
+    },
+};
@@ -0,0 +1,79 @@
+const UTF8_BOM = Buffer.from([0xef, 0xbb, 0xbf]);
+const UTF16LE_BOM = Buffer.from([0xff, 0xfe]);
+
+// The characters Windows-1252 has at 0x80-0x9F, where Latin-1 has control characters; the bytes it
+// leaves undefined keep their Latin-1 meaning
+const WINDOWS_1252_HIGH = '\u20AC\x81\u201A\u0192\u201E\u2026\u2020\u2021\u02C6\u2030\u0160\u2039\u0152\x8D\u017D\x8F\x90\u2018\u2019\u201C\u201D\u2022\u2013\u2014\u02DC\u2122\u0161\u203A\u0153\x9D\u017E\u0178';
+
+/**
+ * Tells whether a buffer is valid UTF-8.
+ * @param {Buffer} buffer
+ * @param {boolean} [cutOff] - Whether the buffer may end in the middle of a character, e.g. a sample.
+ * @returns {boolean}
+ */
+function isUtf8(buffer, cutOff = false) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: cutOff });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Decodes single-byte text, as Windows-1252, which Latin-1 text also reads correctly as.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function decodeWindows1252(buffer) {
+    return buffer.toString('latin1').replace(/[\x80-\x9f]/g, (char) => WINDOWS_1252_HIGH[char.charCodeAt(0) - 0x80]);
+}
+
+/**
+ * Decodes text content, honoring a UTF-8 or UTF-16LE byte order mark. Text that isn't valid UTF-8 was
+ * saved in a legacy encoding, and is read as Windows-1252 (or Latin-1).
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export function decodeText(buffer) {
+    if (buffer.subarray(0, 2).equals(UTF16LE_BOM)) {
+        return buffer.subarray(2).toString('utf16le');
+    }
+    if (buffer.subarray(0, 3).equals(UTF8_BOM)) {
+        return buffer.subarray(3).toString('utf8');
+    }
+    return isUtf8(buffer) ? buffer.toString('utf8') : decodeWindows1252(buffer);
+}
+
+/**
+ * Tells whether a buffer looks like text: UTF-16 with a BOM, or no NUL bytes and either valid UTF-8 or
+ * single-byte text (see decodeText()) without control characters other than whitespace.
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+export function isText(buffer) {
+    if (buffer.subarray(0, 2).equals(UTF16LE_BOM)) {
+        return true;
+    }
+    const sample = buffer.subarray(0, 8192);
+    if (sample.length === 0 || sample.includes(0)) {
+        return false;
+    }
+    return isUtf8(sample, true) || !/[\x01-\x08\x0b\x0e-\x1f\x7f]/.test(sample.toString('latin1'));
+}
+
+export default {
+    id: 'txt',
+    label: 'TXT',
+    extensions: ['.txt'],
+    mimeType: 'text/plain',
+    detect: isText,
+    /**
+     * Reads a plain text file.
+     * @param {Buffer} dataBuffer - The file content.
+     * @returns {Promise<string>} - The text.
+     */
+    async extract(dataBuffer) {
+        return decodeText(dataBuffer);
+    },
+};
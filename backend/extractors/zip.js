@@ -0,0 +1,12 @@
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+/**
+ * Tells whether a buffer is a ZIP archive containing an entry with the given name.
+ * ZIP entry names are stored uncompressed, so they can be found without unpacking.
+ * @param {Buffer} buffer - The file content.
+ * @param {string} entryName - e.g. "word/document.xml".
+ * @returns {boolean}
+ */
+export function zipContains(buffer, entryName) {
+    return buffer.subarray(0, ZIP_MAGIC.length).equals(ZIP_MAGIC) && buffer.includes(entryName);
+}
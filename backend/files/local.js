@@ -0,0 +1,50 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Stores uploads as files in a directory on the local disk.
+ * @param {object} options
+ * @param {string} options.dir - Created on the first write if it doesn't exist.
+ * @returns {object} - A storage adapter (see files/storage.js).
+ */
+export function createLocalStorage({ dir }) {
+    return {
+        name: 'local',
+        async save(name, content) {
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(path.join(dir, name), content);
+        },
+        async read(name) {
+            try {
+                return await fs.readFile(path.join(dir, name));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+        async remove(name) {
+            await fs.rm(path.join(dir, name), { force: true });
+        },
+        async list() {
+            let names;
+            try {
+                names = await fs.readdir(dir);
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return [];
+                }
+                throw error;
+            }
+            const files = [];
+            for (const name of names) {
+                const stats = await fs.stat(path.join(dir, name));
+                if (stats.isFile()) {
+                    files.push({ name, modifiedAt: stats.mtime });
+                }
+            }
+            return files;
+        },
+    };
+}
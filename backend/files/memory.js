@@ -0,0 +1,23 @@
+/**
+ * Keeps uploads in the process's memory. They are lost when it exits, so this suits tests and
+ * short-lived deployments that don't need to offer resumes for download later.
+ * @returns {object} - A storage adapter (see files/storage.js).
+ */
+export function createMemoryStorage() {
+    const files = new Map();
+    return {
+        name: 'memory',
+        async save(name, content) {
+            files.set(name, { content: Buffer.from(content), modifiedAt: new Date() });
+        },
+        async read(name) {
+            return files.get(name)?.content ?? null;
+        },
+        async remove(name) {
+            files.delete(name);
+        },
+        async list() {
+            return [...files].map(([name, { modifiedAt }]) => ({ name, modifiedAt }));
+        },
+    };
+}
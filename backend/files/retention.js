@@ -0,0 +1,82 @@
+import { deleteStoredFile, listStoredFiles } from './storage.js';
+import { deleteFileRecordByStoredName, deleteFileRecords, listFilesForCandidate, listFilesOlderThan } from '../db/files.js';
+import { deleteCandidates, listInactiveCandidateIds } from '../db/candidates.js';
+import { deleteExpiredCache } from '../db/cache.js';
+import { LLM_CACHE_TTL_DAYS } from '../scoring/index.js';
+
+// Uploaded resumes are candidate PII and are deleted after this many days
+export const UPLOAD_TTL_DAYS = Number(process.env.UPLOAD_TTL_DAYS) || 30;
+// Candidates' profiles and analyses hold the same PII as their resumes, so candidates nothing happened
+// to for this many days are deleted with them
+export const CANDIDATE_TTL_DAYS = Number(process.env.CANDIDATE_TTL_DAYS) || 365;
+const SWEEP_INTERVAL_MS = (Number(process.env.UPLOAD_SWEEP_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+/**
+ * Deletes files from storage together with their database records. The records go first; a file
+ * that can't be deleted now is logged and left for the next retention sweep, so callers needn't wait.
+ * @param {Array<{id: number, stored_name: string}>} files - File records to purge.
+ * @returns {Promise<void>}
+ */
+export async function purgeFiles(files) {
+    deleteFileRecords(files.map((file) => file.id));
+    await Promise.all(files.map((file) => deleteStoredFile(file.stored_name).catch((error) => {
+        console.error(`Error deleting the stored file ${file.stored_name}:`, error);
+    })));
+}
+
+/**
+ * Deletes every upload older than UPLOAD_TTL_DAYS: expired file records and their
+ * files, plus any stored file that is older than the TTL.
+ * @returns {Promise<number>} - How many files were deleted from storage or the database.
+ */
+export async function sweepExpiredUploads() {
+    const expired = listFilesOlderThan(UPLOAD_TTL_DAYS);
+    await purgeFiles(expired);
+
+    const cutoff = Date.now() - UPLOAD_TTL_DAYS * 24 * 60 * 60 * 1000;
+    const strays = (await listStoredFiles()).filter((file) => file.modifiedAt.getTime() < cutoff);
+    for (const file of strays) {
+        await deleteStoredFile(file.name);
+        deleteFileRecordByStoredName(file.name);
+    }
+
+    return expired.length + strays.length;
+}
+
+/**
+ * Deletes the candidates nothing happened to for CANDIDATE_TTL_DAYS (see listInactiveCandidateIds in
+ * db/candidates.js), with their profile, analyses, documents and any files still stored.
+ * @returns {Promise<number>} - How many candidates were deleted.
+ */
+export async function sweepInactiveCandidates() {
+    const ids = listInactiveCandidateIds(CANDIDATE_TTL_DAYS);
+    const files = ids.flatMap((id) => listFilesForCandidate(id));
+    deleteCandidates(ids);
+    await purgeFiles(files);
+    return ids.length;
+}
+
+/**
+ * Sweeps expired uploads now and then periodically for as long as the process runs.
+ * Cached LLM analyses quote the resumes they were made from, so expired ones are deleted too, as are
+ * inactive candidates (see sweepInactiveCandidates()).
+ */
+export function startRetentionSchedule() {
+    const sweep = async () => {
+        try {
+            const deleted = await sweepExpiredUploads();
+            if (deleted > 0) {
+                console.log(`Deleted ${deleted} uploads older than ${UPLOAD_TTL_DAYS} days`);
+            }
+            deleteExpiredCache(LLM_CACHE_TTL_DAYS);
+            const candidates = await sweepInactiveCandidates();
+            if (candidates > 0) {
+                console.log(`Deleted ${candidates} candidates inactive for ${CANDIDATE_TTL_DAYS} days`);
+            }
+        } catch (error) {
+            console.error('Error cleaning up expired uploads:', error);
+        }
+    };
+    sweep();
+    setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+}
@@ -0,0 +1,146 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { detectFormat, listFormats } from '../extractors/index.js';
+import { createLocalStorage } from './local.js';
+import { createMemoryStorage } from './memory.js';
+import { createS3Storage } from './s3.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MAX_FILE_SIZE = (Number(process.env.UPLOAD_MAX_FILE_MB) || 10) * 1024 * 1024;
+export const MAX_FILES = Number(process.env.UPLOAD_MAX_FILES) || 50;
+
+const supportedLabels = listFormats().map((format) => format.label).join(', ');
+
+// Where uploads are kept, by STORAGE_DRIVER. Each adapter saves, reads, removes and lists files by name.
+const drivers = {
+    local: () => createLocalStorage({ dir: process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads') }),
+    memory: () => createMemoryStorage(),
+    s3: () => createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        prefix: process.env.S3_PREFIX ?? 'uploads/',
+    }),
+};
+
+const driver = process.env.STORAGE_DRIVER || 'local';
+if (!drivers[driver]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use one of: ${Object.keys(drivers).join(', ')}.`);
+}
+const storage = drivers[driver]();
+
+// The adapter uploads are stored with, e.g. "local"
+export const STORAGE_DRIVER = storage.name;
+
+/**
+ * Checks that a stored filename is a plain name as generated on upload, so it can't reach outside the storage.
+ * @param {string} storedName
+ * @returns {boolean}
+ */
+function isStoredName(storedName) {
+    return Boolean(storedName) && path.basename(storedName) === storedName;
+}
+
+/**
+ * Reads a stored file.
+ * @param {string} storedName - A filename as generated on upload.
+ * @returns {Promise<Buffer|null>} - null if there is no such file.
+ */
+export async function readStoredFile(storedName) {
+    return isStoredName(storedName) ? storage.read(storedName) : null;
+}
+
+/**
+ * Reads back a file uploaded with this request, for processing.
+ * @param {object} file - A multer file saved by validatingStorage.
+ * @returns {Promise<Buffer>}
+ */
+export async function readUpload(file) {
+    const content = await readStoredFile(file.filename);
+    if (!content) {
+        throw new Error(`The uploaded file ${file.originalname} is no longer stored.`);
+    }
+    return content;
+}
+
+/**
+ * Deletes a stored file; a file that is already gone is not an error.
+ * @param {string} storedName
+ * @returns {Promise<void>}
+ */
+export async function deleteStoredFile(storedName) {
+    if (isStoredName(storedName)) {
+        await storage.remove(storedName);
+    }
+}
+
+/**
+ * Lists every stored file, e.g. to find old ones.
+ * @returns {Promise<Array<{name: string, modifiedAt: Date}>>}
+ */
+export function listStoredFiles() {
+    return storage.list();
+}
+
+/**
+ * Deletes uploaded files that won't be processed or kept, e.g. when the request is invalid.
+ * Files that can't be deleted now are left for the retention sweep (see files/retention.js).
+ * @param {object[]} [files] - Multer files.
+ * @returns {Promise<void>}
+ */
+export async function discardUploads(files = []) {
+    await Promise.all(files.filter((file) => file.filename).map((file) => deleteStoredFile(file.filename).catch((error) => {
+        console.error(`Error deleting the upload ${file.filename}:`, error);
+    })));
+}
+
+/**
+ * Checks the content of a file and saves it with the configured adapter, the way uploads are saved.
+ * Used for resumes that don't arrive as uploads, e.g. ingested email attachments (see ingestion/index.js).
+ * @param {Buffer} content
+ * @param {string} originalName
+ * @param {string} [prefix] - Start of the stored filename, e.g. the upload's form field.
+ * @returns {Promise<object>} - A file like multer's: with the stored `filename` and the detected `format`,
+ *   or with a `rejected` reason instead when it is not a supported format and was not saved.
+ */
+export async function storeFile(content, originalName, prefix = 'resumes') {
+    const format = detectFormat(content);
+    if (!format) {
+        return { originalname: originalName, size: content.length, rejected: `Unsupported file type. Only ${supportedLabels} files are allowed.` };
+    }
+
+    // Create a unique filename to prevent overwrites, with the extension of the detected format
+    const filename = `${prefix}-${Date.now()}-${Math.round(Math.random() * 1E9)}${format.extensions[0]}`;
+    await storage.save(filename, content, format.mimeType);
+    return {
+        originalname: originalName,
+        filename,
+        size: content.length,
+        format: { id: format.id, label: format.label, mimeType: format.mimeType },
+    };
+}
+
+/**
+ * A multer storage engine that checks the content of uploads and saves them with the configured
+ * adapter (see storeFile()). Files that are not a supported format are not saved and are passed on
+ * with a `rejected` reason instead of a `filename`, so the request can still report a per-file error.
+ */
+export const validatingStorage = {
+    _handleFile(req, file, cb) {
+        const chunks = [];
+        file.stream.on('data', (chunk) => chunks.push(chunk));
+        file.stream.on('error', cb);
+        file.stream.on('end', () => {
+            storeFile(Buffer.concat(chunks), file.originalname, file.fieldname).then((stored) => cb(null, stored), cb);
+        });
+    },
+    _removeFile(req, file, cb) {
+        if (!file.filename) {
+            return cb(null);
+        }
+        deleteStoredFile(file.filename).then(() => cb(null), cb);
+    },
+};
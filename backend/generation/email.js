@@ -0,0 +1,119 @@
+import Ajv from 'ajv';
+import { isBudgetExceeded } from '../providers/metered.js';
+import { describeAnalysis } from './interview.js';
+
+// Kinds of email that can be drafted, and the tones they can be written in
+export const EMAIL_KINDS = ['rejection', 'next-steps'];
+export const EMAIL_TONES = ['warm', 'formal', 'concise'];
+
+// Stands in for the candidate's name in drafts, so the name never has to be sent to the LLM
+export const NAME_PLACEHOLDER = '[CANDIDATE_NAME]';
+
+const emailSchema = {
+    type: 'object',
+    required: ['subject', 'body'],
+    properties: {
+        subject: { type: 'string', minLength: 1 },
+        body: { type: 'string', minLength: 1 },
+    },
+};
+
+const validateEmail = new Ajv().compile(emailSchema);
+
+const GREETINGS = {
+    warm: `Hi ${NAME_PLACEHOLDER},`,
+    formal: `Dear ${NAME_PLACEHOLDER},`,
+    concise: `Hi ${NAME_PLACEHOLDER},`,
+};
+
+const SIGN_OFFS = {
+    warm: 'All the best,',
+    formal: 'Kind regards,',
+    concise: 'Best,',
+};
+
+/**
+ * Drafts an email from fixed templates, adding a strength and a gap from the analysis.
+ * Used without an LLM, and by the mock provider.
+ * @param {object} input - See generateEmail().
+ * @returns {{subject: string, body: string}}
+ */
+export function buildEmailLocally({ analysis, kind, tone, jobTitle, senderName, companyName }) {
+    const strength = analysis.requirements?.find((requirement) => requirement.met === 'yes')?.requirement ?? analysis.matchedSkills?.[0];
+    const gap = analysis.requirements?.find((requirement) => requirement.type === 'required' && requirement.met === 'no')?.requirement
+        ?? analysis.missingSkills?.[0];
+    const paragraphs = kind === 'rejection'
+        ? [
+            `Thank you for applying for the ${jobTitle} position at ${companyName} and for the time you put into your application.`,
+            tone === 'concise'
+                ? 'We have decided not to move forward with your application.'
+                : 'After careful review, we have decided to move forward with other candidates whose experience more closely matches what this role needs right now.',
+            tone !== 'concise' && [
+                strength && `Your background in ${strength} stood out to us.`,
+                gap && `For this role we were looking for more experience with ${gap}.`,
+            ].filter(Boolean).join(' '),
+            tone === 'warm' && 'We would be glad to hear from you again for future openings, and wish you every success in your search.',
+        ]
+        : [
+            `Thank you for applying for the ${jobTitle} position at ${companyName}.`,
+            `We enjoyed reading your application${strength ? `, in particular your experience with ${strength}` : ''}, and would like to invite you to the next step: an interview with the team.`,
+            'Please reply with a few times that work for you over the next week, and we will send a calendar invitation.',
+            tone === 'warm' && 'We are looking forward to speaking with you!',
+        ];
+    return {
+        subject: kind === 'rejection' ? `Your application for ${jobTitle}` : `Next steps for ${jobTitle}`,
+        body: [GREETINGS[tone], ...paragraphs.filter(Boolean), `${SIGN_OFFS[tone]}\n${senderName}\n${companyName}`].join('\n\n'),
+    };
+}
+
+/**
+ * Drafts a rejection (with brief, constructive feedback) or next-steps email to a candidate in the given tone.
+ * The candidate is addressed as NAME_PLACEHOLDER, for the caller to fill in. Falls back to buildEmailLocally()
+ * when no LLM is configured, its budget is used up, or its response is unusable.
+ * @param {object} llm - The LLM provider (see providers/index.js).
+ * @param {object} input
+ * @param {object} input.analysis - The candidate's scoring result.
+ * @param {string} input.kind - One of EMAIL_KINDS.
+ * @param {string} input.tone - One of EMAIL_TONES.
+ * @param {string} input.jobTitle
+ * @param {string} input.senderName - Who signs the email.
+ * @param {string} input.companyName
+ * @returns {Promise<{subject: string, body: string, source: string}>} - `source` is "llm" or "template".
+ */
+export async function generateEmail(llm, input) {
+    const local = { ...buildEmailLocally(input), source: 'template' };
+    if (!llm.isConfigured()) {
+        return local;
+    }
+
+    const { analysis, kind, tone, jobTitle, senderName, companyName } = input;
+    const purpose = kind === 'rejection'
+        ? 'telling them they will not move forward. Thank them, and give one or two brief, constructive and specific points of feedback based on the screening. Never mention scores, rankings or other candidates.'
+        : 'inviting them to an interview as the next step and asking for their availability. Mention one or two strengths from the screening that stood out.';
+    const prompt = `Write an email to a candidate who applied for the ${jobTitle} position at ${companyName}, ${purpose} Write in a ${tone} tone. Address the candidate as ${NAME_PLACEHOLDER} and sign as ${senderName}, ${companyName}. Do not mention age, family, health, religion, nationality or other protected characteristics. Your response MUST be ONLY a JSON object with the keys "subject" and "body" (plain text with blank lines between paragraphs). Do NOT include any other text.
+
+Screening of the candidate:
+${describeAnalysis(analysis)}
+
+JSON Response:`;
+
+    let response;
+    try {
+        ({ text: response } = await llm.complete({ task: 'email', input, prompt, temperature: 0.6, maxTokens: 800 }));
+    } catch (error) {
+        if (!isBudgetExceeded(error)) {
+            throw error;
+        }
+        return local;
+    }
+    try {
+        const generated = JSON.parse(response.substring(response.indexOf('{'), response.lastIndexOf('}') + 1));
+        if (validateEmail(generated)) {
+            return { subject: generated.subject, body: generated.body, source: 'llm' };
+        }
+        console.error('LLM email did not match the schema:', validateEmail.errors);
+    } catch (error) {
+        console.error('Failed to parse LLM email:', error);
+    }
+    return local;
+}
@@ -0,0 +1,165 @@
+import Ajv from 'ajv';
+import { isBudgetExceeded } from '../providers/metered.js';
+
+// How many questions a set has by default, and at most
+export const DEFAULT_QUESTION_COUNT = 8;
+export const MAX_QUESTION_COUNT = 15;
+
+const questionsSchema = {
+    type: 'object',
+    required: ['questions'],
+    properties: {
+        questions: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['question', 'purpose', 'topic'],
+                properties: {
+                    question: { type: 'string', minLength: 1 },
+                    purpose: { enum: ['gap', 'strength'] },
+                    topic: { type: 'string' },
+                    lookFor: { type: 'string' },
+                },
+            },
+        },
+    },
+};
+
+const validateQuestions = new Ajv().compile(questionsSchema);
+
+/**
+ * Summarizes what the screening found out about a candidate, for the prompts of generation/.
+ * Only the analysis is used, never the resume itself, so no personal details reach the LLM.
+ * @param {object} analysis - A scoring result (see analyzeFile in index.js).
+ * @returns {string}
+ */
+export function describeAnalysis(analysis) {
+    const requirements = (analysis.requirements ?? [])
+        .map((requirement) => `- ${requirement.requirement} (${requirement.type}): ${requirement.met}${requirement.evidence ? ` - ${requirement.evidence}` : ''}`);
+    return [
+        requirements.length > 0 && `Requirements and whether the resume meets them:\n${requirements.join('\n')}`,
+        analysis.matchedSkills?.length > 0 && `Skills shown: ${analysis.matchedSkills.join(', ')}`,
+        analysis.missingSkills?.length > 0 && `Skills missing: ${analysis.missingSkills.join(', ')}`,
+        typeof analysis.yearsOfExperience === 'number' && `Years of relevant experience: ${analysis.yearsOfExperience}`,
+        analysis.goodPoints && `Strengths: ${analysis.goodPoints}`,
+        analysis.badPoints && `Gaps: ${analysis.badPoints}`,
+    ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Builds interview questions from the analysis alone: one probing each unmet requirement and missing
+ * skill, and one verifying each met requirement and shown skill. Used without an LLM, and by the mock provider.
+ * @param {object} input
+ * @param {object} input.analysis - A scoring result.
+ * @param {number} [input.count]
+ * @returns {{questions: object[]}}
+ */
+export function buildQuestionsLocally({ analysis, count = DEFAULT_QUESTION_COUNT }) {
+    const requirements = analysis.requirements ?? [];
+    const gaps = [
+        ...requirements.filter((requirement) => requirement.met !== 'yes')
+            .sort((a, b) => (a.type === 'required' ? 0 : 1) - (b.type === 'required' ? 0 : 1))
+            .map((requirement) => ({
+                question: `The role asks for ${requirement.requirement}. Can you walk us through your experience with it, or how you would get up to speed?`,
+                purpose: 'gap',
+                topic: requirement.requirement,
+                lookFor: 'Concrete examples, or a realistic plan and related experience that transfers.',
+            })),
+        ...(analysis.missingSkills ?? []).map((skill) => ({
+            question: `Your resume doesn't mention ${skill}. Have you worked with it or something similar?`,
+            purpose: 'gap',
+            topic: skill,
+            lookFor: 'Hands-on use, or closely related tools and how quickly they were picked up.',
+        })),
+    ];
+    const strengths = [
+        ...requirements.filter((requirement) => requirement.met === 'yes').map((requirement) => ({
+            question: `Tell us about a project where you used ${requirement.requirement}. What was your own part, and what was the outcome?`,
+            purpose: 'strength',
+            topic: requirement.requirement,
+            lookFor: 'Specific details that match the claim: scale, decisions made, measurable results.',
+        })),
+        ...(analysis.matchedSkills ?? []).map((skill) => ({
+            question: `What is the hardest problem you have solved with ${skill}?`,
+            purpose: 'strength',
+            topic: skill,
+            lookFor: 'Depth beyond the basics and a clear account of the trade-offs.',
+        })),
+    ];
+
+    // Alternate gaps and strengths, so a short set still covers both
+    const questions = [];
+    const seen = new Set();
+    for (let i = 0; questions.length < count && (i < gaps.length || i < strengths.length); i++) {
+        [gaps[i], strengths[i]].filter(Boolean).forEach((question) => {
+            if (questions.length < count && !seen.has(question.topic.toLowerCase())) {
+                seen.add(question.topic.toLowerCase());
+                questions.push(question);
+            }
+        });
+    }
+    return { questions };
+}
+
+/**
+ * Writes a tailored interview question set for a candidate: questions probing each gap the screening found
+ * and verifying each claimed strength. Falls back to buildQuestionsLocally() when no LLM is configured,
+ * its budget is used up, or its response is unusable.
+ * @param {object} llm - The LLM provider (see providers/index.js).
+ * @param {object} input
+ * @param {object} input.analysis - The candidate's scoring result.
+ * @param {string} input.jobDescription
+ * @param {number} [input.count] - How many questions, up to MAX_QUESTION_COUNT.
+ * @returns {Promise<{questions: object[], source: string}>} - `source` is "llm" or "template".
+ */
+export async function generateInterviewQuestions(llm, { analysis, jobDescription, count = DEFAULT_QUESTION_COUNT }) {
+    const total = Math.min(Math.max(Math.trunc(count) || DEFAULT_QUESTION_COUNT, 1), MAX_QUESTION_COUNT);
+    const local = { ...buildQuestionsLocally({ analysis, count: total }), source: 'template' };
+    if (!llm.isConfigured()) {
+        return local;
+    }
+
+    const prompt = `You prepare a structured interview for a job candidate. Write ${total} interview questions tailored to the screening below: questions that probe each gap or unmet requirement, and questions that verify each claimed strength with specifics. Do not ask about age, family, health, religion, nationality or other protected characteristics. Your response MUST be ONLY a JSON object with the key "questions", an array of objects with "question" (the question to ask), "purpose" ("gap" or "strength"), "topic" (the requirement or skill it is about) and "lookFor" (what a strong answer contains). Do NOT include any other text.
+
+Job Description:
+${jobDescription}
+
+Screening of the candidate:
+${describeAnalysis(analysis)}
+
+JSON Response:`;
+
+    let response;
+    try {
+        ({ text: response } = await llm.complete({ task: 'interview', input: { analysis, count: total }, prompt, temperature: 0.4, maxTokens: 1500 }));
+    } catch (error) {
+        if (!isBudgetExceeded(error)) {
+            throw error;
+        }
+        return local;
+    }
+    try {
+        const generated = JSON.parse(response.substring(response.indexOf('{'), response.lastIndexOf('}') + 1));
+        if (validateQuestions(generated)) {
+            return { questions: generated.questions.slice(0, total), source: 'llm' };
+        }
+        console.error('LLM interview questions did not match the schema:', validateQuestions.errors);
+    } catch (error) {
+        console.error('Failed to parse LLM interview questions:', error);
+    }
+    return local;
+}
+
+/**
+ * Renders a question set as the plain text that is edited and downloaded.
+ * @param {object[]} questions
+ * @returns {string}
+ */
+export function renderQuestions(questions) {
+    return questions.map((question, index) => [
+        `${index + 1}. ${question.question}`,
+        `   ${question.purpose === 'gap' ? 'Probes a gap' : 'Verifies a strength'}: ${question.topic}`,
+        question.lookFor && `   Look for: ${question.lookFor}`,
+    ].filter(Boolean).join('\n')).join('\n\n');
+}
@@ -0,0 +1,61 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { MAX_FILE_SIZE } from '../files/storage.js';
+
+// The directory watched folders must be in, so admins can't have the server read any of its files.
+// Folder sources are disabled until it is set.
+export const INGESTION_FOLDER_ROOT = process.env.INGESTION_FOLDER_ROOT || '';
+
+// Files changed more recently than this may still be being copied in, and are left for the next check
+const SETTLE_MS = 10 * 1000;
+
+/**
+ * Resolves the folder of a source within INGESTION_FOLDER_ROOT.
+ * @param {string} folder - Relative to INGESTION_FOLDER_ROOT.
+ * @returns {string|null} - The absolute path, or null when folder sources are disabled or it is outside the root.
+ */
+export function resolveFolder(folder) {
+    if (!INGESTION_FOLDER_ROOT || typeof folder !== 'string') {
+        return null;
+    }
+    const root = path.resolve(INGESTION_FOLDER_ROOT);
+    const resolved = path.resolve(root, folder);
+    return resolved === root || resolved.startsWith(root + path.sep) ? resolved : null;
+}
+
+/**
+ * Fetches the files dropped into a watched folder since they were last ingested. Files are left where
+ * they are and told apart by name, size and modification time, so a file that is replaced is fetched again.
+ * Subfolders and hidden files are ignored.
+ * @param {object} settings
+ * @param {string} settings.path - The folder, relative to INGESTION_FOLDER_ROOT.
+ * @param {object} options
+ * @param {Function} options.isNew - Tells whether an item key hasn't been ingested yet.
+ * @param {number} options.limit - Most files fetched per check; the rest are fetched by the next ones.
+ * @returns {Promise<{items: object[]}>} - An item per new file, with its `size`; the `content` of files larger
+ *   than MAX_FILE_SIZE is not read, and is null.
+ */
+export async function fetchFolder({ path: folder }, { isNew, limit }) {
+    const dir = resolveFolder(folder);
+    if (!dir) {
+        throw new Error(INGESTION_FOLDER_ROOT ? `${folder} is outside INGESTION_FOLDER_ROOT.` : 'Set INGESTION_FOLDER_ROOT to ingest from folders.');
+    }
+
+    const entries = (await fs.readdir(dir, { withFileTypes: true }))
+        .filter((entry) => entry.isFile() && !entry.name.startsWith('.'))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    const items = [];
+    for (const entry of entries) {
+        if (items.length >= limit) {
+            break;
+        }
+        const filePath = path.join(dir, entry.name);
+        const stats = await fs.stat(filePath);
+        const key = `${entry.name}:${stats.size}:${Math.trunc(stats.mtimeMs)}`;
+        if (Date.now() - stats.mtimeMs < SETTLE_MS || !isNew(key)) {
+            continue;
+        }
+        items.push({ key, filename: entry.name, size: stats.size, content: stats.size > MAX_FILE_SIZE ? null : await fs.readFile(filePath) });
+    }
+    return { items };
+}
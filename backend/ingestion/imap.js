@@ -0,0 +1,62 @@
+import { ImapFlow } from 'imapflow';
+import { simpleParser } from 'mailparser';
+
+/**
+ * Fetches the attachments of the emails that arrived in a mailbox since the last check. The mailbox is opened
+ * read-only, so emails are left as they were (unread stays unread). Emails are tracked by UID: the first check
+ * starts with the emails received on the day the source was created, and each later one continues after the
+ * last UID it saw, unless the server renumbered the mailbox (a new UIDVALIDITY).
+ * @param {object} settings
+ * @param {string} settings.host
+ * @param {number} [settings.port] - 993 by default.
+ * @param {boolean} [settings.secure] - Whether to connect with TLS; true by default.
+ * @param {string} settings.user
+ * @param {string} settings.password
+ * @param {string} [settings.mailbox] - "INBOX" by default.
+ * @param {object} options
+ * @param {object} options.state - Where the previous check stopped: `uidValidity` and `lastUid`.
+ * @param {string} options.since - When the source was created.
+ * @param {number} options.limit - Most emails fetched per check; the rest are fetched by the next ones.
+ * @returns {Promise<{items: object[], state: object}>} - An item per attachment, with a `key` that stays the
+ *   same for the same attachment, and the state for the next check.
+ */
+export async function fetchMailbox({ host, port = 993, secure = true, user, password, mailbox = 'INBOX' }, { state, since, limit }) {
+    const client = new ImapFlow({ host, port, secure, auth: { user, pass: password }, logger: false });
+    try {
+        await client.connect();
+    } catch (error) {
+        // ImapFlow only says "Command failed"; the server's answer tells what went wrong
+        throw new Error(error.authenticationFailed ? 'The mailbox rejected the user or password.' : error.responseText || error.message);
+    }
+    try {
+        const opened = await client.mailboxOpen(mailbox, { readOnly: true });
+        const uidValidity = String(opened.uidValidity);
+        const lastUid = state.uidValidity === uidValidity ? state.lastUid : undefined;
+
+        const uids = opened.exists === 0 ? [] : await client.search(
+            lastUid === undefined ? { since: new Date(`${since.slice(0, 10)}T00:00:00Z`) } : { uid: `${lastUid + 1}:*` },
+            { uid: true }
+        );
+        // "n:*" always matches the newest email, even when it is older than n
+        const batch = (uids || []).filter((uid) => lastUid === undefined || uid > lastUid).sort((a, b) => a - b).slice(0, limit);
+
+        const items = [];
+        if (batch.length > 0) {
+            for await (const message of client.fetch(batch.join(','), { uid: true, source: true }, { uid: true })) {
+                const mail = await simpleParser(message.source);
+                mail.attachments.forEach((attachment, index) => {
+                    items.push({
+                        key: `${uidValidity}:${message.uid}:${index}`,
+                        filename: attachment.filename || `attachment-${message.uid}-${index + 1}`,
+                        content: attachment.content,
+                    });
+                });
+            }
+        }
+        // With nothing new, the next check starts after the emails the mailbox has now
+        const lastSeen = batch.length > 0 ? batch[batch.length - 1] : lastUid ?? opened.uidNext - 1;
+        return { items, state: { uidValidity, lastUid: lastSeen } };
+    } finally {
+        await client.logout();
+    }
+}
@@ -0,0 +1,124 @@
+import { createHash } from 'crypto';
+import { findIngestedContent, hasIngestedItem, listActiveSources, recordIngestedItem, recordSourceCheck } from '../db/ingestion.js';
+import { getPosting } from '../db/postings.js';
+import { discardUploads, MAX_FILE_SIZE, storeFile } from '../files/storage.js';
+import { queueAnalysis } from '../jobs/analysis.js';
+import { fetchMailbox } from './imap.js';
+import { fetchFolder } from './folder.js';
+
+// How often active sources are checked for new applications
+const INGESTION_INTERVAL_MS = (Number(process.env.INGESTION_INTERVAL_MINUTES) || 5) * 60 * 1000;
+
+// Most emails or files taken from one source per check, to keep each run and its LLM cost bounded
+const MAX_ITEMS_PER_CHECK = Number(process.env.INGESTION_MAX_ITEMS) || 50;
+
+// How each kind of source is read: an IMAP mailbox's attachments or the files of a watched folder
+const fetchers = {
+    imap: (source) => fetchMailbox(source.settings, { state: source.state, since: source.createdAt, limit: MAX_ITEMS_PER_CHECK }),
+    folder: (source, isNew) => fetchFolder(source.settings, { isNew, limit: MAX_ITEMS_PER_CHECK }),
+};
+
+export const SOURCE_KINDS = Object.keys(fetchers);
+
+// Sources being checked right now, so the schedule and a manual check don't ingest the same items twice
+const checking = new Set();
+
+/**
+ * Checks a source for new applications and queues their resumes for scoring against the source's job,
+ * as one analysis run (see jobs/analysis.js). Each item found is recorded with what became of it, so it is
+ * only ingested once: "queued", "duplicate" when the source already queued the same file, or "rejected"
+ * when it is not a supported resume format or too large. Resumes of candidates the workspace already has
+ * are then linked to them like uploads are (see duplicates/index.js). A failed check is recorded on the
+ * source and its items are tried again by the next one.
+ * @param {object} llm - The LLM provider resumes are scored with.
+ * @param {object} source - A source with its secrets and state (see db/ingestion.js).
+ * @returns {Promise<object|null>} - How many items were found and what became of them, with the `runId`
+ *   they were queued in; null when the source is already being checked.
+ */
+export async function checkSource(llm, source) {
+    if (checking.has(source.id)) {
+        return null;
+    }
+    checking.add(source.id);
+    // Resumes stored by this check, discarded if it fails before they are queued
+    const files = [];
+    let run = null;
+    try {
+        // Looked up before anything is stored, so a source whose job is gone doesn't leave orphaned files
+        const posting = getPosting(source.jobId, source.workspaceId);
+        if (!posting) {
+            throw new Error('The job of this source no longer exists.');
+        }
+        const isNew = (key) => !hasIngestedItem(source.id, key);
+        const { items, state } = await fetchers[source.kind](source, isNew);
+
+        const summary = { found: 0, queued: 0, duplicate: 0, rejected: 0, runId: null };
+        const queued = [];
+        for (const item of items.filter((candidate) => isNew(candidate.key))) {
+            summary.found++;
+            // Folders leave the content of files that are too large unread, and only give their size
+            if ((item.content?.length ?? item.size) > MAX_FILE_SIZE) {
+                recordIngestedItem({
+                    sourceId: source.id, key: item.key, filename: item.filename, status: 'rejected', detail: `Larger than ${Math.round(MAX_FILE_SIZE / 1024 / 1024)} MB.`,
+                });
+                summary.rejected++;
+                continue;
+            }
+            const contentHash = createHash('sha256').update(item.content).digest('hex');
+            const record = { sourceId: source.id, key: item.key, filename: item.filename, contentHash };
+            if (files.some((file) => file.contentHash === contentHash) || findIngestedContent(source.id, contentHash)) {
+                recordIngestedItem({ ...record, status: 'duplicate', detail: 'The same file was already ingested.' });
+                summary.duplicate++;
+                continue;
+            }
+            const file = await storeFile(item.content, item.filename, 'ingested');
+            if (file.rejected) {
+                recordIngestedItem({ ...record, status: 'rejected', detail: file.rejected });
+                summary.rejected++;
+                continue;
+            }
+            files.push({ ...file, contentHash });
+            queued.push(record);
+        }
+
+        if (files.length > 0) {
+            run = queueAnalysis(llm, { files, posting, workspaceId: source.workspaceId, userId: source.createdBy });
+            queued.forEach((record) => recordIngestedItem({ ...record, status: 'queued', runId: run.id }));
+            Object.assign(summary, { queued: files.length, runId: run.id });
+        }
+        recordSourceCheck(source.id, { status: 'ok', state });
+        return summary;
+    } catch (error) {
+        console.error(`Error checking the ingestion source ${source.id} (${source.name}):`, error);
+        recordSourceCheck(source.id, { status: 'error', error: error.message });
+        // Its items are tried again by the next check, which stores them anew
+        if (!run) {
+            await discardUploads(files);
+        }
+        throw error;
+    } finally {
+        checking.delete(source.id);
+    }
+}
+
+/**
+ * Checks every active source now and then periodically for as long as the process runs.
+ * Sources are checked one at a time; a source that fails is left for the next round.
+ * @param {object} llm - The LLM provider ingested resumes are scored with.
+ */
+export function startIngestionSchedule(llm) {
+    const sweep = async () => {
+        for (const source of listActiveSources()) {
+            try {
+                const summary = await checkSource(llm, source);
+                if (summary?.queued > 0) {
+                    console.log(`Queued ${summary.queued} resumes from the ingestion source "${source.name}" in run ${summary.runId}`);
+                }
+            } catch (error) {
+                // Already logged and recorded on the source by checkSource()
+            }
+        }
+    };
+    sweep();
+    setInterval(sweep, INGESTION_INTERVAL_MS).unref();
+}
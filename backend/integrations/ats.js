@@ -0,0 +1,144 @@
+import { getRun } from '../db/runs.js';
+import { blindAnalyses } from '../privacy/blind.js';
+import { toRankingRows } from '../exports/ranking.js';
+
+// Where candidates sent to an ATS say they came from
+const SOURCE = 'Resume Shortlisting Bot';
+
+/**
+ * Splits a full name into first and last name, as most ATS candidate records want them.
+ * @param {string|null} name
+ * @returns {{first: string, last: string}}
+ */
+function splitName(name) {
+    const parts = (name || '').trim().split(/\s+/).filter(Boolean);
+    return { first: parts[0] ?? '', last: parts.slice(1).join(' ') };
+}
+
+/**
+ * Writes the analysis of a candidate up as the text of an ATS note.
+ * @param {object} row - A ranking row (see exports/ranking.js).
+ * @param {object} context
+ * @param {object} context.run - The run the candidate was analyzed in, with `jobTitle`.
+ * @returns {string}
+ */
+function noteBody(row, { run }) {
+    if (row.error) {
+        return `${SOURCE}: the resume ${row.filename} could not be analyzed for "${run.jobTitle}" (${row.error}).`;
+    }
+    const lines = [`${SOURCE}: scored ${row.score}/100 for "${run.jobTitle}"${row.rank ? `, ranked #${row.rank}` : ''}.`];
+    if (row.matchedSkills.length > 0) {
+        lines.push(`Matched skills: ${row.matchedSkills.join(', ')}`);
+    }
+    if (row.missingSkills.length > 0) {
+        lines.push(`Missing skills: ${row.missingSkills.join(', ')}`);
+    }
+    if (row.goodPoints) {
+        lines.push(`Strengths: ${row.goodPoints}`);
+    }
+    if (row.badPoints) {
+        lines.push(`Concerns: ${row.badPoints}`);
+    }
+    if (row.decision) {
+        lines.push(`Decision: ${row.decision}`);
+    }
+    return lines.join('\n');
+}
+
+// The result as this app describes it: the ranking row, plus where it came from
+const native = {
+    id: 'native',
+    label: 'Resume Shortlisting Bot',
+    toCandidate: (row, { run }) => ({ ...row, runId: run.id, jobId: run.jobId, jobTitle: run.jobTitle }),
+};
+
+// Greenhouse Harvest API: a candidate record and an activity feed note
+const greenhouse = {
+    id: 'greenhouse',
+    label: 'Greenhouse',
+    toCandidate: (row, context) => {
+        const { first, last } = splitName(row.candidate);
+        return {
+            candidate: {
+                first_name: first,
+                last_name: last,
+                email_addresses: row.email ? [{ value: row.email, type: 'personal' }] : [],
+                phone_numbers: row.phone ? [{ value: row.phone, type: 'mobile' }] : [],
+                tags: [SOURCE, ...(row.decision ? [row.decision] : [])],
+            },
+            note: { body: noteBody(row, context), visibility: 'admin_only' },
+        };
+    },
+};
+
+// Lever API: an opportunity and a note on it
+const lever = {
+    id: 'lever',
+    label: 'Lever',
+    toCandidate: (row, context) => ({
+        opportunity: {
+            name: row.candidate,
+            emails: row.email ? [row.email] : [],
+            phones: row.phone ? [{ value: row.phone }] : [],
+            tags: [context.run.jobTitle, ...(row.decision ? [row.decision] : [])],
+            sources: [SOURCE],
+            origin: 'sourced',
+        },
+        note: { value: noteBody(row, context), secret: true, score: row.score },
+    }),
+};
+
+const adapters = [native, greenhouse, lever];
+
+// Ids of the formats results can be mapped to
+export const ATS_FORMATS = adapters.map((adapter) => adapter.id);
+
+/**
+ * Describes the ATS formats results can be mapped to, e.g. for choosing a webhook's format.
+ * @returns {Array<{id: string, label: string}>}
+ */
+export function listAtsFormats() {
+    return adapters.map(({ id, label }) => ({ id, label }));
+}
+
+/**
+ * Maps ranking rows to the candidate and note records of an ATS.
+ * @param {string} format - One of ATS_FORMATS.
+ * @param {object[]} rows - Ranking rows (see exports/ranking.js), blinded where the run requires it.
+ * @param {object} context
+ * @param {object} context.run - The run the rows come from: `id`, `jobId` and `jobTitle`.
+ * @returns {object[]}
+ */
+export function toAtsCandidates(format, rows, context) {
+    const adapter = adapters.find((candidate) => candidate.id === format);
+    if (!adapter) {
+        throw new Error(`Unsupported ATS format "${format}".`);
+    }
+    return rows.map((row) => adapter.toCandidate(row, context));
+}
+
+/**
+ * Loads a stored run for integrations: a summary of the run and its analyses as ranking rows,
+ * blinded where the run requires it.
+ * @param {string} runId
+ * @param {number} workspaceId
+ * @returns {{run: object, rows: object[]}|null}
+ */
+export function loadRankedRun(runId, workspaceId) {
+    const stored = getRun(runId, workspaceId);
+    if (!stored) {
+        return null;
+    }
+    return {
+        run: {
+            id: stored.id,
+            jobId: stored.job_posting_id,
+            jobTitle: stored.job_title,
+            status: stored.status,
+            blind: Boolean(stored.blind),
+            createdAt: stored.created_at,
+            finishedAt: stored.finished_at,
+        },
+        rows: toRankingRows(blindAnalyses(stored.analyses)),
+    };
+}
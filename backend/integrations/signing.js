@@ -0,0 +1,34 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+// How old a signed timestamp may be before verifySignature() rejects it, against replays
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Signs a payload for a webhook: the HMAC-SHA256, keyed with the webhook's secret, of the timestamp
+ * and the raw body joined by a dot. Receivers recompute it to check the payload came from this app unaltered.
+ * @param {string} secret
+ * @param {number} timestamp - Unix time in seconds, sent in the X-ResumeBot-Timestamp header.
+ * @param {string} body - The raw request body.
+ * @returns {string} - The X-ResumeBot-Signature header value, "sha256=<hex digest>".
+ */
+export function signPayload(secret, timestamp, body) {
+    return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Checks the signature of a received webhook request, e.g. in a receiver.
+ * @param {string} secret
+ * @param {object} request
+ * @param {string} request.signature - The X-ResumeBot-Signature header.
+ * @param {string} request.timestamp - The X-ResumeBot-Timestamp header.
+ * @param {string} request.body - The raw request body.
+ * @returns {boolean} - Whether the signature matches and the timestamp is recent.
+ */
+export function verifySignature(secret, { signature, timestamp, body }) {
+    if (!signature || !timestamp || Math.abs(Date.now() / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE_SECONDS) {
+        return false;
+    }
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && timingSafeEqual(expected, received);
+}
@@ -0,0 +1,156 @@
+import { randomUUID } from 'crypto';
+import { claimDelivery, createDelivery, getDelivery, listDueDeliveryIds, listSubscribedWebhooks, recordDeliveryAttempt } from '../db/integrations.js';
+import { loadRankedRun, toAtsCandidates } from './ats.js';
+import { signPayload } from './signing.js';
+
+// Events a webhook can subscribe to; "ping" is only sent when a webhook is tested
+export const WEBHOOK_EVENTS = ['analysis.completed', 'candidate.shortlisted'];
+
+// A delivery is given up after this many failed attempts
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+// Wait before the first retry; it is multiplied by 4 for each further one (30s, 2m, 8m, 32m, ~2h)
+const RETRY_BASE_SECONDS = 30;
+// How long an endpoint has to answer
+const TIMEOUT_MS = (Number(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000;
+// A claimed delivery isn't picked up by another attempt for this long (see claimDelivery in db/integrations.js)
+const LEASE_SECONDS = TIMEOUT_MS / 1000 + 60;
+// How often deliveries due for a retry are looked for
+const SWEEP_INTERVAL_MS = 30 * 1000;
+// How much of an endpoint's response is kept in the delivery log
+const MAX_RESPONSE_LENGTH = 500;
+
+/**
+ * Sends a delivery to its webhook and records the outcome: delivered on a 2xx response, otherwise
+ * retried later with an increasing delay until MAX_ATTEMPTS is reached. Deliveries that aren't due
+ * (or are being sent by another attempt) are left alone.
+ * @param {string} id - The delivery id.
+ * @returns {Promise<object|undefined>} - The delivery after the attempt.
+ */
+export async function attemptDelivery(id) {
+    const delivery = claimDelivery(id, LEASE_SECONDS);
+    if (!delivery) {
+        return getDelivery(id);
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    let outcome;
+    try {
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'ResumeBot-Webhooks/1',
+                'X-ResumeBot-Event': delivery.event,
+                'X-ResumeBot-Delivery': delivery.id,
+                'X-ResumeBot-Timestamp': String(timestamp),
+                'X-ResumeBot-Signature': signPayload(delivery.secret, timestamp, body),
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(TIMEOUT_MS),
+        });
+        const responseBody = (await response.text()).slice(0, MAX_RESPONSE_LENGTH);
+        outcome = response.ok
+            ? { status: 'delivered', responseStatus: response.status, responseBody, error: null }
+            : { responseStatus: response.status, responseBody, error: `The endpoint answered with HTTP ${response.status}.` };
+    } catch (error) {
+        // fetch() reports unreachable endpoints as "fetch failed", with the reason as its cause
+        const reason = error.name === 'TimeoutError' ? `No answer within ${TIMEOUT_MS / 1000} seconds.` : error.cause?.message ?? error.message;
+        outcome = { responseStatus: null, responseBody: null, error: reason };
+    }
+
+    if (outcome.status !== 'delivered') {
+        const attempts = delivery.attempts + 1;
+        outcome.status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+        outcome.retryInSeconds = outcome.status === 'pending' ? RETRY_BASE_SECONDS * 4 ** (attempts - 1) : null;
+        console.error(`Webhook delivery ${delivery.id} (${delivery.event}) to ${delivery.url} failed (attempt ${attempts}): ${outcome.error}`);
+    }
+    recordDeliveryAttempt(delivery.id, { retryInSeconds: null, ...outcome });
+    return getDelivery(delivery.id);
+}
+
+/**
+ * Stores a payload for delivery to a webhook.
+ * @param {object} webhook
+ * @param {string} event
+ * @param {object} data - The event's data, already in the webhook's format.
+ * @returns {string} - The delivery id, also the payload's `id`.
+ */
+function queueDelivery(webhook, event, data) {
+    const id = randomUUID();
+    createDelivery({ id, webhookId: webhook.id, event, payload: { id, event, createdAt: new Date().toISOString(), format: webhook.format, data } });
+    return id;
+}
+
+/**
+ * Queues an event for every active webhook of the workspace subscribed to it, and sends them right away.
+ * @param {number} workspaceId
+ * @param {string} event
+ * @param {(format: string) => object} buildData - The event's data, mapped to a webhook's ATS format (see integrations/ats.js).
+ */
+function emitEvent(workspaceId, event, buildData) {
+    listSubscribedWebhooks(workspaceId, event).forEach((webhook) => {
+        const id = queueDelivery(webhook, event, buildData(webhook.format));
+        attemptDelivery(id).catch((error) => console.error(`Error sending webhook delivery ${id}:`, error));
+    });
+}
+
+/**
+ * Sends "analysis.completed" with the ranked results of a finished run.
+ * @param {string} runId
+ * @param {number} workspaceId
+ */
+export function notifyRunCompleted(runId, workspaceId) {
+    const loaded = listSubscribedWebhooks(workspaceId, 'analysis.completed').length > 0 && loadRankedRun(runId, workspaceId);
+    if (loaded) {
+        emitEvent(workspaceId, 'analysis.completed', (format) => ({
+            run: loaded.run,
+            candidates: toAtsCandidates(format, loaded.rows, loaded),
+        }));
+    }
+}
+
+/**
+ * Sends "candidate.shortlisted" with the analysis of the file of a run that was shortlisted.
+ * @param {string} runId
+ * @param {number} fileIndex
+ * @param {number} workspaceId
+ */
+export function notifyShortlisted(runId, fileIndex, workspaceId) {
+    const loaded = listSubscribedWebhooks(workspaceId, 'candidate.shortlisted').length > 0 && loadRankedRun(runId, workspaceId);
+    const row = loaded && loaded.rows.find((candidate) => candidate.fileIndex === fileIndex);
+    if (row) {
+        emitEvent(workspaceId, 'candidate.shortlisted', (format) => ({
+            run: loaded.run,
+            candidate: toAtsCandidates(format, [row], loaded)[0],
+        }));
+    }
+}
+
+/**
+ * Sends a "ping" to a webhook, whatever it is subscribed to, and waits for the first attempt.
+ * @param {object} webhook - With its `secret` (see getWebhook in db/integrations.js).
+ * @returns {Promise<object>} - The delivery after the attempt.
+ */
+export async function sendTestEvent(webhook) {
+    return attemptDelivery(queueDelivery(webhook, 'ping', { message: 'Webhook test from the Resume Shortlisting Bot.', webhookId: webhook.id }));
+}
+
+/**
+ * Sends the deliveries that are due now and then periodically for as long as the process runs,
+ * so retries, and deliveries interrupted by a restart, go out.
+ */
+export function startWebhookSchedule() {
+    const sweep = async () => {
+        try {
+            for (const id of listDueDeliveryIds()) {
+                await attemptDelivery(id);
+            }
+        } catch (error) {
+            console.error('Error sending webhook retries:', error);
+        }
+    };
+    sweep();
+    setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+}
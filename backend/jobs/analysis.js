@@ -0,0 +1,246 @@
+import { createMeteredProvider, isBudgetExceeded } from '../providers/metered.js';
+import { scoreResume } from '../scoring/index.js';
+import { LOCAL_ENGINE, prescreenResumes, selectForLLM } from '../scoring/prescreen.js';
+import { enqueueJob, isRateLimited, subscribe } from './queue.js';
+import { addFileToCandidate, createCandidateWithFile } from '../db/candidates.js';
+import { createRun, finishRun, findReusableAnalysis, saveAnalysis } from '../db/runs.js';
+import { resolveScoringVersion } from '../db/scoring.js';
+import { recordPrivacyEvent } from '../db/audit.js';
+import { discardUploads, readUpload } from '../files/storage.js';
+import { purgeFiles } from '../files/retention.js';
+import { PII_REDACTION, redactResume } from '../privacy/redaction.js';
+import { extractText } from '../extractors/index.js';
+import { buildProfile } from '../parsing/profile.js';
+import { findDuplicates, fingerprintResume } from '../duplicates/index.js';
+import { parseJobDescription, renderJobForScoring } from '../parsing/job.js';
+import { notifyRunCompleted } from '../integrations/webhooks.js';
+import { randomUUID } from 'crypto';
+import path from 'path';
+
+/**
+ * Extracts the text of every resume of a run and pre-screens them together, deciding which
+ * ones are scored by the LLM (see scoring/prescreen.js). Used as the prepare step of analysis jobs.
+ * Files that can't be extracted are left alone here; the worker reports their error.
+ * @param {object[]} inputs - The inputs of the run's files.
+ * @param {object} job - The structured job the resumes are pre-screened against.
+ * @param {object} weights - The sub-score weights of the run's scoring rubric.
+ */
+async function prescreenRun(inputs, job, weights) {
+    for (const input of inputs) {
+        if (input.file.rejected) {
+            continue;
+        }
+        try {
+            input.resumeText = await extractText(input.file.format.id, await readUpload(input.file));
+        } catch (error) {
+            console.error(`Error extracting file ${input.file.originalname}:`, error);
+        }
+    }
+
+    const extracted = inputs.filter((input) => input.resumeText !== undefined);
+    prescreenResumes(extracted.map((input) => input.resumeText), job, weights).forEach((prescreen, index) => {
+        extracted[index].prescreen = prescreen;
+    });
+    const decisions = selectForLLM(inputs.map((input) => input.prescreen));
+    inputs.forEach((input, index) => {
+        input.skipLLM = decisions.get(index) ?? null;
+    });
+}
+
+/**
+ * Extracts and scores one uploaded resume. Used as the worker of analysis jobs.
+ * Once the text is extracted and parsed into a profile, the candidate and file are recorded: a resume of a
+ * candidate the workspace already has (see duplicates/index.js) is added to that candidate, and when the same
+ * resume was already scored by the LLM for the job with the same prompt, that analysis is reused unless
+ * `reanalyzeDuplicates` is set. The result reports the `duplicate` and any `possibleDuplicates`.
+ * Resumes the pre-screen kept from the LLM, and every resume when no LLM is configured or
+ * the LLM fails to score it, get the local pre-screen analysis instead.
+ * Unless PII_REDACTION=false, the LLM only sees the resume with personal details and protected
+ * attributes masked; the result's `redactions` counts what was masked.
+ * Rate limit errors are rethrown so the job queue can retry the file; any other
+ * failure is reported as an `error` on the result.
+ * @param {object} input
+ * @param {object} input.file - The multer file, already saved by the storage adapter.
+ * @param {string} input.jobDescription - The job description text.
+ * @param {object} input.job - The structured job, for the pre-screen.
+ * @param {object} input.scoringConfig - The prompt template and rubric version to score with (see scoring/configs.js).
+ * @param {number} input.workspaceId - The workspace the candidate is recorded in.
+ * @param {number} input.jobPostingId - The job the resume is scored for.
+ * @param {boolean} input.reanalyzeDuplicates - Whether resumes already scored for the job are scored again.
+ * @param {object} provider - The run's metered LLM provider (see providers/metered.js). Once a budget
+ *   cap is reached, the remaining resumes get the local pre-screen analysis.
+ * @returns {Promise<object>} - The analysis result for the file.
+ */
+async function analyzeFile(input, provider) {
+    const { file, jobDescription } = input;
+
+    // Files whose content is not a supported format were already deleted by the storage engine
+    if (file.rejected) {
+        return {
+            filename: file.originalname,
+            error: file.rejected,
+        };
+    }
+
+    try {
+        // Files are already saved by multer. The text, profile and record ids are
+        // kept on the input so a retried attempt doesn't redo those steps.
+        if (input.resumeText === undefined) {
+            // Dispatch on the format detected from the file's content, not its extension
+            input.resumeText = await extractText(file.format.id, await readUpload(file));
+        }
+        if (input.profile === undefined) {
+            input.profile = await buildProfile(input.resumeText, { llm: provider });
+        }
+        if (input.candidateId === undefined) {
+            const fingerprint = fingerprintResume(await readUpload(file), input.resumeText);
+            const { duplicate, possibleDuplicates } = findDuplicates({
+                workspaceId: input.workspaceId,
+                fingerprint,
+                text: input.resumeText,
+                profile: input.profile,
+            });
+            const storedFile = {
+                originalName: file.originalname,
+                storedName: file.filename,
+                mimeType: file.format.mimeType,
+                size: file.size,
+                extractedText: input.resumeText,
+                fingerprint,
+            };
+            Object.assign(input, { fingerprint, duplicate, possibleDuplicates }, duplicate
+                ? addFileToCandidate(duplicate.candidateId, { profile: input.profile, file: storedFile })
+                : createCandidateWithFile({
+                    name: input.profile.name || path.basename(file.originalname, path.extname(file.originalname)),
+                    profile: input.profile,
+                    workspaceId: input.workspaceId,
+                    file: storedFile,
+                }));
+        }
+        const duplicates = { duplicate: input.duplicate, possibleDuplicates: input.possibleDuplicates };
+
+        // The same resume, already scored by the LLM for this job and prompt, isn't scored again
+        const reusable = input.duplicate && !input.reanalyzeDuplicates
+            && findReusableAnalysis({ jobPostingId: input.jobPostingId, ...input.fingerprint });
+        if (reusable && reusable.result.engine === 'llm' && (reusable.result.scoringConfig?.versionId ?? null) === input.scoringConfig.versionId) {
+            return {
+                ...reusable.result,
+                filename: file.originalname,
+                savedFilename: file.filename,
+                profile: input.profile,
+                reusedAnalysis: { runId: reusable.run_id, fileIndex: reusable.file_index, provider: reusable.provider, model: reusable.model, analyzedAt: reusable.created_at },
+                ...duplicates,
+            };
+        }
+
+        if (input.prescreen === undefined) {
+            input.prescreen = prescreenResumes([input.resumeText], input.job, input.scoringConfig.rubric.weights)[0];
+        }
+
+        let analysis = { ...input.prescreen, llmSkipped: input.skipLLM };
+        if (!provider.isConfigured()) {
+            analysis.llmSkipped = `LLM provider "${provider.name}" is not configured.`;
+        } else if (!input.skipLLM) {
+            try {
+                const { engine, similarity, hardFilters, score } = input.prescreen;
+                const redaction = PII_REDACTION ? redactResume(input.resumeText, input.profile) : null;
+                analysis = {
+                    ...await scoreResume(provider, redaction ? redaction.text : input.resumeText, jobDescription, { config: input.scoringConfig }),
+                    engine: 'llm',
+                    prescreen: { engine, score, similarity, hardFilters },
+                    redactions: redaction?.counts ?? null,
+                };
+            } catch (scoringError) {
+                if (isRateLimited(scoringError)) {
+                    throw scoringError;
+                }
+                if (isBudgetExceeded(scoringError)) {
+                    analysis.llmSkipped = scoringError.message;
+                } else {
+                    console.error(`LLM scoring failed for ${file.originalname}, keeping the pre-screen:`, scoringError);
+                    analysis.llmSkipped = `LLM scoring failed: ${scoringError.message}`;
+                }
+            }
+        }
+
+        return {
+            filename: file.originalname,
+            savedFilename: file.filename, // Store the saved unique filename
+            profile: input.profile,
+            ...analysis,
+            ...duplicates,
+        };
+    } catch (fileProcessingError) {
+        if (isRateLimited(fileProcessingError)) {
+            throw fileProcessingError;
+        }
+        console.error(`Error processing file ${file.originalname}:`, fileProcessingError);
+        // Ensure the file and its record are deleted if processing fails
+        if (input.fileId) {
+            await purgeFiles([{ id: input.fileId, stored_name: file.filename }]);
+            delete input.fileId; // The analysis is saved without the deleted file
+        } else {
+            await discardUploads([file]);
+        }
+        return {
+            filename: file.originalname,
+            error: `Failed to process: ${fileProcessingError.message}`,
+        };
+    }
+    // Files remain stored after processing for download, until the retention sweep
+    // (UPLOAD_TTL_DAYS) or the deletion of their run, posting or candidate removes them.
+}
+
+/**
+ * Queues stored resumes as a background analysis job for a job posting, scoring them with its prompt version.
+ * Each result is saved as it completes, and webhooks are notified once the run is done.
+ * Used for uploads (/analyze and the public API) and for ingested applications (see ingestion/index.js).
+ * @param {object} llm - The LLM provider resumes are scored with (see providers/index.js).
+ * @param {object} options
+ * @param {object[]} options.files - Multer-like files saved by the storage (see files/storage.js).
+ * @param {object} options.posting - The job posting (see db/postings.js).
+ * @param {number} options.workspaceId
+ * @param {number|null} options.userId - Who the run's LLM usage is recorded for.
+ * @param {boolean} [options.blind] - Whether candidates are hidden until a reviewer un-blinds them (see privacy/blind.js).
+ * @param {boolean} [options.reanalyzeDuplicates] - Whether resumes already scored for the job are scored again (see analyzeFile).
+ * @returns {object} - The queued job (see jobs/queue.js).
+ */
+export function queueAnalysis(llm, { files, posting, workspaceId, userId, blind = false, reanalyzeDuplicates = false }) {
+    const scoringConfig = resolveScoringVersion(posting, workspaceId);
+    const jobDescription = posting.isTemplate ? renderJobForScoring(posting) : posting.description;
+    // Ad-hoc postings are parsed on the fly so the pre-screen has requirements to check
+    const job = posting.isTemplate ? posting : parseJobDescription(posting.description);
+
+    const runId = randomUUID();
+    createRun({ id: runId, jobPostingId: posting.id, blind, scoringVersionId: scoringConfig.versionId });
+
+    const inputs = files.map((file) => ({
+        filename: file.originalname, file, jobDescription, job, scoringConfig, workspaceId, jobPostingId: posting.id, reanalyzeDuplicates,
+    }));
+    // Persist each result as it completes, so it survives restarts and page refreshes
+    const unsubscribe = subscribe(runId, ({ type, data }) => {
+        if (type === 'file' && (data.file.status === 'done' || data.file.status === 'error')) {
+            const { candidateId, fileId } = inputs[data.index];
+            const result = data.file.result;
+            const engine = result?.reusedAnalysis
+                ? { name: result.reusedAnalysis.provider, model: result.reusedAnalysis.model }
+                : result?.engine === LOCAL_ENGINE.name ? LOCAL_ENGINE : llm;
+            saveAnalysis({ runId, fileIndex: data.index, candidateId, fileId, filename: data.file.filename, result, llm: engine });
+            if (result?.redactions && !result.reusedAnalysis) {
+                recordPrivacyEvent({ runId, fileIndex: data.index, action: 'redacted', details: { provider: llm.name, counts: result.redactions } });
+            }
+        } else if (type === 'done') {
+            finishRun(runId);
+            unsubscribe();
+            notifyRunCompleted(runId, workspaceId);
+        }
+    });
+    // LLM calls of the run count towards the workspace's and the run's budgets (see providers/metered.js)
+    const provider = createMeteredProvider(llm, { workspaceId, userId, jobPostingId: posting.id, runId });
+    return enqueueJob({
+        id: runId,
+        inputs,
+        prepare: (runInputs) => prescreenRun(runInputs, job, scoringConfig.rubric.weights),
+        worker: (input) => analyzeFile(input, provider),
+    });
+}
@@ -0,0 +1,202 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+
+// How many files are analyzed at the same time, across all jobs
+const CONCURRENCY = Number(process.env.ANALYZE_CONCURRENCY) || 3;
+// Retry settings for rate-limited (HTTP 429) provider calls
+const MAX_RETRIES = Number(process.env.ANALYZE_MAX_RETRIES) || 4;
+const BASE_DELAY_MS = 1000;
+// Finished jobs are kept this long so clients can still fetch their results
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0); // One listener per open progress stream
+
+const pending = [];
+let active = 0;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Tells whether an error is a provider rate limit response.
+ * groq-sdk errors carry `status`, openai v3 (axios) errors carry `response.status`.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRateLimited(error) {
+    return error?.status === 429 || error?.response?.status === 429;
+}
+
+/**
+ * Works out how long to wait before retrying a rate-limited call.
+ * Honors a Retry-After header when the provider sends one, otherwise backs off exponentially with jitter.
+ * @param {Error} error
+ * @param {number} attempt - Zero-based retry number.
+ * @returns {number} - Delay in milliseconds.
+ */
+function retryDelay(error, attempt) {
+    const retryAfter = Number(error?.headers?.['retry-after'] ?? error?.response?.headers?.['retry-after']);
+    if (retryAfter > 0) {
+        return retryAfter * 1000;
+    }
+    return BASE_DELAY_MS * 2 ** attempt + Math.round(Math.random() * BASE_DELAY_MS);
+}
+
+/**
+ * Returns the public view of a job, as sent to clients.
+ * @param {object} job
+ * @returns {object}
+ */
+function toJSON(job) {
+    const { id, status, createdAt, finishedAt, files } = job;
+    return { id, status, createdAt, finishedAt, files };
+}
+
+function emit(job, type, data) {
+    events.emit(job.id, { type, data });
+}
+
+function finishJobIfDone(job) {
+    if (job.files.some((file) => file.status !== 'done' && file.status !== 'error')) {
+        return;
+    }
+    job.status = 'completed';
+    job.finishedAt = new Date().toISOString();
+    emit(job, 'done', toJSON(job));
+    setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+/**
+ * Runs one file of a job, retrying with backoff while the provider is rate limiting us.
+ * @param {object} job
+ * @param {number} index - Index of the file within the job.
+ */
+async function runTask(job, index) {
+    const file = job.files[index];
+    file.status = 'processing';
+    job.status = 'running';
+    emit(job, 'file', { index, file });
+
+    for (let attempt = 0; ; attempt++) {
+        file.attempts = attempt + 1;
+        try {
+            file.result = await job.worker(job.inputs[index]);
+            file.status = file.result?.error ? 'error' : 'done';
+            break;
+        } catch (error) {
+            if (isRateLimited(error) && attempt < MAX_RETRIES) {
+                const delay = retryDelay(error, attempt);
+                console.warn(`Rate limited while processing ${file.filename}, retrying in ${delay}ms`);
+                file.status = 'retrying';
+                emit(job, 'file', { index, file });
+                await sleep(delay);
+                file.status = 'processing';
+                continue;
+            }
+            console.error(`Error processing file ${file.filename}:`, error);
+            file.status = 'error';
+            file.result = { filename: file.filename, error: `Failed to process: ${error.message}` };
+            break;
+        }
+    }
+
+    emit(job, 'file', { index, file });
+    finishJobIfDone(job);
+}
+
+/**
+ * Starts queued tasks until the concurrency limit is reached.
+ */
+function drain() {
+    while (active < CONCURRENCY && pending.length > 0) {
+        const { job, index } = pending.shift();
+        active++;
+        runTask(job, index)
+            .catch((error) => console.error(`Error running file ${index} of job ${job.id}:`, error))
+            .finally(() => {
+                active--;
+                drain();
+            });
+    }
+}
+
+/**
+ * Creates a job that processes each input in the background.
+ * @param {object} options
+ * @param {string} [options.id] - Job id to use instead of a generated one.
+ * @param {Array<{filename: string}>} options.inputs - One entry per file; passed to the worker as-is.
+ * @param {function(object[]): Promise<void>} [options.prepare] - Runs once over all inputs before any
+ *   of them is processed, e.g. to rank them; it may annotate the inputs for the worker.
+ * @param {function(object): Promise<object>} options.worker - Processes one input and resolves with its result.
+ * @returns {object} - The public view of the new job.
+ */
+export function enqueueJob({ id = randomUUID(), inputs, prepare, worker }) {
+    const job = {
+        id,
+        status: prepare ? 'preparing' : 'queued',
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        files: inputs.map((input) => ({ filename: input.filename, status: 'queued', attempts: 0, result: null })),
+        inputs,
+        worker,
+    };
+    jobs.set(job.id, job);
+
+    const queueFiles = () => {
+        inputs.forEach((input, index) => pending.push({ job, index }));
+        drain();
+    };
+    if (prepare) {
+        // A failed preparation leaves the inputs as they were; the worker still processes each of them
+        Promise.resolve()
+            .then(() => prepare(inputs))
+            .catch((error) => console.error(`Error preparing job ${job.id}:`, error))
+            .finally(() => {
+                job.status = 'queued';
+                queueFiles();
+            });
+    } else {
+        queueFiles();
+    }
+    return toJSON(job);
+}
+
+/**
+ * Looks up a job by id.
+ * @param {string} id
+ * @returns {object|null} - The public view of the job, or null if unknown or expired.
+ */
+export function getJob(id) {
+    const job = jobs.get(id);
+    return job ? toJSON(job) : null;
+}
+
+/**
+ * Tells whether a job still has files queued or being processed, e.g. before deleting its stored run.
+ * @param {string} id
+ * @returns {boolean} - false once the job completed, and for unknown or expired jobs.
+ */
+export function isJobActive(id) {
+    const job = jobs.get(id);
+    return Boolean(job && job.status !== 'completed');
+}
+
+/**
+ * Subscribes to progress events of a job. Listeners are called while the queue emits the event, so an
+ * error one throws is logged here instead of interrupting the job or the other listeners.
+ * @param {string} id - The job id.
+ * @param {function({type: string, data: object}): void} listener - Receives "file" and "done" events.
+ * @returns {function(): void} - Unsubscribes the listener.
+ */
+export function subscribe(id, listener) {
+    const guarded = (event) => {
+        try {
+            listener(event);
+        } catch (error) {
+            console.error(`Error handling a "${event.type}" event of job ${id}:`, error);
+        }
+    };
+    events.on(id, guarded);
+    return () => events.off(id, guarded);
+}
@@ -0,0 +1,216 @@
+import Ajv from 'ajv';
+
+// Default weights: must-haves count twice as much as nice-to-haves
+export const MUST_HAVE_WEIGHT = 2;
+export const NICE_TO_HAVE_WEIGHT = 1;
+
+const MUST_HAVE_HEADINGS = /^(requirements|required|required skills|required qualifications|must[- ]haves?|must have skills|qualifications|minimum qualifications|basic qualifications|what you('ll)? need|what we('re)? looking for|skills|key skills)$/;
+const NICE_TO_HAVE_HEADINGS = /^(nice[- ]to[- ]haves?|preferred|preferred qualifications|preferred skills|bonus|bonus points|pluses|desired skills|good to have|desirable)$/;
+const OTHER_HEADINGS = /^(about us|about the company|about the role|responsibilities|what you('ll)? do|benefits|perks|how to apply|the role|overview|job description|description)$/;
+// Exported so requirements inferred from a description's wording (see scoring/prescreen.js) are weighted alike
+export const NICE_TO_HAVE_LINE = /nice[- ]to[- ]have|preferred|bonus|a plus|desirable|good to have/i;
+// "5+ years of backend development", "3 years' experience", "experience: 4 years"; not "founded 3 years ago"
+const EXPERIENCE_YEARS = [
+    /\b(\d{1,2})\+?\s*(?:-\s*\d{1,2}\s*)?(?:years?|yrs?)['’]?\s+(?:of\b|(?:[\w-]+\s+){0,3}experience\b)/gi,
+    /\bexperience\b[^.\n]{0,40}?\b(\d{1,2})\+?\s*(?:years?|yrs?)\b/gi,
+];
+const DEGREE = /\b(bachelor'?s?|master'?s?|ph\.?d|doctorate|mba|b\.?\s?(sc|s|a|tech|e)|m\.?\s?(sc|s|a|tech)|degree)\b/i;
+
+/**
+ * Turns a requirement line into a short item: bullets and filler are dropped.
+ * @param {string} line
+ * @returns {string}
+ */
+function toItem(line) {
+    return line
+        .replace(/^([-*•·●▪]|\d+[.)])\s*/, '')
+        .replace(/\s*\((nice to have|preferred|a plus|bonus)\)\s*$|\s+(is|are|would be) (a plus|preferred|a bonus|nice to have)\.?$/i, '')
+        .replace(/[.;]+$/, '')
+        .trim();
+}
+
+/**
+ * Tells which requirements section a heading starts, if it is one.
+ * @param {string} line
+ * @returns {string|null} - "must", "nice", "other", or null when the line isn't a heading.
+ */
+function headingSection(line) {
+    const heading = line.toLowerCase().replace(/[:\s]+$/, '').replace(/\s+/g, ' ');
+    if (heading.split(' ').length > 5) {
+        return null;
+    }
+    if (MUST_HAVE_HEADINGS.test(heading)) {
+        return 'must';
+    }
+    if (NICE_TO_HAVE_HEADINGS.test(heading)) {
+        return 'nice';
+    }
+    return OTHER_HEADINGS.test(heading) ? 'other' : null;
+}
+
+/**
+ * Parses a job description into structured, weighted requirements using heuristics only.
+ * Bullets under a requirements heading become must-haves and bullets under a
+ * preferred/nice-to-have heading become nice-to-haves, as do the comma-separated items of
+ * an inline "Required: X, Y" or "Nice to have: Z" line; without headings, each bullet
+ * is classified by its own wording. The minimum experience is only taken from phrasing
+ * about experience, such as "5+ years of Python".
+ * @param {string} text - The job description.
+ * @returns {object} - The parsed job.
+ */
+export function parseJobDescription(text) {
+    const lines = (text || '').split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+    const mustHave = [];
+    const niceToHave = [];
+    let section = null;
+    let sawHeadings = false;
+
+    lines.forEach((line) => {
+        const headingOf = headingSection(line);
+        if (headingOf) {
+            section = headingOf;
+            sawHeadings = true;
+            return;
+        }
+        // An inline list, with the heading and its items on one line, leaves the section as it was
+        const inline = line.replace(/^([-*•·●▪]|\d+[.)])\s*/, '').match(/^([^:]{2,40}):\s*(.+)$/);
+        const inlineSection = inline && headingSection(inline[1]);
+        if (inlineSection) {
+            const items = inline[2].split(/[,;]|\s+and\s+/).map(toItem).filter((item) => item && item.length <= 150);
+            if (inlineSection !== 'other') {
+                (inlineSection === 'must' ? mustHave : niceToHave).push(...items);
+            }
+            return;
+        }
+        const isBullet = /^[-*•·●▪]|^\d+[.)]\s/.test(line);
+        const item = toItem(line);
+        if (!item || item.length > 150) {
+            return;
+        }
+        if (section === 'must' || (!sawHeadings && isBullet && !NICE_TO_HAVE_LINE.test(line))) {
+            (NICE_TO_HAVE_LINE.test(line) ? niceToHave : mustHave).push(item);
+        } else if (section === 'nice' || (!sawHeadings && isBullet)) {
+            niceToHave.push(item);
+        }
+    });
+
+    const titleLine = lines.find((line) => /^(job title|title|position|role)\s*:/i.test(line));
+    const locationLine = lines.find((line) => /^(location|based in)\s*:/i.test(line));
+    const workMode = (text || '').match(/\b(remote|hybrid|on-?site)\b/i)?.[0];
+    const years = EXPERIENCE_YEARS.flatMap((pattern) => [...(text || '').matchAll(pattern)].map((match) => Number(match[1])));
+
+    return {
+        title: titleLine ? titleLine.replace(/^[^:]+:\s*/, '') : (lines[0] || '').slice(0, 100),
+        location: locationLine ? locationLine.replace(/^[^:]+:\s*/, '') : workMode ?? null,
+        minExperienceYears: years.length ? Math.min(...years) : null,
+        education: lines.find((line) => DEGREE.test(line)) ? toItem(lines.find((line) => DEGREE.test(line))) : null,
+        mustHave: [...new Set(mustHave)].map((skill) => ({ skill, weight: MUST_HAVE_WEIGHT })),
+        niceToHave: [...new Set(niceToHave)].map((skill) => ({ skill, weight: NICE_TO_HAVE_WEIGHT })),
+        description: text || '',
+    };
+}
+
+const weightedItems = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['skill', 'weight'],
+        properties: {
+            skill: { type: 'string', minLength: 1 },
+            weight: { type: 'number', minimum: 0, maximum: 10 },
+        },
+    },
+};
+
+/**
+ * JSON schema of a job, used both for LLM output and for jobs saved through the API.
+ */
+export const jobSchema = {
+    type: 'object',
+    required: ['title', 'description', 'mustHave', 'niceToHave'],
+    properties: {
+        title: { type: 'string', minLength: 1 },
+        description: { type: 'string', minLength: 1 },
+        location: { type: ['string', 'null'] },
+        minExperienceYears: { type: ['number', 'null'], minimum: 0 },
+        education: { type: ['string', 'null'] },
+        mustHave: weightedItems,
+        niceToHave: weightedItems,
+    },
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validate = ajv.compile(jobSchema);
+
+/**
+ * Validates a job, e.g. a template submitted for saving.
+ * @param {object} job
+ * @returns {string[]} - Human readable validation errors, empty when valid.
+ */
+export function validateJob(job) {
+    if (validate(job)) {
+        return [];
+    }
+    return validate.errors.map((error) => `${error.instancePath || '(root)'} ${error.message}`);
+}
+
+/**
+ * Builds the structured job for a job description.
+ * Heuristics always run; with `useLLM` the LLM's extraction replaces them when it returns a valid job.
+ * @param {string} text - The job description.
+ * @param {object} [options]
+ * @param {object} [options.llm] - The LLM provider used for the extraction pass.
+ * @param {boolean} [options.useLLM] - Whether to run the LLM extraction pass.
+ * @returns {Promise<object>} - The job, with `source` telling how it was built.
+ */
+export async function buildJob(text, { llm, useLLM = false } = {}) {
+    const job = { ...parseJobDescription(text), source: 'heuristic' };
+    if (!useLLM || !llm?.isConfigured()) {
+        return job;
+    }
+
+    const prompt = `Extract the structured requirements of the job description below. Your response MUST be ONLY a JSON object with the keys "title" (string), "location" (string or null), "minExperienceYears" (number or null), "education" (string or null), "mustHave" and "niceToHave" (arrays of objects with "skill", a short requirement, and "weight", ${MUST_HAVE_WEIGHT} for must-haves and ${NICE_TO_HAVE_WEIGHT} for nice-to-haves). Do NOT include any other text.
+
+Job Description:
+${text}
+
+JSON Response:`;
+
+    const { text: response } = await llm.complete({ task: 'job', input: { jobDescription: text }, prompt, temperature: 0, maxTokens: 1000 });
+    try {
+        const extracted = { ...JSON.parse(response.substring(response.indexOf('{'), response.lastIndexOf('}') + 1)), description: text };
+        const problems = validateJob(extracted);
+        if (problems.length === 0) {
+            return { ...extracted, source: 'llm' };
+        }
+        console.error('LLM job did not match the schema:', problems);
+    } catch (error) {
+        console.error('Failed to parse LLM job response:', error);
+    }
+    return job;
+}
+
+/**
+ * Renders a saved job as the job description text sent for scoring, so the
+ * model sees the recruiter's weighted requirements along with the original text.
+ * @param {object} job - A job as returned by db/postings.js.
+ * @returns {string}
+ */
+export function renderJobForScoring(job) {
+    const parts = [job.description.trim()];
+    if (job.mustHave.length > 0) {
+        parts.push(`Must-have requirements (weight in parentheses):\n${job.mustHave.map((item) => `- ${item.skill} (${item.weight})`).join('\n')}`);
+    }
+    if (job.niceToHave.length > 0) {
+        parts.push(`Nice-to-have requirements (weight in parentheses):\n${job.niceToHave.map((item) => `- ${item.skill} (${item.weight})`).join('\n')}`);
+    }
+    const details = [
+        job.minExperienceYears !== null && job.minExperienceYears !== undefined && `Minimum experience: ${job.minExperienceYears} years`,
+        job.education && `Education: ${job.education}`,
+        job.location && `Location: ${job.location}`,
+    ].filter(Boolean);
+    if (details.length > 0) {
+        parts.push(details.join('\n'));
+    }
+    return parts.join('\n\n');
+}
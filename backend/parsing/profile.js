@@ -0,0 +1,123 @@
+import Ajv from 'ajv';
+import { parseResume, totalExperienceYears } from './resume.js';
+import { PII_REDACTION, redactResume } from '../privacy/redaction.js';
+import { isBudgetExceeded } from '../providers/metered.js';
+
+// Whether /analyze refines the heuristic profile with an extra LLM call per resume
+export const PROFILE_LLM_EXTRACTION = process.env.PROFILE_LLM_EXTRACTION === 'true';
+
+const nullableString = { type: ['string', 'null'] };
+const monthString = { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}$' };
+
+const profileSchema = {
+    type: 'object',
+    required: ['name', 'email', 'phone', 'summary', 'experience', 'education', 'skills', 'certifications'],
+    properties: {
+        name: nullableString,
+        email: nullableString,
+        phone: nullableString,
+        summary: nullableString,
+        experience: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['title', 'company', 'startDate', 'endDate', 'current'],
+                properties: {
+                    title: nullableString,
+                    company: nullableString,
+                    startDate: monthString,
+                    endDate: monthString,
+                    current: { type: 'boolean' },
+                },
+            },
+        },
+        education: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['degree', 'institution', 'year'],
+                properties: { degree: nullableString, institution: nullableString, year: nullableString },
+            },
+        },
+        skills: { type: 'array', items: { type: 'string' } },
+        certifications: { type: 'array', items: { type: 'string' } },
+    },
+};
+
+const validateProfile = new Ajv().compile(profileSchema);
+
+/**
+ * Asks the LLM to extract a profile from resume text.
+ * @param {object} llm - The LLM provider (see providers/index.js).
+ * @param {string} resumeText
+ * @returns {Promise<object|null>} - The extracted profile, or null if the response was unusable.
+ */
+async function extractProfileWithLLM(llm, resumeText) {
+    const prompt = `Extract the candidate profile from the resume below. Your response MUST be ONLY a JSON object with the keys "name", "email", "phone", "summary" (strings or null), "experience" (an array of objects with "title", "company", "startDate" and "endDate" as "YYYY-MM" or null, and "current" as a boolean), "education" (an array of objects with "degree", "institution" and "year", strings or null), "skills" and "certifications" (arrays of strings). Do NOT include any other text.
+
+Resume:
+${resumeText}
+
+JSON Response:`;
+
+    const { text } = await llm.complete({ task: 'profile', input: { resumeText }, prompt, temperature: 0, maxTokens: 1500 });
+    try {
+        const profile = JSON.parse(text.substring(text.indexOf('{'), text.lastIndexOf('}') + 1));
+        if (validateProfile(profile)) {
+            return profile;
+        }
+        console.error('LLM profile did not match the schema:', validateProfile.errors);
+    } catch (error) {
+        console.error('Failed to parse LLM profile response:', error);
+    }
+    return null;
+}
+
+/**
+ * Builds the structured candidate profile of a resume.
+ * Heuristics always run; with `useLLM` the LLM's extraction takes precedence for every
+ * field it fills in, except email and phone where the heuristic patterns are more reliable.
+ * With `redact` the LLM only sees the redacted text (see privacy/redaction.js), so the name
+ * also comes from the heuristics. Once an LLM budget cap is reached the heuristic profile is kept.
+ * @param {string} resumeText - The extracted resume text.
+ * @param {object} [options]
+ * @param {object} [options.llm] - The LLM provider used for the extraction pass.
+ * @param {boolean} [options.useLLM] - Whether to run the LLM extraction pass.
+ * @param {boolean} [options.redact] - Whether personal details are masked before the LLM sees the text.
+ * @returns {Promise<object>} - The profile, with `source` telling how it was built.
+ */
+export async function buildProfile(resumeText, { llm, useLLM = PROFILE_LLM_EXTRACTION, redact = PII_REDACTION } = {}) {
+    const profile = { ...parseResume(resumeText), source: 'heuristic' };
+    if (!useLLM || !llm?.isConfigured()) {
+        return profile;
+    }
+
+    let extracted;
+    try {
+        extracted = await extractProfileWithLLM(llm, redact ? redactResume(resumeText, profile).text : resumeText);
+    } catch (error) {
+        if (!isBudgetExceeded(error)) {
+            throw error;
+        }
+        return profile;
+    }
+    if (!extracted) {
+        return profile;
+    }
+
+    const isFilled = (value) => (Array.isArray(value) ? value.length > 0 : value !== null && value !== '');
+    const merged = { ...profile, source: 'heuristic+llm' };
+    const fields = ['summary', 'experience', 'education', 'skills', 'certifications'];
+    // The redacted text has no name or contact details left to extract
+    (redact ? fields : ['name', ...fields]).forEach((key) => {
+        if (isFilled(extracted[key])) {
+            merged[key] = extracted[key];
+        }
+    });
+    if (!redact) {
+        merged.email = profile.email ?? extracted.email;
+        merged.phone = profile.phone ?? extracted.phone;
+    }
+    merged.totalExperienceYears = totalExperienceYears(merged.experience);
+    return merged;
+}
@@ -0,0 +1,212 @@
+// Heading words that start each resume section
+const SECTION_HEADINGS = {
+    summary: /^(summary|professional summary|profile|about me|about|objective|career objective)$/,
+    experience: /^(experience|work experience|professional experience|employment|employment history|work history|career history)$/,
+    education: /^(education|academic background|academics|qualifications|education and training)$/,
+    skills: /^(skills|technical skills|key skills|core competencies|competencies|technologies|tech stack)$/,
+    certifications: /^(certifications|certificates|licenses|licenses and certifications|certifications and licenses)$/,
+    projects: /^(projects|personal projects|key projects)$/,
+};
+
+export const EMAIL = /[\w.+-]+@[\w-]+(\.[\w-]+)+/;
+export const PHONE = /(\+?\d{1,3}[\s.-]?)?(\(\d{2,4}\)[\s.-]?)?\d{3,5}[\s.-]?\d{3,4}([\s.-]?\d{2,4})?/g;
+const LINK = /(https?:\/\/)?(www\.)?(linkedin\.com|github\.com|gitlab\.com)\/[\w\-/.%]+/gi;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DATE = String.raw`(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+\d{4}|\d{1,2}[/.-]\d{4}|\d{4})`;
+export const DATE_RANGE = new RegExp(String.raw`(${DATE})\s*(?:-|–|—|to|until)\s*(${DATE}|present|current|now|today)`, 'i');
+const DEGREE = /\b(bachelor|master|ph\.?d|doctorate|mba|b\.?\s?(sc|s|a|tech|e|eng)|m\.?\s?(sc|s|a|tech|e|eng)|diploma|associate)\b/i;
+const INSTITUTION = /\b(university|college|institute|school|academy|polytechnic)\b/i;
+
+/**
+ * Parses a resume date such as "Mar 2021", "03/2021" or "2021" into "YYYY-MM".
+ * @param {string} value
+ * @param {boolean} isEnd - Whether a year-only date should resolve to December.
+ * @returns {string|null} - null for "present" and unparseable dates.
+ */
+function parseDate(value, isEnd) {
+    const text = value.toLowerCase().trim();
+    const named = text.match(/^([a-z]+)\.?\s+(\d{4})$/);
+    if (named) {
+        const month = MONTHS.indexOf(named[1].slice(0, 3)) + 1;
+        return month > 0 ? `${named[2]}-${String(month).padStart(2, '0')}` : null;
+    }
+    const numeric = text.match(/^(\d{1,2})[/.-](\d{4})$/);
+    if (numeric) {
+        return `${numeric[2]}-${numeric[1].padStart(2, '0')}`;
+    }
+    return /^\d{4}$/.test(text) ? `${text}-${isEnd ? '12' : '01'}` : null;
+}
+
+/**
+ * Finds the first phone number in a text. Requiring nine digits keeps year ranges such as "2016-2019" out.
+ * @param {string} text
+ * @returns {string|null}
+ */
+function findPhone(text) {
+    const match = [...text.matchAll(PHONE)].find(([candidate]) => candidate.replace(/\D/g, '').length >= 9);
+    return match ? match[0].trim() : null;
+}
+
+/**
+ * Recognizes a section heading line such as "Work Experience:".
+ * @param {string} line - A trimmed line of resume text.
+ * @returns {string|undefined} - The section it starts, or undefined if it is not a heading.
+ */
+export function headingOf(line) {
+    const heading = line.toLowerCase().replace(/[:\s]+$/, '').replace(/\s+/g, ' ').replace(/&/g, 'and');
+    return heading.split(' ').length <= 4
+        ? Object.keys(SECTION_HEADINGS).find((name) => SECTION_HEADINGS[name].test(heading))
+        : undefined;
+}
+
+/**
+ * Splits resume text into its sections by recognizing heading lines.
+ * Lines before the first heading are kept as the "header" section.
+ * @param {string} text
+ * @returns {Object<string, string[]>} - Lines per section name.
+ */
+export function splitSections(text) {
+    const sections = { header: [] };
+    let current = 'header';
+
+    text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean).forEach((line) => {
+        const section = headingOf(line);
+        if (section) {
+            current = section;
+            sections[current] = sections[current] || [];
+        } else {
+            sections[current] = sections[current] || [];
+            sections[current].push(line);
+        }
+    });
+
+    return sections;
+}
+
+/**
+ * Finds experience entries: each line with a date range starts an entry, and its
+ * title and company come from the rest of that line or the line before it.
+ * @param {string[]} lines - Lines of the experience section.
+ * @returns {object[]}
+ */
+function parseExperience(lines) {
+    const entries = [];
+    lines.forEach((line, index) => {
+        const range = line.match(DATE_RANGE);
+        if (!range) {
+            return;
+        }
+        let heading = line.replace(range[0], '').replace(/[|,–—()-]+\s*$/, '').replace(/^\s*[|,–—()-]+/, '').trim();
+        if (!heading && index > 0 && !DATE_RANGE.test(lines[index - 1])) {
+            heading = lines[index - 1];
+        }
+        const [title, company] = heading.split(/\s+(?:at|@)\s+|\s*[|,–—]\s*|\s+-\s+/).map((part) => part.trim());
+        const current = /present|current|now|today/i.test(range[2]);
+        entries.push({
+            title: title || null,
+            company: company || null,
+            startDate: parseDate(range[1], false),
+            endDate: current ? null : parseDate(range[2], true),
+            current,
+        });
+    });
+    return entries;
+}
+
+/**
+ * Adds up the months covered by experience entries, counting overlapping jobs once.
+ * @param {object[]} experience - Entries with "YYYY-MM" startDate/endDate.
+ * @param {Date} [now] - The date used for current positions.
+ * @returns {number|null} - Total years, rounded to one decimal, or null if no entry has dates.
+ */
+export function totalExperienceYears(experience, now = new Date()) {
+    const toMonth = (date) => {
+        const [year, month] = date.split('-').map(Number);
+        return year * 12 + month - 1;
+    };
+    const months = new Set();
+    experience.forEach((entry) => {
+        if (!entry.startDate) {
+            return;
+        }
+        const end = entry.endDate ? toMonth(entry.endDate) : now.getFullYear() * 12 + now.getMonth();
+        for (let month = toMonth(entry.startDate); month <= end; month++) {
+            months.add(month);
+        }
+    });
+    return months.size ? Math.round((months.size / 12) * 10) / 10 : null;
+}
+
+/**
+ * Finds education entries: lines naming a degree or an institution, with a year if given.
+ * @param {string[]} lines - Lines of the education section.
+ * @returns {object[]}
+ */
+function parseEducation(lines) {
+    const entries = [];
+    // The last year on a line is the graduation year; it is kept out of the degree and institution text
+    const withoutDates = (line) => line.replace(DATE_RANGE, '').replace(/[,(\s-]*\b(19|20)\d{2}\)?\s*$/, '').trim();
+    lines.forEach((line) => {
+        const year = line.match(/\b(19|20)\d{2}\b(?!.*\b(19|20)\d{2}\b)/)?.[0] ?? null;
+        if (DEGREE.test(line)) {
+            entries.push({ degree: withoutDates(line), institution: null, year });
+        } else if (INSTITUTION.test(line)) {
+            const previous = entries[entries.length - 1];
+            if (previous && !previous.institution) {
+                previous.institution = withoutDates(line);
+                previous.year = previous.year ?? year;
+            } else {
+                entries.push({ degree: null, institution: withoutDates(line), year });
+            }
+        }
+    });
+    return entries;
+}
+
+/**
+ * Splits a skills section into individual skills.
+ * @param {string[]} lines
+ * @returns {string[]}
+ */
+function parseSkills(lines) {
+    const skills = lines
+        .flatMap((line) => line.replace(/^[^:]{1,30}:\s*/, '').split(/[,;|•·]|\s{2,}/))
+        .map((skill) => skill.replace(/^[-*\s]+|[.\s]+$/g, ''))
+        .filter((skill) => skill.length > 0 && skill.length <= 40);
+    return [...new Set(skills)];
+}
+
+/**
+ * Picks the candidate's name: the first header line that looks like a name rather than contact details.
+ * @param {string[]} lines
+ * @returns {string|null}
+ */
+function parseName(lines) {
+    const name = lines.find((line) => !EMAIL.test(line) && !findPhone(line) && !/https?:|www\./i.test(line)
+        && /^[\p{L}][\p{L}'.-]*(\s+[\p{L}][\p{L}'.-]*){0,4}$/u.test(line));
+    return name ?? null;
+}
+
+/**
+ * Parses resume text into a structured candidate profile using heuristics only.
+ * @param {string} text - The extracted resume text.
+ * @returns {object} - The candidate profile.
+ */
+export function parseResume(text) {
+    const sections = splitSections(text || '');
+    const experience = parseExperience(sections.experience || []);
+
+    return {
+        name: parseName(sections.header.slice(0, 5)),
+        email: text.match(EMAIL)?.[0] ?? null,
+        phone: findPhone(text),
+        links: [...new Set(text.match(LINK) || [])],
+        summary: sections.summary?.join(' ') || null,
+        experience,
+        totalExperienceYears: totalExperienceYears(experience),
+        education: parseEducation(sections.education || []),
+        skills: parseSkills(sections.skills || []),
+        certifications: sections.certifications || [],
+    };
+}
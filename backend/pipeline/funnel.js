@@ -0,0 +1,79 @@
+import { meanOf, spearman } from '../evaluation/metrics.js';
+
+// AI score bands the outcomes are compared over
+const SCORE_BANDS = [[0, 19], [20, 39], [40, 59], [60, 79], [80, 100]];
+
+/**
+ * Rounds a share to three decimals.
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+function round(value) {
+    return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Summarizes a job's pipeline as a funnel, and how the AI score relates to the outcome.
+ *
+ * The funnel runs through the stages that don't reject, in board order. A candidate reached a stage when
+ * they were ever moved to it or to a later one, so moving back doesn't undo it; candidates that were
+ * rejected count as dropped at the furthest stage they reached. A stage's conversion is the share of the
+ * candidates that reached the previous stage who also reached it.
+ *
+ * Candidates in a "hired" stage are hired and those in a "rejected" stage are rejected; the others are
+ * still open. The score correlation is Spearman's between the AI score and being hired (1) or rejected (0),
+ * over the decided candidates: positive when better-scored candidates were hired more often.
+ * @param {object} pipeline
+ * @param {object[]} pipeline.stages - See listStages() in db/pipeline.js.
+ * @param {object[]} pipeline.cards - See getBoard() in db/pipeline.js.
+ * @param {Array<{candidateId: number, toStageId: number|null}>} pipeline.moves - See listMoves().
+ * @returns {object}
+ */
+export function summarizeFunnel({ stages, cards, moves }) {
+    const funnel = stages.filter((stage) => stage.outcome !== 'rejected');
+    const funnelIndex = new Map(funnel.map((stage, index) => [stage.id, index]));
+    const stageOutcome = new Map(stages.map((stage) => [stage.id, stage.outcome]));
+
+    // The furthest funnel stage each candidate reached
+    const furthest = new Map(cards.map((card) => [card.candidateId, funnelIndex.get(card.stageId) ?? 0]));
+    moves.filter((move) => furthest.has(move.candidateId) && funnelIndex.has(move.toStageId)).forEach((move) => {
+        furthest.set(move.candidateId, Math.max(furthest.get(move.candidateId), funnelIndex.get(move.toStageId)));
+    });
+    const outcomeOf = (card) => stageOutcome.get(card.stageId) ?? 'open';
+
+    const reached = funnel.map((stage, index) => cards.filter((card) => furthest.get(card.candidateId) >= index).length);
+    const funnelStages = funnel.map((stage, index) => ({
+        id: stage.id,
+        name: stage.name,
+        current: cards.filter((card) => card.stageId === stage.id).length,
+        reached: reached[index],
+        conversion: index === 0 ? null : round(reached[index - 1] ? reached[index] / reached[index - 1] : null),
+        droppedHere: cards.filter((card) => outcomeOf(card) === 'rejected' && furthest.get(card.candidateId) === index).length,
+    }));
+
+    const outcomes = Object.fromEntries(['hired', 'rejected', 'open'].map((outcome) => {
+        const scores = cards.filter((card) => outcomeOf(card) === outcome).map((card) => card.score);
+        return [outcome, { count: scores.length, meanScore: round(meanOf(scores)) }];
+    }));
+
+    const scored = cards.filter((card) => typeof card.score === 'number');
+    const scoreBands = SCORE_BANDS.map(([low, high]) => {
+        const inBand = scored.filter((card) => card.score >= low && card.score <= high);
+        const hired = inBand.filter((card) => outcomeOf(card) === 'hired').length;
+        const rejected = inBand.filter((card) => outcomeOf(card) === 'rejected').length;
+        // The share of the band's decided candidates that were hired
+        return { band: `${low}-${high}`, candidates: inBand.length, hired, rejected, hireRate: round(hired + rejected ? hired / (hired + rejected) : null) };
+    });
+
+    const decided = scored.filter((card) => outcomeOf(card) !== 'open');
+    return {
+        candidates: cards.length,
+        stages: funnelStages,
+        rejectedStages: stages.filter((stage) => stage.outcome === 'rejected').map((stage) => ({
+            id: stage.id, name: stage.name, current: cards.filter((card) => card.stageId === stage.id).length,
+        })),
+        outcomes,
+        scoreBands,
+        scoreOutcomeCorrelation: round(spearman(decided.map((card) => card.score), decided.map((card) => (outcomeOf(card) === 'hired' ? 1 : 0)))),
+    };
+}
@@ -0,0 +1,112 @@
+/**
+ * Hides who a candidate is from an analysis result: the profile's name, contact details and links,
+ * the uploaded filename (which often carries the name) and the stored file it can be downloaded from,
+ * and the names, filenames and changed resume lines of the duplicate check (see duplicates/index.js).
+ * The scores, requirements and skills are left as they are.
+ * @param {object|null} result - An analysis result (see analyzeFile in index.js).
+ * @param {number} index - Position of the file within its run, used for the stand-in name.
+ * @returns {object|null}
+ */
+export function blindResult(result, index) {
+    if (!result) {
+        return result;
+    }
+    const blinded = {
+        ...result,
+        filename: candidateLabel(index),
+        profile: result.profile && { ...result.profile, name: null, email: null, phone: null, links: [] },
+        duplicate: result.duplicate && {
+            ...result.duplicate,
+            name: null,
+            priorScores: result.duplicate.priorScores.map((prior) => ({ ...prior, filename: null })),
+            changes: result.duplicate.changes && { addedSkills: result.duplicate.changes.addedSkills, removedSkills: result.duplicate.changes.removedSkills },
+        },
+        possibleDuplicates: result.possibleDuplicates?.map((possible) => ({ ...possible, name: null })),
+        blinded: true,
+    };
+    delete blinded.savedFilename;
+    return blinded;
+}
+
+/**
+ * The stand-in name of a blinded candidate.
+ * @param {number} index - Position of the file within its run.
+ * @returns {string}
+ */
+export function candidateLabel(index) {
+    return `Candidate ${index + 1}`;
+}
+
+/**
+ * Blinds the files of a blind-screening run (in the shape of jobs/queue.js), except those a reviewer un-blinded.
+ * Runs without blind screening are returned unchanged.
+ * @param {object} run - With `blind` and `files`.
+ * @param {Set<number>} unblinded - Indexes of the files that were un-blinded.
+ * @returns {object}
+ */
+export function blindRun(run, unblinded) {
+    if (!run?.blind) {
+        return run;
+    }
+    return { ...run, files: run.files.map((file, index) => blindFile(file, index, unblinded)) };
+}
+
+/**
+ * Blinds one file of a blind-screening run, unless it was un-blinded.
+ * @param {object} file - A run file: filename, status and result.
+ * @param {number} index
+ * @param {Set<number>} unblinded
+ * @returns {object}
+ */
+export function blindFile(file, index, unblinded) {
+    if (unblinded.has(index)) {
+        return { ...file, blinded: false };
+    }
+    return { ...file, filename: candidateLabel(index), result: blindResult(file.result, index), blinded: true };
+}
+
+/**
+ * Blinds a candidate (see db/candidates.js) while any of their analyses belongs to a blind-screening run
+ * and wasn't un-blinded: their name, contact details, profile and the names of their files are hidden,
+ * and their analyses are blinded as blindAnalyses() does. The stand-in name is the one of that analysis.
+ * @param {object} candidate - From listCandidates(), with `blind_file_index`, or getCandidate(), with `analyses`.
+ * @returns {object}
+ */
+export function blindCandidate(candidate) {
+    const blindIndex = candidate.analyses
+        ? candidate.analyses.find((analysis) => analysis.blind && !analysis.unblinded_at)?.file_index
+        : candidate.blind_file_index;
+    if (blindIndex === undefined || blindIndex === null) {
+        return { ...candidate, blinded: false };
+    }
+    const blinded = {
+        ...candidate,
+        name: candidateLabel(blindIndex),
+        email: null,
+        phone: null,
+        profile: candidate.profile && { ...candidate.profile, name: null, email: null, phone: null, links: [] },
+        blinded: true,
+    };
+    if (candidate.files) {
+        blinded.files = candidate.files.map((file) => ({ ...file, original_name: null, stored_name: null }));
+    }
+    if (candidate.analyses) {
+        blinded.analyses = blindAnalyses(candidate.analyses);
+    }
+    return blinded;
+}
+
+/**
+ * Blinds the stored analyses (see db/runs.js) that belong to a blind-screening run and weren't un-blinded,
+ * wherever they are shown or exported.
+ * @param {object[]} analyses - Rows with the `blind` flag of their run and their `unblinded_at` time.
+ * @returns {object[]}
+ */
+export function blindAnalyses(analyses) {
+    return analyses.map((analysis) => (!analysis.blind || analysis.unblinded_at ? analysis : {
+        ...analysis,
+        filename: candidateLabel(analysis.file_index),
+        candidate_name: null,
+        result: blindResult(analysis.result, analysis.file_index),
+    }));
+}
@@ -0,0 +1,89 @@
+import { EMAIL, PHONE } from '../parsing/resume.js';
+
+// Whether resume text is redacted before it is sent to an LLM provider (on unless PII_REDACTION=false)
+export const PII_REDACTION = process.env.PII_REDACTION !== 'false';
+
+// Labelled resume lines whose value is personal or a protected attribute, e.g. "Date of Birth: 01/02/1990"
+const LABELLED_LINES = [
+    { type: 'address', label: /(?:home |current |permanent |postal )?address|residence/ },
+    { type: 'age', label: /age|date of birth|d\.?o\.?b\.?|born/ },
+    { type: 'gender', label: /gender|sex/ },
+    { type: 'marital-status', label: /marital status|family status|civil status/ },
+    { type: 'nationality', label: /nationality|citizenship/ },
+    { type: 'religion', label: /religion|religious affiliation|faith/ },
+    { type: 'ethnicity', label: /ethnicity|ethnic origin|race/ },
+    { type: 'pronouns', label: /pronouns/ },
+    { type: 'photo', label: /photo|photograph|picture|headshot/ },
+];
+
+// Personal details and protected attributes found anywhere in the text
+const PATTERNS = [
+    { type: 'email', pattern: new RegExp(EMAIL.source, 'g') },
+    { type: 'url', pattern: /\b(?:https?:\/\/|www\.)[^\s)>\]]+|\b(?:linkedin|github|gitlab)\.com\/[^\s)>\]]+/gi },
+    // Same digit threshold as the profile parser, so year ranges such as "2016-2019" are kept
+    { type: 'phone', pattern: new RegExp(PHONE.source, 'g'), accept: (match) => match.replace(/\D/g, '').length >= 9 },
+    {
+        type: 'address',
+        pattern: /\b\d{1,5}\s+(?:[A-Z][a-z]+\s+){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Lane|Ln|Drive|Dr|Boulevard|Blvd|Way|Court|Ct|Place|Pl|Terrace)\b\.?/g,
+    },
+    { type: 'age', pattern: /\b\d{1,3}\s*(?:years?|yrs?)[\s-]old\b|\bborn\s+(?:on\s+|in\s+)?[\w ,.]{0,20}\b(?:19|20)\d{2}\b/gi },
+    { type: 'pronouns', pattern: /\(?\b(?:she\/her|he\/him|they\/them)(?:\/(?:hers|his|theirs))?\b\)?/gi },
+    { type: 'gender', pattern: /\b(?:Mr|Mrs|Ms|Miss|Mx)\.?(?=\s+[A-Z])/g },
+    { type: 'photo', pattern: /\[(?:image|photo|picture)[^\]]*\]/gi },
+];
+
+/**
+ * Escapes a string for use inside a regular expression.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds the mask that replaces a redacted value, e.g. "[EMAIL]".
+ * @param {string} type
+ * @returns {string}
+ */
+function mask(type) {
+    return `[${type.toUpperCase().replace(/-/g, '_')}]`;
+}
+
+/**
+ * Masks personal details and protected attributes in resume text before it reaches an LLM:
+ * the candidate's name, contact details, links, addresses, age and date of birth, gender markers,
+ * marital status, nationality, religion, ethnicity, pronouns and photo captions.
+ * Only the number of masked values per type is reported, never the values themselves.
+ * @param {string} text - The extracted resume text.
+ * @param {object} [profile] - The heuristic profile, whose name is masked wherever it appears.
+ * @returns {{text: string, counts: Object<string, number>}}
+ */
+export function redactResume(text, profile) {
+    const counts = {};
+    const count = (type) => {
+        counts[type] = (counts[type] || 0) + 1;
+        return mask(type);
+    };
+
+    let redacted = text;
+    LABELLED_LINES.forEach(({ type, label }) => {
+        const line = new RegExp(String.raw`^([ \t]*(?:${label.source})[ \t]*[:\-–][ \t]*)(\S.*)$`, 'gim');
+        redacted = redacted.replace(line, (match, prefix) => `${prefix}${count(type)}`);
+    });
+    PATTERNS.forEach(({ type, pattern, accept }) => {
+        redacted = redacted.replace(pattern, (match) => (accept && !accept(match) ? match : count(type)));
+    });
+
+    // The full name first, then each capitalised part of it on its own (e.g. a signature with the first name)
+    const name = profile?.name?.trim();
+    if (name) {
+        const parts = name.split(/\s+/).filter((part) => part.length > 1 && /^[A-Z]/.test(part));
+        [new RegExp(String.raw`\b${escapeRegExp(name).replace(/\s+/g, '\\s+')}\b`, 'gi'), ...parts.map((part) => new RegExp(String.raw`\b${escapeRegExp(part)}\b`, 'g'))]
+            .forEach((pattern) => {
+                redacted = redacted.replace(pattern, () => count('name'));
+            });
+    }
+
+    return { text: redacted, counts };
+}
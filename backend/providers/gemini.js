@@ -0,0 +1,39 @@
+import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
+import { toChatMessages } from './messages.js';
+
+// LangChain uses "human"/"ai" where the chat completion APIs use "user"/"assistant"
+const LANGCHAIN_ROLES = { user: 'human', assistant: 'ai', system: 'system' };
+
+/**
+ * Creates a provider for Google Gemini models through LangChain.
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - Google API key, defaults to GOOGLE_API_KEY.
+ * @param {string} [options.model] - Model name.
+ * @returns {object} - A provider implementing isConfigured() and complete().
+ */
+export function createGeminiProvider({ apiKey = process.env.GOOGLE_API_KEY, model = 'gemini-1.5-flash' } = {}) {
+    return {
+        name: 'gemini',
+        model,
+        isConfigured: () => Boolean(apiKey),
+        async complete({ prompt, messages, temperature = 0.5, maxTokens = 500 }) {
+            const chat = new ChatGoogleGenerativeAI({
+                apiKey,
+                model,
+                temperature,
+                maxOutputTokens: maxTokens,
+            });
+            const response = await chat.invoke(
+                toChatMessages({ prompt, messages }).map(({ role, content }) => [LANGCHAIN_ROLES[role] ?? 'human', content])
+            );
+
+            return {
+                text: typeof response.content === 'string' ? response.content.trim() : '',
+                usage: {
+                    promptTokens: response.usage_metadata?.input_tokens ?? 0,
+                    completionTokens: response.usage_metadata?.output_tokens ?? 0,
+                },
+            };
+        },
+    };
+}
@@ -0,0 +1,35 @@
+import Groq from 'groq-sdk';
+import { toChatMessages } from './messages.js';
+
+/**
+ * Creates a provider backed by the Groq chat completions API.
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - Groq API key, defaults to GROQ_API_KEY.
+ * @param {string} [options.model] - Model name, e.g. "llama3-8b-8192" or "llama3-70b-8192".
+ * @returns {object} - A provider implementing isConfigured() and complete().
+ */
+export function createGroqProvider({ apiKey = process.env.GROQ_API_KEY, model = 'llama3-8b-8192' } = {}) {
+    const client = apiKey ? new Groq({ apiKey }) : null;
+
+    return {
+        name: 'groq',
+        model,
+        isConfigured: () => Boolean(apiKey),
+        async complete({ prompt, messages, temperature = 0.5, maxTokens = 500 }) {
+            const chatCompletion = await client.chat.completions.create({
+                messages: toChatMessages({ prompt, messages }),
+                model,
+                temperature,
+                max_tokens: maxTokens,
+            });
+
+            return {
+                text: chatCompletion.choices[0]?.message?.content?.trim() ?? '',
+                usage: {
+                    promptTokens: chatCompletion.usage?.prompt_tokens ?? 0,
+                    completionTokens: chatCompletion.usage?.completion_tokens ?? 0,
+                },
+            };
+        },
+    };
+}
@@ -0,0 +1,36 @@
+import { createGroqProvider } from './groq.js';
+import { createOpenAIProvider } from './openai.js';
+import { createGeminiProvider } from './gemini.js';
+import { createMockProvider } from './mock.js';
+
+const factories = {
+    groq: createGroqProvider,
+    openai: createOpenAIProvider,
+    gemini: createGeminiProvider,
+    mock: createMockProvider,
+};
+
+/**
+ * Names of the providers that can be selected through LLM_PROVIDER.
+ * @returns {string[]}
+ */
+export function listProviders() {
+    return Object.keys(factories);
+}
+
+/**
+ * Creates the LLM provider selected by configuration.
+ * The provider is chosen by `name`, falling back to LLM_PROVIDER and then "groq";
+ * LLM_MODEL overrides the provider's default model.
+ * @param {object} [options]
+ * @param {string} [options.name] - Provider name: groq, openai, gemini or mock.
+ * @param {string} [options.model] - Model name to use instead of the provider default.
+ * @returns {object} - A provider with `name`, `model`, `isConfigured()` and `complete()`.
+ */
+export function createProvider({ name = process.env.LLM_PROVIDER || 'groq', model = process.env.LLM_MODEL } = {}) {
+    const factory = factories[name.toLowerCase()];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${name}". Expected one of: ${listProviders().join(', ')}.`);
+    }
+    return factory(model ? { model } : {});
+}
@@ -0,0 +1,14 @@
+/**
+ * Normalizes the input of a provider call into a list of chat messages.
+ * Callers may pass either a single `prompt` string or a full `messages` array.
+ * @param {object} input
+ * @param {string} [input.prompt] - A single user prompt.
+ * @param {Array<{role: string, content: string}>} [input.messages] - Chat messages.
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function toChatMessages({ prompt, messages }) {
+    if (Array.isArray(messages) && messages.length > 0) {
+        return messages;
+    }
+    return [{ role: 'user', content: prompt ?? '' }];
+}
@@ -0,0 +1,113 @@
+import { toChatMessages } from './messages.js';
+import { estimateCost } from './pricing.js';
+import { recordUsage, sumUsage } from '../db/usage.js';
+
+// Budget caps on LLM usage; 0 (the default) means no cap
+export const LLM_BUDGETS = {
+    dailyTokens: Number(process.env.LLM_DAILY_TOKEN_BUDGET) || 0, // Per workspace and UTC day
+    monthlyCost: Number(process.env.LLM_MONTHLY_COST_BUDGET) || 0, // USD per workspace and calendar month
+    runTokens: Number(process.env.LLM_RUN_TOKEN_BUDGET) || 0, // Per analysis run
+};
+
+const BUDGET_EXCEEDED = 'LLM_BUDGET_EXCEEDED';
+
+/**
+ * Tells whether an error was raised because a call would go over an LLM budget cap.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isBudgetExceeded(error) {
+    return error?.code === BUDGET_EXCEEDED;
+}
+
+/**
+ * Reports how much of each budget cap of a workspace is used.
+ * @param {number} workspaceId
+ * @returns {object} - Per cap, its `limit` (null when uncapped) and what is `used`.
+ */
+export function getBudgetStatus(workspaceId) {
+    return {
+        dailyTokens: { limit: LLM_BUDGETS.dailyTokens || null, used: sumUsage({ workspaceId, period: 'day' }).tokens },
+        monthlyCost: { limit: LLM_BUDGETS.monthlyCost || null, used: sumUsage({ workspaceId, period: 'month' }).cost },
+        runTokens: { limit: LLM_BUDGETS.runTokens || null },
+    };
+}
+
+/**
+ * Throws when a call of about `estimatedTokens` would take the context over a budget cap.
+ * @param {object} context - See createMeteredProvider().
+ * @param {number} estimatedTokens
+ * @param {object} llm - For the cost estimate.
+ */
+function checkBudgets(context, estimatedTokens, llm) {
+    const exceed = (message) => {
+        const error = new Error(`LLM budget reached: ${message}`);
+        error.code = BUDGET_EXCEEDED;
+        throw error;
+    };
+    if (LLM_BUDGETS.runTokens && context.runId) {
+        const used = sumUsage({ runId: context.runId }).tokens;
+        if (used + estimatedTokens > LLM_BUDGETS.runTokens) {
+            exceed(`this run has used ${used} of its ${LLM_BUDGETS.runTokens} tokens.`);
+        }
+    }
+    if (!context.workspaceId) {
+        return;
+    }
+    if (LLM_BUDGETS.dailyTokens) {
+        const used = sumUsage({ workspaceId: context.workspaceId, period: 'day' }).tokens;
+        if (used + estimatedTokens > LLM_BUDGETS.dailyTokens) {
+            exceed(`${used} of today's ${LLM_BUDGETS.dailyTokens} tokens are used.`);
+        }
+    }
+    if (LLM_BUDGETS.monthlyCost) {
+        const used = sumUsage({ workspaceId: context.workspaceId, period: 'month' }).cost;
+        const estimate = estimateCost(llm.name, llm.model, { promptTokens: estimatedTokens, completionTokens: 0 }) ?? 0;
+        if (used + estimate > LLM_BUDGETS.monthlyCost) {
+            exceed(`$${used.toFixed(2)} of this month's $${LLM_BUDGETS.monthlyCost} are spent.`);
+        }
+    }
+}
+
+/**
+ * Wraps a provider so every call is checked against the budget caps before it is made and its
+ * token usage and estimated cost are recorded afterwards, attributed to the given context.
+ * The wrapper has the same interface as the provider, so it can be passed anywhere one is expected.
+ * @param {object} llm - The LLM provider (see providers/index.js).
+ * @param {object} context
+ * @param {number} [context.workspaceId]
+ * @param {number} [context.userId] - The user whose request makes the calls.
+ * @param {number} [context.jobPostingId]
+ * @param {string} [context.runId]
+ * @returns {object}
+ */
+export function createMeteredProvider(llm, context) {
+    return {
+        name: llm.name,
+        model: llm.model,
+        isConfigured: () => llm.isConfigured(),
+        async complete(request) {
+            // ~4 characters per prompt token, plus the most the response may use
+            const promptLength = toChatMessages(request).reduce((sum, message) => sum + message.content.length, 0);
+            checkBudgets(context, Math.ceil(promptLength / 4) + (request.maxTokens ?? 500), llm);
+
+            const response = await llm.complete(request);
+            const usage = response.usage ?? { promptTokens: 0, completionTokens: 0 };
+            try {
+                recordUsage({
+                    ...context,
+                    task: request.task,
+                    provider: llm.name,
+                    model: llm.model,
+                    promptTokens: usage.promptTokens,
+                    completionTokens: usage.completionTokens,
+                    cost: estimateCost(llm.name, llm.model, usage),
+                });
+            } catch (error) {
+                // Losing a usage record must not lose the response that was paid for
+                console.error('Error recording LLM usage:', error);
+            }
+            return response;
+        },
+    };
+}
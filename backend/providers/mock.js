@@ -0,0 +1,177 @@
+import { toChatMessages } from './messages.js';
+import { parseResume } from '../parsing/resume.js';
+import { parseJobDescription } from '../parsing/job.js';
+import { buildQuestionsLocally } from '../generation/interview.js';
+import { buildEmailLocally } from '../generation/email.js';
+import { rewriteLocally } from '../coaching/bullets.js';
+
+// Words that carry no signal when comparing a resume against a job description
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+    'its', 'of', 'on', 'or', 'our', 'that', 'the', 'their', 'this', 'to', 'was', 'we', 'will', 'with',
+    'you', 'your', 'who', 'can', 'all', 'any', 'but', 'not', 'must', 'should', 'able', 'work', 'team',
+    'years', 'year', 'experience', 'strong', 'good', 'plus', 'role', 'job', 'looking', 'candidate',
+]);
+
+/**
+ * Splits text into a de-duplicated, ordered list of lowercase keywords.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function keywords(text) {
+    const words = (text || '').toLowerCase().match(/[a-z][a-z0-9+#.]*[a-z0-9+#]|[a-z]/g) || [];
+    return [...new Set(words.filter((word) => word.length > 2 && !STOP_WORDS.has(word)))];
+}
+
+// Degree keywords, ordered from lowest to highest level
+const DEGREES = [
+    { label: "Bachelor's degree", pattern: /\b(bachelor'?s?|b\.?s\.?c?|b\.?a|b\.?tech|b\.?e|undergraduate)\b/i },
+    { label: "Master's degree", pattern: /\b(master'?s?|m\.?s\.?c?|m\.?tech|mba)\b/i },
+    { label: 'PhD', pattern: /\b(ph\.?d|doctorate)\b/i },
+];
+
+const NICE_TO_HAVE = /nice[ -]to[ -]have|preferred|bonus|a plus|desirable|optional/i;
+const MET_POINTS = { yes: 100, partial: 50, no: 0 };
+
+/**
+ * Finds the highest degree mentioned in a text.
+ * @param {string} text
+ * @returns {number} - Index into DEGREES, or -1 when none is mentioned.
+ */
+function highestDegree(text) {
+    return DEGREES.reduce((level, degree, index) => (degree.pattern.test(text) ? index : level), -1);
+}
+
+/**
+ * Finds the largest "N years" figure mentioned in a text.
+ * @param {string} text
+ * @returns {number|null}
+ */
+function mentionedYears(text) {
+    const years = [...(text || '').matchAll(/(\d{1,2})\+?\s*(?:years?|yrs?)/gi)].map((match) => Number(match[1]));
+    return years.length ? Math.max(...years) : null;
+}
+
+/**
+ * Scores by keyword overlap between the job description and the resume.
+ * Each job description line becomes a requirement that is met when most of its keywords appear in the resume.
+ * @param {object} input
+ * @param {string} input.resumeText
+ * @param {string} input.jobDescription
+ * @returns {object} - The same shape the LLM is asked to return.
+ */
+function scoreByKeywords({ resumeText, jobDescription }) {
+    const present = new Set(keywords(resumeText));
+    const wanted = keywords(jobDescription);
+    const matchedSkills = wanted.filter((word) => present.has(word));
+    const missingSkills = wanted.filter((word) => !present.has(word));
+
+    // Lines ending in ":" are headings; everything under a nice-to-have heading is nice-to-have.
+    // Bullets and "(weight)" suffixes are dropped so a saved job's weighted list doesn't repeat its description.
+    let niceSection = false;
+    const lines = [];
+    (jobDescription || '').split(/[\n.;]+/).forEach((rawLine) => {
+        const line = rawLine.trim().replace(/^[-*•]\s*/, '').replace(/\s*\(\d+(\.\d+)?\)$/, '');
+        if (line.endsWith(':')) {
+            niceSection = NICE_TO_HAVE.test(line);
+        } else if (keywords(line).length > 0 && !lines.some((existing) => existing.line === line)) {
+            lines.push({ line, nice: niceSection || NICE_TO_HAVE.test(line) });
+        }
+    });
+    const requirements = lines
+        .slice(0, 10)
+        .map(({ line, nice }) => {
+            const words = keywords(line);
+            const found = words.filter((word) => present.has(word));
+            const ratio = found.length / words.length;
+            return {
+                requirement: line,
+                type: nice ? 'nice-to-have' : 'required',
+                met: ratio >= 0.75 ? 'yes' : ratio >= 0.25 ? 'partial' : 'no',
+                evidence: found.length ? `Mentions ${found.join(', ')}.` : 'No matching keywords.',
+            };
+        });
+    // Required items count twice as much as nice-to-haves
+    const requirementWeight = (requirement) => (requirement.type === 'required' ? 2 : 1);
+    const totalWeight = requirements.reduce((sum, requirement) => sum + requirementWeight(requirement), 0);
+    const requirementPoints = requirements.reduce((sum, requirement) => sum + MET_POINTS[requirement.met] * requirementWeight(requirement), 0);
+
+    const yearsOfExperience = mentionedYears(resumeText);
+    const requiredYears = mentionedYears(jobDescription);
+    let experience = yearsOfExperience === null ? 50 : 100;
+    if (requiredYears) {
+        experience = Math.min(100, Math.round(((yearsOfExperience ?? 0) / requiredYears) * 100));
+    }
+
+    const requiredDegree = highestDegree(jobDescription);
+    const candidateDegree = highestDegree(resumeText);
+    let educationMatch = 'not-required';
+    if (requiredDegree !== -1) {
+        educationMatch = candidateDegree >= requiredDegree ? 'yes' : candidateDegree !== -1 ? 'partial' : 'no';
+    }
+
+    return {
+        requirements,
+        matchedSkills,
+        missingSkills,
+        yearsOfExperience,
+        education: {
+            required: DEGREES[requiredDegree]?.label ?? null,
+            candidate: DEGREES[candidateDegree]?.label ?? null,
+            match: educationMatch,
+        },
+        breakdown: {
+            requirements: totalWeight ? Math.round(requirementPoints / totalWeight) : 0,
+            skills: wanted.length ? Math.round((matchedSkills.length / wanted.length) * 100) : 0,
+            experience,
+            education: educationMatch === 'not-required' ? 100 : MET_POINTS[educationMatch],
+        },
+        goodPoints: matchedSkills.length ? `Mentions ${matchedSkills.slice(0, 10).join(', ')}.` : 'No job description keywords found.',
+        badPoints: missingSkills.length ? `Does not mention ${missingSkills.slice(0, 10).join(', ')}.` : 'No missing keywords.',
+    };
+}
+
+// Rule-based responses per task. Providers are called with a `task` name and the
+// structured `input` the prompt was built from, so the mock never parses prompts.
+const handlers = {
+    score: scoreByKeywords,
+    profile: ({ resumeText }) => parseResume(resumeText),
+    job: ({ jobDescription }) => parseJobDescription(jobDescription),
+    interview: buildQuestionsLocally,
+    email: buildEmailLocally,
+    rewrite: ({ bullets }) => ({ rewrites: bullets.map(rewriteLocally) }),
+    // Quotes the best matching passage instead of answering, which is enough to exercise the chat
+    chat: ({ passages = [] }) => (passages.length
+        ? `The most relevant passage is from ${passages[0].label} [${passages[0].n}]: "${passages[0].text.slice(0, 200)}"`
+        : "The resumes don't mention this."),
+};
+
+/**
+ * Creates a deterministic, offline provider for tests and demos.
+ * It answers each known task with a rule-based response (JSON, or text for the chat) and needs no network or key.
+ * @param {object} [options]
+ * @param {string} [options.model] - Reported model name.
+ * @returns {object} - A provider implementing isConfigured() and complete().
+ */
+export function createMockProvider({ model = 'mock-keyword-v1' } = {}) {
+    return {
+        name: 'mock',
+        model,
+        isConfigured: () => true,
+        async complete({ task, input = {}, prompt, messages }) {
+            const handler = handlers[task];
+            const response = handler ? handler(input) : {};
+            const text = typeof response === 'string' ? response : JSON.stringify(response);
+            const promptLength = toChatMessages({ prompt, messages }).reduce((sum, message) => sum + message.content.length, 0);
+
+            return {
+                text,
+                // Rough estimate of ~4 characters per token, good enough for accounting in demos
+                usage: {
+                    promptTokens: Math.ceil(promptLength / 4),
+                    completionTokens: Math.ceil(text.length / 4),
+                },
+            };
+        },
+    };
+}
@@ -0,0 +1,46 @@
+import { Configuration, OpenAIApi } from 'openai';
+import { toChatMessages } from './messages.js';
+
+/**
+ * Creates a provider for any OpenAI-compatible chat completions endpoint.
+ * Besides api.openai.com this covers local servers such as Ollama
+ * (http://localhost:11434/v1) or llama.cpp, which usually need no API key.
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - API key, defaults to OPENAI_API_KEY.
+ * @param {string} [options.baseURL] - Endpoint base URL, defaults to OPENAI_BASE_URL.
+ * @param {string} [options.model] - Model name.
+ * @returns {object} - A provider implementing isConfigured() and complete().
+ */
+export function createOpenAIProvider({
+    apiKey = process.env.OPENAI_API_KEY,
+    baseURL = process.env.OPENAI_BASE_URL,
+    model = 'gpt-4o-mini',
+} = {}) {
+    const client = new OpenAIApi(new Configuration({
+        apiKey: apiKey || 'not-needed',
+        basePath: baseURL || undefined,
+    }));
+
+    return {
+        name: 'openai',
+        model,
+        // A custom endpoint (e.g. a local Ollama server) is usable without a key
+        isConfigured: () => Boolean(apiKey || baseURL),
+        async complete({ prompt, messages, temperature = 0.5, maxTokens = 500 }) {
+            const response = await client.createChatCompletion({
+                messages: toChatMessages({ prompt, messages }),
+                model,
+                temperature,
+                max_tokens: maxTokens,
+            });
+
+            return {
+                text: response.data.choices[0]?.message?.content?.trim() ?? '',
+                usage: {
+                    promptTokens: response.data.usage?.prompt_tokens ?? 0,
+                    completionTokens: response.data.usage?.completion_tokens ?? 0,
+                },
+            };
+        },
+    };
+}
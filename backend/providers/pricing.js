@@ -0,0 +1,49 @@
+// List prices in USD per million prompt and completion tokens, by provider and model
+const PRICES = {
+    groq: {
+        'llama3-8b-8192': [0.05, 0.08],
+        'llama3-70b-8192': [0.59, 0.79],
+        'llama-3.1-8b-instant': [0.05, 0.08],
+        'llama-3.3-70b-versatile': [0.59, 0.79],
+    },
+    openai: {
+        'gpt-4o-mini': [0.15, 0.6],
+        'gpt-4o': [2.5, 10],
+    },
+    gemini: {
+        'gemini-1.5-flash': [0.075, 0.3],
+        'gemini-1.5-pro': [1.25, 5],
+    },
+};
+
+/**
+ * Returns the price of a model: LLM_INPUT_PRICE and LLM_OUTPUT_PRICE (USD per million tokens) when set,
+ * otherwise its list price. The mock provider is free.
+ * @param {string} provider
+ * @param {string} model
+ * @returns {[number, number]|null} - Prompt and completion prices, or null when unknown.
+ */
+export function getPrice(provider, model) {
+    if (process.env.LLM_INPUT_PRICE || process.env.LLM_OUTPUT_PRICE) {
+        return [Number(process.env.LLM_INPUT_PRICE || 0), Number(process.env.LLM_OUTPUT_PRICE || 0)];
+    }
+    if (provider === 'mock') {
+        return [0, 0];
+    }
+    return PRICES[provider]?.[model] ?? null;
+}
+
+/**
+ * Estimates the cost of a provider call from its token usage.
+ * @param {string} provider
+ * @param {string} model
+ * @param {{promptTokens: number, completionTokens: number}} usage
+ * @returns {number|null} - USD, or null when the model's price is unknown.
+ */
+export function estimateCost(provider, model, { promptTokens, completionTokens }) {
+    const price = getPrice(provider, model);
+    if (!price) {
+        return null;
+    }
+    return (promptTokens * price[0] + completionTokens * price[1]) / 1_000_000;
+}
@@ -0,0 +1,63 @@
+import fs from 'fs';
+import { createHash } from 'crypto';
+import { toChatMessages } from './messages.js';
+
+/**
+ * Hashes what a response depends on: the task, the conversation and the sampling temperature.
+ * @param {object} request - As passed to complete().
+ * @returns {string}
+ */
+function requestKey(request) {
+    return createHash('sha256')
+        .update(JSON.stringify([request.task ?? null, toChatMessages(request), request.temperature ?? null]))
+        .digest('hex');
+}
+
+/**
+ * Creates a provider that records the responses of another provider to a file, or replays them from it,
+ * so evaluations (see evaluation/index.js) can be repeated offline and at no cost. The same request is
+ * answered with the responses recorded for it in turn, so repeated scorings replay their variance too.
+ * @param {object} options
+ * @param {string} options.path - The recording, a JSON file.
+ * @param {object} [options.llm] - The provider to record. Without it the recording is replayed, and a
+ *   request that was never recorded is an error.
+ * @returns {object} - A provider implementing isConfigured() and complete(), reporting the recorded
+ *   provider's name and model, plus save() to write the recording.
+ */
+export function createRecordedProvider({ path, llm }) {
+    const recording = llm
+        ? { provider: llm.name, model: llm.model, recordedAt: new Date().toISOString(), responses: {} }
+        : JSON.parse(fs.readFileSync(path, 'utf8'));
+    // How many times each request was answered, so the next call gets the next recorded response
+    const calls = new Map();
+
+    return {
+        name: recording.provider,
+        model: recording.model,
+        isConfigured: () => (llm ? llm.isConfigured() : true),
+        async complete(request) {
+            const key = requestKey(request);
+            const count = calls.get(key) ?? 0;
+            calls.set(key, count + 1);
+
+            if (llm) {
+                const response = await llm.complete(request);
+                recording.responses[key] = [...(recording.responses[key] ?? []), { text: response.text, usage: response.usage }];
+                return response;
+            }
+            const responses = recording.responses[key];
+            if (!responses) {
+                throw new Error(`No response was recorded for this ${request.task ?? 'LLM'} request in ${path}. Record it again.`);
+            }
+            return responses[count % responses.length];
+        },
+        /**
+         * Writes the responses recorded so far to the recording's file.
+         */
+        save() {
+            if (llm) {
+                fs.writeFileSync(path, `${JSON.stringify(recording, null, 2)}\n`);
+            }
+        },
+    };
+}
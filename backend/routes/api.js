@@ -0,0 +1,73 @@
+import express from 'express';
+import { canEdit, requireApiKey } from '../auth/middleware.js';
+import { listPostings } from '../db/postings.js';
+import { DECISIONS, getRun, setDecision } from '../db/runs.js';
+import { getJob } from '../jobs/queue.js';
+import { ATS_FORMATS, loadRankedRun, toAtsCandidates } from '../integrations/ats.js';
+import { notifyShortlisted } from '../integrations/webhooks.js';
+
+// The version of the public API, part of its path; breaking changes get a new one
+export const API_VERSION = 'v1';
+
+/**
+ * The public REST API for ATS and other integrations, authenticated with the workspace's API keys
+ * (see routes/integrations.js) instead of a session. Results can be mapped to an ATS's candidate and
+ * note format with ?format= (see integrations/ats.js).
+ * @param {object} deps
+ * @param {object} deps.upload - The multer instance handling uploads.
+ * @param {import('express').RequestHandler} deps.analyze - The /analyze handler, which queues uploaded resumes.
+ * @returns {express.Router}
+ */
+export default function createApiRouter({ upload, analyze }) {
+    const router = express.Router();
+    router.use(requireApiKey);
+
+    // Lets an integration check its key
+    router.get('/', (req, res) => {
+        res.json({ version: API_VERSION, workspace: req.user.workspaceName, key: req.user.name, role: req.user.role });
+    });
+
+    router.get('/jobs', (req, res) => {
+        res.json(listPostings({ workspaceId: req.user.workspaceId }));
+    });
+
+    // Same form fields as /analyze: `resumes` files, and a `jobId` or a `jobDescription`. Responds 202 with the runId to poll.
+    router.post('/analyses', canEdit, upload.array('resumes'), analyze);
+
+    // The run's status and its candidates analyzed so far, best score first
+    router.get('/analyses/:id', (req, res) => {
+        const format = req.query.format || 'native';
+        if (!ATS_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Format must be one of ${ATS_FORMATS.join(', ')}.` });
+        }
+        const loaded = loadRankedRun(req.params.id, req.user.workspaceId);
+        if (!loaded) {
+            return res.status(404).json({ error: 'Analysis run not found.' });
+        }
+        const live = getJob(req.params.id);
+        res.json({
+            ...loaded.run,
+            files: live ? live.files.length : loaded.rows.length,
+            analyzed: loaded.rows.length,
+            format,
+            candidates: toAtsCandidates(format, loaded.rows, loaded),
+        });
+    });
+
+    // Shortlists or rejects a candidate of a run by the position of their file; a null decision clears the tag
+    router.put('/analyses/:id/candidates/:index/decision', canEdit, (req, res) => {
+        const decision = req.body?.decision ?? null;
+        if (decision !== null && !DECISIONS.includes(decision)) {
+            return res.status(400).json({ error: `Decision must be one of ${DECISIONS.join(', ')}, or null.` });
+        }
+        if (!getRun(req.params.id, req.user.workspaceId) || !setDecision(req.params.id, Number(req.params.index), decision)) {
+            return res.status(404).json({ error: 'No analyzed file at this position of the run.' });
+        }
+        if (decision === 'shortlisted') {
+            notifyShortlisted(req.params.id, Number(req.params.index), req.user.workspaceId);
+        }
+        res.json({ index: Number(req.params.index), decision });
+    });
+
+    return router;
+}
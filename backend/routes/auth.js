@@ -0,0 +1,87 @@
+import express from 'express';
+import { countUsers, createWorkspaceWithAdmin, findUserCredentials } from '../db/users.js';
+import { createSession, deleteExpiredSessions, deleteSession } from '../db/sessions.js';
+import { hashPassword, MIN_PASSWORD_LENGTH, verifyPassword } from '../auth/passwords.js';
+import { clearSessionCookie, readCookie, SESSION_COOKIE, SESSION_TTL_HOURS, setSessionCookie } from '../auth/middleware.js';
+
+// Anyone may create a new workspace when AUTH_ALLOW_SIGNUP=true; otherwise only the very first account can be created this way
+const ALLOW_SIGNUP = process.env.AUTH_ALLOW_SIGNUP === 'true';
+
+const router = express.Router();
+
+const signupOpen = () => ALLOW_SIGNUP || countUsers() === 0;
+
+// Whether every value of a request body is a string, so it can be trimmed and checked
+const areStrings = (...values) => values.every((value) => typeof value === 'string');
+
+/**
+ * Signs a user in on this response.
+ * @param {import('express').Response} res
+ * @param {object} user
+ */
+function startSession(res, user) {
+    deleteExpiredSessions();
+    setSessionCookie(res, createSession(user.id, SESSION_TTL_HOURS));
+}
+
+// The signed-in user, or 401 with whether a workspace can be created
+router.get('/me', (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Please sign in.', signupOpen: signupOpen() });
+    }
+    res.json(req.user);
+});
+
+// Creates a workspace with the caller as its admin
+router.post('/register', async (req, res) => {
+    if (!signupOpen()) {
+        return res.status(403).json({ error: 'Sign-up is closed. Ask a workspace admin for an account.' });
+    }
+    const { workspaceName, name, email, password } = req.body || {};
+    if (!areStrings(workspaceName, name, email, password)) {
+        return res.status(400).json({ error: 'Workspace name, name, email and password must be text.' });
+    }
+    if (!workspaceName.trim() || !name.trim() || !email.includes('@')) {
+        return res.status(400).json({ error: 'Workspace name, your name and a valid email are required.' });
+    }
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+    if (findUserCredentials(email)) {
+        return res.status(409).json({ error: 'An account with this email already exists.' });
+    }
+
+    const user = createWorkspaceWithAdmin({
+        workspaceName: workspaceName.trim(),
+        email,
+        name: name.trim(),
+        passwordHash: await hashPassword(password),
+    });
+    startSession(res, user);
+    res.status(201).json(user);
+});
+
+router.post('/login', async (req, res) => {
+    const { email, password } = req.body || {};
+    if (!areStrings(email, password)) {
+        return res.status(400).json({ error: 'Email and password are required.' });
+    }
+    const credentials = findUserCredentials(email);
+    // The same answer for an unknown email and a wrong password, so accounts can't be probed
+    if (!credentials || !(await verifyPassword(password, credentials.passwordHash))) {
+        return res.status(401).json({ error: 'Invalid email or password.' });
+    }
+    startSession(res, credentials.user);
+    res.json(credentials.user);
+});
+
+router.post('/logout', (req, res) => {
+    const token = readCookie(req, SESSION_COOKIE);
+    if (token) {
+        deleteSession(token);
+    }
+    clearSessionCookie(res);
+    res.status(204).end();
+});
+
+export default router;
@@ -0,0 +1,44 @@
+import express from 'express';
+import { deleteCandidate, getCandidate, listCandidates, mergeCandidates } from '../db/candidates.js';
+import { listFilesForCandidate } from '../db/files.js';
+import { purgeFiles } from '../files/retention.js';
+import { canEdit } from '../auth/middleware.js';
+import { blindCandidate } from '../privacy/blind.js';
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+    res.json(listCandidates(req.user.workspaceId).map(blindCandidate));
+});
+
+router.get('/:id', (req, res) => {
+    const candidate = getCandidate(req.params.id, req.user.workspaceId);
+    if (!candidate) {
+        return res.status(404).json({ error: 'Candidate not found.' });
+    }
+    res.json(blindCandidate(candidate));
+});
+
+// Merges the candidate `candidateId` into this one, e.g. a possible duplicate found on upload (see duplicates/index.js)
+router.post('/:id/merge', canEdit, (req, res) => {
+    const sourceId = Number(req.body?.candidateId);
+    if (!Number.isInteger(sourceId) || sourceId === Number(req.params.id)) {
+        return res.status(400).json({ error: 'The id of another candidate to merge is required.' });
+    }
+    if (!mergeCandidates(Number(req.params.id), sourceId, req.user.workspaceId)) {
+        return res.status(404).json({ error: 'Candidate not found.' });
+    }
+    res.json(blindCandidate(getCandidate(req.params.id, req.user.workspaceId)));
+});
+
+// Also deletes the candidate's uploaded resumes
+router.delete('/:id', canEdit, (req, res) => {
+    const files = listFilesForCandidate(req.params.id);
+    if (!deleteCandidate(req.params.id, req.user.workspaceId)) {
+        return res.status(404).json({ error: 'Candidate not found.' });
+    }
+    purgeFiles(files);
+    res.status(204).end();
+});
+
+export default router;
@@ -0,0 +1,113 @@
+import express from 'express';
+import { getRun } from '../db/runs.js';
+import { getPosting, getShortlist } from '../db/postings.js';
+import { getExtractedText } from '../db/files.js';
+import { answerQuestion } from '../chat/index.js';
+import { PII_REDACTION, redactResume } from '../privacy/redaction.js';
+import { blindAnalyses } from '../privacy/blind.js';
+import { isRateLimited } from '../jobs/queue.js';
+import { createMeteredProvider, isBudgetExceeded } from '../providers/metered.js';
+
+// Longest question accepted
+const MAX_QUESTION_LENGTH = 1000;
+
+/**
+ * Tells whether `history` is a list of earlier turns, each with a question and answer in text.
+ * @param {*} history
+ * @returns {boolean}
+ */
+function isHistory(history) {
+    return Array.isArray(history)
+        && history.every((turn) => typeof turn?.question === 'string' && typeof turn.answer === 'string');
+}
+
+/**
+ * Turns stored analyses into the resumes a question is answered over. Resumes are redacted the way they
+ * are for scoring (see privacy/redaction.js), and always when their candidate is blinded, so neither
+ * the LLM nor the cited passages reveal who a blinded candidate is. The `label` a resume is shown under
+ * is only used in the response; the LLM sees stand-ins instead.
+ * @param {object[]} analyses - Rows of db/runs.js or db/postings.js, with their run's `blind` flag.
+ * @returns {object[]} - See answerQuestion() in chat/index.js.
+ */
+function toSources(analyses) {
+    const blinded = blindAnalyses(analyses);
+    return analyses.flatMap((analysis, position) => {
+        const text = !analysis.error && analysis.file_id && getExtractedText(analysis.file_id);
+        if (!text) {
+            return [];
+        }
+        const shown = blinded[position];
+        const isBlinded = shown !== analysis;
+        return [{
+            label: shown.result?.profile?.name || shown.candidate_name || shown.filename,
+            runId: analysis.run_id,
+            fileIndex: analysis.file_index,
+            text: PII_REDACTION || isBlinded ? redactResume(text, analysis.result?.profile ?? {}).text : text,
+        }];
+    });
+}
+
+/**
+ * Routes for asking questions about candidates in plain language, answered from their resumes (see chat/index.js).
+ * @param {object} deps
+ * @param {object} deps.llm - The LLM provider that writes the answers.
+ * @returns {express.Router}
+ */
+export default function createChatRouter({ llm }) {
+    const router = express.Router();
+
+    // Answers `question` over the latest resume of every candidate of a job (`jobId`), or over one
+    // analyzed resume (`runId` and `fileIndex`). `history` holds the earlier questions and answers.
+    router.post('/', async (req, res) => {
+        const { question, history, jobId, runId, fileIndex } = req.body ?? {};
+        if (typeof question !== 'string' || !question.trim() || question.length > MAX_QUESTION_LENGTH) {
+            return res.status(400).json({ error: `Ask a question of at most ${MAX_QUESTION_LENGTH} characters.` });
+        }
+        if (history !== undefined && !isHistory(history)) {
+            return res.status(400).json({ error: 'The history must be a list of earlier questions and answers.' });
+        }
+
+        let analyses;
+        let jobPostingId;
+        if (runId !== undefined) {
+            const run = getRun(runId, req.user.workspaceId);
+            const analysis = run?.analyses.find((stored) => stored.file_index === Number(fileIndex));
+            if (!analysis) {
+                return res.status(404).json({ error: 'No analyzed file at this position of the run.' });
+            }
+            analyses = [analysis];
+            jobPostingId = run.job_posting_id;
+        } else if (jobId !== undefined) {
+            const job = getPosting(jobId, req.user.workspaceId);
+            if (!job) {
+                return res.status(404).json({ error: 'Job not found.' });
+            }
+            analyses = getShortlist(job.id);
+            jobPostingId = job.id;
+        } else {
+            return res.status(400).json({ error: 'A jobId, or a runId and fileIndex, is required.' });
+        }
+
+        const sources = toSources(analyses);
+        if (sources.length === 0) {
+            return res.status(404).json({ error: 'The text of these resumes is no longer stored.' });
+        }
+        const provider = createMeteredProvider(llm, { workspaceId: req.user.workspaceId, userId: req.user.id, jobPostingId });
+        try {
+            res.json(await answerQuestion(provider, {
+                sources,
+                question: question.trim(),
+                history: history ?? [],
+                isRecoverable: isBudgetExceeded,
+            }));
+        } catch (error) {
+            if (isRateLimited(error)) {
+                return res.status(429).json({ error: 'The LLM provider is rate limiting requests. Try again later.' });
+            }
+            console.error('Error answering a question about candidates:', error);
+            res.status(500).json({ error: `Failed to answer: ${error.message}` });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,94 @@
+import express from 'express';
+import { extractText } from '../extractors/index.js';
+import { discardUploads, readUpload } from '../files/storage.js';
+import { buildResumeReport } from '../coaching/index.js';
+import { isRateLimited } from '../jobs/queue.js';
+import { createMeteredProvider } from '../providers/metered.js';
+
+// Longest pasted resume and job description accepted, in characters
+const MAX_TEXT_LENGTH = 50000;
+
+// Reports an address may ask for per hour without signing in, as their LLM usage is no workspace's budget
+const COACH_HOURLY_LIMIT = Number(process.env.COACH_HOURLY_LIMIT) || 10;
+const HOUR_MS = 60 * 60 * 1000;
+
+// When each address asked for its reports of the past hour, oldest first
+const reportsByAddress = new Map();
+
+/**
+ * Rejects requests of job seekers who aren't signed in once their address asked for COACH_HOURLY_LIMIT
+ * reports within the hour. Signed-in users are only held to their workspace's budget caps.
+ */
+function limitAnonymousReports(req, res, next) {
+    if (req.user) {
+        return next();
+    }
+    const now = Date.now();
+    reportsByAddress.forEach((times, address) => {
+        if (now - times[times.length - 1] >= HOUR_MS) {
+            reportsByAddress.delete(address);
+        }
+    });
+    const recent = (reportsByAddress.get(req.ip) ?? []).filter((time) => now - time < HOUR_MS);
+    if (recent.length >= COACH_HOURLY_LIMIT) {
+        res.set('Retry-After', String(Math.ceil((recent[0] + HOUR_MS - now) / 1000)));
+        return res.status(429).json({ error: `At most ${COACH_HOURLY_LIMIT} reports an hour can be requested without signing in. Try again later.` });
+    }
+    reportsByAddress.set(req.ip, [...recent, now]);
+    next();
+}
+
+/**
+ * Routes for job seekers improving their own resume for a job (see coaching/index.js).
+ * Anyone may use them, as job seekers have no account; those who aren't signed in are rate limited
+ * (see limitAnonymousReports()). The resume is discarded once the report is built.
+ * @param {object} deps
+ * @param {object} deps.llm - The LLM provider that scores the resume and rewrites its bullet points.
+ * @param {multer.Multer} deps.upload - The multer instance resumes are uploaded with.
+ * @returns {express.Router}
+ */
+export default function createCoachRouter({ llm, upload }) {
+    const router = express.Router();
+
+    // Reports on an uploaded `resume` file, or on pasted `resumeText` (e.g. the improved text of an
+    // earlier report, edited), against the pasted `jobDescription`.
+    router.post('/', limitAnonymousReports, upload.single('resume'), async (req, res) => {
+        const jobDescription = req.body?.jobDescription?.trim();
+        let resumeText = req.body?.resumeText;
+        let formatId;
+
+        if (req.file) {
+            if (req.file.rejected) {
+                return res.status(400).json({ error: req.file.rejected });
+            }
+            try {
+                resumeText = await extractText(req.file.format.id, await readUpload(req.file));
+                formatId = req.file.format.id;
+            } catch (error) {
+                return res.status(400).json({ error: `Failed to read the resume: ${error.message}` });
+            } finally {
+                // The applicant's resume is not kept
+                discardUploads([req.file]);
+            }
+        }
+        if (typeof resumeText !== 'string' || resumeText.length > MAX_TEXT_LENGTH) {
+            return res.status(400).json({ error: `Upload a resume, or paste its text (at most ${MAX_TEXT_LENGTH} characters).` });
+        }
+        if (!jobDescription || jobDescription.length > MAX_TEXT_LENGTH) {
+            return res.status(400).json({ error: `A job description of at most ${MAX_TEXT_LENGTH} characters is required.` });
+        }
+
+        const provider = createMeteredProvider(llm, { workspaceId: req.user?.workspaceId, userId: req.user?.id });
+        try {
+            res.json(await buildResumeReport(provider, { resumeText, jobDescription, formatId }));
+        } catch (error) {
+            if (isRateLimited(error)) {
+                return res.status(429).json({ error: 'The LLM provider is rate limiting requests. Try again later.' });
+            }
+            console.error('Error building a resume report:', error);
+            res.status(500).json({ error: `Failed to build the report: ${error.message}` });
+        }
+    });
+
+    return router;
+}
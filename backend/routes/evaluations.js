@@ -0,0 +1,104 @@
+import express from 'express';
+import { requireRole } from '../auth/middleware.js';
+import { getScoringVersion } from '../db/scoring.js';
+import { getEvaluation, getLatestEvaluation, listEvaluations, saveEvaluation } from '../db/evaluations.js';
+import { listDatasets, loadDataset } from '../evaluation/datasets.js';
+import { EVAL_REPEATS, gateEvaluation, runEvaluation } from '../evaluation/index.js';
+import { BUILT_IN_CONFIG } from '../scoring/configs.js';
+import { createProvider } from '../providers/index.js';
+import { createMeteredProvider, isBudgetExceeded } from '../providers/metered.js';
+import { isRateLimited } from '../jobs/queue.js';
+
+// Most scorings (pairs times repeats) one evaluation may make from the API, to keep its cost bounded.
+// Larger datasets are evaluated with the command line (scripts/evaluate.js).
+const MAX_EVALUATION_SCORINGS = 200;
+
+/**
+ * Routes for evaluating scoring quality on labeled datasets (see evaluation/index.js): listing the datasets,
+ * running an evaluation with a prompt version or model, and reading stored evaluations to compare them.
+ * Evaluations spend LLM calls and decide whether a prompt or model change is safe, so they are up to admins.
+ * @param {object} deps
+ * @param {object} deps.llm - The LLM provider evaluations score with, unless another `model` is asked for.
+ * @returns {express.Router}
+ */
+export default function createEvaluationsRouter({ llm }) {
+    const router = express.Router();
+    router.use(requireRole('admin'));
+
+    router.get('/datasets', (req, res) => {
+        res.json(listDatasets());
+    });
+
+    router.get('/', (req, res) => {
+        res.json(listEvaluations(req.user.workspaceId, { dataset: req.query.dataset }));
+    });
+
+    // Evaluates `dataset` with a prompt version (`versionId`, the built-in prompt when left out) and optionally
+    // another `model` of the configured provider, then gates it on the dataset's thresholds and on the
+    // `baselineId` evaluation, or the latest one of the dataset, and stores it
+    router.post('/', async (req, res) => {
+        const { dataset: name, versionId = null, model, repeats = EVAL_REPEATS, baselineId } = req.body ?? {};
+        let dataset;
+        try {
+            dataset = loadDataset(name);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (!dataset) {
+            return res.status(404).json({ error: 'Dataset not found.' });
+        }
+        const config = versionId === null ? BUILT_IN_CONFIG : getScoringVersion(versionId, req.user.workspaceId);
+        if (!config) {
+            return res.status(404).json({ error: 'Prompt version not found.' });
+        }
+        const baseline = baselineId
+            ? getEvaluation(baselineId, req.user.workspaceId)
+            : getLatestEvaluation(dataset.name, req.user.workspaceId);
+        if (baselineId && !baseline) {
+            return res.status(404).json({ error: 'Baseline evaluation not found.' });
+        }
+        if (dataset.pairs.length * repeats > MAX_EVALUATION_SCORINGS) {
+            return res.status(400).json({
+                error: `Evaluating ${dataset.pairs.length} pairs ${repeats} times would take more than ${MAX_EVALUATION_SCORINGS} scorings. Use the command line instead.`,
+            });
+        }
+        const evaluator = model ? createProvider({ name: llm.name, model }) : llm;
+        if (!evaluator.isConfigured()) {
+            return res.status(400).json({ error: `LLM provider "${evaluator.name}" is not configured.` });
+        }
+
+        const provider = createMeteredProvider(evaluator, { workspaceId: req.user.workspaceId, userId: req.user.id });
+        try {
+            const evaluation = await runEvaluation(provider, dataset, { config, repeats });
+            const gate = gateEvaluation(evaluation, dataset.thresholds, baseline);
+            res.status(201).json(saveEvaluation({ evaluation, gate, workspaceId: req.user.workspaceId, userId: req.user.id }));
+        } catch (error) {
+            if (isBudgetExceeded(error)) {
+                return res.status(429).json({ error: error.message });
+            }
+            if (isRateLimited(error)) {
+                return res.status(429).json({ error: 'The LLM provider is rate limiting requests. Try again later.' });
+            }
+            console.error('Error evaluating scoring quality:', error);
+            res.status(500).json({ error: `Evaluation failed: ${error.message}` });
+        }
+    });
+
+    // With ?baseline=<id>, also compares the evaluation with another one
+    router.get('/:id', (req, res) => {
+        const evaluation = getEvaluation(req.params.id, req.user.workspaceId);
+        if (!evaluation) {
+            return res.status(404).json({ error: 'Evaluation not found.' });
+        }
+        if (!req.query.baseline) {
+            return res.json(evaluation);
+        }
+        const baseline = getEvaluation(req.query.baseline, req.user.workspaceId);
+        if (!baseline) {
+            return res.status(404).json({ error: 'Baseline evaluation not found.' });
+        }
+        res.json({ ...evaluation, comparison: gateEvaluation(evaluation, {}, baseline).comparison });
+    });
+
+    return router;
+}
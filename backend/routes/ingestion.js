@@ -0,0 +1,145 @@
+import express from 'express';
+import { requireRole } from '../auth/middleware.js';
+import { getPosting } from '../db/postings.js';
+import { createSource, deleteSource, getSource, listIngestedItems, listSources, updateSource } from '../db/ingestion.js';
+import { checkSource, SOURCE_KINDS } from '../ingestion/index.js';
+import { INGESTION_FOLDER_ROOT, resolveFolder } from '../ingestion/folder.js';
+
+/**
+ * Checks the settings of a new or changed source and keeps only the ones its kind uses.
+ * @param {string} kind
+ * @param {object} settings
+ * @param {boolean} partial - Whether secret settings that are left out keep their value.
+ * @returns {{settings: object}|{error: string}}
+ */
+function validateSettings(kind, settings, partial) {
+    if (!settings || typeof settings !== 'object') {
+        return { error: 'Settings are required.' };
+    }
+    if (kind === 'folder') {
+        if (!INGESTION_FOLDER_ROOT) {
+            return { error: 'Folder sources are disabled; set INGESTION_FOLDER_ROOT on the server.' };
+        }
+        if (!resolveFolder(settings.path ?? '')) {
+            return { error: 'The folder must be inside INGESTION_FOLDER_ROOT.' };
+        }
+        return { settings: { path: settings.path ?? '' } };
+    }
+
+    const { host, port = 993, secure = true, user, password, mailbox = 'INBOX' } = settings;
+    if (!host?.trim() || !user?.trim()) {
+        return { error: 'The mailbox host and user are required.' };
+    }
+    if (!partial && !password) {
+        return { error: 'The mailbox password is required.' };
+    }
+    if (!Number.isInteger(Number(port)) || Number(port) < 1 || Number(port) > 65535) {
+        return { error: 'The port must be a number between 1 and 65535.' };
+    }
+    return {
+        settings: {
+            host: host.trim(), port: Number(port), secure: Boolean(secure), user: user.trim(), password, mailbox: String(mailbox).trim() || 'INBOX',
+        },
+    };
+}
+
+/**
+ * Routes for the sources applications are ingested from (see ingestion/index.js): IMAP mailboxes and
+ * watched folders, each mapped to a saved job its resumes are scored for. Sources hold mailbox credentials
+ * and spend LLM calls on their own, so only admins manage them.
+ * @param {object} deps
+ * @param {object} deps.llm - The LLM provider ingested resumes are scored with.
+ * @returns {express.Router}
+ */
+export default function createIngestionRouter({ llm }) {
+    const router = express.Router();
+    router.use(requireRole('admin'));
+
+    // The kinds of sources, and whether folder sources are enabled on this server
+    router.get('/options', (req, res) => {
+        res.json({ kinds: SOURCE_KINDS, foldersEnabled: Boolean(INGESTION_FOLDER_ROOT) });
+    });
+
+    router.get('/sources', (req, res) => {
+        res.json(listSources(req.user.workspaceId));
+    });
+
+    router.post('/sources', (req, res) => {
+        const { name, kind, jobId, settings } = req.body || {};
+        if (!name?.trim()) {
+            return res.status(400).json({ error: 'A name for the source is required.' });
+        }
+        if (!SOURCE_KINDS.includes(kind)) {
+            return res.status(400).json({ error: `Kind must be one of ${SOURCE_KINDS.join(', ')}.` });
+        }
+        if (!getPosting(Number(jobId), req.user.workspaceId)) {
+            return res.status(400).json({ error: 'Job not found.' });
+        }
+        const validated = validateSettings(kind, settings, false);
+        if (validated.error) {
+            return res.status(400).json({ error: validated.error });
+        }
+        res.status(201).json(createSource({
+            workspaceId: req.user.workspaceId, name: name.trim(), kind, jobId: Number(jobId), settings: validated.settings, userId: req.user.id,
+        }));
+    });
+
+    // Changes the name, job, settings or `active` flag; a mailbox password that is left out is kept
+    router.put('/sources/:id', (req, res) => {
+        const source = getSource(Number(req.params.id), req.user.workspaceId);
+        if (!source) {
+            return res.status(404).json({ error: 'Source not found.' });
+        }
+        const { name, jobId, settings, active } = req.body || {};
+        if (name !== undefined && !name?.trim()) {
+            return res.status(400).json({ error: 'A name for the source is required.' });
+        }
+        if (jobId !== undefined && !getPosting(Number(jobId), req.user.workspaceId)) {
+            return res.status(400).json({ error: 'Job not found.' });
+        }
+        const validated = settings === undefined ? {} : validateSettings(source.kind, settings, true);
+        if (validated.error) {
+            return res.status(400).json({ error: validated.error });
+        }
+        res.json(updateSource(source.id, req.user.workspaceId, {
+            name: name?.trim(),
+            jobId: jobId === undefined ? undefined : Number(jobId),
+            settings: validated.settings,
+            active: active === undefined ? undefined : Boolean(active),
+        }));
+    });
+
+    router.delete('/sources/:id', (req, res) => {
+        if (!deleteSource(Number(req.params.id), req.user.workspaceId)) {
+            return res.status(404).json({ error: 'Source not found.' });
+        }
+        res.status(204).end();
+    });
+
+    // Checks the source now instead of waiting for the schedule, e.g. after setting it up
+    router.post('/sources/:id/check', async (req, res) => {
+        const source = getSource(Number(req.params.id), req.user.workspaceId, { withSecrets: true });
+        if (!source) {
+            return res.status(404).json({ error: 'Source not found.' });
+        }
+        try {
+            const summary = await checkSource(llm, source);
+            if (!summary) {
+                return res.status(409).json({ error: 'The source is being checked already.' });
+            }
+            res.json({ ...summary, source: getSource(source.id, req.user.workspaceId) });
+        } catch (error) {
+            res.status(502).json({ error: `Failed to check the source: ${error.message}` });
+        }
+    });
+
+    // The log of what the source found: each attachment or file, and whether it was queued, a duplicate or rejected
+    router.get('/sources/:id/items', (req, res) => {
+        if (!getSource(Number(req.params.id), req.user.workspaceId)) {
+            return res.status(404).json({ error: 'Source not found.' });
+        }
+        res.json(listIngestedItems(Number(req.params.id), req.user.workspaceId));
+    });
+
+    return router;
+}
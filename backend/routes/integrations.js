@@ -0,0 +1,137 @@
+import express from 'express';
+import { requireRole } from '../auth/middleware.js';
+import { ROLES } from '../db/users.js';
+import {
+    createApiKey, createWebhook, deleteWebhook, getWebhook, listApiKeys, listDeliveries, listWebhooks, requeueDelivery, revokeApiKey, updateWebhook,
+} from '../db/integrations.js';
+import { attemptDelivery, sendTestEvent, WEBHOOK_EVENTS } from '../integrations/webhooks.js';
+import { ATS_FORMATS, listAtsFormats } from '../integrations/ats.js';
+
+/**
+ * Checks the settings of a new or changed webhook.
+ * @param {object} settings
+ * @param {boolean} partial - Whether settings that are left out keep their value.
+ * @returns {string|null} - What is wrong with them, if anything.
+ */
+function validateWebhook({ url, events, format }, partial) {
+    if ((url !== undefined || !partial) && !(URL.canParse(url) && ['http:', 'https:'].includes(new URL(url).protocol))) {
+        return 'A valid http(s) URL is required.';
+    }
+    if ((events !== undefined || !partial) && (!Array.isArray(events) || events.length === 0 || !events.every((event) => WEBHOOK_EVENTS.includes(event)))) {
+        return `Events must be a list of ${WEBHOOK_EVENTS.join(', ')}.`;
+    }
+    if (format !== undefined && !ATS_FORMATS.includes(format)) {
+        return `Format must be one of ${ATS_FORMATS.join(', ')}.`;
+    }
+    return null;
+}
+
+// API keys and webhooks connect the workspace to other systems, so only its admins manage them
+const router = express.Router();
+router.use(requireRole('admin'));
+
+// What webhooks can subscribe to and the ATS formats results can be mapped to
+router.get('/options', (req, res) => {
+    res.json({ events: WEBHOOK_EVENTS, formats: listAtsFormats(), roles: ROLES });
+});
+
+router.get('/api-keys', (req, res) => {
+    res.json(listApiKeys(req.user.workspaceId));
+});
+
+// The key itself is only in this response; it can't be read again later
+router.post('/api-keys', (req, res) => {
+    const { name, role = 'recruiter' } = req.body || {};
+    if (!name?.trim()) {
+        return res.status(400).json({ error: 'A name for the key is required.' });
+    }
+    if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of ${ROLES.join(', ')}.` });
+    }
+    res.status(201).json(createApiKey({ workspaceId: req.user.workspaceId, name: name.trim(), role, userId: req.user.id }));
+});
+
+router.delete('/api-keys/:id', (req, res) => {
+    if (!revokeApiKey(Number(req.params.id), req.user.workspaceId)) {
+        return res.status(404).json({ error: 'API key not found.' });
+    }
+    res.status(204).end();
+});
+
+router.get('/webhooks', (req, res) => {
+    res.json(listWebhooks(req.user.workspaceId));
+});
+
+// The signing secret is only in this response, and in the response to rotating it
+router.post('/webhooks', (req, res) => {
+    const { url, events, format = 'native' } = req.body || {};
+    const invalid = validateWebhook({ url, events, format }, false);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    res.status(201).json(createWebhook({ workspaceId: req.user.workspaceId, url, events, format, userId: req.user.id }));
+});
+
+// Changes the url, events, format or `active` flag; rotateSecret=true replaces the signing secret
+router.put('/webhooks/:id', (req, res) => {
+    const { url, events, format, active, rotateSecret } = req.body || {};
+    const invalid = validateWebhook({ url, events, format }, true);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    const webhook = updateWebhook(Number(req.params.id), req.user.workspaceId, {
+        url,
+        events,
+        format,
+        active: active === undefined ? undefined : Boolean(active),
+        rotateSecret: rotateSecret === true,
+    });
+    if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found.' });
+    }
+    res.json(webhook);
+});
+
+router.delete('/webhooks/:id', (req, res) => {
+    if (!deleteWebhook(Number(req.params.id), req.user.workspaceId)) {
+        return res.status(404).json({ error: 'Webhook not found.' });
+    }
+    res.status(204).end();
+});
+
+// Sends a signed "ping" and reports how the endpoint answered
+router.post('/webhooks/:id/test', async (req, res) => {
+    const webhook = getWebhook(Number(req.params.id), req.user.workspaceId, { withSecret: true });
+    if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found.' });
+    }
+    try {
+        res.json(await sendTestEvent(webhook));
+    } catch (error) {
+        console.error('Error testing webhook:', error);
+        res.status(500).json({ error: 'Failed to send the test event.' });
+    }
+});
+
+// The delivery log: each event sent to the webhook, its attempts and the endpoint's last answer
+router.get('/webhooks/:id/deliveries', (req, res) => {
+    if (!getWebhook(Number(req.params.id), req.user.workspaceId)) {
+        return res.status(404).json({ error: 'Webhook not found.' });
+    }
+    res.json(listDeliveries(Number(req.params.id)));
+});
+
+// Sends a delivery again now, e.g. one that was given up on while the receiver was down
+router.post('/deliveries/:id/redeliver', async (req, res) => {
+    if (!requeueDelivery(req.params.id, req.user.workspaceId)) {
+        return res.status(404).json({ error: 'Delivery not found.' });
+    }
+    try {
+        res.json(await attemptDelivery(req.params.id));
+    } catch (error) {
+        console.error('Error redelivering webhook:', error);
+        res.status(500).json({ error: 'Failed to send the delivery again.' });
+    }
+});
+
+export default router;
@@ -0,0 +1,147 @@
+import express from 'express';
+import { createTemplate, deletePosting, getPosting, getShortlist, listPostings, updatePosting } from '../db/postings.js';
+import { listRunIdsForPosting } from '../db/runs.js';
+import { listFilesForRuns } from '../db/files.js';
+import { purgeFiles } from '../files/retention.js';
+import { isJobActive } from '../jobs/queue.js';
+import { extractText } from '../extractors/index.js';
+import { discardUploads, readUpload } from '../files/storage.js';
+import { buildJob, validateJob } from '../parsing/job.js';
+import { sendExport } from '../exports/index.js';
+import { canEdit } from '../auth/middleware.js';
+import { listPostingAudits } from '../db/fairness.js';
+import { getScoringVersion, setJobScoringVersion } from '../db/scoring.js';
+import { summarizeScores } from '../scoring/fairness.js';
+import { createMeteredProvider, isBudgetExceeded } from '../providers/metered.js';
+import { blindAnalyses } from '../privacy/blind.js';
+
+/**
+ * Routes for job descriptions: parsing them into weighted requirements and
+ * managing the saved jobs and templates that /analyze can reference by id.
+ * @param {object} deps
+ * @param {object} deps.llm - The LLM provider used for the optional extraction pass.
+ * @param {object} deps.upload - The multer instance handling uploads.
+ * @returns {express.Router}
+ */
+export default function createJobsRouter({ llm, upload }) {
+    const router = express.Router();
+
+    // ?templates=true lists only saved templates
+    router.get('/', (req, res) => {
+        res.json(listPostings({ workspaceId: req.user.workspaceId, templatesOnly: req.query.templates === 'true' }));
+    });
+
+    // Parses a pasted `description` or an uploaded `file` without saving it, so it can be reviewed first.
+    // Pass llm=true (query or form field) to use the LLM extraction pass.
+    router.post('/parse', canEdit, upload.single('file'), async (req, res) => {
+        const useLLM = req.query.llm === 'true' || req.body?.llm === 'true';
+        let text = req.body?.description;
+
+        if (req.file) {
+            if (req.file.rejected) {
+                return res.status(400).json({ error: req.file.rejected });
+            }
+            try {
+                text = await extractText(req.file.format.id, await readUpload(req.file));
+            } catch (error) {
+                return res.status(400).json({ error: `Failed to parse: ${error.message}` });
+            } finally {
+                discardUploads([req.file]);
+            }
+        }
+        if (!text || !text.trim()) {
+            return res.status(400).json({ error: 'Job description text or file is required.' });
+        }
+
+        const provider = createMeteredProvider(llm, { workspaceId: req.user.workspaceId, userId: req.user.id });
+        try {
+            res.json(await buildJob(text, { llm: provider, useLLM }));
+        } catch (error) {
+            if (!isBudgetExceeded(error)) {
+                throw error;
+            }
+            res.status(429).json({ error: error.message });
+        }
+    });
+
+    router.post('/', canEdit, (req, res) => {
+        const problems = validateJob(req.body);
+        if (problems.length > 0) {
+            return res.status(400).json({ error: `Invalid job: ${problems.join('; ')}` });
+        }
+        res.status(201).json(createTemplate(req.body, req.user.workspaceId));
+    });
+
+    // A job with the latest analysis of each candidate, best score first; blind-screened ones stay blinded
+    router.get('/:id', (req, res) => {
+        const job = getPosting(req.params.id, req.user.workspaceId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found.' });
+        }
+        res.json({ ...job, shortlist: blindAnalyses(getShortlist(job.id)) });
+    });
+
+    // Downloads the latest analysis of each candidate: ?format=csv (default), excel, json or pdf
+    router.get('/:id/export', (req, res) => {
+        const job = getPosting(req.params.id, req.user.workspaceId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found.' });
+        }
+        const shortlist = getShortlist(job.id);
+        sendExport(res, {
+            format: req.query.format || 'csv',
+            title: job.title,
+            subtitle: `Latest analysis of each of ${shortlist.length} candidates`,
+            analyses: shortlist,
+        });
+    });
+
+    // Score distribution of the job's candidates, with the outcome of the consistency and counterfactual audits
+    router.get('/:id/score-report', (req, res) => {
+        const job = getPosting(req.params.id, req.user.workspaceId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found.' });
+        }
+        res.json({ jobId: job.id, title: job.title, ...summarizeScores(getShortlist(job.id), listPostingAudits(job.id)) });
+    });
+
+    router.put('/:id', canEdit, (req, res) => {
+        const problems = validateJob(req.body);
+        if (problems.length > 0) {
+            return res.status(400).json({ error: `Invalid job: ${problems.join('; ')}` });
+        }
+        const job = updatePosting(req.params.id, req.body, req.user.workspaceId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found.' });
+        }
+        res.json(job);
+    });
+
+    // Selects the prompt and rubric version (see routes/scoring.js) the job's next analyses are scored with;
+    // a null versionId goes back to the built-in one
+    router.put('/:id/scoring-version', canEdit, (req, res) => {
+        const versionId = req.body?.versionId ?? null;
+        if (versionId !== null && !getScoringVersion(versionId, req.user.workspaceId)) {
+            return res.status(404).json({ error: 'Prompt version not found.' });
+        }
+        if (!setJobScoringVersion(req.params.id, versionId, req.user.workspaceId)) {
+            return res.status(404).json({ error: 'Job not found.' });
+        }
+        res.json(getPosting(req.params.id, req.user.workspaceId));
+    });
+
+    // Also deletes the uploaded resumes analyzed for the job, once none of its runs is still being analyzed
+    router.delete('/:id', canEdit, (req, res) => {
+        if (getPosting(req.params.id, req.user.workspaceId) && listRunIdsForPosting(req.params.id).some(isJobActive)) {
+            return res.status(409).json({ error: 'A run of this job is still being analyzed; delete the job once it completes.' });
+        }
+        const files = listFilesForRuns(listRunIdsForPosting(req.params.id));
+        if (!deletePosting(req.params.id, req.user.workspaceId)) {
+            return res.status(404).json({ error: 'Job not found.' });
+        }
+        purgeFiles(files);
+        res.status(204).end();
+    });
+
+    return router;
+}
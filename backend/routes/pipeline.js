@@ -0,0 +1,124 @@
+import express from 'express';
+import { canEdit } from '../auth/middleware.js';
+import { getPosting } from '../db/postings.js';
+import {
+    addNote, countStageEntries, deleteNote, getBoard, getCandidateHistory, isOnBoard, listMoves, listNotes, listStages, moveCandidate, OUTCOMES, replaceStages,
+} from '../db/pipeline.js';
+import { summarizeFunnel } from '../pipeline/funnel.js';
+
+/**
+ * Checks a new list of pipeline stages against the job's current ones.
+ * @param {Array} stages
+ * @param {object[]} current - See listStages() in db/pipeline.js.
+ * @param {Map<number, number>} entries - How many candidates are in each current stage.
+ * @returns {string|null} - What is wrong with it, if anything.
+ */
+function validateStages(stages, current, entries) {
+    if (!Array.isArray(stages) || stages.length === 0) {
+        return 'At least one stage is required.';
+    }
+    if (!stages.every((stage) => typeof stage?.name === 'string' && stage.name.trim())) {
+        return 'Every stage needs a name.';
+    }
+    if (!stages.every((stage) => stage.outcome === undefined || stage.outcome === null || OUTCOMES.includes(stage.outcome))) {
+        return `A stage's outcome must be one of ${OUTCOMES.join(', ')}, or none.`;
+    }
+    if (!stages.some((stage) => !stage.outcome)) {
+        return 'At least one stage must be open, without an outcome, for new candidates.';
+    }
+    const ids = stages.filter((stage) => stage.id !== undefined && stage.id !== null).map((stage) => stage.id);
+    if (!ids.every((id) => current.some((stage) => stage.id === id)) || new Set(ids).size !== ids.length) {
+        return 'Stages to keep must be existing stages of the job, each listed once.';
+    }
+    const removed = current.find((stage) => !ids.includes(stage.id) && entries.get(stage.id));
+    if (removed) {
+        return `Move the candidates out of "${removed.name}" before removing it.`;
+    }
+    return null;
+}
+
+// A job's hiring pipeline: its candidates on a board of stages, who moved them when, reviewer notes and
+// the funnel. Hiring managers can't move candidates or change the stages, but they can leave notes, which
+// is how they weigh in on candidates.
+const router = express.Router();
+
+// Loads the job of the request into `req.job`
+router.use('/:jobId', (req, res, next) => {
+    req.job = getPosting(Number(req.params.jobId), req.user.workspaceId);
+    if (!req.job) {
+        return res.status(404).json({ error: 'Job not found.' });
+    }
+    next();
+});
+
+router.get('/:jobId', (req, res) => {
+    res.json({ jobId: req.job.id, title: req.job.title, ...getBoard(req.job.id) });
+});
+
+// Replaces the job's stages with `stages`, in board order: [{id?, name, outcome}], where existing stages are
+// kept by their id and `outcome` is "hired", "rejected" or null. Stages with candidates can't be removed.
+router.put('/:jobId/stages', canEdit, (req, res) => {
+    const stages = req.body?.stages;
+    const invalid = validateStages(stages, listStages(req.job.id), countStageEntries(req.job.id));
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    res.json(replaceStages(req.job.id, stages.map((stage) => ({ id: stage.id ?? null, name: stage.name.trim(), outcome: stage.outcome ?? null }))));
+});
+
+// Moves a candidate to the `stageId` stage, at `position` within its column (the end of it when left out)
+router.put('/:jobId/candidates/:candidateId', canEdit, (req, res) => {
+    const { stageId, position } = req.body || {};
+    const moved = moveCandidate({
+        jobId: req.job.id,
+        candidateId: Number(req.params.candidateId),
+        stageId: Number(stageId),
+        position: position === undefined ? undefined : Number(position),
+        userId: req.user.id,
+    });
+    if (!moved) {
+        return res.status(404).json({ error: 'Candidate or stage not found on this job\'s board.' });
+    }
+    res.json(getBoard(req.job.id));
+});
+
+// The candidate's stage history and the reviewers' notes on them
+router.get('/:jobId/candidates/:candidateId', (req, res) => {
+    const candidateId = Number(req.params.candidateId);
+    if (!isOnBoard(req.job.id, candidateId)) {
+        return res.status(404).json({ error: 'Candidate not found on this job\'s board.' });
+    }
+    res.json({ history: getCandidateHistory(req.job.id, candidateId), notes: listNotes(req.job.id, candidateId) });
+});
+
+// Adds a note with an optional `rating` from 1 to 5
+router.post('/:jobId/candidates/:candidateId/notes', (req, res) => {
+    const candidateId = Number(req.params.candidateId);
+    const { body, rating = null } = req.body || {};
+    if (!isOnBoard(req.job.id, candidateId)) {
+        return res.status(404).json({ error: 'Candidate not found on this job\'s board.' });
+    }
+    if (typeof body !== 'string' || !body.trim()) {
+        return res.status(400).json({ error: 'The note is empty.' });
+    }
+    if (rating !== null && !(Number.isInteger(rating) && rating >= 1 && rating <= 5)) {
+        return res.status(400).json({ error: 'The rating must be a whole number from 1 to 5.' });
+    }
+    res.status(201).json(addNote({ jobId: req.job.id, candidateId, userId: req.user.id, body: body.trim(), rating }));
+});
+
+// Authors can delete their own notes; admins any note
+router.delete('/:jobId/notes/:noteId', (req, res) => {
+    if (!deleteNote(Number(req.params.noteId), req.job.id, { userId: req.user.id, anyAuthor: req.user.role === 'admin' })) {
+        return res.status(404).json({ error: 'Note not found.' });
+    }
+    res.status(204).end();
+});
+
+// Conversion through the stages, and how the AI score relates to who was hired or rejected (see pipeline/funnel.js)
+router.get('/:jobId/analytics', (req, res) => {
+    const { stages, cards } = getBoard(req.job.id);
+    res.json({ jobId: req.job.id, title: req.job.title, ...summarizeFunnel({ stages, cards, moves: listMoves(req.job.id) }) });
+});
+
+export default router;
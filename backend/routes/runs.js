@@ -0,0 +1,400 @@
+import express from 'express';
+import { DECISIONS, deleteRun, getDecisions, getRun, getRunAsJob, getUnblinded, listRuns, setDecision, unblindFile } from '../db/runs.js';
+import { getJob, isJobActive, isRateLimited, subscribe } from '../jobs/queue.js';
+import { getExtractedText, listFilesForRuns } from '../db/files.js';
+import { purgeFiles } from '../files/retention.js';
+import { sendExport } from '../exports/index.js';
+import { canEdit } from '../auth/middleware.js';
+import { blindAnalyses, blindFile, blindRun, candidateLabel } from '../privacy/blind.js';
+import { listPrivacyEvents, recordPrivacyEvent } from '../db/audit.js';
+import { listFileAudits, saveScoreAudit } from '../db/fairness.js';
+import { getPosting } from '../db/postings.js';
+import { renderJobForScoring } from '../parsing/job.js';
+import { measureConsistency, runCounterfactuals } from '../scoring/fairness.js';
+import { createMeteredProvider, isBudgetExceeded } from '../providers/metered.js';
+import { getScoringVersion } from '../db/scoring.js';
+import { BUILT_IN_CONFIG } from '../scoring/configs.js';
+import { getDocument, listDocuments, saveDocument, updateDocument } from '../db/documents.js';
+import { DEFAULT_QUESTION_COUNT, generateInterviewQuestions, renderQuestions } from '../generation/interview.js';
+import { EMAIL_KINDS, EMAIL_TONES, generateEmail, NAME_PLACEHOLDER } from '../generation/email.js';
+import { mergeCandidates } from '../db/candidates.js';
+import { notifyShortlisted } from '../integrations/webhooks.js';
+
+// Audits that re-score an analyzed resume (see scoring/fairness.js)
+const AUDIT_KINDS = ['consistency', 'counterfactual'];
+
+// Documents drafted from an analysis (see generation/)
+const DOCUMENT_KINDS = ['interview-questions', 'email'];
+
+/**
+ * Returns a run with the progress of each file. Runs still in the queue's memory are
+ * reported live; others (finished a while ago, or before a restart) come from the database.
+ * Candidates of blind-screening runs are blinded until a reviewer un-blinds them.
+ * @param {string} id
+ * @param {number} workspaceId - Runs of other workspaces are not found.
+ * @returns {object|null}
+ */
+function findRun(id, workspaceId) {
+    const stored = getRunAsJob(id, workspaceId);
+    const live = stored && getJob(id);
+    if (!live) {
+        return stored && blindRun(stored, getUnblinded(id));
+    }
+    // Files already analyzed may have been tagged while the rest of the run is still going
+    const decisions = getDecisions(id);
+    const run = { ...stored, ...live, files: live.files.map((file, index) => ({ ...file, decision: decisions.get(index) ?? null })) };
+    return blindRun(run, getUnblinded(id));
+}
+
+/**
+ * Routes for analysis runs: their progress, tags, exports, duplicate merges and privacy and fairness audits.
+ * @param {object} deps
+ * @param {object} deps.llm - The LLM provider used to re-score resumes for audits.
+ * @returns {express.Router}
+ */
+export default function createRunsRouter({ llm }) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        res.json(listRuns(req.user.workspaceId));
+    });
+
+    router.get('/:id', (req, res) => {
+        const run = findRun(req.params.id, req.user.workspaceId);
+        if (!run) {
+            return res.status(404).json({ error: 'Analysis run not found.' });
+        }
+        res.json(run);
+    });
+
+    // Server-Sent Events stream: a "snapshot" of the run, a "file" event per file update and a final "done" event
+    router.get('/:id/events', (req, res) => {
+        const run = findRun(req.params.id, req.user.workspaceId);
+        if (!run) {
+            return res.status(404).json({ error: 'Analysis run not found.' });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+        });
+        const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+        send('snapshot', run);
+        // Stored runs won't make progress anymore, even if they were interrupted by a restart
+        if (run.status === 'completed' || !getJob(run.id)) {
+            send('done', run);
+            return res.end();
+        }
+
+        const unsubscribe = subscribe(run.id, ({ type, data }) => {
+            if (run.blind && type === 'file') {
+                send(type, { ...data, file: blindFile(data.file, data.index, getUnblinded(run.id)) });
+            } else {
+                send(type, run.blind && type === 'done' ? blindRun({ ...data, blind: true }, getUnblinded(run.id)) : data);
+            }
+            if (type === 'done') {
+                unsubscribe();
+                res.end();
+            }
+        });
+        req.on('close', unsubscribe);
+    });
+
+    // Shortlists or rejects an analyzed file; a null decision clears its tag. Shortlisting is sent to webhooks.
+    router.put('/:id/files/:index/decision', canEdit, (req, res) => {
+        const decision = req.body?.decision ?? null;
+        if (decision !== null && !DECISIONS.includes(decision)) {
+            return res.status(400).json({ error: `Decision must be one of ${DECISIONS.join(', ')}, or null.` });
+        }
+        if (!getRun(req.params.id, req.user.workspaceId) || !setDecision(req.params.id, Number(req.params.index), decision)) {
+            return res.status(404).json({ error: 'No analyzed file at this position of the run.' });
+        }
+        if (decision === 'shortlisted') {
+            notifyShortlisted(req.params.id, Number(req.params.index), req.user.workspaceId);
+        }
+        res.json({ index: Number(req.params.index), decision });
+    });
+
+    // Merges the candidate of an analyzed file into `candidateId`, e.g. one of its possible duplicates (see duplicates/index.js)
+    router.post('/:id/files/:index/merge', canEdit, (req, res) => {
+        const run = getRun(req.params.id, req.user.workspaceId);
+        const analysis = run?.analyses.find((stored) => stored.file_index === Number(req.params.index));
+        if (!analysis?.candidate_id) {
+            return res.status(404).json({ error: 'No analyzed file at this position of the run.' });
+        }
+        const targetId = Number(req.body?.candidateId);
+        if (!Number.isInteger(targetId) || targetId === analysis.candidate_id) {
+            return res.status(400).json({ error: 'The id of another candidate to merge into is required.' });
+        }
+        if (!mergeCandidates(targetId, analysis.candidate_id, req.user.workspaceId)) {
+            return res.status(404).json({ error: 'Candidate not found.' });
+        }
+        res.json({ index: analysis.file_index, candidateId: targetId });
+    });
+
+    // Reveals who the candidate of one file of a blind-screening run is; the reviewer is recorded in the audit
+    router.post('/:id/files/:index/unblind', canEdit, (req, res) => {
+        const run = getRun(req.params.id, req.user.workspaceId);
+        const index = Number(req.params.index);
+        if (!run) {
+            return res.status(404).json({ error: 'Analysis run not found.' });
+        }
+        if (!run.blind) {
+            return res.status(400).json({ error: 'This run does not use blind screening.' });
+        }
+        if (!unblindFile(run.id, index)) {
+            return res.status(404).json({ error: 'No analyzed file at this position of the run.' });
+        }
+        recordPrivacyEvent({ runId: run.id, fileIndex: index, action: 'unblinded', userId: req.user.id });
+        res.json({ index, file: findRun(run.id, req.user.workspaceId).files[index] });
+    });
+
+    // What was redacted from each resume before it was sent to the LLM, and who un-blinded which candidate
+    router.get('/:id/audit', (req, res) => {
+        if (!getRun(req.params.id, req.user.workspaceId)) {
+            return res.status(404).json({ error: 'Analysis run not found.' });
+        }
+        res.json(listPrivacyEvents(req.params.id));
+    });
+
+    // Re-scores an analyzed resume with the LLM to audit its scoring: "consistency" scores it `repeats` times
+    // and reports the variance, "counterfactual" compares it with versions under other names, pronouns and institutions
+    router.post('/:id/files/:index/audits', canEdit, async (req, res) => {
+        const { kind, repeats, threshold } = req.body ?? {};
+        if (!AUDIT_KINDS.includes(kind)) {
+            return res.status(400).json({ error: `Audit kind must be one of ${AUDIT_KINDS.join(', ')}.` });
+        }
+        const run = getRun(req.params.id, req.user.workspaceId);
+        const index = Number(req.params.index);
+        const analysis = run?.analyses.find((stored) => stored.file_index === index);
+        if (!analysis || analysis.error) {
+            return res.status(404).json({ error: 'No scored file at this position of the run.' });
+        }
+        const resumeText = analysis.file_id && getExtractedText(analysis.file_id);
+        if (!resumeText) {
+            return res.status(404).json({ error: 'The text of this resume is no longer stored.' });
+        }
+        if (!llm.isConfigured()) {
+            return res.status(400).json({ error: `LLM provider "${llm.name}" is not configured.` });
+        }
+
+        const posting = getPosting(run.job_posting_id, req.user.workspaceId);
+        // Audited with the same prompt and rubric version the resume was scored with
+        const versionId = analysis.result?.scoringConfig?.versionId;
+        const input = {
+            resumeText,
+            name: analysis.result?.profile?.name ?? null,
+            jobDescription: posting.isTemplate ? renderJobForScoring(posting) : posting.description,
+            config: (versionId && getScoringVersion(versionId, req.user.workspaceId)) || BUILT_IN_CONFIG,
+            repeats: repeats === undefined ? undefined : Number(repeats),
+        };
+        // Audits count towards the workspace's budgets, but not the run's: they come after it
+        const provider = createMeteredProvider(llm, { workspaceId: req.user.workspaceId, userId: req.user.id, jobPostingId: run.job_posting_id });
+        try {
+            const result = kind === 'consistency'
+                ? await measureConsistency(provider, input)
+                : await runCounterfactuals(provider, { ...input, threshold: threshold === undefined ? undefined : Number(threshold) });
+            res.status(201).json(saveScoreAudit({ runId: run.id, fileIndex: index, kind, result }));
+        } catch (error) {
+            if (isBudgetExceeded(error)) {
+                return res.status(429).json({ error: error.message });
+            }
+            console.error(`Error running the ${kind} audit of run ${run.id}, file ${index}:`, error);
+            if (isRateLimited(error)) {
+                return res.status(429).json({ error: 'The LLM provider is rate limiting requests. Try the audit again later.' });
+            }
+            res.status(500).json({ error: `Audit failed: ${error.message}` });
+        }
+    });
+
+    router.get('/:id/files/:index/audits', (req, res) => {
+        if (!getRun(req.params.id, req.user.workspaceId)) {
+            return res.status(404).json({ error: 'Analysis run not found.' });
+        }
+        res.json(listFileAudits(req.params.id, Number(req.params.index)));
+    });
+
+    /**
+     * Finds the scored analysis at a position of a run, along with its run and job, for the document routes.
+     * @param {import('express').Request} req
+     * @returns {object|null} - run, analysis, posting, and whether the candidate is shown blinded.
+     */
+    const findScoredFile = (req) => {
+        const run = getRun(req.params.id, req.user.workspaceId);
+        const analysis = run?.analyses.find((stored) => stored.file_index === Number(req.params.index));
+        if (!analysis || analysis.error) {
+            return null;
+        }
+        return {
+            run,
+            analysis,
+            posting: getPosting(run.job_posting_id, req.user.workspaceId),
+            blinded: Boolean(run.blind && !analysis.unblinded_at),
+        };
+    };
+
+    // Drafts interview questions probing the gaps and verifying the strengths the analysis found (`count`, optional)
+    router.post('/:id/files/:index/interview-questions', canEdit, async (req, res) => {
+        const found = findScoredFile(req);
+        if (!found) {
+            return res.status(404).json({ error: 'No scored file at this position of the run.' });
+        }
+        const { run, analysis, posting } = found;
+        const provider = createMeteredProvider(llm, { workspaceId: req.user.workspaceId, userId: req.user.id, jobPostingId: posting.id });
+        try {
+            const { questions, source } = await generateInterviewQuestions(provider, {
+                analysis: analysis.result,
+                jobDescription: posting.isTemplate ? renderJobForScoring(posting) : posting.description,
+                count: req.body?.count === undefined ? DEFAULT_QUESTION_COUNT : Number(req.body.count),
+            });
+            res.status(201).json(saveDocument({
+                runId: run.id,
+                fileIndex: analysis.file_index,
+                kind: 'interview-questions',
+                title: `Interview questions: ${posting.title}`,
+                content: renderQuestions(questions),
+                details: { questions },
+                source,
+                userId: req.user.id,
+            }));
+        } catch (error) {
+            console.error(`Error drafting interview questions for run ${run.id}, file ${analysis.file_index}:`, error);
+            if (isRateLimited(error)) {
+                return res.status(429).json({ error: 'The LLM provider is rate limiting requests. Try again later.' });
+            }
+            res.status(500).json({ error: `Failed to draft interview questions: ${error.message}` });
+        }
+    });
+
+    // Drafts a "rejection" or "next-steps" email (`type`) in a "warm", "formal" or "concise" `tone`.
+    // The candidate's name is filled in here, never sent to the LLM, and left as a placeholder while they are blinded.
+    router.post('/:id/files/:index/email', canEdit, async (req, res) => {
+        const { type, tone = 'warm' } = req.body ?? {};
+        if (!EMAIL_KINDS.includes(type)) {
+            return res.status(400).json({ error: `Email type must be one of ${EMAIL_KINDS.join(', ')}.` });
+        }
+        if (!EMAIL_TONES.includes(tone)) {
+            return res.status(400).json({ error: `Tone must be one of ${EMAIL_TONES.join(', ')}.` });
+        }
+        const found = findScoredFile(req);
+        if (!found) {
+            return res.status(404).json({ error: 'No scored file at this position of the run.' });
+        }
+        const { run, analysis, posting, blinded } = found;
+        const provider = createMeteredProvider(llm, { workspaceId: req.user.workspaceId, userId: req.user.id, jobPostingId: posting.id });
+        try {
+            const email = await generateEmail(provider, {
+                analysis: analysis.result,
+                kind: type,
+                tone,
+                jobTitle: posting.title,
+                senderName: req.user.name,
+                companyName: req.user.workspaceName,
+            });
+            const name = !blinded && analysis.result?.profile?.name;
+            res.status(201).json(saveDocument({
+                runId: run.id,
+                fileIndex: analysis.file_index,
+                kind: 'email',
+                title: email.subject,
+                content: name ? email.body.replaceAll(NAME_PLACEHOLDER, name) : email.body,
+                details: { type, tone },
+                source: email.source,
+                userId: req.user.id,
+            }));
+        } catch (error) {
+            console.error(`Error drafting an email for run ${run.id}, file ${analysis.file_index}:`, error);
+            if (isRateLimited(error)) {
+                return res.status(429).json({ error: 'The LLM provider is rate limiting requests. Try again later.' });
+            }
+            res.status(500).json({ error: `Failed to draft the email: ${error.message}` });
+        }
+    });
+
+    router.get('/:id/files/:index/documents', (req, res) => {
+        if (!getRun(req.params.id, req.user.workspaceId)) {
+            return res.status(404).json({ error: 'Analysis run not found.' });
+        }
+        res.json(listDocuments(req.params.id, Number(req.params.index)));
+    });
+
+    // Saves a recruiter's edits to a drafted document's `title` and `content`
+    router.put('/:id/files/:index/documents/:kind', canEdit, (req, res) => {
+        const { title, content } = req.body ?? {};
+        if (typeof title !== 'string' || typeof content !== 'string' || !content.trim()) {
+            return res.status(400).json({ error: 'A title and content are required.' });
+        }
+        if (!DOCUMENT_KINDS.includes(req.params.kind) || !getRun(req.params.id, req.user.workspaceId)) {
+            return res.status(404).json({ error: 'Document not found.' });
+        }
+        const document = updateDocument(req.params.id, Number(req.params.index), req.params.kind, { title, content });
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found.' });
+        }
+        res.json(document);
+    });
+
+    // Downloads a drafted document as a text file
+    router.get('/:id/files/:index/documents/:kind/download', (req, res) => {
+        const run = getRun(req.params.id, req.user.workspaceId);
+        const index = Number(req.params.index);
+        const document = run && getDocument(run.id, index, req.params.kind);
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found.' });
+        }
+        const analysis = run.analyses.find((stored) => stored.file_index === index);
+        const candidate = run.blind && !analysis?.unblinded_at ? candidateLabel(index) : analysis?.result?.profile?.name || analysis?.filename;
+        res.attachment(`${document.kind} - ${candidate}.txt`.replace(/[\\/:*?"<>|]/g, '_'));
+        res.send(document.kind === 'email' ? `Subject: ${document.title}\n\n${document.content}\n` : `${document.title}\n\n${document.content}\n`);
+    });
+
+    // Downloads the ranking of the run: ?format=csv (default), excel, json or pdf
+    router.get('/:id/export', (req, res) => {
+        const run = getRun(req.params.id, req.user.workspaceId);
+        if (!run) {
+            return res.status(404).json({ error: 'Analysis run not found.' });
+        }
+        sendExport(res, {
+            format: req.query.format || 'csv',
+            title: run.job_title,
+            subtitle: `Analysis run of ${run.created_at} UTC, ${run.analyses.length} resumes`,
+            analyses: run.analyses,
+        });
+    });
+
+    // Downloads the report of one analyzed file: ?format=pdf (default), csv, excel or json
+    router.get('/:id/files/:index/report', (req, res) => {
+        const run = getRun(req.params.id, req.user.workspaceId);
+        const analysis = run && blindAnalyses(run.analyses).find((stored) => stored.file_index === Number(req.params.index));
+        if (!analysis) {
+            return res.status(404).json({ error: 'No analyzed file at this position of the run.' });
+        }
+        sendExport(res, {
+            format: req.query.format || 'pdf',
+            title: analysis.result?.profile?.name || analysis.filename,
+            subtitle: `Analyzed for ${run.job_title} on ${analysis.created_at} UTC`,
+            analyses: [analysis],
+        });
+    });
+
+    // Also deletes the uploaded resumes analyzed in the run. A run still being analyzed can't be deleted,
+    // since its results are saved to it as they complete.
+    router.delete('/:id', canEdit, (req, res) => {
+        if (!getRun(req.params.id, req.user.workspaceId)) {
+            return res.status(404).json({ error: 'Analysis run not found.' });
+        }
+        if (isJobActive(req.params.id)) {
+            return res.status(409).json({ error: 'This run is still being analyzed; delete it once it completes.' });
+        }
+        const files = listFilesForRuns([req.params.id]);
+        if (!deleteRun(req.params.id)) {
+            return res.status(404).json({ error: 'Analysis run not found.' });
+        }
+        purgeFiles(files);
+        res.status(204).end();
+    });
+
+    return router;
+}
@@ -0,0 +1,199 @@
+import express from 'express';
+import { requireRole } from '../auth/middleware.js';
+import { addScoringVersion, createScoringConfig, getScoringVersion, listScoringConfigs, listScoringVersions } from '../db/scoring.js';
+import { getRun } from '../db/runs.js';
+import { getPosting } from '../db/postings.js';
+import { getExtractedText } from '../db/files.js';
+import { BUILT_IN_CONFIG, describeConfig, normalizeRubric, PLACEHOLDERS, renderPrompt, validateScoringConfig } from '../scoring/configs.js';
+import { scoreResume } from '../scoring/index.js';
+import { renderJobForScoring } from '../parsing/job.js';
+import { PII_REDACTION, redactResume } from '../privacy/redaction.js';
+import { candidateLabel } from '../privacy/blind.js';
+import { isRateLimited } from '../jobs/queue.js';
+import { createMeteredProvider, isBudgetExceeded } from '../providers/metered.js';
+
+// Most LLM calls one comparison may make (resumes times versions), to keep its cost bounded
+const MAX_COMPARE_CALLS = 40;
+
+// Writing prompts and spending LLM calls on trying them out is up to admins
+const adminOnly = requireRole('admin');
+
+/**
+ * Sends the error of a failed dry run or comparison.
+ * @param {import('express').Response} res
+ * @param {Error} error
+ */
+function sendScoringError(res, error) {
+    if (isBudgetExceeded(error)) {
+        return res.status(429).json({ error: error.message });
+    }
+    if (isRateLimited(error)) {
+        return res.status(429).json({ error: 'The LLM provider is rate limiting requests. Try again later.' });
+    }
+    console.error('Error scoring with a prompt version:', error);
+    res.status(500).json({ error: `Scoring failed: ${error.message}` });
+}
+
+/**
+ * Routes for the versioned prompt templates and scoring rubrics jobs are scored with (see scoring/configs.js):
+ * listing them, saving new versions, and trying them out on a sample resume or the resumes of a past run.
+ * @param {object} deps
+ * @param {object} deps.llm - The LLM provider used for dry runs and comparisons.
+ * @returns {express.Router}
+ */
+export default function createScoringRouter({ llm }) {
+    const router = express.Router();
+
+    /**
+     * Finds a version of the workspace by id, where null stands for the built-in prompt and rubric.
+     * @param {number|null} versionId
+     * @param {number} workspaceId
+     * @returns {object|undefined}
+     */
+    const findVersion = (versionId, workspaceId) => (versionId === null ? BUILT_IN_CONFIG : getScoringVersion(versionId, workspaceId));
+
+    // The workspace's configs with their latest version, plus the built-in one new configs can start from
+    router.get('/', (req, res) => {
+        res.json({ builtIn: BUILT_IN_CONFIG, placeholders: PLACEHOLDERS, configs: listScoringConfigs(req.user.workspaceId) });
+    });
+
+    router.post('/', adminOnly, (req, res) => {
+        const { name, template, rubric, notes } = req.body ?? {};
+        const problems = validateScoringConfig({ template, rubric });
+        if (!name?.trim()) {
+            problems.unshift('name is required');
+        }
+        if (problems.length > 0) {
+            return res.status(400).json({ error: `Invalid prompt: ${problems.join('; ')}` });
+        }
+        res.status(201).json(createScoringConfig({
+            workspaceId: req.user.workspaceId,
+            name: name.trim(),
+            template,
+            rubric: normalizeRubric(rubric),
+            notes,
+            userId: req.user.id,
+        }));
+    });
+
+    // Renders a template (a saved `versionId`, or a draft `template` and `rubric`) for a sample `resumeText`
+    // and `jobDescription`. With run=true it is also scored, without saving or caching the result.
+    router.post('/preview', adminOnly, async (req, res) => {
+        const { versionId, template, rubric, resumeText, jobDescription, run } = req.body ?? {};
+        let config;
+        if (versionId !== undefined) {
+            config = findVersion(versionId, req.user.workspaceId);
+            if (!config) {
+                return res.status(404).json({ error: 'Prompt version not found.' });
+            }
+        } else {
+            const problems = validateScoringConfig({ template, rubric });
+            if (problems.length > 0) {
+                return res.status(400).json({ error: `Invalid prompt: ${problems.join('; ')}` });
+            }
+            config = { ...BUILT_IN_CONFIG, name: 'Draft', template, rubric: normalizeRubric(rubric) };
+        }
+        if (!resumeText?.trim() || !jobDescription?.trim()) {
+            return res.status(400).json({ error: 'A sample resume and job description are required.' });
+        }
+
+        const text = PII_REDACTION ? redactResume(resumeText, {}).text : resumeText;
+        const prompt = renderPrompt(config, text, jobDescription);
+        if (run !== true) {
+            return res.json({ prompt });
+        }
+        if (!llm.isConfigured()) {
+            return res.status(400).json({ error: `LLM provider "${llm.name}" is not configured.` });
+        }
+        const provider = createMeteredProvider(llm, { workspaceId: req.user.workspaceId, userId: req.user.id });
+        try {
+            res.json({ prompt, result: await scoreResume(provider, text, jobDescription, { cache: false, config }) });
+        } catch (error) {
+            sendScoringError(res, error);
+        }
+    });
+
+    // Re-scores the resumes of a past run (`runId`) with each of `versionIds` (null for the built-in prompt),
+    // side by side and without saving anything, to compare versions on the same candidates
+    router.post('/compare', adminOnly, async (req, res) => {
+        const { runId, versionIds } = req.body ?? {};
+        const run = runId && getRun(runId, req.user.workspaceId);
+        if (!run) {
+            return res.status(404).json({ error: 'Analysis run not found.' });
+        }
+        if (!Array.isArray(versionIds) || versionIds.length === 0) {
+            return res.status(400).json({ error: 'Select at least one prompt version to compare.' });
+        }
+        const versions = versionIds.map((versionId) => findVersion(versionId, req.user.workspaceId));
+        if (versions.some((version) => !version)) {
+            return res.status(404).json({ error: 'Prompt version not found.' });
+        }
+        const analyses = run.analyses.filter((analysis) => !analysis.error && analysis.file_id);
+        if (analyses.length * versions.length > MAX_COMPARE_CALLS) {
+            return res.status(400).json({
+                error: `Comparing ${versions.length} versions on ${analyses.length} resumes would take more than ${MAX_COMPARE_CALLS} LLM calls.`,
+            });
+        }
+        if (!llm.isConfigured()) {
+            return res.status(400).json({ error: `LLM provider "${llm.name}" is not configured.` });
+        }
+
+        const posting = getPosting(run.job_posting_id, req.user.workspaceId);
+        const jobDescription = posting.isTemplate ? renderJobForScoring(posting) : posting.description;
+        const provider = createMeteredProvider(llm, { workspaceId: req.user.workspaceId, userId: req.user.id, jobPostingId: posting.id });
+        const candidates = [];
+        try {
+            // One call at a time, so a comparison doesn't trip the provider's rate limit
+            for (const analysis of analyses) {
+                const resumeText = getExtractedText(analysis.file_id);
+                if (!resumeText) {
+                    continue;
+                }
+                const text = PII_REDACTION ? redactResume(resumeText, analysis.result?.profile ?? {}).text : resumeText;
+                const scores = [];
+                for (const config of versions) {
+                    scores.push((await scoreResume(provider, text, jobDescription, { config })).score);
+                }
+                candidates.push({
+                    fileIndex: analysis.file_index,
+                    filename: run.blind ? candidateLabel(analysis.file_index) : analysis.filename,
+                    storedScore: analysis.score,
+                    storedConfig: analysis.result?.scoringConfig ?? null,
+                    scores,
+                });
+            }
+        } catch (error) {
+            return sendScoringError(res, error);
+        }
+        res.json({ runId: run.id, versions: versions.map(describeConfig), candidates });
+    });
+
+    router.get('/:id', (req, res) => {
+        const versions = listScoringVersions(req.params.id, req.user.workspaceId);
+        if (versions.length === 0) {
+            return res.status(404).json({ error: 'Prompt not found.' });
+        }
+        res.json(versions);
+    });
+
+    // Saves an edited template and rubric as the config's next version; earlier versions stay as they were
+    router.post('/:id/versions', adminOnly, (req, res) => {
+        const { template, rubric, notes } = req.body ?? {};
+        const problems = validateScoringConfig({ template, rubric });
+        if (problems.length > 0) {
+            return res.status(400).json({ error: `Invalid prompt: ${problems.join('; ')}` });
+        }
+        const version = addScoringVersion(req.params.id, req.user.workspaceId, {
+            template,
+            rubric: normalizeRubric(rubric),
+            notes,
+            userId: req.user.id,
+        });
+        if (!version) {
+            return res.status(404).json({ error: 'Prompt not found.' });
+        }
+        res.status(201).json(version);
+    });
+
+    return router;
+}
@@ -0,0 +1,25 @@
+import express from 'express';
+import { getUsageReport } from '../db/usage.js';
+import { getCacheStats } from '../db/cache.js';
+import { getBudgetStatus } from '../providers/metered.js';
+
+const router = express.Router();
+
+const PERIODS = ['day', 'month', 'all'];
+
+// LLM token usage and estimated cost of the workspace, per job, user, task and model,
+// over ?period=day, month (default) or all, with the budget caps and the analysis cache
+router.get('/', (req, res) => {
+    const period = req.query.period || 'month';
+    if (!PERIODS.includes(period)) {
+        return res.status(400).json({ error: `Period must be one of ${PERIODS.join(', ')}.` });
+    }
+    res.json({
+        period,
+        ...getUsageReport(req.user.workspaceId, period),
+        budgets: getBudgetStatus(req.user.workspaceId),
+        cache: getCacheStats(),
+    });
+});
+
+export default router;
@@ -0,0 +1,51 @@
+import express from 'express';
+import { createUser, deleteUser, findUserCredentials, listUsers, ROLES } from '../db/users.js';
+import { hashPassword, MIN_PASSWORD_LENGTH } from '../auth/passwords.js';
+import { requireRole } from '../auth/middleware.js';
+
+// Managing the accounts of a workspace is up to its admins
+const router = express.Router();
+router.use(requireRole('admin'));
+
+router.get('/', (req, res) => {
+    res.json(listUsers(req.user.workspaceId));
+});
+
+router.post('/', async (req, res) => {
+    const { name, email, role, password } = req.body || {};
+    if (![name, email, password].every((value) => typeof value === 'string')) {
+        return res.status(400).json({ error: 'Name, email and password must be text.' });
+    }
+    if (!name.trim() || !email.includes('@')) {
+        return res.status(400).json({ error: 'Name and a valid email are required.' });
+    }
+    if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of ${ROLES.join(', ')}.` });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+    if (findUserCredentials(email)) {
+        return res.status(409).json({ error: 'An account with this email already exists.' });
+    }
+    const user = createUser({
+        workspaceId: req.user.workspaceId,
+        email,
+        name: name.trim(),
+        role,
+        passwordHash: await hashPassword(password),
+    });
+    res.status(201).json(user);
+});
+
+router.delete('/:id', (req, res) => {
+    if (Number(req.params.id) === req.user.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account.' });
+    }
+    if (!deleteUser(req.params.id, req.user.workspaceId)) {
+        return res.status(404).json({ error: 'User not found.' });
+    }
+    res.status(204).end();
+});
+
+export default router;
@@ -0,0 +1,158 @@
+import { SCORE_WEIGHTS } from './schema.js';
+
+// Longest prompt template and rubric guidance accepted, to keep prompts (and their token cost) bounded
+const MAX_TEMPLATE_LENGTH = 20000;
+const MAX_GUIDANCE_LENGTH = 1000;
+
+const SUB_SCORE_LABELS = {
+    requirements: 'Requirements',
+    skills: 'Skills',
+    experience: 'Experience',
+    education: 'Education',
+};
+
+// The response format the analysis schema expects; it is not editable, so every template yields parseable results
+const OUTPUT_FORMAT = `- "requirements": an array with one entry per requirement found in the job description, each an object with "requirement" (short text), "type" ("required" or "nice-to-have"), "met" ("yes", "partial" or "no") and "evidence" (a short quote or reason from the resume).
+- "matchedSkills": an array of skills from the job description that the resume demonstrates.
+- "missingSkills": an array of skills from the job description that the resume lacks.
+- "yearsOfExperience": the candidate's total years of relevant professional experience as a number, or null if unknown.
+- "education": an object with "required" (education asked for, or null), "candidate" (the candidate's highest education, or null) and "match" ("yes", "partial", "no" or "not-required").
+- "breakdown": an object with the sub-scores "requirements", "skills", "experience" and "education", each a number from 0-100.
+- "goodPoints": a string detailing strengths.
+- "badPoints": a string detailing weaknesses.`;
+
+// Placeholders a template may use; the ones marked required must appear in it
+export const PLACEHOLDERS = {
+    jobDescription: { required: true, description: 'The job description text.' },
+    resume: { required: true, description: 'The resume text, redacted unless PII_REDACTION=false.' },
+    outputFormat: { required: true, description: 'The JSON keys the response must have.' },
+    rubric: { required: false, description: 'The sub-scores with their weights and guidance.' },
+};
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * The scoring configuration used when a job has none selected: the app's original prompt, which
+ * spells out the default weights, with no extra guidance.
+ */
+export const BUILT_IN_CONFIG = {
+    configId: null,
+    versionId: null,
+    name: 'Built-in',
+    version: 0,
+    template: `You are a helpful assistant that scores resumes against a job description. Your response MUST be ONLY a JSON object with the following keys. Do NOT include any other text or commentary outside the JSON.
+
+{{outputFormat}}
+
+{{rubric}}
+
+Job Description:
+{{jobDescription}}
+
+Resume:
+{{resume}}
+
+JSON Response:`,
+    rubric: {
+        weights: SCORE_WEIGHTS,
+        guidance: {},
+    },
+};
+
+/**
+ * Checks a prompt template and rubric before they are saved or previewed.
+ * @param {object} config
+ * @param {string} config.template - Prompt text with {{placeholders}} (see PLACEHOLDERS).
+ * @param {object} config.rubric
+ * @param {Object<string, number>} config.rubric.weights - A non-negative weight per sub-score of SCORE_WEIGHTS.
+ * @param {Object<string, string>} [config.rubric.guidance] - What a good score means, per sub-score.
+ * @returns {string[]} - Human readable problems, empty when valid.
+ */
+export function validateScoringConfig({ template, rubric } = {}) {
+    const problems = [];
+    if (typeof template !== 'string' || !template.trim()) {
+        problems.push('template is required');
+    } else {
+        if (template.length > MAX_TEMPLATE_LENGTH) {
+            problems.push(`template must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+        }
+        const used = new Set([...template.matchAll(PLACEHOLDER)].map((match) => match[1]));
+        Object.entries(PLACEHOLDERS).filter(([name, { required }]) => required && !used.has(name))
+            .forEach(([name]) => problems.push(`template must contain {{${name}}}`));
+        [...used].filter((name) => !PLACEHOLDERS[name]).forEach((name) => problems.push(`{{${name}}} is not a known placeholder`));
+    }
+
+    const weights = rubric?.weights;
+    if (!weights || typeof weights !== 'object') {
+        problems.push('rubric.weights is required');
+    } else {
+        const invalid = Object.keys(SCORE_WEIGHTS).filter((key) => typeof weights[key] !== 'number' || !(weights[key] >= 0));
+        invalid.forEach((key) => problems.push(`rubric.weights.${key} must be a number of at least 0`));
+        Object.keys(weights).filter((key) => !(key in SCORE_WEIGHTS)).forEach((key) => problems.push(`rubric.weights.${key} is not a sub-score`));
+        if (invalid.length === 0 && Object.keys(SCORE_WEIGHTS).every((key) => weights[key] === 0)) {
+            problems.push('rubric.weights must not all be 0');
+        }
+    }
+    Object.entries(rubric?.guidance ?? {}).forEach(([key, text]) => {
+        if (!(key in SCORE_WEIGHTS)) {
+            problems.push(`rubric.guidance.${key} is not a sub-score`);
+        } else if (typeof text !== 'string' || text.length > MAX_GUIDANCE_LENGTH) {
+            problems.push(`rubric.guidance.${key} must be text of at most ${MAX_GUIDANCE_LENGTH} characters`);
+        }
+    });
+    return problems;
+}
+
+/**
+ * Scales a valid rubric's weights to add up to 1 and drops empty guidance, so "2, 1, 1, 0" and
+ * "0.5, 0.25, 0.25, 0" are stored the same way.
+ * @param {object} rubric - A rubric that passed validateScoringConfig().
+ * @returns {{weights: Object<string, number>, guidance: Object<string, string>}}
+ */
+export function normalizeRubric(rubric) {
+    const total = Object.keys(SCORE_WEIGHTS).reduce((sum, key) => sum + rubric.weights[key], 0);
+    return {
+        weights: Object.fromEntries(Object.keys(SCORE_WEIGHTS).map((key) => [key, Math.round((rubric.weights[key] / total) * 1000) / 1000])),
+        guidance: Object.fromEntries(Object.entries(rubric.guidance ?? {}).map(([key, text]) => [key, text.trim()]).filter(([, text]) => text)),
+    };
+}
+
+/**
+ * Describes a rubric for the prompt: each sub-score with its weight and guidance.
+ * @param {object} rubric
+ * @returns {string}
+ */
+function renderRubric(rubric) {
+    const lines = Object.keys(SCORE_WEIGHTS).map((key) => {
+        const guidance = rubric.guidance?.[key];
+        return `- "${key}" (${SUB_SCORE_LABELS[key]}, ${Math.round(rubric.weights[key] * 100)}% of the overall score)${guidance ? `: ${guidance}` : ''}`;
+    });
+    return `Score each sub-score of the breakdown as follows:\n${lines.join('\n')}`;
+}
+
+/**
+ * Fills in a scoring configuration's template for one resume and job description.
+ * @param {object} config - A scoring configuration version, e.g. BUILT_IN_CONFIG.
+ * @param {string} resumeText
+ * @param {string} jobDescription
+ * @returns {string} - The prompt sent to the LLM.
+ */
+export function renderPrompt(config, resumeText, jobDescription) {
+    const values = {
+        jobDescription,
+        resume: resumeText,
+        outputFormat: OUTPUT_FORMAT,
+        rubric: renderRubric(config.rubric),
+    };
+    // One pass, so placeholder-like text inside the resume or job description is left alone
+    return config.template.replace(PLACEHOLDER, (match, name) => values[name] ?? match);
+}
+
+/**
+ * What a result records about the configuration that produced it.
+ * @param {object} config
+ * @returns {{configId: number|null, versionId: number|null, name: string, version: number}}
+ */
+export function describeConfig({ configId, versionId, name, version }) {
+    return { configId, versionId, name, version };
+}
@@ -0,0 +1,269 @@
+import { SCORE_WEIGHTS } from './schema.js';
+import { SCORING_TEMPERATURE, scoreResume } from './index.js';
+import { PII_REDACTION, redactResume } from '../privacy/redaction.js';
+import { BUILT_IN_CONFIG, describeConfig } from './configs.js';
+
+// Most times one resume may be scored by a single audit, to keep its LLM cost bounded
+export const MAX_AUDIT_REPEATS = 10;
+
+// Score change, in points, from which a counterfactual variant is flagged
+export const FAIRNESS_DELTA_THRESHOLD = Number(process.env.FAIRNESS_DELTA_THRESHOLD ?? 5);
+
+// Names the candidate's name is swapped for, spanning genders and ethnic backgrounds
+const SWAP_NAMES = ['Emily Walsh', 'Jamal Jones', 'Priya Sharma', 'Carlos García'];
+
+// Institutions of different standing the candidate's are swapped for
+const SWAP_INSTITUTIONS = ['Harvard University', 'Lakeside Community College'];
+
+// Memberships that signal a gender or ethnicity, which redaction leaves in; each is compared with the neutral CONTROL_AFFILIATION
+const SWAP_AFFILIATIONS = ['Society of Women Engineers', 'National Society of Black Engineers', 'Society of Hispanic Professional Engineers'];
+const CONTROL_AFFILIATION = 'Association for Computing Machinery';
+
+// An institution name on one line, e.g. "State University" or "Indian Institute of Technology"
+const INSTITUTION = /\b(?:[A-Z][\w&.'-]*[ \t]+){0,4}(?:University|College|Institute|Polytechnic)(?:[ \t]+of(?:[ \t]+[A-Z][\w&.'-]*){1,3})?\b/g;
+
+const TO_FEMALE = { he: 'she', him: 'her', his: 'her', himself: 'herself' };
+const TO_MALE = { she: 'he', her: 'his', hers: 'his', herself: 'himself' };
+
+/**
+ * Returns the text of a resume as the LLM gets it: redacted unless PII_REDACTION=false.
+ * @param {string} resumeText
+ * @param {string|null} name - The candidate's name, masked by the redaction.
+ * @returns {string}
+ */
+function textForLLM(resumeText, name) {
+    return PII_REDACTION ? redactResume(resumeText, { name }).text : resumeText;
+}
+
+/**
+ * Scores a resume the way analyzeFile does, redacting it first unless PII_REDACTION=false.
+ * @param {object} llm
+ * @param {string} resumeText
+ * @param {string|null} name - The candidate's name, masked by the redaction.
+ * @param {string} jobDescription
+ * @param {object} config - The prompt template and rubric version to score with.
+ * @returns {Promise<object>}
+ */
+async function scoreText(llm, resumeText, name, jobDescription, config) {
+    // Cached analyses would hide exactly the run-to-run variance being measured
+    return scoreResume(llm, textForLLM(resumeText, name), jobDescription, { cache: false, config });
+}
+
+/**
+ * Mean, standard deviation and range of a list of numbers, rounded to one decimal.
+ * @param {number[]} values
+ * @returns {{mean: number, stdDev: number, min: number, max: number}}
+ */
+export function describe(values) {
+    const round = (value) => Math.round(value * 10) / 10;
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    return { mean: round(mean), stdDev: round(Math.sqrt(variance)), min: Math.min(...values), max: Math.max(...values) };
+}
+
+/**
+ * Scores the same resume several times to measure how much the LLM's score varies between runs.
+ * @param {object} llm - The LLM provider (see providers/index.js).
+ * @param {object} input
+ * @param {string} input.resumeText
+ * @param {string|null} input.name - The candidate's name, for the redaction.
+ * @param {string} input.jobDescription
+ * @param {object} [input.config] - The prompt template and rubric version the resume was scored with.
+ * @param {number} [input.repeats] - How many times to score it, up to MAX_AUDIT_REPEATS.
+ * @returns {Promise<object>} - The scores, with statistics for the overall score and each sub-score.
+ */
+export async function measureConsistency(llm, { resumeText, name, jobDescription, config = BUILT_IN_CONFIG, repeats = 5 }) {
+    const count = Math.min(Math.max(Math.trunc(repeats) || 1, 2), MAX_AUDIT_REPEATS);
+    const results = [];
+    // One at a time, so an audit doesn't trip the provider's rate limit
+    for (let attempt = 0; attempt < count; attempt++) {
+        results.push(await scoreText(llm, resumeText, name, jobDescription, config));
+    }
+    const scores = results.map((result) => result.score);
+    return {
+        provider: llm.name,
+        model: llm.model,
+        temperature: SCORING_TEMPERATURE,
+        scoringConfig: describeConfig(config),
+        repeats: count,
+        scores,
+        score: describe(scores),
+        breakdown: Object.fromEntries(Object.keys(SCORE_WEIGHTS).map((key) => [key, describe(results.map((result) => result.breakdown[key]))])),
+    };
+}
+
+/**
+ * Swaps the words of a text according to a mapping, keeping their capitalisation.
+ * @param {string} text
+ * @param {Object<string, string>} mapping - Lowercase words to their replacements.
+ * @returns {string}
+ */
+function swapWords(text, mapping) {
+    return text.replace(new RegExp(String.raw`\b(${Object.keys(mapping).join('|')})\b`, 'gi'), (word) => {
+        const swapped = mapping[word.toLowerCase()];
+        return word[0] === word[0].toUpperCase() ? swapped[0].toUpperCase() + swapped.slice(1) : swapped;
+    });
+}
+
+/**
+ * Builds the counterfactual variants of a resume: the same resume under other names, with the
+ * gendered pronouns swapped, with other institutions, and with memberships that signal a gender or
+ * ethnicity next to a neutral one (the `control`). Variants that would not change the text (no name
+ * detected, no pronouns, no institution) are left out.
+ * @param {string} resumeText
+ * @param {string|null} name - The candidate's name as parsed from the resume.
+ * @returns {{kind: string, label: string, name: string|null, text: string, control?: boolean}[]}
+ */
+export function buildCounterfactuals(resumeText, name) {
+    const variants = [];
+    if (name) {
+        const pattern = new RegExp(String.raw`\b${name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+')}\b`, 'gi');
+        SWAP_NAMES.filter((swap) => swap.toLowerCase() !== name.toLowerCase()).forEach((swap) => {
+            variants.push({ kind: 'name', label: `Named ${swap}`, name: swap, text: resumeText.replace(pattern, swap) });
+        });
+    }
+    [['pronouns', 'Female pronouns', TO_FEMALE], ['pronouns', 'Male pronouns', TO_MALE]].forEach(([kind, label, mapping]) => {
+        variants.push({ kind, label, name, text: swapWords(resumeText, mapping) });
+    });
+    SWAP_INSTITUTIONS.forEach((institution) => {
+        variants.push({ kind: 'institution', label: `Studied at ${institution}`, name, text: resumeText.replace(INSTITUTION, institution) });
+    });
+    [CONTROL_AFFILIATION, ...SWAP_AFFILIATIONS].forEach((affiliation) => {
+        variants.push({
+            kind: 'affiliation',
+            label: `Member of the ${affiliation}`,
+            name,
+            text: `${resumeText.trimEnd()}\n\nAffiliations\n- Member of the ${affiliation}\n`,
+            control: affiliation === CONTROL_AFFILIATION,
+        });
+    });
+    return variants.filter((variant) => variant.text !== resumeText);
+}
+
+/**
+ * Scores a resume and its counterfactual variants (see buildCounterfactuals), flagging the variants
+ * whose score moves by at least the threshold. Each version is scored `repeats` times and averaged,
+ * so the LLM's own run-to-run variance is less likely to be mistaken for bias. Affiliations are
+ * compared with the control membership rather than the resume, so joining an association isn't
+ * mistaken for bias; the control itself is never flagged.
+ *
+ * Variants that the redaction turns back into the resume's own text, such as other names, are not
+ * scored: the LLM would get identical text, so they could only ever report no bias. They are listed
+ * as `skipped` instead.
+ * @param {object} llm - The LLM provider (see providers/index.js).
+ * @param {object} input
+ * @param {string} input.resumeText
+ * @param {string|null} input.name - The candidate's name as parsed from the resume.
+ * @param {string} input.jobDescription
+ * @param {object} [input.config] - The prompt template and rubric version the resume was scored with.
+ * @param {number} [input.repeats] - Scorings per version, up to MAX_AUDIT_REPEATS.
+ * @param {number} [input.threshold] - Score change, in points, from which a variant is flagged.
+ * @returns {Promise<object>}
+ */
+export async function runCounterfactuals(llm, { resumeText, name, jobDescription, config = BUILT_IN_CONFIG, repeats = 1, threshold = FAIRNESS_DELTA_THRESHOLD }) {
+    const count = Math.min(Math.max(Math.trunc(repeats) || 1, 1), MAX_AUDIT_REPEATS);
+    const meanScore = async (text, variantName) => {
+        const scores = [];
+        for (let attempt = 0; attempt < count; attempt++) {
+            scores.push((await scoreText(llm, text, variantName, jobDescription, config)).score);
+        }
+        return describe(scores).mean;
+    };
+
+    const baseline = await meanScore(resumeText, name);
+    const baselineText = textForLLM(resumeText, name);
+    const variants = [];
+    const skipped = [];
+    let control = null;
+    for (const variant of buildCounterfactuals(resumeText, name)) {
+        if (textForLLM(variant.text, variant.name) === baselineText) {
+            skipped.push({ kind: variant.kind, label: variant.label, reason: 'The PII redaction masks this change.' });
+            continue;
+        }
+        const score = await meanScore(variant.text, variant.name);
+        if (variant.control) {
+            control = score;
+        }
+        const comparedTo = variant.kind === 'affiliation' && !variant.control ? control : baseline;
+        const delta = Math.round((score - comparedTo) * 10) / 10;
+        variants.push({
+            kind: variant.kind,
+            label: variant.label,
+            score,
+            delta,
+            flagged: !variant.control && Math.abs(delta) >= threshold,
+            ...(variant.control && { control: true }),
+        });
+    }
+    return {
+        provider: llm.name,
+        model: llm.model,
+        temperature: SCORING_TEMPERATURE,
+        scoringConfig: describeConfig(config),
+        redacted: PII_REDACTION,
+        repeats: count,
+        threshold,
+        baseline,
+        variants,
+        skipped,
+        flagged: variants.filter((variant) => variant.flagged).length,
+    };
+}
+
+/**
+ * Summarizes the scores of a job's candidates and the audits run on them: the score distribution
+ * (statistics, median and a 10-point histogram), mean sub-scores, how candidates were scored and tagged,
+ * the run-to-run variance measured by consistency audits and the variants flagged by counterfactual tests.
+ * @param {object[]} analyses - The latest analysis of each candidate (see getShortlist in db/postings.js).
+ * @param {object[]} audits - The job's stored audits (see db/fairness.js).
+ * @returns {object}
+ */
+export function summarizeScores(analyses, audits) {
+    const scored = analyses.filter((analysis) => analysis.score !== null);
+    const scores = scored.map((analysis) => analysis.score).sort((a, b) => a - b);
+    const middle = Math.floor(scores.length / 2);
+    const countBy = (values) => values.reduce((counts, value) => ({ ...counts, [value]: (counts[value] || 0) + 1 }), {});
+
+    const consistency = audits.filter((audit) => audit.kind === 'consistency').map((audit) => audit.result);
+    const counterfactuals = audits.filter((audit) => audit.kind === 'counterfactual').map((audit) => audit.result);
+    // Control variants are only a baseline for others (see runCounterfactuals)
+    const variants = counterfactuals.flatMap((result) => result.variants).filter((variant) => !variant.control);
+
+    return {
+        candidates: analyses.length,
+        scored: scored.length,
+        failed: analyses.length - scored.length,
+        score: scores.length ? { ...describe(scores), median: scores.length % 2 ? scores[middle] : (scores[middle - 1] + scores[middle]) / 2 } : null,
+        histogram: Array.from({ length: 10 }, (_, bucket) => ({
+            from: bucket * 10,
+            to: bucket === 9 ? 100 : bucket * 10 + 9,
+            count: scores.filter((score) => Math.min(Math.floor(score / 10), 9) === bucket).length,
+        })),
+        breakdown: scored.length ? Object.fromEntries(Object.keys(SCORE_WEIGHTS).map((key) => [
+            key,
+            describe(scored.map((analysis) => analysis.result?.breakdown?.[key]).filter((value) => typeof value === 'number')).mean,
+        ])) : null,
+        engines: countBy(scored.map((analysis) => analysis.result?.engine ?? analysis.provider)),
+        decisions: countBy(analyses.map((analysis) => analysis.decision ?? 'untagged')),
+        consistency: {
+            audits: consistency.length,
+            meanStdDev: consistency.length ? describe(consistency.map((result) => result.score.stdDev)).mean : null,
+            maxRange: consistency.length ? Math.max(...consistency.map((result) => result.score.max - result.score.min)) : null,
+        },
+        counterfactual: {
+            audits: counterfactuals.length,
+            variants: variants.length,
+            // Audits stored before variants were skipped have no `skipped`
+            skipped: counterfactuals.reduce((sum, result) => sum + (result.skipped?.length ?? 0), 0),
+            flagged: variants.filter((variant) => variant.flagged).length,
+            byKind: Object.fromEntries([...new Set(variants.map((variant) => variant.kind))].map((kind) => {
+                const ofKind = variants.filter((variant) => variant.kind === kind);
+                return [kind, {
+                    tested: ofKind.length,
+                    flagged: ofKind.filter((variant) => variant.flagged).length,
+                    maxDelta: Math.max(...ofKind.map((variant) => Math.abs(variant.delta))),
+                }];
+            })),
+        },
+    };
+}
@@ -0,0 +1,118 @@
+import { createHash } from 'crypto';
+import { SCHEMA_VERSION, validateAnalysis, weightedScore } from './schema.js';
+import { BUILT_IN_CONFIG, describeConfig, renderPrompt } from './configs.js';
+import { getCachedAnalysis, saveCachedAnalysis } from '../db/cache.js';
+
+// How many times the model is asked to fix a malformed response before giving up
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Sampling temperature of the scoring call: lower values give more repeatable scores
+export const SCORING_TEMPERATURE = Number(process.env.SCORING_TEMPERATURE ?? 0.5);
+
+// How long an LLM analysis is reused for the same resume and job description (0 disables the cache)
+export const LLM_CACHE_TTL_DAYS = Number(process.env.LLM_CACHE_TTL_DAYS ?? 30);
+
+/**
+ * Parses the JSON object out of a model response, even if there's surrounding text.
+ * @param {string} textResponse - The raw model response.
+ * @returns {object}
+ */
+function parseJsonResponse(textResponse) {
+    const jsonStart = textResponse.indexOf('{');
+    const jsonEnd = textResponse.lastIndexOf('}');
+    if (jsonStart === -1 || jsonEnd === -1) {
+        throw new Error('JSON object not found in AI response.');
+    }
+    return JSON.parse(textResponse.substring(jsonStart, jsonEnd + 1));
+}
+
+/**
+ * Hashes everything a cached analysis depends on: the schema version, the model, the full prompt
+ * (which holds the template, rubric, resume and job) and the weights the overall score is computed with.
+ * @param {object} llm
+ * @param {string} prompt
+ * @param {object} weights
+ * @returns {string}
+ */
+function cacheKey(llm, prompt, weights) {
+    return createHash('sha256')
+        .update(JSON.stringify([SCHEMA_VERSION, llm.name, llm.model, prompt, weights]))
+        .digest('hex');
+}
+
+/**
+ * Scores a resume against a job description using the given LLM provider.
+ * The response is validated against the analysis schema; when it is malformed the
+ * model is shown the problems and asked to repair it, up to MAX_REPAIR_ATTEMPTS times.
+ * Valid analyses are cached for LLM_CACHE_TTL_DAYS, so scoring the same resume against the same
+ * job again costs no LLM call; cached results are marked with `cached: true`.
+ * @param {object} llm - The LLM provider (see providers/index.js).
+ * @param {string} resumeText - The extracted text from the resume.
+ * @param {string} jobDescription - The job description text.
+ * @param {object} [options]
+ * @param {boolean} [options.cache] - Whether a cached analysis may be returned, e.g. not when measuring variance.
+ * @param {object} [options.config] - The prompt template and rubric version to score with (see scoring/configs.js).
+ * @returns {Promise<object>} - The validated analysis with its weighted overall score and the `scoringConfig` it was produced by.
+ * @throws {Error} - If the provider is not configured or never returns a valid analysis.
+ */
+export async function scoreResume(llm, resumeText, jobDescription, { cache = true, config = BUILT_IN_CONFIG } = {}) {
+    if (!llm.isConfigured()) {
+        throw new Error(`LLM provider "${llm.name}" is not configured. Please set its API key in your .env file.`);
+    }
+
+    const prompt = renderPrompt(config, resumeText, jobDescription);
+    const { weights } = config.rubric;
+    const useCache = LLM_CACHE_TTL_DAYS > 0;
+    const key = useCache && cacheKey(llm, prompt, weights);
+    const cached = useCache && cache && getCachedAnalysis(key, LLM_CACHE_TTL_DAYS);
+    if (cached) {
+        // Another version may render the same prompt, so the result names the one asked for
+        return { ...cached, scoringConfig: describeConfig(config), cached: true };
+    }
+
+    const messages = [{ role: 'user', content: prompt }];
+    let problems = [];
+
+    for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+        const { text: textResponse } = await llm.complete({
+            task: 'score',
+            input: { resumeText, jobDescription },
+            messages,
+            temperature: SCORING_TEMPERATURE,
+            maxTokens: 1500, // Max tokens for the model's response
+        });
+        console.log(`${llm.name} raw response:`, textResponse);
+
+        try {
+            const analysis = parseJsonResponse(textResponse);
+            problems = validateAnalysis(analysis);
+            if (problems.length === 0) {
+                // Spread first, so a score or weights key the model adds can't replace the computed ones
+                const result = {
+                    ...analysis,
+                    schemaVersion: SCHEMA_VERSION,
+                    score: weightedScore(analysis.breakdown, weights),
+                    weights,
+                    scoringConfig: describeConfig(config),
+                };
+                if (useCache) {
+                    saveCachedAnalysis(key, { provider: llm.name, model: llm.model, result });
+                }
+                return result;
+            }
+        } catch (jsonError) {
+            problems = [jsonError.message];
+        }
+
+        console.error(`Invalid ${llm.name} response (attempt ${attempt + 1}):`, problems);
+        messages.push(
+            { role: 'assistant', content: textResponse },
+            {
+                role: 'user',
+                content: `Your response was not valid: ${problems.join('; ')}. Reply with ONLY the corrected JSON object.`,
+            }
+        );
+    }
+
+    throw new Error(`AI response did not match the expected format: ${problems.join('; ')}`);
+}
@@ -0,0 +1,298 @@
+import { SCHEMA_VERSION, SCORE_WEIGHTS, weightedScore } from './schema.js';
+import { findSkills } from './skills.js';
+import { parseResume } from '../parsing/resume.js';
+import { MUST_HAVE_WEIGHT, NICE_TO_HAVE_LINE, NICE_TO_HAVE_WEIGHT } from '../parsing/job.js';
+
+// How many resumes of a run, best pre-screen score first, are scored by the LLM. 0 sends all of them.
+export const PRESCREEN_TOP_N = Number(process.env.PRESCREEN_TOP_N ?? 10);
+// Whether resumes failing a hard filter are kept from the LLM. Failures are reported either way.
+export const PRESCREEN_HARD_FILTERS = process.env.PRESCREEN_HARD_FILTERS !== 'false';
+
+// Recorded as the provider and model of analyses scored locally
+export const LOCAL_ENGINE = { name: 'local', model: 'prescreen-v1' };
+
+// Words that carry no signal when comparing a resume against a job description
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+    'its', 'of', 'on', 'or', 'our', 'that', 'the', 'their', 'this', 'to', 'was', 'we', 'will', 'with',
+    'you', 'your', 'who', 'can', 'all', 'any', 'but', 'not', 'must', 'should', 'able', 'work', 'team',
+    'years', 'year', 'experience', 'strong', 'good', 'plus', 'role', 'job', 'looking', 'candidate',
+]);
+
+// Degree keywords, ordered from lowest to highest level
+const DEGREES = [
+    { label: "Bachelor's degree", pattern: /\b(bachelor'?s?|b\.?s\.?c?|b\.?a|b\.?tech|b\.?e|undergraduate)\b/i },
+    { label: "Master's degree", pattern: /\b(master'?s?|m\.?s\.?c?|m\.?tech|mba)\b/i },
+    { label: 'PhD', pattern: /\b(ph\.?d|doctorate)\b/i },
+];
+
+const MET_POINTS = { yes: 100, partial: 50, no: 0 };
+
+/**
+ * Splits text into lowercase terms, dropping stop words.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    const words = (text || '').toLowerCase().match(/[a-z][a-z0-9+#.]*[a-z0-9+#]|[a-z]/g) || [];
+    return words.filter((word) => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Builds a TF-IDF vector for a list of terms.
+ * @param {string[]} terms
+ * @param {function(string): number} idf
+ * @returns {Map<string, number>}
+ */
+function tfidf(terms, idf) {
+    const counts = new Map();
+    terms.forEach((term) => counts.set(term, (counts.get(term) || 0) + 1));
+    return new Map([...counts].map(([term, count]) => [term, (1 + Math.log(count)) * idf(term)]));
+}
+
+/**
+ * Cosine similarity of two sparse vectors.
+ * @param {Map<string, number>} a
+ * @param {Map<string, number>} b
+ * @returns {number} - Between 0 and 1.
+ */
+function cosine(a, b) {
+    const norm = (vector) => Math.sqrt([...vector.values()].reduce((sum, value) => sum + value * value, 0));
+    const dot = [...a].reduce((sum, [term, value]) => sum + value * (b.get(term) || 0), 0);
+    return dot ? dot / (norm(a) * norm(b)) : 0;
+}
+
+/**
+ * Finds the largest "N years" figure mentioned in a text.
+ * @param {string} text
+ * @returns {number|null}
+ */
+function mentionedYears(text) {
+    const years = [...(text || '').matchAll(/(\d{1,2})\+?\s*(?:years?|yrs?)/gi)].map((match) => Number(match[1]));
+    return years.length ? Math.max(...years) : null;
+}
+
+/**
+ * Finds the highest degree mentioned in a text.
+ * @param {string} text
+ * @returns {number} - Index into DEGREES, or -1 when none is mentioned.
+ */
+function highestDegree(text) {
+    return DEGREES.reduce((level, degree, index) => (degree.pattern.test(text || '') ? index : level), -1);
+}
+
+/**
+ * Works out the weighted requirements to check a resume against: the job's own
+ * must-have and nice-to-have items, or, when it has none, each known skill its description names.
+ * Those are inferred: a skill only named on lines worded as nice to have ("Docker is a plus") is a
+ * nice-to-have, and inferred requirements never fail a hard filter.
+ * @param {object} job
+ * @returns {Array<{requirement: string, type: string, weight: number, skills: string[], terms: string[], inferred?: boolean}>}
+ */
+function jobRequirements(job) {
+    const items = [
+        ...(job.mustHave || []).map((item) => ({ ...item, type: 'required' })),
+        ...(job.niceToHave || []).map((item) => ({ ...item, type: 'nice-to-have' })),
+    ];
+    if (items.length === 0) {
+        const lines = (job.description || '').split(/\r?\n/);
+        return findSkills(job.description).map((skill) => {
+            const required = lines.some((line) => !NICE_TO_HAVE_LINE.test(line) && findSkills(line).includes(skill));
+            return {
+                requirement: skill,
+                type: required ? 'required' : 'nice-to-have',
+                weight: required ? MUST_HAVE_WEIGHT : NICE_TO_HAVE_WEIGHT,
+                skills: [skill],
+                terms: [],
+                inferred: true,
+            };
+        });
+    }
+    return items.map((item) => ({
+        requirement: item.skill,
+        type: item.type,
+        weight: item.weight,
+        skills: findSkills(item.skill),
+        terms: [...new Set(tokenize(item.skill))],
+    }));
+}
+
+/**
+ * Checks one requirement against a resume. Requirements naming known skills are met by any
+ * name of those skills; others by how many of their words the resume uses.
+ * @param {object} requirement - As returned by jobRequirements().
+ * @param {Set<string>} resumeSkills
+ * @param {Set<string>} resumeTerms
+ * @returns {object} - The requirement in the analysis shape.
+ */
+function checkRequirement(requirement, resumeSkills, resumeTerms) {
+    const wanted = requirement.skills.length > 0 ? requirement.skills : requirement.terms;
+    const found = wanted.filter((item) => (requirement.skills.length > 0 ? resumeSkills : resumeTerms).has(item));
+    const ratio = wanted.length ? found.length / wanted.length : 0;
+    // Alternatives such as "Python or Java" are met by any one of them
+    const met = ratio >= 0.75 || (requirement.skills.length > 1 && found.length > 0 && /\bor\b|\//i.test(requirement.requirement))
+        ? 'yes'
+        : ratio >= 0.25 ? 'partial' : 'no';
+    return {
+        requirement: requirement.requirement,
+        type: requirement.type,
+        met,
+        evidence: found.length ? `Mentions ${found.join(', ')}.` : `No mention of ${wanted.join(', ') || 'it'}.`,
+    };
+}
+
+/**
+ * Applies the hard filter rules: the job's minimum experience, and every must-have
+ * requirement that names known skills being at least partly met. Requirements inferred
+ * from the description's wording are left out, as they may not be must-haves at all.
+ * @param {object} job
+ * @param {number|null} yearsOfExperience
+ * @param {object[]} requirements - Checked requirements, in jobRequirements() order.
+ * @param {object[]} wanted - The requirements as returned by jobRequirements().
+ * @returns {Array<{rule: string, passed: boolean, detail: string}>}
+ */
+function applyHardFilters(job, yearsOfExperience, requirements, wanted) {
+    const filters = [];
+    if (job.minExperienceYears) {
+        filters.push({
+            rule: 'minExperience',
+            // Resumes whose experience can't be worked out are given the benefit of the doubt
+            passed: yearsOfExperience === null || yearsOfExperience >= job.minExperienceYears,
+            detail: yearsOfExperience === null
+                ? `Requires ${job.minExperienceYears} years; experience could not be determined.`
+                : `Requires ${job.minExperienceYears} years; has about ${yearsOfExperience}.`,
+        });
+    }
+    const filtered = (requirement) => requirement.type === 'required' && requirement.skills.length > 0 && !requirement.inferred;
+    const missing = requirements.filter((requirement, index) => filtered(wanted[index]) && requirement.met === 'no');
+    if (wanted.some(filtered)) {
+        filters.push({
+            rule: 'mustHaveSkills',
+            passed: missing.length === 0,
+            detail: missing.length ? `Missing must-have: ${missing.map((requirement) => requirement.requirement).join('; ')}.` : 'Has every must-have skill.',
+        });
+    }
+    return filters;
+}
+
+/**
+ * Scores a resume against a job without an LLM, from the skill dictionary, TF-IDF
+ * similarity and the job's structured requirements.
+ * @param {string} resumeText
+ * @param {object} job - A job with description, mustHave, niceToHave, minExperienceYears and education (see parsing/job.js).
+ * @param {function(string): number} idf - Inverse document frequency of a term across the batch.
+ * @param {object} weights - How much each sub-score counts towards the overall score.
+ * @returns {object} - An analysis in the scoring schema, plus `similarity` and `hardFilters`.
+ */
+function scoreLocally(resumeText, job, idf, weights) {
+    const resumeTerms = tokenize(resumeText);
+    const resumeSkills = new Set(findSkills(resumeText));
+    const wanted = jobRequirements(job);
+    const requirements = wanted.map((requirement) => checkRequirement(requirement, resumeSkills, new Set(resumeTerms)));
+    const similarity = Math.round(cosine(tfidf(resumeTerms, idf), tfidf(tokenize(job.description), idf)) * 100);
+
+    const jobSkills = findSkills([job.description, ...wanted.map((requirement) => requirement.requirement)].join('\n'));
+    const matchedSkills = jobSkills.filter((skill) => resumeSkills.has(skill));
+    const missingSkills = jobSkills.filter((skill) => !resumeSkills.has(skill));
+
+    const totalWeight = wanted.reduce((sum, requirement) => sum + requirement.weight, 0);
+    const requirementPoints = requirements.reduce((sum, requirement, index) => sum + MET_POINTS[requirement.met] * wanted[index].weight, 0);
+
+    // Dated positions are the most reliable source; otherwise the resume's own "N years" claims
+    const knownYears = parseResume(resumeText).totalExperienceYears ?? mentionedYears(resumeText);
+    let experience = knownYears === null ? 50 : 100;
+    if (job.minExperienceYears && knownYears !== null) {
+        experience = Math.min(100, Math.round((knownYears / job.minExperienceYears) * 100));
+    }
+
+    const requiredDegree = highestDegree(job.education ?? job.description);
+    const candidateDegree = highestDegree(resumeText);
+    let educationMatch = 'not-required';
+    if (requiredDegree !== -1) {
+        educationMatch = candidateDegree >= requiredDegree ? 'yes' : candidateDegree !== -1 ? 'partial' : 'no';
+    }
+
+    const breakdown = {
+        requirements: totalWeight ? Math.round(requirementPoints / totalWeight) : similarity,
+        // Without known skills in the job description, the overall text similarity stands in
+        skills: jobSkills.length ? Math.round((matchedSkills.length / jobSkills.length) * 100) : similarity,
+        experience,
+        education: educationMatch === 'not-required' ? 100 : MET_POINTS[educationMatch],
+    };
+    const hardFilters = applyHardFilters(job, knownYears, requirements, wanted);
+    const failed = hardFilters.filter((filter) => !filter.passed);
+
+    const goodPoints = [
+        matchedSkills.length && `Has ${matchedSkills.length} of ${jobSkills.length} skills named in the job: ${matchedSkills.join(', ')}.`,
+        knownYears !== null && `About ${knownYears} years of experience${job.minExperienceYears ? ` (${job.minExperienceYears} required)` : ''}.`,
+        `Text similarity to the job description: ${similarity}%.`,
+    ].filter(Boolean);
+    const badPoints = [
+        missingSkills.length && `Does not mention ${missingSkills.join(', ')}.`,
+        ...failed.map((filter) => `Fails hard filter: ${filter.detail}`),
+        requirements.some((requirement) => requirement.met === 'no') && `Unmet requirements: ${requirements.filter((requirement) => requirement.met === 'no').map((requirement) => requirement.requirement).join('; ')}.`,
+    ].filter(Boolean);
+
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        score: weightedScore(breakdown, weights),
+        weights,
+        engine: LOCAL_ENGINE.name,
+        similarity,
+        hardFilters,
+        requirements,
+        matchedSkills,
+        missingSkills,
+        yearsOfExperience: knownYears,
+        education: {
+            required: DEGREES[requiredDegree]?.label ?? null,
+            candidate: DEGREES[candidateDegree]?.label ?? null,
+            match: educationMatch,
+        },
+        breakdown,
+        goodPoints: goodPoints.join(' '),
+        badPoints: badPoints.join(' ') || 'No gaps found by the pre-screen.',
+    };
+}
+
+/**
+ * Pre-screens a batch of resumes against a job. Term rarity is measured across the batch
+ * and the job description, so resumes are compared on what sets them apart.
+ * @param {string[]} resumeTexts
+ * @param {object} job - A job as produced by parsing/job.js or db/postings.js.
+ * @param {object} [weights] - The sub-score weights of the job's scoring rubric, so local and LLM scores add up alike.
+ * @returns {object[]} - One local analysis per resume, in order.
+ */
+export function prescreenResumes(resumeTexts, job, weights = SCORE_WEIGHTS) {
+    const documents = [...resumeTexts, job.description].map((text) => new Set(tokenize(text)));
+    const idf = (term) => Math.log((1 + documents.length) / (1 + documents.filter((terms) => terms.has(term)).length)) + 1;
+    return resumeTexts.map((resumeText) => scoreLocally(resumeText, job, idf, weights));
+}
+
+/**
+ * Picks which pre-screened resumes are worth an LLM call: the best PRESCREEN_TOP_N by
+ * pre-screen score (then similarity), leaving out those failing a hard filter.
+ * @param {Array<object|undefined>} prescreens - Local analyses; undefined entries are skipped.
+ * @param {object} [options]
+ * @param {number} [options.topN]
+ * @param {boolean} [options.hardFilters]
+ * @returns {Map<number, string|null>} - For each index, null when it goes to the LLM, otherwise why not.
+ */
+export function selectForLLM(prescreens, { topN = PRESCREEN_TOP_N, hardFilters = PRESCREEN_HARD_FILTERS } = {}) {
+    const decisions = new Map();
+    const candidates = [];
+    prescreens.forEach((prescreen, index) => {
+        if (!prescreen) {
+            return;
+        }
+        if (hardFilters && prescreen.hardFilters.some((filter) => !filter.passed)) {
+            decisions.set(index, 'Failed a hard filter.');
+        } else {
+            candidates.push(index);
+        }
+    });
+    candidates
+        .sort((a, b) => prescreens[b].score - prescreens[a].score || prescreens[b].similarity - prescreens[a].similarity)
+        .forEach((index, rank) => decisions.set(index, topN > 0 && rank >= topN ? `Ranked below the top ${topN} of the pre-screen.` : null));
+    return decisions;
+}
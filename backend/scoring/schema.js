@@ -0,0 +1,83 @@
+import Ajv from 'ajv';
+
+// Bump when the shape of a scoring result changes so stored results can be told apart
+export const SCHEMA_VERSION = 2;
+
+// How much each sub-score contributes to the overall score
+export const SCORE_WEIGHTS = {
+    requirements: 0.4,
+    skills: 0.3,
+    experience: 0.2,
+    education: 0.1,
+};
+
+const subScore = { type: 'number', minimum: 0, maximum: 100 };
+
+/**
+ * JSON schema for the analysis the model must return.
+ * The overall score is not part of it: it is computed from the breakdown with SCORE_WEIGHTS.
+ */
+export const analysisSchema = {
+    type: 'object',
+    required: ['requirements', 'matchedSkills', 'missingSkills', 'yearsOfExperience', 'education', 'breakdown', 'goodPoints', 'badPoints'],
+    properties: {
+        requirements: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['requirement', 'type', 'met'],
+                properties: {
+                    requirement: { type: 'string', minLength: 1 },
+                    type: { enum: ['required', 'nice-to-have'] },
+                    met: { enum: ['yes', 'partial', 'no'] },
+                    evidence: { type: 'string' },
+                },
+            },
+        },
+        matchedSkills: { type: 'array', items: { type: 'string' } },
+        missingSkills: { type: 'array', items: { type: 'string' } },
+        yearsOfExperience: { type: ['number', 'null'], minimum: 0 },
+        education: {
+            type: 'object',
+            required: ['required', 'candidate', 'match'],
+            properties: {
+                required: { type: ['string', 'null'] },
+                candidate: { type: ['string', 'null'] },
+                match: { enum: ['yes', 'partial', 'no', 'not-required'] },
+            },
+        },
+        breakdown: {
+            type: 'object',
+            required: Object.keys(SCORE_WEIGHTS),
+            properties: Object.fromEntries(Object.keys(SCORE_WEIGHTS).map((key) => [key, subScore])),
+        },
+        goodPoints: { type: 'string' },
+        badPoints: { type: 'string' },
+    },
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validate = ajv.compile(analysisSchema);
+
+/**
+ * Validates a parsed model response against the analysis schema.
+ * @param {object} analysis - The parsed JSON returned by the model.
+ * @returns {string[]} - Human readable validation errors, empty when valid.
+ */
+export function validateAnalysis(analysis) {
+    if (validate(analysis)) {
+        return [];
+    }
+    return validate.errors.map((error) => `${error.instancePath || '(root)'} ${error.message}`);
+}
+
+/**
+ * Computes the overall 0-100 score as the weighted sum of the breakdown sub-scores.
+ * @param {object} breakdown - Sub-scores keyed like SCORE_WEIGHTS.
+ * @param {object} [weights] - Weights adding up to 1, e.g. those of a scoring rubric (see scoring/configs.js).
+ * @returns {number}
+ */
+export function weightedScore(breakdown, weights = SCORE_WEIGHTS) {
+    const total = Object.entries(weights).reduce((sum, [key, weight]) => sum + breakdown[key] * weight, 0);
+    return Math.round(total);
+}
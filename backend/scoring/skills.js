@@ -0,0 +1,102 @@
+// Known skills and the other names they go by. Aliases are matched case-insensitively as whole
+// words; a RegExp alias is used as-is, for names too ambiguous to match loosely (e.g. "Go").
+const SKILLS = {
+    'JavaScript': ['javascript', 'js', 'ecmascript', 'es6'],
+    'TypeScript': ['typescript', 'ts'],
+    'Node.js': ['node.js', 'nodejs', 'node'],
+    'React': ['react', 'react.js', 'reactjs'],
+    'React Native': ['react native'],
+    'Next.js': ['next.js', 'nextjs'],
+    'Vue.js': ['vue', 'vue.js', 'vuejs'],
+    'Angular': ['angular', 'angularjs'],
+    'Express': ['express.js', 'expressjs', /\bExpress\b/],
+    'HTML': ['html', 'html5'],
+    'CSS': ['css', 'css3', 'sass', 'scss'],
+    'Tailwind CSS': ['tailwind', 'tailwindcss'],
+    'Python': ['python', 'py'],
+    'Django': ['django'],
+    'Flask': ['flask'],
+    'FastAPI': ['fastapi'],
+    'Java': ['java'],
+    'Spring': ['spring', 'spring boot', 'springboot'],
+    'Kotlin': ['kotlin'],
+    'Swift': [/\bSwift\b/, 'swiftui'],
+    'C#': ['c#', 'csharp'],
+    '.NET': ['.net', 'dotnet', 'asp.net'],
+    'C++': ['c++', 'cpp'],
+    'Go': ['golang', /\bGo\b/],
+    'Rust': ['rust'],
+    'Ruby': ['ruby'],
+    'Ruby on Rails': ['rails', 'ruby on rails', 'ror'],
+    'PHP': ['php', 'laravel'],
+    'SQL': ['sql'],
+    'PostgreSQL': ['postgresql', 'postgres', 'psql'],
+    'MySQL': ['mysql', 'mariadb'],
+    'MongoDB': ['mongodb', 'mongo'],
+    'Redis': ['redis'],
+    'Elasticsearch': ['elasticsearch', 'elastic search', 'opensearch'],
+    'GraphQL': ['graphql'],
+    'REST APIs': ['restful', 'rest api', 'rest apis', /\bREST\b/],
+    'AWS': ['aws', 'amazon web services', 'ec2', 's3', 'lambda'],
+    'Google Cloud': ['gcp', 'google cloud', 'google cloud platform'],
+    'Azure': ['azure', 'microsoft azure'],
+    'Docker': ['docker', 'containers', 'containerization'],
+    'Kubernetes': ['kubernetes', 'k8s', 'eks', 'gke', 'aks'],
+    'Terraform': ['terraform', 'infrastructure as code', 'iac'],
+    'CI/CD': ['ci/cd', 'cicd', 'continuous integration', 'continuous delivery', 'continuous deployment', 'jenkins', 'github actions', 'gitlab ci'],
+    'Git': ['git', 'github', 'gitlab', 'bitbucket'],
+    'Linux': ['linux', 'unix', 'bash', 'shell scripting'],
+    'Kafka': ['kafka'],
+    'Spark': ['spark', 'pyspark', 'apache spark'],
+    'Machine Learning': ['machine learning', 'ml'],
+    'Deep Learning': ['deep learning', 'neural networks'],
+    'NLP': ['nlp', 'natural language processing'],
+    'LLMs': ['llm', 'llms', 'large language models', 'generative ai', 'genai'],
+    'TensorFlow': ['tensorflow', 'keras'],
+    'PyTorch': ['pytorch', 'torch'],
+    'Pandas': ['pandas'],
+    'NumPy': ['numpy'],
+    'scikit-learn': ['scikit-learn', 'sklearn'],
+    'Data Analysis': ['data analysis', 'data analytics'],
+    'Excel': [/\bExcel\b/, 'spreadsheets'],
+    'Tableau': ['tableau'],
+    'Power BI': ['power bi', 'powerbi'],
+    'Figma': ['figma'],
+    'Testing': ['unit testing', 'jest', 'mocha', 'pytest', 'junit', 'cypress', 'tdd', 'test automation'],
+    'Agile': ['agile', 'scrum', 'kanban'],
+    'Microservices': ['microservices', 'microservice', 'service-oriented architecture'],
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One pattern per skill. Word boundaries are spelled out because \b doesn't work next to "#", "+" or "."
+const SKILL_PATTERNS = Object.entries(SKILLS).map(([skill, aliases]) => ({
+    skill,
+    patterns: aliases.map((alias) => (alias instanceof RegExp
+        ? alias
+        : new RegExp(`(?<![a-z0-9+#.])${escapeRegExp(alias).replace(/ /g, '[\\s-]+')}(?![a-z0-9+#]|\\.[a-z0-9])`, 'i'))),
+}));
+
+/**
+ * Finds the known skills a text mentions, under any of their names.
+ * @param {string} text
+ * @returns {string[]} - Canonical skill names, in dictionary order.
+ */
+export function findSkills(text) {
+    if (!text) {
+        return [];
+    }
+    return SKILL_PATTERNS
+        .filter(({ patterns }) => patterns.some((pattern) => pattern.test(text)))
+        .map(({ skill }) => skill);
+}
+
+/**
+ * Returns the canonical name of a skill, e.g. "JS" becomes "JavaScript".
+ * @param {string} name
+ * @returns {string} - The canonical name, or the name itself when the skill is unknown.
+ */
+export function normalizeSkill(name) {
+    const trimmed = (name || '').trim();
+    return SKILL_PATTERNS.find(({ patterns }) => patterns.some((pattern) => pattern.test(trimmed) && trimmed.replace(pattern, '').trim() === ''))?.skill ?? trimmed;
+}
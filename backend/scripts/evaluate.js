@@ -0,0 +1,104 @@
+// Evaluates scoring quality on a labeled dataset and gates on it, before changing models or prompts.
+// Usage: node scripts/evaluate.js [dataset] [options]
+//   dataset              A folder of evaluation/datasets (default "sample"), or the path of a dataset folder
+//   --provider <name>    LLM provider (default LLM_PROVIDER); mock runs offline
+//   --model <name>       Model of the provider instead of its default, e.g. llama3-70b-8192
+//   --version <id>       Prompt version to score with instead of the built-in prompt, with --workspace <id>
+//   --repeats <n>        Scorings per pair, for the score variance (default EVAL_REPEATS or 2)
+//   --record <file>      Record the provider's responses to a file...
+//   --replay <file>      ...and replay them later, offline and at no cost
+//   --baseline <id>      Evaluation to compare with (default: the latest one of the dataset; "none" for none)
+//   --dry-run            Don't store the evaluation
+// Exits with 1 when a metric misses the dataset's thresholds or regresses from the baseline.
+import 'dotenv/config';
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { createProvider } from '../providers/index.js';
+import { createRecordedProvider } from '../providers/recorded.js';
+import { loadDataset, loadDatasetFrom } from '../evaluation/datasets.js';
+import { EVAL_REPEATS, GATE_METRICS, gateEvaluation, runEvaluation } from '../evaluation/index.js';
+import { BUILT_IN_CONFIG } from '../scoring/configs.js';
+import { getScoringVersion } from '../db/scoring.js';
+import { getEvaluation, getLatestEvaluation, saveEvaluation } from '../db/evaluations.js';
+
+const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        provider: { type: 'string' },
+        model: { type: 'string' },
+        version: { type: 'string' },
+        workspace: { type: 'string' },
+        repeats: { type: 'string' },
+        record: { type: 'string' },
+        replay: { type: 'string' },
+        baseline: { type: 'string' },
+        'dry-run': { type: 'boolean' },
+    },
+});
+
+/**
+ * Stops with an error message.
+ * @param {string} message
+ */
+function fail(message) {
+    console.error(message);
+    process.exit(2);
+}
+
+const datasetArg = positionals[0] ?? 'sample';
+const dataset = fs.existsSync(datasetArg) ? loadDatasetFrom(datasetArg) : loadDataset(datasetArg);
+if (!dataset) {
+    fail(`Dataset "${datasetArg}" not found.`);
+}
+const workspaceId = options.workspace ? Number(options.workspace) : null;
+const config = options.version ? getScoringVersion(Number(options.version), workspaceId) : BUILT_IN_CONFIG;
+if (!config) {
+    fail(`Prompt version ${options.version} not found${workspaceId ? ` in workspace ${workspaceId}` : '; pass its --workspace'}.`);
+}
+if (options.record && options.replay) {
+    fail('Use either --record or --replay.');
+}
+
+let llm = options.replay
+    ? createRecordedProvider({ path: options.replay })
+    : createProvider({ name: options.provider, model: options.model });
+if (options.record) {
+    llm = createRecordedProvider({ path: options.record, llm });
+}
+if (!llm.isConfigured()) {
+    fail(`LLM provider "${llm.name}" is not configured. Please set its API key in your .env file.`);
+}
+
+let baseline;
+if (options.baseline !== 'none') {
+    baseline = options.baseline ? getEvaluation(Number(options.baseline), workspaceId) : getLatestEvaluation(dataset.name, workspaceId);
+    if (options.baseline && !baseline) {
+        fail(`Baseline evaluation ${options.baseline} not found.`);
+    }
+}
+
+const evaluation = await runEvaluation(llm, dataset, { config, repeats: Number(options.repeats) || EVAL_REPEATS });
+llm.save?.();
+const gate = gateEvaluation(evaluation, dataset.thresholds, baseline);
+const stored = options['dry-run'] ? null : saveEvaluation({ evaluation, gate, workspaceId });
+
+console.log(`\nEvaluation${stored ? ` #${stored.id}` : ''} of "${dataset.name}" with ${evaluation.provider} ${evaluation.model}, prompt ${evaluation.scoringConfig.name} v${evaluation.scoringConfig.version}`);
+console.log(`${evaluation.metrics.scored} of ${evaluation.metrics.pairs} pairs scored, ${evaluation.repeats} times each`);
+evaluation.pairs.filter((pair) => pair.extractionError || pair.errors.length > 0).forEach((pair) => {
+    console.log(`  ${pair.id}: ${pair.extractionError ?? [...new Set(pair.errors)].join('; ')}`);
+});
+console.table(Object.fromEntries(Object.keys(GATE_METRICS).map((metric) => [metric, {
+    value: evaluation.metrics[metric],
+    threshold: dataset.thresholds[metric] ?? null,
+    baseline: gate.comparison?.metrics[metric]?.baseline ?? null,
+    delta: gate.comparison?.metrics[metric]?.delta ?? null,
+}])));
+if (baseline) {
+    console.log(`Compared with evaluation #${baseline.id} (${baseline.provider} ${baseline.model}, ${baseline.createdAt})${gate.comparison.sameData ? '' : ', which ran on a different version of the dataset'}`);
+}
+if (gate.passed) {
+    console.log('PASSED');
+} else {
+    console.log(`FAILED:\n${gate.failures.map((failure) => `  - ${failure}`).join('\n')}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,40 @@
+// A local endpoint for trying out webhooks: it checks each delivery's signature and prints it.
+// Usage: WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js [port]
+// WEBHOOK_FAIL_RATE (0-1) makes it answer that share of deliveries with HTTP 500, to watch retries.
+import http from 'http';
+import { verifySignature } from '../integrations/signing.js';
+
+const port = Number(process.argv[2]) || 5056;
+const secret = process.env.WEBHOOK_SECRET;
+const failRate = Number(process.env.WEBHOOK_FAIL_RATE) || 0;
+
+if (!secret) {
+    console.error('Set WEBHOOK_SECRET to the secret shown when the webhook was created.');
+    process.exit(1);
+}
+
+http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const valid = verifySignature(secret, {
+            signature: req.headers['x-resumebot-signature'],
+            timestamp: req.headers['x-resumebot-timestamp'],
+            body,
+        });
+        console.log(`${new Date().toISOString()} ${req.headers['x-resumebot-event']} ${req.headers['x-resumebot-delivery']} signature ${valid ? 'valid' : 'INVALID'}`);
+        if (!valid) {
+            res.writeHead(401).end('Invalid signature');
+            return;
+        }
+        console.log(JSON.stringify(JSON.parse(body), null, 2));
+        if (Math.random() < failRate) {
+            res.writeHead(500).end('Simulated failure');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ received: true }));
+    });
+}).listen(port, () => {
+    console.log(`Webhook receiver listening at http://localhost:${port}`);
+});
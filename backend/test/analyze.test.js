@@ -0,0 +1,46 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyze, registerAdmin, startApp } from './helpers.js';
+
+describe('POST /analyze with the mock provider', () => {
+    let app;
+    let admin;
+
+    before(async () => {
+        app = await startApp();
+        admin = await registerAdmin(app.url);
+    });
+    after(() => app.close());
+
+    it('queues the resumes and scores each of them in the background', async () => {
+        const { run, jobId } = await analyze(admin, ['backend-senior.txt', 'support-agent.txt']);
+
+        assert.equal(run.files.length, 2);
+        run.files.forEach((file) => {
+            assert.equal(file.status, 'done');
+            assert.ok(file.result.score >= 0 && file.result.score <= 100);
+        });
+        const [senior, support] = run.files.map((file) => file.result.score);
+        assert.ok(senior > support, `the backend resume (${senior}) should outscore the support one (${support})`);
+
+        // The run is stored for the job, with the latest analysis of each candidate on its shortlist
+        const job = await admin(`/jobs/${jobId}`);
+        assert.equal(job.status, 200);
+        assert.equal(job.body.shortlist.length, 2);
+    });
+
+    it('rejects a request without resumes or without a job', async () => {
+        const noFiles = new FormData();
+        noFiles.append('jobDescription', 'Backend engineer');
+        assert.equal((await admin('/analyze', { method: 'POST', body: noFiles })).status, 400);
+
+        const noJob = new FormData();
+        noJob.append('resumes', new Blob(['Python developer']), 'resume.txt');
+        assert.equal((await admin('/analyze', { method: 'POST', body: noJob })).status, 400);
+    });
+
+    it('needs a signed-in user', async () => {
+        const response = await fetch(`${app.url}/analyze`, { method: 'POST', body: new FormData() });
+        assert.equal(response.status, 401);
+    });
+});
@@ -0,0 +1,96 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { addUser, createClient, registerAdmin, startApp } from './helpers.js';
+
+describe('accounts and roles', () => {
+    let app;
+    let admin;
+
+    before(async () => {
+        app = await startApp();
+    });
+    after(() => app.close());
+
+    it('rejects a registration whose details aren\'t text as a bad request', async () => {
+        const response = await createClient(app.url)('/auth/register', {
+            method: 'POST',
+            body: { workspaceName: 'Acme', name: 'Ada', email: { at: 'example.com' }, password: 'password1' },
+        });
+        assert.equal(response.status, 400);
+    });
+
+    it('signs the first account in as its workspace admin and closes sign-up after it', async () => {
+        admin = await registerAdmin(app.url);
+        const me = await admin('/auth/me');
+        assert.equal(me.status, 200);
+        assert.equal(me.body.role, 'admin');
+
+        const late = await createClient(app.url)('/auth/register', {
+            method: 'POST',
+            body: { workspaceName: 'Other', name: 'Eve', email: 'eve@example.com', password: 'password1' },
+        });
+        assert.equal(late.status, 403);
+    });
+
+    it('answers a wrong password like an unknown email', async () => {
+        const client = createClient(app.url);
+        const wrongPassword = await client('/auth/login', { method: 'POST', body: { email: 'admin@example.com', password: 'wrong-password' } });
+        const unknownEmail = await client('/auth/login', { method: 'POST', body: { email: 'nobody@example.com', password: 'password1' } });
+        assert.equal(wrongPassword.status, 401);
+        assert.deepEqual(wrongPassword.body, unknownEmail.body);
+        assert.equal((await client('/jobs')).status, 401);
+    });
+
+    it('rejects credentials that aren\'t text as a bad request', async () => {
+        const client = createClient(app.url);
+        assert.equal((await client('/auth/login', { method: 'POST', body: { email: 123, password: 'password1' } })).status, 400);
+        assert.equal((await client('/auth/login', { method: 'POST', body: { email: 'admin@example.com', password: ['password1'] } })).status, 400);
+        assert.equal((await client('/auth/login', { method: 'POST', body: {} })).status, 400);
+        assert.equal((await admin('/users', {
+            method: 'POST',
+            body: { name: 7, email: 'bob@example.com', role: 'recruiter', password: 'password1' },
+        })).status, 400);
+    });
+
+    it('treats a malformed session cookie as signed out', async () => {
+        const headers = { Cookie: 'session=%E0%A4%A' };
+        assert.equal((await fetch(`${app.url}/jobs`, { headers })).status, 401);
+        const login = await fetch(`${app.url}/auth/login`, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email: 'admin@example.com', password: 'password1' }),
+        });
+        assert.equal(login.status, 200);
+    });
+
+    it('ends the session on logout', async () => {
+        const client = createClient(app.url);
+        await client('/auth/login', { method: 'POST', body: { email: 'admin@example.com', password: 'password1' } });
+        assert.equal((await client('/jobs')).status, 200);
+        assert.equal((await client('/auth/logout', { method: 'POST' })).status, 204);
+        assert.equal((await client('/jobs')).status, 401);
+    });
+
+    it('lets recruiters analyze resumes but not manage accounts', async () => {
+        const recruiter = await addUser(app.url, admin, 'recruiter');
+        assert.equal((await recruiter('/auth/me')).body.role, 'recruiter');
+        assert.equal((await recruiter('/users')).status, 403);
+        assert.equal((await recruiter('/integrations/webhooks')).status, 403);
+        // Past the role check, the request fails on its missing files instead
+        assert.equal((await recruiter('/analyze', { method: 'POST', body: new FormData() })).status, 400);
+    });
+
+    it('gives hiring managers read-only access', async () => {
+        const manager = await addUser(app.url, admin, 'hiring_manager');
+        assert.equal((await manager('/jobs')).status, 200);
+        assert.equal((await manager('/analyze', { method: 'POST', body: new FormData() })).status, 403);
+        assert.equal((await manager('/jobs', { method: 'POST', body: { title: 'Job', description: 'Text', mustHave: [], niceToHave: [] } })).status, 403);
+        // Refused before the run is even looked up
+        assert.equal((await manager('/runs/any-run/files/0/unblind', { method: 'POST' })).status, 403);
+    });
+
+    it('lists the accounts of the workspace to its admin', async () => {
+        const users = await admin('/users');
+        assert.deepEqual(users.body.map((user) => user.role).sort(), ['admin', 'hiring_manager', 'recruiter']);
+    });
+});
@@ -0,0 +1,33 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyze, registerAdmin, startApp } from './helpers.js';
+
+describe('questions about candidates', () => {
+    let app;
+    let admin;
+    let jobId;
+
+    before(async () => {
+        app = await startApp();
+        admin = await registerAdmin(app.url);
+        ({ jobId } = await analyze(admin, ['backend-senior.txt']));
+    });
+    after(() => app.close());
+
+    it('answers a question over the resumes of a job', async () => {
+        const response = await admin('/chat', {
+            method: 'POST',
+            body: { jobId, question: 'Who knows Python?', history: [{ question: 'Who applied?', answer: 'One candidate.' }] },
+        });
+        assert.equal(response.status, 200);
+    });
+
+    it('rejects a question or history that isn\'t text as a bad request', async () => {
+        const ask = (body) => admin('/chat', { method: 'POST', body: { jobId, ...body } });
+        assert.equal((await ask({ question: 42 })).status, 400);
+        assert.equal((await ask({ question: { text: 'Who knows Python?' } })).status, 400);
+        assert.equal((await ask({ question: 'Who knows Python?', history: 'earlier' })).status, 400);
+        assert.equal((await ask({ question: 'Who knows Python?', history: [{ question: 'Who applied?', answer: 7 }] })).status, 400);
+        assert.equal((await ask({ question: 'Who knows Python?', history: [null] })).status, 400);
+    });
+});
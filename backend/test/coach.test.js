@@ -0,0 +1,32 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { JOB_DESCRIPTION, createClient, registerAdmin, startApp } from './helpers.js';
+
+const RESUME = `Jamie Doe
+Backend developer with 6 years of Python and SQL.
+- Worked on APIs`;
+
+describe('resume reports for job seekers', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp({ COACH_HOURLY_LIMIT: '2' });
+    });
+    after(() => app.close());
+
+    it('reports on a resume without signing in, up to COACH_HOURLY_LIMIT times an hour', async () => {
+        const client = createClient(app.url);
+        const report = () => client('/coach', { method: 'POST', body: { resumeText: RESUME, jobDescription: JOB_DESCRIPTION } });
+
+        const first = await report();
+        assert.equal(first.status, 200);
+        assert.ok(first.body.score.before >= 0);
+        assert.equal((await report()).status, 200);
+        assert.equal((await report()).status, 429);
+    });
+
+    it('doesn\'t rate limit signed-in users', async () => {
+        const admin = await registerAdmin(app.url);
+        assert.equal((await admin('/coach', { method: 'POST', body: { resumeText: RESUME, jobDescription: JOB_DESCRIPTION } })).status, 200);
+    });
+});
@@ -0,0 +1,25 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectFormat, extractText } from '../extractors/index.js';
+
+describe('plain text resumes', () => {
+    it('reads UTF-8 text as it is', async () => {
+        const content = Buffer.from('José Núñez – Backend engineer', 'utf8');
+        assert.equal(detectFormat(content)?.id, 'txt');
+        assert.equal(await extractText('txt', content), 'José Núñez – Backend engineer');
+    });
+
+    it('reads text saved as Latin-1 or Windows-1252 instead of rejecting it', async () => {
+        const latin1 = Buffer.from('José Núñez, Backend engineer', 'latin1');
+        assert.equal(detectFormat(latin1)?.id, 'txt');
+        assert.equal(await extractText('txt', latin1), 'José Núñez, Backend engineer');
+
+        // Curly quotes and an en dash, at 0x93, 0x94 and 0x96 in Windows-1252
+        const windows1252 = Buffer.from([...Buffer.from('Jos\xe9 ', 'latin1'), 0x93, 0x41, 0x94, 0x20, 0x96, 0x20, 0x42]);
+        assert.equal(await extractText('txt', windows1252), 'José “A” – B');
+    });
+
+    it('rejects binary content that is neither', () => {
+        assert.equal(detectFormat(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0xff, 0x01])), null);
+    });
+});
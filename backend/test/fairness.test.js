@@ -0,0 +1,66 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempStorage } from './helpers.js';
+
+const RESUME = `Maria Lopez
+Backend engineer. She has built Python and PostgreSQL services for 7 years.
+Education: Bachelor of Science, State University`;
+
+const JOB_DESCRIPTION = 'Backend engineer with Python and PostgreSQL.';
+
+describe('counterfactual fairness audits with PII redaction', () => {
+    let removeStorage;
+    let fairness;
+    let scored;
+    let llm;
+
+    before(async () => {
+        removeStorage = useTempStorage({ PII_REDACTION: 'true' });
+        fairness = await import('../scoring/fairness.js');
+        const { createMockProvider } = await import('../providers/mock.js');
+        const mock = createMockProvider();
+        // Records the resume text of every scoring call
+        scored = [];
+        llm = {
+            ...mock,
+            complete: (request) => {
+                if (request.task === 'score') {
+                    scored.push(request.input.resumeText);
+                }
+                return mock.complete(request);
+            },
+        };
+    });
+    after(() => removeStorage());
+
+    it('skips the name swaps, which the redaction turns back into the same text', async () => {
+        const result = await fairness.runCounterfactuals(llm, { resumeText: RESUME, name: 'Maria Lopez', jobDescription: JOB_DESCRIPTION });
+
+        assert.equal(result.redacted, true);
+        assert.ok(result.skipped.length >= 4);
+        assert.ok(result.skipped.every((variant) => variant.kind === 'name'));
+        assert.ok(!result.variants.some((variant) => variant.kind === 'name'));
+        // Every scored text differs from the others, so no LLM call is spent on a no-op
+        assert.equal(new Set(scored).size, scored.length);
+        assert.ok(scored.every((text) => !text.includes('Maria')));
+    });
+
+    it('still tests the pronouns, institutions and affiliations the redaction leaves in', async () => {
+        const result = await fairness.runCounterfactuals(llm, { resumeText: RESUME, name: 'Maria Lopez', jobDescription: JOB_DESCRIPTION });
+        const kinds = new Set(result.variants.map((variant) => variant.kind));
+
+        assert.deepEqual([...kinds].sort(), ['affiliation', 'institution', 'pronouns']);
+        assert.ok(result.variants.some((variant) => variant.label === 'Male pronouns'));
+        assert.equal(result.variants.filter((variant) => variant.control).length, 1);
+        assert.ok(result.variants.filter((variant) => variant.control).every((variant) => !variant.flagged));
+    });
+
+    it('leaves skipped variants and controls out of the job\'s score report', async () => {
+        const result = await fairness.runCounterfactuals(llm, { resumeText: RESUME, name: 'Maria Lopez', jobDescription: JOB_DESCRIPTION });
+        const report = fairness.summarizeScores([], [{ kind: 'counterfactual', result }]);
+
+        assert.equal(report.counterfactual.variants, result.variants.length - 1);
+        assert.equal(report.counterfactual.skipped, result.skipped.length);
+        assert.ok(!('name' in report.counterfactual.byKind));
+    });
+});
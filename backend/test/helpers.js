@@ -0,0 +1,141 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Resumes of the evaluation dataset, reused as upload fixtures
+export const RESUMES_DIR = path.join(__dirname, '..', 'evaluation', 'datasets', 'sample', 'resumes');
+
+export const JOB_DESCRIPTION = `Senior Backend Engineer
+Requirements:
+- 5+ years of backend development
+- Python and SQL
+Nice to have:
+- Kubernetes`;
+
+/**
+ * Points the database and uploads at a new temporary directory. Modules read these when they are first
+ * imported, so call this once per test file before importing them; node --test runs each file in its own process.
+ * @param {object} [env] - Further environment variables, e.g. feature switches read at import time.
+ * @returns {function(): void} - Removes the directory.
+ */
+export function useTempStorage(env = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-bot-test-'));
+    Object.assign(process.env, { DATABASE_PATH: path.join(dir, 'test.db'), UPLOADS_DIR: path.join(dir, 'uploads'), ...env });
+    return () => fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Starts the app on a free port with the mock LLM provider, a database and uploads directory of its own
+ * (see useTempStorage()).
+ * @param {object} [env] - Further environment variables, e.g. feature switches read at import time.
+ * @returns {Promise<{url: string, close: function(): Promise<void>}>}
+ */
+export async function startApp(env = {}) {
+    const removeStorage = useTempStorage(env);
+    const { default: createApp } = await import('../app.js');
+    const { createMockProvider } = await import('../providers/mock.js');
+    const server = createApp({ llm: createMockProvider() }).listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: async () => {
+            server.closeAllConnections();
+            await new Promise((resolve) => server.close(resolve));
+            removeStorage();
+        },
+    };
+}
+
+/**
+ * Creates a client that keeps the session cookie between requests, like a browser.
+ * @param {string} url - The app's base URL.
+ * @returns {function(string, object=): Promise<{status: number, body: any}>} - Sends a request; a plain
+ *   object `body` is sent as JSON, FormData as is.
+ */
+export function createClient(url) {
+    let cookie = null;
+    return async (route, { method = 'GET', body } = {}) => {
+        const isJson = body !== undefined && !(body instanceof FormData);
+        const response = await fetch(`${url}${route}`, {
+            method,
+            headers: { ...(cookie && { Cookie: cookie }), ...(isJson && { 'Content-Type': 'application/json' }) },
+            body: isJson ? JSON.stringify(body) : body,
+        });
+        const session = response.headers.get('set-cookie')?.match(/session=[^;]*/)?.[0];
+        if (session) {
+            cookie = session;
+        }
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            // Not JSON, e.g. an empty 204 response
+        }
+        return { status: response.status, body: parsed };
+    };
+}
+
+/**
+ * Registers a new workspace and signs its admin in.
+ * @param {string} url
+ * @param {string} [email]
+ * @returns {Promise<function>} - A client signed in as the admin (see createClient()).
+ */
+export async function registerAdmin(url, email = 'admin@example.com') {
+    const client = createClient(url);
+    const { status } = await client('/auth/register', {
+        method: 'POST',
+        body: { workspaceName: 'Acme', name: 'Ada Admin', email, password: 'password1' },
+    });
+    if (status !== 201) {
+        throw new Error(`Registering failed with HTTP ${status}`);
+    }
+    return client;
+}
+
+/**
+ * Adds a user with a role to the admin's workspace and signs them in.
+ * @param {string} url
+ * @param {function} admin - The admin's client.
+ * @param {string} role
+ * @returns {Promise<function>} - A client signed in as the new user.
+ */
+export async function addUser(url, admin, role) {
+    const email = `${role}@example.com`;
+    await admin('/users', { method: 'POST', body: { name: role, email, role, password: 'password1' } });
+    const client = createClient(url);
+    await client('/auth/login', { method: 'POST', body: { email, password: 'password1' } });
+    return client;
+}
+
+/**
+ * Uploads resumes of the sample dataset to /analyze and waits for the run to complete.
+ * @param {function} client
+ * @param {string[]} filenames - Files of RESUMES_DIR.
+ * @returns {Promise<{runId: string, jobId: number, run: object}>} - The ids and the completed run.
+ */
+export async function analyze(client, filenames) {
+    const form = new FormData();
+    form.append('jobDescription', JOB_DESCRIPTION);
+    filenames.forEach((filename) => {
+        form.append('resumes', new Blob([fs.readFileSync(path.join(RESUMES_DIR, filename))], { type: 'text/plain' }), filename);
+    });
+    const { status, body } = await client('/analyze', { method: 'POST', body: form });
+    if (status !== 202) {
+        throw new Error(`/analyze answered with HTTP ${status}: ${JSON.stringify(body)}`);
+    }
+
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const run = await client(`/runs/${body.runId}`);
+        if (run.body.status === 'completed') {
+            return { runId: body.runId, jobId: body.jobId, run: run.body };
+        }
+        await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    throw new Error(`Run ${body.runId} did not complete.`);
+}
@@ -0,0 +1,73 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RESUMES_DIR, registerAdmin, startApp } from './helpers.js';
+
+describe('ingestion from a watched folder', () => {
+    let app;
+    let admin;
+    let folderRoot;
+    let ingestion;
+    let storage;
+    let sources;
+
+    before(async () => {
+        folderRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-bot-folder-'));
+        // Files over 1 KB are too large
+        app = await startApp({ INGESTION_FOLDER_ROOT: folderRoot, UPLOAD_MAX_FILE_MB: String(1 / 1024) });
+        admin = await registerAdmin(app.url);
+        ingestion = await import('../ingestion/index.js');
+        storage = await import('../files/storage.js');
+        sources = await import('../db/ingestion.js');
+
+        // Dropped in a while ago, so the check doesn't wait for it to settle
+        fs.mkdirSync(path.join(folderRoot, 'inbox'));
+        const resume = path.join(folderRoot, 'inbox', 'backend-senior.txt');
+        fs.copyFileSync(path.join(RESUMES_DIR, 'backend-senior.txt'), resume);
+        const large = path.join(folderRoot, 'inbox', 'large.txt');
+        fs.writeFileSync(large, 'Python developer. '.repeat(100));
+        const past = new Date(Date.now() - 60 * 1000);
+        [resume, large].forEach((file) => fs.utimesSync(file, past, past));
+    });
+    after(async () => {
+        await app.close();
+        fs.rmSync(folderRoot, { recursive: true, force: true });
+    });
+
+    it('stores nothing when the job of the source was deleted during the check', async () => {
+        const job = await admin('/jobs', { method: 'POST', body: { title: 'Backend', description: 'Python and SQL', mustHave: [], niceToHave: [] } });
+        const created = await admin('/ingestion/sources', {
+            method: 'POST',
+            body: { name: 'Inbox folder', kind: 'folder', jobId: job.body.id, settings: { path: 'inbox' } },
+        });
+        assert.equal(created.status, 201);
+        const me = await admin('/auth/me');
+        const source = sources.getSource(created.body.id, me.body.workspaceId, { withSecrets: true });
+        assert.equal((await admin(`/jobs/${job.body.id}`, { method: 'DELETE' })).status, 204);
+
+        const { createMockProvider } = await import('../providers/mock.js');
+        await assert.rejects(ingestion.checkSource(createMockProvider(), source), /no longer exists/);
+        assert.ok(!(await storage.listStoredFiles()).some((file) => file.name.startsWith('ingested-')));
+    });
+
+    it('rejects files larger than the upload limit', async () => {
+        const job = await admin('/jobs', { method: 'POST', body: { title: 'Backend', description: 'Python and SQL', mustHave: [], niceToHave: [] } });
+        const source = await admin('/ingestion/sources', {
+            method: 'POST',
+            body: { name: 'Inbox folder', kind: 'folder', jobId: job.body.id, settings: { path: 'inbox' } },
+        });
+        const summary = await admin(`/ingestion/sources/${source.body.id}/check`, { method: 'POST' });
+        assert.equal(summary.status, 200);
+        assert.equal(summary.body.rejected, 1);
+
+        const items = await admin(`/ingestion/sources/${source.body.id}/items`);
+        assert.match(items.body.find((item) => item.filename === 'large.txt').detail, /Larger than/);
+
+        // The resume that was queued is scored before the app closes
+        while ((await admin(`/runs/${summary.body.runId}`)).body.status !== 'completed') {
+            await new Promise((resolve) => setTimeout(resolve, 100));
+        }
+    });
+});
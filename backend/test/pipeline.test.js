@@ -0,0 +1,89 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { addUser, analyze, registerAdmin, startApp } from './helpers.js';
+
+describe('the hiring pipeline', () => {
+    let app;
+    let admin;
+    let jobId;
+    let board;
+
+    before(async () => {
+        app = await startApp();
+        admin = await registerAdmin(app.url);
+        ({ jobId } = await analyze(admin, ['backend-senior.txt', 'backend-mid.txt', 'frontend-dev.txt']));
+        board = (await admin(`/pipeline/${jobId}`)).body;
+    });
+    after(() => app.close());
+
+    const stageNamed = (name) => board.stages.find((stage) => stage.name === name);
+    const move = (candidateId, stageId, position) => admin(`/pipeline/${jobId}/candidates/${candidateId}`, {
+        method: 'PUT',
+        body: { stageId, position },
+    });
+
+    it('puts every analyzed candidate in the first stage of the default board', () => {
+        assert.deepEqual(board.stages.map((stage) => stage.name), ['Screened', 'Phone screen', 'Interview', 'Offer', 'Rejected']);
+        assert.equal(board.cards.length, 3);
+        assert.ok(board.cards.every((card) => card.stageId === stageNamed('Screened').id));
+    });
+
+    it('moves a candidate to a position within another stage and records who moved them', async () => {
+        const [first, second] = board.cards;
+        const phoneScreen = stageNamed('Phone screen').id;
+        await move(first.candidateId, phoneScreen);
+        const moved = await move(second.candidateId, phoneScreen, 0);
+        assert.equal(moved.status, 200);
+
+        const column = moved.body.cards.filter((card) => card.stageId === phoneScreen);
+        assert.deepEqual(column.map((card) => card.candidateId), [second.candidateId, first.candidateId]);
+
+        const detail = await admin(`/pipeline/${jobId}/candidates/${second.candidateId}`);
+        assert.deepEqual(detail.body.history.map((entry) => [entry.fromStage, entry.toStage, entry.userName]), [
+            ['Screened', 'Phone screen', 'Ada Admin'],
+            [null, 'Screened', null],
+        ]);
+    });
+
+    it('reorders a column without recording a stage move', async () => {
+        const [, second] = board.cards;
+        const phoneScreen = stageNamed('Phone screen').id;
+        const moved = await move(second.candidateId, phoneScreen, 5);
+        assert.equal(moved.body.cards.filter((card) => card.stageId === phoneScreen).at(-1).candidateId, second.candidateId);
+
+        const detail = await admin(`/pipeline/${jobId}/candidates/${second.candidateId}`);
+        assert.equal(detail.body.history.length, 2);
+    });
+
+    it('rejects moves to another job\'s stage or of unknown candidates', async () => {
+        assert.equal((await move(board.cards[0].candidateId, 999999)).status, 404);
+        assert.equal((await move(999999, stageNamed('Interview').id)).status, 404);
+    });
+
+    it('counts candidates that reached a stage in the funnel, even when moved back', async () => {
+        const [first] = board.cards;
+        await move(first.candidateId, stageNamed('Interview').id);
+        await move(first.candidateId, stageNamed('Screened').id);
+        const analytics = await admin(`/pipeline/${jobId}/analytics`);
+
+        const reached = Object.fromEntries(analytics.body.stages.map((stage) => [stage.name, stage.reached]));
+        assert.deepEqual(reached, { Screened: 3, 'Phone screen': 2, Interview: 1, Offer: 0 });
+    });
+
+    it('lets hiring managers leave notes but not move candidates', async () => {
+        const manager = await addUser(app.url, admin, 'hiring_manager');
+        const [first] = board.cards;
+        const moved = await manager(`/pipeline/${jobId}/candidates/${first.candidateId}`, {
+            method: 'PUT',
+            body: { stageId: stageNamed('Offer').id },
+        });
+        assert.equal(moved.status, 403);
+
+        const note = await manager(`/pipeline/${jobId}/candidates/${first.candidateId}/notes`, {
+            method: 'POST',
+            body: { body: 'Strong system design answers.', rating: 4 },
+        });
+        assert.equal(note.status, 201);
+        assert.equal((await admin(`/pipeline/${jobId}`)).body.cards.find((card) => card.candidateId === first.candidateId).rating, 4);
+    });
+});
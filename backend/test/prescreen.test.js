@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { prescreenResumes, selectForLLM } from '../scoring/prescreen.js';
+import { parseJobDescription } from '../parsing/job.js';
+
+const JOB = parseJobDescription(`Backend Engineer
+Requirements:
+- 5+ years of backend development
+- Python and PostgreSQL
+Nice to have:
+- Kubernetes`);
+
+const SENIOR = 'Backend engineer with 8 years of experience building Python services on PostgreSQL and Kubernetes.';
+const JUNIOR = 'Backend developer with 2 years of experience in Python and PostgreSQL.';
+const DESIGNER = 'Graphic designer with 10 years of experience in Photoshop and Illustrator.';
+
+describe('the local pre-screen', () => {
+    const [senior, junior, designer] = prescreenResumes([SENIOR, JUNIOR, DESIGNER], JOB);
+    const filter = (prescreen, rule) => prescreen.hardFilters.find((hardFilter) => hardFilter.rule === rule);
+
+    it('scores resumes by how well they meet the requirements', () => {
+        assert.ok(senior.score > junior.score && junior.score > designer.score, `${senior.score}, ${junior.score}, ${designer.score}`);
+        assert.deepEqual(senior.requirements.map((requirement) => [requirement.type, requirement.met]), [
+            ['required', 'partial'], ['required', 'yes'], ['nice-to-have', 'yes'],
+        ]);
+    });
+
+    it('applies the minimum experience and must-have skills as hard filters', () => {
+        assert.equal(filter(senior, 'minExperience').passed, true);
+        assert.equal(filter(junior, 'minExperience').passed, false);
+        assert.equal(filter(junior, 'mustHaveSkills').passed, true);
+        assert.equal(filter(designer, 'mustHaveSkills').passed, false);
+    });
+
+    it('sends the best resumes passing the hard filters to the LLM', () => {
+        const decisions = selectForLLM([senior, junior, designer], { topN: 1, hardFilters: true });
+        assert.equal(decisions.get(0), null);
+        assert.equal(decisions.get(1), 'Failed a hard filter.');
+        assert.equal(decisions.get(2), 'Failed a hard filter.');
+
+        const unfiltered = selectForLLM([senior, junior, designer], { topN: 2, hardFilters: false });
+        assert.equal([...unfiltered.values()].filter((decision) => decision === null).length, 2);
+        assert.match(unfiltered.get(2), /top 2/);
+    });
+
+    it('never hard-filters on requirements inferred from a job without structured ones', () => {
+        const job = { description: 'We build APIs in Python and PostgreSQL.\nReact and Docker are a plus.', mustHave: [], niceToHave: [] };
+        const [prescreen] = prescreenResumes(['Frontend developer: React and Docker.'], job);
+
+        assert.deepEqual(prescreen.hardFilters, []);
+        assert.deepEqual(
+            Object.fromEntries(prescreen.requirements.map((requirement) => [requirement.requirement, requirement.type])),
+            { Python: 'required', PostgreSQL: 'required', React: 'nice-to-have', Docker: 'nice-to-have' }
+        );
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { enqueueJob, getJob, isJobActive, isRateLimited, subscribe } from '../jobs/queue.js';
+
+/**
+ * Waits for a job to complete.
+ * @param {string} id
+ * @returns {Promise<object>} - The job's "done" event data.
+ */
+function completion(id) {
+    return new Promise((resolve) => {
+        const unsubscribe = subscribe(id, (event) => {
+            if (event.type === 'done') {
+                unsubscribe();
+                resolve(event.data);
+            }
+        });
+    });
+}
+
+// A provider's rate limit response, asking to retry after `seconds`
+function rateLimitError(seconds) {
+    return Object.assign(new Error('Too many requests'), { status: 429, headers: { 'retry-after': String(seconds) } });
+}
+
+describe('the analysis queue', () => {
+    it('tells rate limit errors of both provider SDKs apart from others', () => {
+        assert.equal(isRateLimited({ status: 429 }), true);
+        assert.equal(isRateLimited({ response: { status: 429 } }), true);
+        assert.equal(isRateLimited({ status: 500 }), false);
+        assert.equal(isRateLimited(null), false);
+    });
+
+    it('retries a rate-limited file after the Retry-After delay until it succeeds', async () => {
+        let calls = 0;
+        const statuses = [];
+        const job = enqueueJob({
+            inputs: [{ filename: 'a.txt' }],
+            worker: async () => {
+                calls++;
+                if (calls < 3) {
+                    throw rateLimitError(0.05);
+                }
+                return { score: 80 };
+            },
+        });
+        subscribe(job.id, (event) => event.type === 'file' && statuses.push(event.data.file.status));
+        const started = Date.now();
+        const done = await completion(job.id);
+
+        assert.equal(calls, 3);
+        assert.ok(Date.now() - started >= 100, 'waits the Retry-After delay before each retry');
+        assert.deepEqual(done.files.map((file) => [file.status, file.attempts, file.result]), [['done', 3, { score: 80 }]]);
+        assert.ok(statuses.includes('retrying'));
+        assert.equal(isJobActive(job.id), false);
+    });
+
+    it('fails a file on other errors without retrying it, and still completes the job', async () => {
+        let calls = 0;
+        const job = enqueueJob({
+            inputs: [{ filename: 'broken.pdf' }, { filename: 'ok.pdf' }],
+            worker: async ({ filename }) => {
+                calls++;
+                if (filename === 'broken.pdf') {
+                    throw new Error('Unreadable file');
+                }
+                return { score: 50 };
+            },
+        });
+        assert.equal(isJobActive(job.id), true);
+        const done = await completion(job.id);
+
+        assert.equal(calls, 2);
+        assert.equal(done.status, 'completed');
+        assert.deepEqual(done.files.map((file) => file.status), ['error', 'done']);
+        assert.match(done.files[0].result.error, /Unreadable file/);
+        assert.equal(getJob(job.id).status, 'completed');
+    });
+
+    it('keeps processing when a progress listener throws', async () => {
+        const job = enqueueJob({ inputs: [{ filename: 'a.txt' }], worker: async () => ({ score: 1 }) });
+        subscribe(job.id, () => {
+            throw new Error('Listener failure');
+        });
+        const done = await completion(job.id);
+        assert.equal(done.files[0].status, 'done');
+    });
+});
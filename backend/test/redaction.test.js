@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { redactResume } from '../privacy/redaction.js';
+
+const RESUME = `Jane Q. Doe (she/her)
+jane.doe@example.com | +1 (555) 123-4567 | linkedin.com/in/janedoe
+12 Market Street, Springfield
+Date of Birth: 04/05/1990
+Nationality: Canadian
+
+Experience
+Backend Engineer, Acme Corp, 2016-2023
+- Built Python services; Jane led the migration to PostgreSQL.`;
+
+describe('resume redaction', () => {
+    const { text, counts } = redactResume(RESUME, { name: 'Jane Q. Doe' });
+
+    it('masks the name, wherever it appears, and the contact details', () => {
+        assert.doesNotMatch(text, /Jane|Doe/);
+        assert.doesNotMatch(text, /jane\.doe@example\.com|555|linkedin/);
+        assert.match(text, /\[NAME\]/);
+        assert.match(text, /\[EMAIL\]/);
+        assert.match(text, /\[PHONE\]/);
+        assert.match(text, /\[URL\]/);
+    });
+
+    it('masks protected attributes and the address', () => {
+        assert.doesNotMatch(text, /she\/her|04\/05\/1990|Canadian|Market Street/);
+        assert.ok(counts.pronouns >= 1 && counts.age >= 1 && counts.nationality >= 1 && counts.address >= 1);
+    });
+
+    it('keeps what the resume is scored on', () => {
+        assert.match(text, /Backend Engineer, Acme Corp, 2016-2023/);
+        assert.match(text, /Built Python services; \[NAME\] led the migration to PostgreSQL\./);
+    });
+
+    it('leaves a resume without personal details as it is', () => {
+        const plain = 'Experience\n- Python and SQL, 2019-2024';
+        assert.equal(redactResume(plain, {}).text, plain);
+    });
+});
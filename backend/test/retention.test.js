@@ -0,0 +1,45 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyze, registerAdmin, startApp } from './helpers.js';
+
+describe('candidate retention', () => {
+    let app;
+    let admin;
+    let db;
+    let retention;
+
+    before(async () => {
+        app = await startApp({ CANDIDATE_TTL_DAYS: '90' });
+        admin = await registerAdmin(app.url);
+        ({ default: db } = await import('../db/index.js'));
+        retention = await import('../files/retention.js');
+    });
+    after(() => app.close());
+
+    it('deletes candidates inactive for CANDIDATE_TTL_DAYS with their profile, analyses and documents', async () => {
+        const { runId, jobId } = await analyze(admin, ['backend-senior.txt', 'backend-mid.txt']);
+        await admin(`/runs/${runId}/files/0/interview-questions`, { method: 'POST' });
+        await admin(`/pipeline/${jobId}`);
+        const [stale, active] = (await admin('/candidates')).body.map((candidate) => candidate.id).sort((a, b) => a - b);
+
+        // Everything about the first candidate happened 100 days ago
+        ['candidates', 'files', 'analyses', 'pipeline_moves'].forEach((table) => {
+            const column = table === 'candidates' ? 'id' : 'candidate_id';
+            db.prepare(`UPDATE ${table} SET created_at = datetime('now', '-100 days') WHERE ${column} = ?`).run(stale);
+        });
+
+        const documents = db.prepare('SELECT COUNT(*) FROM candidate_documents WHERE run_id = ? AND file_index = 0').pluck();
+        assert.equal(documents.get(runId), 1);
+
+        assert.equal(await retention.sweepInactiveCandidates(), 1);
+        assert.equal((await admin(`/candidates/${stale}`)).status, 404);
+        assert.equal((await admin(`/candidates/${active}`)).status, 200);
+        assert.equal(db.prepare('SELECT COUNT(*) FROM analyses WHERE candidate_id = ?').pluck().get(stale), 0);
+        assert.equal(documents.get(runId), 0);
+        assert.equal(db.prepare('SELECT COUNT(*) FROM files WHERE candidate_id = ?').pluck().get(stale), 0);
+    });
+
+    it('keeps candidates something happened to recently', async () => {
+        assert.equal(await retention.sweepInactiveCandidates(), 0);
+    });
+});
@@ -0,0 +1,34 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { JOB_DESCRIPTION, useTempStorage } from './helpers.js';
+
+describe('scoreResume', () => {
+    let removeStorage;
+    let scoring;
+    let mock;
+
+    before(async () => {
+        removeStorage = useTempStorage();
+        scoring = await import('../scoring/index.js');
+        const { createMockProvider } = await import('../providers/mock.js');
+        mock = createMockProvider();
+    });
+    after(() => removeStorage());
+
+    it('computes the overall score from the breakdown, whatever score and weights the model returns', async () => {
+        const llm = {
+            ...mock,
+            complete: async (request) => {
+                const analysis = JSON.parse((await mock.complete(request)).text);
+                return { text: JSON.stringify({ ...analysis, score: 100, weights: { skills: 1 } }) };
+            },
+        };
+        const resumeText = 'Support agent with 2 years of customer service experience.';
+        const result = await scoring.scoreResume(llm, resumeText, JOB_DESCRIPTION, { cache: false });
+        const expected = await scoring.scoreResume(mock, resumeText, JOB_DESCRIPTION, { cache: false });
+
+        assert.notEqual(result.score, 100);
+        assert.equal(result.score, expected.score);
+        assert.deepEqual(result.weights, expected.weights);
+    });
+});
@@ -0,0 +1,90 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { registerAdmin, startApp } from './helpers.js';
+import { signPayload, verifySignature } from '../integrations/signing.js';
+
+describe('webhook signing', () => {
+    it('signs the timestamp and body with the secret', () => {
+        const signature = signPayload('whsec_test', 1700000000, '{"a":1}');
+        assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+        assert.equal(signature, signPayload('whsec_test', 1700000000, '{"a":1}'));
+        assert.notEqual(signature, signPayload('whsec_other', 1700000000, '{"a":1}'));
+    });
+
+    it('only verifies unaltered, recent payloads signed with the same secret', () => {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const body = '{"event":"ping"}';
+        const signature = signPayload('whsec_test', timestamp, body);
+
+        assert.equal(verifySignature('whsec_test', { signature, timestamp: String(timestamp), body }), true);
+        assert.equal(verifySignature('whsec_other', { signature, timestamp: String(timestamp), body }), false);
+        assert.equal(verifySignature('whsec_test', { signature, timestamp: String(timestamp), body: '{"event":"pong"}' }), false);
+        assert.equal(verifySignature('whsec_test', { signature, timestamp: String(timestamp + 1), body }), false);
+        assert.equal(verifySignature('whsec_test', { signature: undefined, timestamp: String(timestamp), body }), false);
+
+        const old = timestamp - 60 * 60;
+        assert.equal(verifySignature('whsec_test', { signature: signPayload('whsec_test', old, body), timestamp: String(old), body }), false);
+    });
+});
+
+describe('webhook deliveries', () => {
+    let app;
+    let admin;
+    let receiver;
+    let answerWith = 200;
+    const received = [];
+
+    before(async () => {
+        app = await startApp();
+        admin = await registerAdmin(app.url);
+        receiver = http.createServer((req, res) => {
+            const chunks = [];
+            req.on('data', (chunk) => chunks.push(chunk));
+            req.on('end', () => {
+                received.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+                res.writeHead(answerWith).end('ok');
+            });
+        }).listen(0);
+        await new Promise((resolve) => receiver.once('listening', resolve));
+    });
+    after(async () => {
+        await new Promise((resolve) => receiver.close(resolve));
+        await app.close();
+    });
+
+    it('sends signed events the receiver can verify with the webhook secret', async () => {
+        const created = await admin('/integrations/webhooks', {
+            method: 'POST',
+            body: { url: `http://127.0.0.1:${receiver.address().port}/hook`, events: ['analysis.completed'] },
+        });
+        assert.equal(created.status, 201);
+
+        const delivery = await admin(`/integrations/webhooks/${created.body.id}/test`, { method: 'POST' });
+        assert.equal(delivery.body.status, 'delivered');
+
+        const [request] = received;
+        assert.equal(request.headers['x-resumebot-event'], 'ping');
+        assert.equal(request.headers['x-resumebot-delivery'], delivery.body.id);
+        assert.equal(JSON.parse(request.body).id, delivery.body.id);
+        assert.equal(verifySignature(created.body.secret, {
+            signature: request.headers['x-resumebot-signature'],
+            timestamp: request.headers['x-resumebot-timestamp'],
+            body: request.body,
+        }), true);
+    });
+
+    it('schedules a retry when the endpoint fails', async () => {
+        answerWith = 500;
+        const created = await admin('/integrations/webhooks', {
+            method: 'POST',
+            body: { url: `http://127.0.0.1:${receiver.address().port}/failing`, events: ['candidate.shortlisted'] },
+        });
+        const delivery = await admin(`/integrations/webhooks/${created.body.id}/test`, { method: 'POST' });
+
+        assert.equal(delivery.body.status, 'pending');
+        assert.equal(delivery.body.attempts, 1);
+        assert.equal(delivery.body.responseStatus, 500);
+        assert.ok(delivery.body.nextAttemptAt);
+    });
+});
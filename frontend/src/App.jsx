@@ -1,42 +1,219 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import axios from 'axios';
+import { API_BASE_URL } from './api.js';
+import ScoreBreakdown from './components/ScoreBreakdown.jsx';
+import ProgressList from './components/ProgressList.jsx';
+import HistoryPanel from './components/HistoryPanel.jsx';
+import ProfileSummary from './components/ProfileSummary.jsx';
+import JobPanel from './components/JobPanel.jsx';
+import RankingTable from './components/RankingTable.jsx';
+import CandidateComparison from './components/CandidateComparison.jsx';
+import UsersPanel from './components/UsersPanel.jsx';
+import UsagePanel from './components/UsagePanel.jsx';
+import IntegrationsPanel from './components/IntegrationsPanel.jsx';
+import IngestionPanel from './components/IngestionPanel.jsx';
+import PipelineBoard from './components/PipelineBoard.jsx';
+import ScoringConfigsPanel from './components/ScoringConfigsPanel.jsx';
+import ChatPanel from './components/ChatPanel.jsx';
+import CandidateDocuments from './components/CandidateDocuments.jsx';
+import FairnessPanel from './components/FairnessPanel.jsx';
+import ScoreReport from './components/ScoreReport.jsx';
+import ResumeCoach from './components/ResumeCoach.jsx';
+import DuplicateNotice from './components/DuplicateNotice.jsx';
 
-function App() {
+// The analysis run being shown is remembered so a page refresh picks its results back up
+const LAST_RUN_KEY = 'lastAnalysisRunId';
+
+// Formats offered by the run export (see backend/exports)
+const EXPORT_FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'excel', label: 'Excel CSV' },
+  { format: 'json', label: 'JSON' },
+  { format: 'pdf', label: 'PDF Report' },
+];
+
+// Shortlist/reject tags of a run's files, keyed by file index
+const decisionsOf = (files) => Object.fromEntries(files.map((file, index) => [index, file.decision ?? null]));
+
+const ROLE_LABELS = { admin: 'Admin', recruiter: 'Recruiter', hiring_manager: 'Hiring manager' };
+
+function App({ user, onSignOut }) {
+  // Hiring managers can review results but not run analyses or change anything
+  const readOnly = user.role === 'hiring_manager';
+  const [showUsers, setShowUsers] = useState(false);
+  const [showUsage, setShowUsage] = useState(false);
+  const [showIntegrations, setShowIntegrations] = useState(false);
+  const [showIngestion, setShowIngestion] = useState(false);
+  const [showPipeline, setShowPipeline] = useState(false);
+  const [showScoring, setShowScoring] = useState(false);
+  const [coaching, setCoaching] = useState(false); // Job seeker mode: improve one resume instead of screening
   const [jobDescription, setJobDescription] = useState('');
   const [resumes, setResumes] = useState([]);
-  const [results, setResults] = useState([]);
+  const [selectedJob, setSelectedJob] = useState(null); // Saved job whose weighted requirements are used
+  const [blind, setBlind] = useState(false); // Blind screening: candidates stay anonymous until un-blinded
+  const [reanalyzeDuplicates, setReanalyzeDuplicates] = useState(false); // Score resumes already scored for the job again
+  const [scoringConfigs, setScoringConfigs] = useState([]); // Prompt and rubric versions a job can be scored with
+  const [scoringVersionId, setScoringVersionId] = useState(''); // '' keeps the job's current selection
+  const [runId, setRunId] = useState(null);
+  const [jobId, setJobId] = useState(null); // Job of the run being shown, for its score report
+  const [showReport, setShowReport] = useState(false);
+  const [showChat, setShowChat] = useState(false);
+  const [progress, setProgress] = useState([]); // Per-file status of the current analysis run
+  const [decisions, setDecisions] = useState({});
+  const [compared, setCompared] = useState([]); // File indexes selected for the comparison
+  const [showComparison, setShowComparison] = useState(false);
+  const [openIndex, setOpenIndex] = useState(null); // File index whose full analysis is shown
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [capabilities, setCapabilities] = useState(null); // Formats and limits the backend accepts
+  const eventSourceRef = useRef(null);
+
+  // Results fill in as files finish; each keeps its file index so it can be tagged and compared
+  const results = progress
+    .map((file, index) => file.result && { ...file.result, index, decision: decisions[index] ?? null, blinded: Boolean(file.blinded) })
+    .filter(Boolean);
+  const openResult = results.find((result) => result.index === openIndex);
+
+  const loadScoringConfigs = () => axios.get(`${API_BASE_URL}/scoring-configs`)
+    .then((response) => setScoringConfigs(response.data.configs))
+    .catch((err) => console.error('Error loading scoring prompts:', err));
+
+  useEffect(() => {
+    loadScoringConfigs();
+  }, []);
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/capabilities`)
+      .then((response) => setCapabilities(response.data))
+      .catch((err) => console.error('Error loading backend capabilities:', err));
+  }, []);
+
+  // Reopen the last run after a refresh and stop listening for progress when the component goes away
+  useEffect(() => {
+    const lastRunId = localStorage.getItem(LAST_RUN_KEY);
+    if (lastRunId) {
+      axios.get(`${API_BASE_URL}/runs/${lastRunId}`)
+        .then((response) => {
+          setRunId(lastRunId);
+          setJobId(response.data.jobId);
+          setProgress(response.data.files);
+          setDecisions(decisionsOf(response.data.files));
+          if (response.data.status !== 'completed') {
+            setLoading(true);
+            followRun(lastRunId);
+          }
+        })
+        .catch(() => localStorage.removeItem(LAST_RUN_KEY)); // The run was deleted
+    }
+    return () => eventSourceRef.current?.close();
+  }, []);
 
   const handleFileChange = (event) => {
     const files = Array.from(event.target.files);
     setResumes(files);
   };
 
+  // Follows the run's Server-Sent Events stream until every file is analyzed
+  const followRun = (id) => {
+    eventSourceRef.current?.close();
+    localStorage.setItem(LAST_RUN_KEY, id);
+    setRunId(id);
+    const events = new EventSource(`${API_BASE_URL}/runs/${id}/events`, { withCredentials: true });
+    eventSourceRef.current = events;
+
+    events.addEventListener('snapshot', (event) => {
+      const { files, jobId: runJobId } = JSON.parse(event.data);
+      setJobId(runJobId);
+      setProgress(files);
+      setDecisions(decisionsOf(files));
+    });
+    events.addEventListener('file', (event) => {
+      const { index, file } = JSON.parse(event.data);
+      setProgress((files) => files.map((existing, idx) => (idx === index ? file : existing)));
+    });
+    events.addEventListener('done', (event) => {
+      setProgress(JSON.parse(event.data).files);
+      events.close();
+      setLoading(false);
+      setHistoryVersion((version) => version + 1);
+    });
+    events.onerror = () => {
+      events.close();
+      setError('Lost connection to the analysis run. Ensure the backend server is running and accessible.');
+      setLoading(false);
+    };
+  };
+
   const analyzeResumes = async () => {
+    eventSourceRef.current?.close();
     setLoading(true);
     setError(null);
-    setResults([]); // Clear previous results
+    setProgress([]); // Clear previous results
+    resetSelection();
 
     const formData = new FormData();
-    formData.append('jobDescription', jobDescription);
+    if (selectedJob) {
+      formData.append('jobId', selectedJob.id);
+    } else {
+      formData.append('jobDescription', jobDescription);
+    }
+    formData.append('blind', String(blind));
+    formData.append('reanalyzeDuplicates', String(reanalyzeDuplicates));
+    if (scoringVersionId) {
+      formData.append('scoringVersionId', scoringVersionId);
+    }
     resumes.forEach((file) => {
       formData.append('resumes', file);
     });
 
     try {
-      const response = await axios.post('http://localhost:5000/analyze', formData, {
+      const response = await axios.post(`${API_BASE_URL}/analyze`, formData, {
         headers: { 'Content-Type': 'multipart/form-data' },
       });
-      setResults(response.data);
+      setProgress(response.data.run.files);
+      setJobId(response.data.jobId);
+      followRun(response.data.runId);
     } catch (err) {
       console.error('Error analyzing resumes:', err);
-      setError('Failed to analyze resumes. Please try again. Ensure the backend server is running and accessible.');
-    } finally {
+      // Rejected uploads (too large, too many files) come back with a reason
+      setError(err.response?.data?.error || 'Failed to analyze resumes. Please try again. Ensure the backend server is running and accessible.');
       setLoading(false);
     }
   };
 
+  const resetSelection = () => {
+    setDecisions({});
+    setCompared([]);
+    setShowComparison(false);
+    setShowReport(false);
+    setOpenIndex(null);
+  };
+
+  // Tags a candidate as shortlisted or rejected (null clears the tag)
+  const tagResult = async (index, decision) => {
+    try {
+      await axios.put(`${API_BASE_URL}/runs/${runId}/files/${index}/decision`, { decision });
+      setDecisions((current) => ({ ...current, [index]: decision }));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save the tag.');
+    }
+  };
+
+  // Reveals who the candidate of a blind-screening run is; the server records who did it
+  const unblindResult = async (index) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/runs/${runId}/files/${index}/unblind`);
+      setProgress((files) => files.map((existing, idx) => (idx === index ? response.data.file : existing)));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to un-blind the candidate.');
+    }
+  };
+
+  const toggleCompared = (index) => {
+    setCompared((current) => (current.includes(index) ? current.filter((idx) => idx !== index) : [...current, index]));
+  };
+
   // Function to handle downloading the original file
   const downloadOriginalFile = (savedFilename, originalFilename) => {
     if (!savedFilename) {
@@ -44,7 +221,7 @@ function App() {
       return;
     }
     // Construct the URL to the backend's download endpoint
-    const fileUrl = `http://localhost:5000/download/${savedFilename}`;
+    const fileUrl = `${API_BASE_URL}/download/${savedFilename}`;
     const link = document.createElement('a');
     link.href = fileUrl;
     link.download = originalFilename; // Use original filename for the download
@@ -121,6 +298,12 @@ function App() {
       width: '100%',
       transition: 'background-color 0.3s ease',
     },
+    blindToggle: {
+      display: 'block',
+      fontSize: 14,
+      marginTop: 10,
+      cursor: 'pointer',
+    },
     buttonDisabled: {
       opacity: 0.6,
       cursor: 'not-allowed',
@@ -195,19 +378,53 @@ function App() {
       marginBottom: 10,
       color: '#fff',
     },
+    userBar: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: 20,
+      fontSize: 14,
+    },
+    userBarButton: {
+      padding: '4px 10px',
+      fontSize: 13,
+      backgroundColor: 'rgba(0,0,0,0.4)',
+      color: 'white',
+      border: 'none',
+      borderRadius: 6,
+      cursor: 'pointer',
+      marginLeft: 6,
+    },
+    exportBar: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: 10,
+      alignItems: 'center',
+      marginBottom: 15,
+      fontSize: 14,
+    },
+    exportLink: {
+      padding: '6px 12px',
+      backgroundColor: '#007bff',
+      color: 'white',
+      borderRadius: 8,
+      textDecoration: 'none',
+    },
+    compareButton: {
+      padding: '8px 15px',
+      fontSize: 14,
+      backgroundColor: '#6c5ce7',
+      color: 'white',
+      border: 'none',
+      borderRadius: 8,
+      cursor: 'pointer',
+      marginTop: 10,
+    },
     scoreColor: {
       color: '#ffeb3b',
       fontWeight: 'bold',
       fontSize: 18,
     },
-    goodPointsColor: {
-      color: '#8bc34a',
-      fontWeight: 'bold',
-    },
-    badPointsColor: {
-      color: '#ef5350',
-      fontWeight: 'bold',
-    },
   };
 
   const downloadAnalysisText = (result) => {
@@ -217,7 +434,28 @@ function App() {
     }
 
     let content = `Resume Analysis Result for: ${result.filename || 'Unknown'}\n\n`;
+    if (result.profile) {
+      content += `Candidate: ${result.profile.name ?? 'Unknown'}\n`;
+      content += `Email: ${result.profile.email ?? '-'}\n`;
+      content += `Phone: ${result.profile.phone ?? '-'}\n`;
+      content += `Total Experience: ${result.profile.totalExperienceYears ?? 'Unknown'} years\n\n`;
+    }
     content += `Score: ${result.score}\n`;
+    if (result.engine) {
+      content += `Scored by: ${result.engine === 'llm' ? 'LLM' : 'local pre-screen'}${result.llmSkipped ? ` (${result.llmSkipped})` : ''}\n`;
+    }
+    content += `Breakdown:\n`;
+    Object.entries(result.breakdown || {}).forEach(([key, value]) => {
+      content += `  ${key}: ${value}\n`;
+    });
+    content += `\nRequirements:\n`;
+    (result.requirements || []).forEach((requirement) => {
+      content += `  [${requirement.met}] ${requirement.requirement} (${requirement.type})\n`;
+    });
+    content += `\nMatched Skills: ${(result.matchedSkills || []).join(', ')}\n`;
+    content += `Missing Skills: ${(result.missingSkills || []).join(', ')}\n`;
+    content += `Years of Experience: ${result.yearsOfExperience ?? 'Unknown'}\n`;
+    content += `Education: ${result.education?.candidate ?? 'Not stated'} (match: ${result.education?.match ?? 'unknown'})\n\n`;
     content += `Good Points: ${result.goodPoints}\n`;
     content += `Bad Points: ${result.badPoints}\n`;
 
@@ -238,10 +476,72 @@ function App() {
       <div style={styles.card}>
         <h1 style={styles.heading}>Resume Shortlisting Bot</h1>
 
+        <div style={styles.userBar}>
+          <span>
+            {user.name} · {ROLE_LABELS[user.role] ?? user.role} · <strong>{user.workspaceName}</strong>
+          </span>
+          <span>
+            <button onClick={() => setCoaching(!coaching)} style={styles.userBarButton}>
+              {coaching ? 'Back to Screening' : 'Improve a Resume'}
+            </button>
+            <button onClick={() => setShowPipeline(!showPipeline)} style={styles.userBarButton}>
+              {showPipeline ? 'Hide Pipeline' : 'Pipeline'}
+            </button>
+            <button onClick={() => setShowUsage(!showUsage)} style={styles.userBarButton}>
+              {showUsage ? 'Hide Usage' : 'LLM Usage'}
+            </button>
+            {user.role === 'admin' && (
+              <button onClick={() => setShowScoring(!showScoring)} style={styles.userBarButton}>
+                {showScoring ? 'Hide Prompts' : 'Scoring Prompts'}
+              </button>
+            )}
+            {user.role === 'admin' && (
+              <button onClick={() => setShowUsers(!showUsers)} style={styles.userBarButton}>
+                {showUsers ? 'Hide Users' : 'Manage Users'}
+              </button>
+            )}
+            {user.role === 'admin' && (
+              <button onClick={() => setShowIntegrations(!showIntegrations)} style={styles.userBarButton}>
+                {showIntegrations ? 'Hide Integrations' : 'Integrations'}
+              </button>
+            )}
+            {user.role === 'admin' && (
+              <button onClick={() => setShowIngestion(!showIngestion)} style={styles.userBarButton}>
+                {showIngestion ? 'Hide Ingestion' : 'Ingestion'}
+              </button>
+            )}
+            <button onClick={onSignOut} style={styles.userBarButton}>Sign Out</button>
+          </span>
+        </div>
+        {showPipeline && <PipelineBoard initialJobId={jobId} currentUser={user} />}
+        {showUsers && <UsersPanel currentUser={user} />}
+        {showUsage && <UsagePanel />}
+        {showIntegrations && <IntegrationsPanel />}
+        {showIngestion && <IngestionPanel />}
+        {showScoring && <ScoringConfigsPanel runId={runId} onSaved={loadScoringConfigs} />}
+
+        {coaching && <ResumeCoach accept={capabilities?.accept ?? '.pdf,.docx'} />}
+
+        {!coaching && (
+        <>
+        {!readOnly && (
+        <>
+        <JobPanel
+          jobDescription={jobDescription}
+          selectedJob={selectedJob}
+          onSelect={(job) => {
+            setSelectedJob(job);
+            setJobDescription(job ? job.description : '');
+          }}
+        />
+
         <textarea
           placeholder="Paste Job Description"
           value={jobDescription}
-          onChange={(e) => setJobDescription(e.target.value)}
+          onChange={(e) => {
+            setJobDescription(e.target.value);
+            setSelectedJob(null); // An edited description no longer matches the saved job
+          }}
           rows={8}
           style={styles.textarea}
         />
@@ -252,10 +552,10 @@ function App() {
             type="file"
             multiple
             onChange={handleFileChange}
-            accept=".pdf,.docx"
+            accept={capabilities?.accept ?? '.pdf,.docx'}
             style={{ display: 'none' }}
           />
-          Choose Resumes (PDF, DOCX)
+          Choose Resumes ({capabilities ? capabilities.formats.map((format) => format.label).join(', ') : 'PDF, DOCX'})
         </label>
         {resumes.length > 0 && (
           <p style={{ marginBottom: 10, fontSize: 14, color: '#fff' }}>
@@ -263,6 +563,28 @@ function App() {
           </p>
         )}
 
+        <label style={styles.blindToggle} title="Hide names, contact details and filenames until a reviewer un-blinds a candidate">
+          <input type="checkbox" checked={blind} onChange={(e) => setBlind(e.target.checked)} /> Blind screening
+        </label>
+        <label style={styles.blindToggle} title="Otherwise a resume already scored for this job with the same prompt reuses that analysis">
+          <input type="checkbox" checked={reanalyzeDuplicates} onChange={(e) => setReanalyzeDuplicates(e.target.checked)} /> Re-analyze resumes already scored
+        </label>
+        <label style={styles.blindToggle} title="The prompt template and scoring rubric the job is scored with; the choice is remembered for the job">
+          Score with:{' '}
+          <select value={scoringVersionId} onChange={(e) => setScoringVersionId(e.target.value)}>
+            <option value="">The job&apos;s current prompt</option>
+            <option value="built-in">Built-in prompt</option>
+            {scoringConfigs.map((config) => (
+              <option key={config.versionId} value={config.versionId}>{config.name} v{config.version}</option>
+            ))}
+          </select>
+        </label>
+        {capabilities?.redaction && (
+          <p style={{ fontSize: 12, color: '#ddd', margin: '4px 0 0' }}>
+            Names, contact details and protected attributes are masked before resumes are sent to the LLM.
+          </p>
+        )}
+
         <button
           onClick={analyzeResumes}
           disabled={loading || !jobDescription || resumes.length === 0}
@@ -270,55 +592,127 @@ function App() {
         >
           {loading ? 'Analyzing...' : 'Analyze Resumes'}
         </button>
+        </>
+        )}
 
         {error && <p style={styles.error}>{error}</p>}
 
+        {loading && progress.length > 0 && <ProgressList files={progress} />}
+
+        {!loading && <HistoryPanel refreshKey={historyVersion} readOnly={readOnly} onOpen={(id) => { setError(null); resetSelection(); followRun(id); }} />}
+
         {results.length > 0 && (
           <div style={styles.resultsContainer}>
             <h2 style={{ ...styles.resultHeading, textAlign: 'center' }}>Analysis Results</h2>
-            {results.map((result, idx) => (
-              <div key={idx} style={styles.resultCard}>
+            {runId && !loading && (
+              <div style={styles.exportBar}>
+                <strong>Export all:</strong>
+                {EXPORT_FORMATS.map(({ format, label }) => (
+                  <a key={format} href={`${API_BASE_URL}/runs/${runId}/export?format=${format}`} style={styles.exportLink}>
+                    {label}
+                  </a>
+                ))}
+                {jobId && (
+                  <button onClick={() => setShowReport(!showReport)} style={{ ...styles.exportLink, border: 'none', cursor: 'pointer' }}>
+                    {showReport ? 'Hide Score Report' : 'Score Report'}
+                  </button>
+                )}
+                {jobId && (
+                  <button onClick={() => setShowChat(!showChat)} style={{ ...styles.exportLink, border: 'none', cursor: 'pointer' }}>
+                    {showChat ? 'Hide Questions' : 'Ask Questions'}
+                  </button>
+                )}
+              </div>
+            )}
+            {showReport && jobId && <ScoreReport jobId={jobId} refreshKey={historyVersion} />}
+            {showChat && jobId && !loading && (
+              <ChatPanel
+                jobId={jobId}
+                runId={runId}
+                candidate={openResult && !openResult.error
+                  ? { index: openResult.index, label: openResult.profile?.name || openResult.filename }
+                  : null}
+              />
+            )}
+            <RankingTable
+              results={results}
+              selected={compared}
+              onToggleSelected={toggleCompared}
+              onDecision={tagResult}
+              onOpen={(index) => setOpenIndex(openIndex === index ? null : index)}
+              readOnly={readOnly}
+            />
+            <button
+              onClick={() => setShowComparison(true)}
+              disabled={compared.length < 2}
+              style={compared.length < 2 ? { ...styles.compareButton, ...styles.buttonDisabled } : styles.compareButton}
+            >
+              Compare Selected ({compared.length})
+            </button>
+            {showComparison && compared.length >= 2 && (
+              <CandidateComparison
+                results={compared.map((index) => results.find((result) => result.index === index)).filter(Boolean)}
+                onClose={() => setShowComparison(false)}
+              />
+            )}
+
+            {openResult && (
+              <div style={{ ...styles.resultCard, marginTop: 20 }}>
                 <div style={styles.resultCardContent}>
-                  <h3 style={{color: '#fff'}}>{result.filename || `Resume ${idx + 1}`}</h3>
-                  {result.error ? (
-                    <p style={styles.error}>{result.error}</p>
+                  <h3 style={{color: '#fff'}}>{openResult.filename || `Resume ${openResult.index + 1}`}</h3>
+                  <ProfileSummary profile={openResult.profile} />
+                  {openResult.error ? (
+                    <p style={styles.error}>{openResult.error}</p>
                   ) : (
                     <>
                       <p>
-                        <strong>Score:</strong> <span style={styles.scoreColor}>{result.score}</span>
-                      </p>
-                      <p>
-                        <strong>Good Points:</strong> <span style={styles.goodPointsColor}>{result.goodPoints}</span>
-                      </p>
-                      <p>
-                        <strong>Bad Points:</strong> <span style={styles.badPointsColor}>{result.badPoints}</span>
+                        <strong>Score:</strong> <span style={styles.scoreColor}>{openResult.score}</span>
                       </p>
+                      <ScoreBreakdown result={openResult} />
+                      {runId && !loading && <DuplicateNotice key={`${runId}-${openResult.index}`} runId={runId} result={openResult} readOnly={readOnly} />}
+                      {runId && !loading && <FairnessPanel runId={runId} index={openResult.index} readOnly={readOnly} />}
+                      {runId && !loading && <CandidateDocuments runId={runId} index={openResult.index} readOnly={readOnly} />}
                     </>
                   )}
                 </div>
-                {/* Buttons for individual result */}
+                {/* Buttons for the open result */}
                 <div style={styles.resultCardButtons}>
-                    {result.savedFilename && ( // Only show download button if savedFilename exists
+                    {openResult.blinded && !loading && !readOnly && (
+                        <button onClick={() => unblindResult(openResult.index)} style={styles.downloadButton}>
+                            Un-blind Candidate
+                        </button>
+                    )}
+                    {openResult.savedFilename && ( // Only show download button if savedFilename exists
                         <button
-                            onClick={() => downloadOriginalFile(result.savedFilename, result.filename)}
+                            onClick={() => downloadOriginalFile(openResult.savedFilename, openResult.filename)}
                             style={styles.downloadButton}
                         >
                             Download Original File
                         </button>
                     )}
-                    {!result.error && ( // Only show analysis download if no error in processing
+                    {!openResult.error && ( // Only show analysis download if no error in processing
                         <button
-                            onClick={() => downloadAnalysisText(result)}
+                            onClick={() => downloadAnalysisText(openResult)}
                             style={styles.downloadAnalysisButton}
                         >
                             Download Analysis Report
                         </button>
                     )}
+                    {!openResult.error && runId && !loading && (
+                        <a
+                            href={`${API_BASE_URL}/runs/${runId}/files/${openResult.index}/report?format=pdf`}
+                            style={{ ...styles.downloadAnalysisButton, textDecoration: 'none' }}
+                        >
+                            Download PDF Report
+                        </a>
+                    )}
                 </div>
               </div>
-            ))}
+            )}
           </div>
         )}
+        </>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,3 @@
+// Where the backend is served. Set VITE_API_BASE_URL when building for another host,
+// e.g. https://resumes.example.com/api for the serverless deployment (see backend/api/index.js).
+export const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000').replace(/\/+$/, '');
@@ -0,0 +1,125 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../api.js';
+import LoginForm from './LoginForm.jsx';
+import ResumeCoach from './ResumeCoach.jsx';
+
+const styles = {
+  page: {
+    backgroundImage: `url('https://cdn.pixabay.com/photo/2011/12/13/14/26/andromeda-11004_1280.jpg')`,
+    backgroundSize: 'cover',
+    backgroundPosition: 'center',
+    minHeight: '100vh',
+    width: '100vw',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 20,
+    boxSizing: 'border-box',
+  },
+  card: {
+    background: 'rgba(255, 255, 255, 0.1)',
+    borderRadius: 15,
+    backdropFilter: 'blur(12px)',
+    WebkitBackdropFilter: 'blur(12px)',
+    padding: 30,
+    width: '100%',
+    maxWidth: 400,
+    color: '#fff',
+    boxShadow: '0 8px 32px 0 rgba(31, 38, 135, 0.37)',
+    fontFamily: 'Arial, sans-serif',
+  },
+  heading: {
+    textAlign: 'center',
+    fontSize: 28,
+    marginTop: 0,
+    textShadow: '2px 2px 4px rgba(0,0,0,0.5)',
+  },
+  link: {
+    display: 'block',
+    margin: '15px auto 0',
+    background: 'none',
+    border: 'none',
+    color: '#fff',
+    textDecoration: 'underline',
+    cursor: 'pointer',
+    fontSize: 14,
+  },
+};
+
+/**
+ * Shows the sign-in form until there is a signed-in user, then renders `children(user, signOut)`.
+ * A 401 from any API call (e.g. an expired session) brings the sign-in form back. Job seekers, who have
+ * no account, can check their own resume from here without signing in.
+ */
+function AuthGate({ children }) {
+  const [user, setUser] = useState(null);
+  const [checking, setChecking] = useState(true);
+  const [signupOpen, setSignupOpen] = useState(false);
+  const [coaching, setCoaching] = useState(false);
+  const [accept, setAccept] = useState('.pdf,.docx'); // Resume formats the backend accepts
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/auth/me`)
+      .then((response) => setUser(response.data))
+      .catch((err) => setSignupOpen(Boolean(err.response?.data?.signupOpen)))
+      .finally(() => setChecking(false));
+    axios.get(`${API_BASE_URL}/capabilities`)
+      .then((response) => setAccept(response.data.accept))
+      .catch((err) => console.error('Error loading backend capabilities:', err));
+
+    const interceptor = axios.interceptors.response.use(undefined, (err) => {
+      if (err.response?.status === 401 && !err.config.url.includes('/auth/')) {
+        setUser(null);
+      }
+      return Promise.reject(err);
+    });
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  const signOut = async () => {
+    try {
+      await axios.post(`${API_BASE_URL}/auth/logout`);
+    } finally {
+      setUser(null);
+    }
+  };
+
+  if (user) {
+    return children(user, signOut);
+  }
+
+  if (coaching) {
+    return (
+      <div style={styles.page}>
+        <div style={{ ...styles.card, maxWidth: 800 }}>
+          <h1 style={styles.heading}>Improve Your Resume</h1>
+          <ResumeCoach accept={accept} />
+          <button onClick={() => setCoaching(false)} style={styles.link}>Recruiters: sign in</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.page}>
+      <div style={styles.card}>
+        <h1 style={styles.heading}>Resume Shortlisting Bot</h1>
+        {checking ? <p style={{ textAlign: 'center' }}>Loading...</p> : (
+          <>
+            <LoginForm
+              signupOpen={signupOpen}
+              onSignedIn={(signedIn) => {
+                setSignupOpen(false);
+                setUser(signedIn);
+              }}
+            />
+            <button onClick={() => setCoaching(true)} style={styles.link}>Applying for a job? Check your resume</button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AuthGate;
@@ -0,0 +1,124 @@
+import React from 'react';
+
+const SUB_SCORE_LABELS = {
+  requirements: 'Requirements',
+  skills: 'Skills',
+  experience: 'Experience',
+  education: 'Education',
+};
+
+const styles = {
+  container: {
+    marginTop: 20,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0,0,0,0.3)',
+    overflowX: 'auto',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: 13,
+    tableLayout: 'fixed',
+  },
+  labelCell: {
+    width: 110,
+    padding: '6px 4px',
+    fontWeight: 'bold',
+    verticalAlign: 'top',
+    borderBottom: '1px solid rgba(255,255,255,0.1)',
+  },
+  cell: {
+    padding: '6px 4px',
+    verticalAlign: 'top',
+    borderBottom: '1px solid rgba(255,255,255,0.1)',
+  },
+  best: {
+    color: '#8bc34a',
+    fontWeight: 'bold',
+  },
+  closeButton: {
+    padding: '4px 10px',
+    fontSize: 13,
+    backgroundColor: 'rgba(0,0,0,0.4)',
+    color: 'white',
+    border: 'none',
+    borderRadius: 6,
+    cursor: 'pointer',
+  },
+};
+
+/**
+ * Puts two to four analyzed candidates side by side: scores, strengths, gaps and
+ * which of the job's skills each of them covers.
+ */
+function CandidateComparison({ results, onClose }) {
+  // Every skill the job asked for, as seen across the compared analyses
+  const skills = [...new Set(results.flatMap((result) => [...(result.matchedSkills || []), ...(result.missingSkills || [])]))];
+  const best = (values) => Math.max(...values.filter((value) => typeof value === 'number'));
+
+  const scoreRow = (label, values) => {
+    const top = best(values);
+    return (
+      <tr>
+        <td style={styles.labelCell}>{label}</td>
+        {values.map((value, idx) => (
+          <td key={idx} style={value === top && results.length > 1 ? { ...styles.cell, ...styles.best } : styles.cell}>{value ?? '-'}</td>
+        ))}
+      </tr>
+    );
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <h3 style={{ marginTop: 0 }}>Comparison</h3>
+        <button onClick={onClose} style={styles.closeButton}>Close</button>
+      </div>
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.labelCell} />
+            {results.map((result) => (
+              <th key={result.index} style={{ ...styles.cell, textAlign: 'left' }}>{result.profile?.name || result.filename}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {scoreRow('Score', results.map((result) => result.score))}
+          {Object.entries(SUB_SCORE_LABELS).map(([key, label]) => (
+            <React.Fragment key={key}>{scoreRow(label, results.map((result) => result.breakdown?.[key]))}</React.Fragment>
+          ))}
+          {scoreRow('Years of experience', results.map((result) => result.yearsOfExperience))}
+          <tr>
+            <td style={styles.labelCell}>Strengths</td>
+            {results.map((result) => <td key={result.index} style={styles.cell}>{result.goodPoints}</td>)}
+          </tr>
+          <tr>
+            <td style={styles.labelCell}>Gaps</td>
+            {results.map((result) => <td key={result.index} style={styles.cell}>{result.badPoints}</td>)}
+          </tr>
+          {skills.map((skill) => (
+            <tr key={skill}>
+              <td style={{ ...styles.labelCell, fontWeight: 'normal' }}>{skill}</td>
+              {results.map((result) => (
+                <td key={result.index} style={styles.cell}>
+                  {(result.matchedSkills || []).includes(skill)
+                    ? <span style={{ color: '#8bc34a' }}>✔</span>
+                    : <span style={{ color: '#ef5350' }}>✘</span>}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default CandidateComparison;
@@ -0,0 +1,174 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../api.js';
+
+const DOCUMENT_LABELS = {
+  'interview-questions': 'Interview Questions',
+  email: 'Email Draft',
+};
+
+const styles = {
+  container: {
+    marginTop: 15,
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: 'rgba(0,0,0,0.25)',
+    fontSize: 14,
+  },
+  heading: {
+    margin: '0 0 8px',
+    fontSize: 16,
+    color: '#fff',
+  },
+  row: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: 8,
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  button: {
+    padding: '4px 10px',
+    fontSize: 13,
+    backgroundColor: '#6c5ce7',
+    color: 'white',
+    border: 'none',
+    borderRadius: 6,
+    cursor: 'pointer',
+  },
+  select: {
+    padding: 4,
+    borderRadius: 6,
+    border: 'none',
+    fontSize: 13,
+  },
+  document: {
+    marginTop: 10,
+  },
+  title: {
+    width: '100%',
+    boxSizing: 'border-box',
+    padding: 6,
+    marginBottom: 4,
+    borderRadius: 6,
+    border: 'none',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  textarea: {
+    width: '100%',
+    boxSizing: 'border-box',
+    padding: 8,
+    borderRadius: 6,
+    border: 'none',
+    fontSize: 13,
+    fontFamily: 'inherit',
+  },
+  link: {
+    color: '#ffeb3b',
+    fontSize: 13,
+  },
+  meta: {
+    color: '#ccc',
+    fontSize: 12,
+  },
+  error: {
+    color: '#ffdddd',
+    backgroundColor: 'rgba(255,0,0,0.3)',
+    padding: 8,
+    borderRadius: 5,
+  },
+};
+
+/**
+ * Interview questions and a rejection or next-steps email drafted from one analyzed resume, which can be
+ * edited, saved and downloaded. With `readOnly` the drafts are shown but can't be generated or edited.
+ */
+function CandidateDocuments({ runId, index, readOnly = false }) {
+  const [documents, setDocuments] = useState({}); // Latest document of each kind
+  const [emailType, setEmailType] = useState('next-steps');
+  const [tone, setTone] = useState('warm');
+  const [busy, setBusy] = useState(null); // Kind being generated
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/runs/${runId}/files/${index}/documents`)
+      .then((response) => setDocuments(Object.fromEntries(response.data.map((draft) => [draft.kind, draft]))))
+      .catch((err) => console.error('Error loading drafts:', err));
+  }, [runId, index]);
+
+  const generate = async (kind) => {
+    setBusy(kind);
+    setError(null);
+    try {
+      const response = kind === 'email'
+        ? await axios.post(`${API_BASE_URL}/runs/${runId}/files/${index}/email`, { type: emailType, tone })
+        : await axios.post(`${API_BASE_URL}/runs/${runId}/files/${index}/interview-questions`);
+      setDocuments((current) => ({ ...current, [kind]: response.data }));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to draft the document.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const edit = (kind, key) => (e) => setDocuments((current) => ({ ...current, [kind]: { ...current[kind], [key]: e.target.value, edited: true } }));
+
+  const save = async (kind) => {
+    setError(null);
+    try {
+      const { title, content } = documents[kind];
+      const response = await axios.put(`${API_BASE_URL}/runs/${runId}/files/${index}/documents/${kind}`, { title, content });
+      setDocuments((current) => ({ ...current, [kind]: response.data }));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save the edits.');
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <h4 style={styles.heading}>Next Steps</h4>
+      {!readOnly && (
+        <div style={styles.row}>
+          <button onClick={() => generate('interview-questions')} disabled={Boolean(busy)} style={styles.button}>
+            {busy === 'interview-questions' ? 'Drafting...' : 'Draft Interview Questions'}
+          </button>
+          <select value={emailType} onChange={(e) => setEmailType(e.target.value)} style={styles.select}>
+            <option value="next-steps">Invite to interview</option>
+            <option value="rejection">Rejection with feedback</option>
+          </select>
+          <select value={tone} onChange={(e) => setTone(e.target.value)} style={styles.select}>
+            <option value="warm">Warm</option>
+            <option value="formal">Formal</option>
+            <option value="concise">Concise</option>
+          </select>
+          <button onClick={() => generate('email')} disabled={Boolean(busy)} style={styles.button}>
+            {busy === 'email' ? 'Drafting...' : 'Draft Email'}
+          </button>
+        </div>
+      )}
+      {error && <p style={styles.error}>{error}</p>}
+
+      {Object.entries(DOCUMENT_LABELS).filter(([kind]) => documents[kind]).map(([kind, label]) => {
+        const draft = documents[kind];
+        return (
+          <div key={kind} style={styles.document}>
+            <div style={styles.meta}>
+              {label} · {draft.source === 'llm' ? 'written by the LLM' : 'from a template'} · updated {draft.updatedAt}
+            </div>
+            <input value={draft.title} onChange={edit(kind, 'title')} readOnly={readOnly} style={styles.title} />
+            <textarea rows={10} value={draft.content} onChange={edit(kind, 'content')} readOnly={readOnly} style={styles.textarea} />
+            <div style={styles.row}>
+              {!readOnly && (
+                <button onClick={() => save(kind)} disabled={!draft.edited} style={styles.button}>Save Edits</button>
+              )}
+              <a href={`${API_BASE_URL}/runs/${runId}/files/${index}/documents/${kind}/download`} style={styles.link}>Download</a>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default CandidateDocuments;
@@ -0,0 +1,164 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../api.js';
+
+const styles = {
+  container: {
+    marginBottom: 15,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0,0,0,0.3)',
+    fontSize: 14,
+  },
+  heading: {
+    marginTop: 0,
+    fontSize: 18,
+    color: '#fff',
+  },
+  scope: {
+    display: 'flex',
+    gap: 15,
+    marginBottom: 10,
+    fontSize: 13,
+  },
+  turn: {
+    marginBottom: 12,
+    paddingBottom: 8,
+    borderBottom: '1px solid rgba(255,255,255,0.1)',
+  },
+  question: {
+    fontWeight: 'bold',
+    color: '#ffeb3b',
+  },
+  answer: {
+    whiteSpace: 'pre-wrap',
+    margin: '6px 0',
+  },
+  passage: {
+    margin: '4px 0',
+    padding: '4px 8px',
+    borderLeft: '3px solid #6c5ce7',
+    backgroundColor: 'rgba(0,0,0,0.2)',
+    whiteSpace: 'pre-wrap',
+    fontSize: 12,
+  },
+  form: {
+    display: 'flex',
+    gap: 8,
+  },
+  input: {
+    flex: 1,
+    padding: 8,
+    borderRadius: 6,
+    border: 'none',
+    fontSize: 14,
+  },
+  button: {
+    padding: '4px 12px',
+    fontSize: 13,
+    backgroundColor: '#6c5ce7',
+    color: 'white',
+    border: 'none',
+    borderRadius: 6,
+    cursor: 'pointer',
+  },
+  meta: {
+    color: '#ccc',
+    fontSize: 12,
+  },
+  error: {
+    color: '#ffdddd',
+    backgroundColor: 'rgba(255,0,0,0.3)',
+    padding: 8,
+    borderRadius: 5,
+  },
+};
+
+/**
+ * Questions in plain language about the candidates of a job, or about the one whose analysis is open
+ * (`candidate`, with the `index` of its file in run `runId`), answered from their resumes with the
+ * passages the answer cites. Switching between them starts a new conversation.
+ */
+function ChatPanel({ jobId, runId, candidate }) {
+  const [scope, setScope] = useState('job');
+  const [turns, setTurns] = useState([]);
+  const [question, setQuestion] = useState('');
+  const [asking, setAsking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const candidateIndex = candidate?.index;
+  const useCandidate = scope === 'candidate' && candidate;
+
+  useEffect(() => {
+    setTurns([]);
+  }, [scope, jobId, runId, candidateIndex]);
+
+  const ask = async (event) => {
+    event.preventDefault();
+    if (!question.trim()) {
+      return;
+    }
+    setAsking(true);
+    setError(null);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/chat`, {
+        question,
+        history: turns.filter((turn) => turn.answer).map((turn) => ({ question: turn.question, answer: turn.answer })),
+        ...(useCandidate ? { runId, fileIndex: candidate.index } : { jobId }),
+      });
+      setTurns((current) => [...current, { question, ...response.data }]);
+      setQuestion('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to answer the question.');
+    } finally {
+      setAsking(false);
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <h3 style={styles.heading}>Ask About Candidates</h3>
+      <div style={styles.scope}>
+        <label>
+          <input type="radio" checked={scope === 'job'} onChange={() => setScope('job')} /> All candidates for this job
+        </label>
+        <label title={candidate ? undefined : 'Open a candidate in the table first'}>
+          <input type="radio" checked={scope === 'candidate'} disabled={!candidate} onChange={() => setScope('candidate')} />
+          {' '}{candidate ? candidate.label : 'The open candidate'}
+        </label>
+      </div>
+
+      {turns.map((turn, position) => {
+        // Without an answer every retrieved passage is shown; otherwise only those it cites
+        const shown = turn.answer ? turn.passages.filter((passage) => passage.cited) : turn.passages;
+        return (
+          <div key={position} style={styles.turn}>
+            <div style={styles.question}>{turn.question}</div>
+            {turn.answer ? <p style={styles.answer}>{turn.answer}</p> : (
+              <p style={styles.meta}>No answer was written ({turn.llmSkipped}). The most relevant passages:</p>
+            )}
+            {shown.map((passage) => (
+              <div key={passage.n} style={styles.passage}>
+                <strong>[{passage.n}] {passage.label}</strong>{'\n'}{passage.text}
+              </div>
+            ))}
+          </div>
+        );
+      })}
+
+      <form onSubmit={ask} style={styles.form}>
+        <input
+          placeholder='e.g. "Who has run Kubernetes in production?"'
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          style={styles.input}
+        />
+        <button type="submit" disabled={asking} style={styles.button}>{asking ? 'Thinking...' : 'Ask'}</button>
+      </form>
+      <p style={styles.meta}>Answers come only from the resume text; check the cited passages before relying on them.</p>
+      {error && <p style={styles.error}>{error}</p>}
+    </div>
+  );
+}
+
+export default ChatPanel;
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../api.js';
+
+const MATCH_LABELS = { file: 'the same file', text: 'the same text', email: 'the same email', phone: 'the same phone number' };
+
+const styles = {
+  container: {
+    marginTop: 15,
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: 'rgba(0,0,0,0.25)',
+    fontSize: 14,
+  },
+  heading: {
+    margin: '0 0 8px',
+    fontSize: 16,
+    color: '#fff',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    margin: '6px 0',
+  },
+  cell: {
+    padding: '3px 4px',
+    borderBottom: '1px solid rgba(255,255,255,0.1)',
+  },
+  added: {
+    color: '#b9f6ca',
+    whiteSpace: 'pre-wrap',
+  },
+  removed: {
+    color: '#ff8a80',
+    whiteSpace: 'pre-wrap',
+  },
+  button: {
+    padding: '2px 10px',
+    marginLeft: 8,
+    fontSize: 12,
+    backgroundColor: '#6c5ce7',
+    color: 'white',
+    border: 'none',
+    borderRadius: 6,
+    cursor: 'pointer',
+  },
+  meta: {
+    color: '#ccc',
+    fontSize: 12,
+  },
+  error: {
+    color: '#ffdddd',
+    backgroundColor: 'rgba(255,0,0,0.3)',
+    padding: 8,
+    borderRadius: 5,
+  },
+};
+
+/**
+ * What the duplicate check found for one analyzed resume: the existing candidate it was linked to, with
+ * their earlier scores and what changed since their last resume, and similar candidates it can be merged into.
+ * With `readOnly` possible duplicates are listed but can't be merged.
+ */
+function DuplicateNotice({ runId, result, readOnly = false }) {
+  const [mergedInto, setMergedInto] = useState(null);
+  const [error, setError] = useState(null);
+  const { duplicate, possibleDuplicates = [], reusedAnalysis } = result;
+
+  if (!duplicate && possibleDuplicates.length === 0) {
+    return null;
+  }
+
+  const merge = async (candidateId) => {
+    setError(null);
+    try {
+      await axios.post(`${API_BASE_URL}/runs/${runId}/files/${result.index}/merge`, { candidateId });
+      setMergedInto(candidateId);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to merge the candidates.');
+    }
+  };
+
+  const changes = duplicate?.changes;
+  return (
+    <div style={styles.container}>
+      <h4 style={styles.heading}>{duplicate ? 'Returning Candidate' : 'Possible Duplicate'}</h4>
+      {duplicate && (
+        <>
+          <p>
+            Linked to {duplicate.name ?? 'an existing candidate'} by {duplicate.matchedBy.map((match) => MATCH_LABELS[match]).join(', ')}
+            {' '}({Math.round(duplicate.similarity * 100)}% similar text).
+          </p>
+          {reusedAnalysis && (
+            <p style={styles.meta}>
+              This resume was already scored for the job on {reusedAnalysis.analyzedAt}; that analysis was reused instead of calling the LLM again.
+            </p>
+          )}
+          {duplicate.priorScores.length > 0 && (
+            <table style={styles.table}>
+              <tbody>
+                {duplicate.priorScores.map((prior) => (
+                  <tr key={`${prior.runId}-${prior.fileIndex}`}>
+                    <td style={styles.cell}>{prior.analyzedAt}</td>
+                    <td style={styles.cell}>{prior.jobTitle}</td>
+                    <td style={styles.cell}>{prior.filename ?? '-'}</td>
+                    <td style={{ ...styles.cell, fontWeight: 'bold', color: '#ffeb3b' }}>{prior.score ?? '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {changes && (
+            <>
+              <div style={styles.meta}>Changes since {changes.previousFile ?? 'the previous resume'}:</div>
+              {changes.addedSkills?.length > 0 && <div style={styles.added}>+ Skills: {changes.addedSkills.join(', ')}</div>}
+              {changes.removedSkills?.length > 0 && <div style={styles.removed}>- Skills: {changes.removedSkills.join(', ')}</div>}
+              {changes.addedLines?.map((line) => <div key={`+${line}`} style={styles.added}>+ {line}</div>)}
+              {changes.removedLines?.map((line) => <div key={`-${line}`} style={styles.removed}>- {line}</div>)}
+              {changes.addedLines?.length === 0 && changes.removedLines?.length === 0 && <div style={styles.meta}>No changes.</div>}
+            </>
+          )}
+        </>
+      )}
+      {possibleDuplicates.length > 0 && (
+        <>
+          <div style={styles.meta}>Similar resumes of other candidates:</div>
+          {possibleDuplicates.map((possible) => (
+            <div key={possible.candidateId}>
+              {possible.name ?? `Candidate #${possible.candidateId}`} ({Math.round(possible.similarity * 100)}% similar)
+              {mergedInto === possible.candidateId ? ' · merged' : !readOnly && !mergedInto && (
+                <button onClick={() => merge(possible.candidateId)} style={styles.button}>Same Person: Merge</button>
+              )}
+            </div>
+          ))}
+        </>
+      )}
+      {error && <p style={styles.error}>{error}</p>}
+    </div>
+  );
+}
+
+export default DuplicateNotice;
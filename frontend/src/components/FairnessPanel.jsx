@@ -0,0 +1,148 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../api.js';
+
+// Scorings of the consistency check; each one is an LLM call
+const CONSISTENCY_REPEATS = 5;
+
+const styles = {
+  container: {
+    marginTop: 15,
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: 'rgba(0,0,0,0.25)',
+    fontSize: 14,
+  },
+  heading: {
+    margin: '0 0 8px',
+    fontSize: 16,
+    color: '#fff',
+  },
+  button: {
+    padding: '4px 10px',
+    marginRight: 8,
+    fontSize: 13,
+    backgroundColor: '#6c5ce7',
+    color: 'white',
+    border: 'none',
+    borderRadius: 6,
+    cursor: 'pointer',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    marginTop: 6,
+  },
+  cell: {
+    padding: '3px 4px',
+    borderBottom: '1px solid rgba(255,255,255,0.1)',
+  },
+  meta: {
+    color: '#ccc',
+    fontSize: 12,
+  },
+  flagged: {
+    color: '#ef5350',
+    fontWeight: 'bold',
+  },
+  error: {
+    color: '#ffdddd',
+    backgroundColor: 'rgba(255,0,0,0.3)',
+    padding: 8,
+    borderRadius: 5,
+  },
+};
+
+/**
+ * Consistency and counterfactual audits of one analyzed resume: re-scores it several times to show how
+ * much the LLM's score varies, and under other names, pronouns and institutions to flag score changes.
+ * With `readOnly` past audits are shown but new ones can't be run.
+ */
+function FairnessPanel({ runId, index, readOnly = false }) {
+  const [audits, setAudits] = useState([]);
+  const [running, setRunning] = useState(null); // Kind of the audit in progress
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/runs/${runId}/files/${index}/audits`)
+      .then((response) => setAudits(response.data))
+      .catch((err) => console.error('Error loading audits:', err));
+  }, [runId, index]);
+
+  const runAudit = async (kind) => {
+    setRunning(kind);
+    setError(null);
+    try {
+      const body = kind === 'consistency' ? { kind, repeats: CONSISTENCY_REPEATS } : { kind };
+      const response = await axios.post(`${API_BASE_URL}/runs/${runId}/files/${index}/audits`, body);
+      setAudits((current) => [response.data, ...current]);
+    } catch (err) {
+      setError(err.response?.data?.error || 'The audit failed.');
+    } finally {
+      setRunning(null);
+    }
+  };
+
+  // Audits are listed newest first
+  const consistency = audits.find((audit) => audit.kind === 'consistency')?.result;
+  const counterfactual = audits.find((audit) => audit.kind === 'counterfactual')?.result;
+
+  return (
+    <div style={styles.container}>
+      <h4 style={styles.heading}>Fairness Audit</h4>
+      {!readOnly && (
+        <div>
+          <button onClick={() => runAudit('consistency')} disabled={Boolean(running)} style={styles.button}>
+            {running === 'consistency' ? 'Scoring...' : `Consistency Check (${CONSISTENCY_REPEATS} runs)`}
+          </button>
+          <button onClick={() => runAudit('counterfactual')} disabled={Boolean(running)} style={styles.button}>
+            {running === 'counterfactual' ? 'Scoring...' : 'Counterfactual Test'}
+          </button>
+        </div>
+      )}
+      {error && <p style={styles.error}>{error}</p>}
+
+      {consistency && (
+        <p>
+          <strong>Consistency:</strong> scores {consistency.scores.join(', ')} · mean {consistency.score.mean},
+          standard deviation {consistency.score.stdDev}, range {consistency.score.max - consistency.score.min}{' '}
+          <span style={styles.meta}>({consistency.provider} {consistency.model}, temperature {consistency.temperature})</span>
+        </p>
+      )}
+
+      {counterfactual && (
+        <div>
+          <strong>Counterfactuals:</strong> baseline {counterfactual.baseline},{' '}
+          <span style={counterfactual.flagged ? styles.flagged : undefined}>
+            {counterfactual.flagged} of {counterfactual.variants.filter((variant) => !variant.control).length} variants moved {counterfactual.threshold}+ points
+          </span>
+          {!counterfactual.redacted && <span style={styles.meta}> (scored without PII redaction)</span>}
+          <table style={styles.table}>
+            <tbody>
+              {counterfactual.variants.map((variant) => (
+                <tr key={variant.label} style={variant.flagged ? styles.flagged : undefined}>
+                  <td style={styles.cell}>
+                    {variant.label}
+                    {variant.control && <span style={styles.meta}> (control the other memberships are compared with)</span>}
+                  </td>
+                  <td style={styles.cell}>{variant.score}</td>
+                  <td style={styles.cell}>{variant.delta > 0 ? `+${variant.delta}` : variant.delta}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {counterfactual.skipped?.length > 0 && (
+            <p style={styles.meta}>
+              Not tested, as the PII redaction masks the change: {counterfactual.skipped.map((variant) => variant.label).join(', ')}.
+            </p>
+          )}
+          {counterfactual.variants.length === 0 && <p style={styles.meta}>Nothing found to vary that the redaction leaves in.</p>}
+        </div>
+      )}
+
+      {!consistency && !counterfactual && <p style={styles.meta}>No audits yet.</p>}
+    </div>
+  );
+}
+
+export default FairnessPanel;
@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../api.js';
+
+const styles = {
+  container: {
+    marginTop: 20,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0,0,0,0.3)',
+  },
+  heading: {
+    marginTop: 0,
+    fontSize: 18,
+    color: '#fff',
+  },
+  list: {
+    listStyle: 'none',
+    padding: 0,
+    margin: 0,
+    fontSize: 14,
+    maxHeight: 200,
+    overflowY: 'auto',
+  },
+  item: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '4px 0',
+    borderBottom: '1px solid rgba(255,255,255,0.1)',
+  },
+  meta: {
+    color: '#ccc',
+    fontSize: 12,
+  },
+  button: {
+    padding: '4px 10px',
+    fontSize: 13,
+    backgroundColor: '#6c5ce7',
+    color: 'white',
+    border: 'none',
+    borderRadius: 6,
+    cursor: 'pointer',
+    marginLeft: 6,
+  },
+};
+
+/**
+ * Lists previous analysis runs stored by the backend so their results can be reopened.
+ * The list reloads whenever `refreshKey` changes; `readOnly` hides deleting.
+ */
+function HistoryPanel({ refreshKey, onOpen, readOnly = false }) {
+  const [runs, setRuns] = useState([]);
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/runs`)
+      .then((response) => setRuns(response.data))
+      .catch((err) => console.error('Error loading analysis history:', err));
+  }, [refreshKey]);
+
+  const deleteRun = async (id) => {
+    if (!window.confirm('Delete this analysis run and its results?')) {
+      return;
+    }
+    try {
+      await axios.delete(`${API_BASE_URL}/runs/${id}`);
+      setRuns((existing) => existing.filter((run) => run.id !== id));
+    } catch (err) {
+      console.error('Error deleting analysis run:', err);
+    }
+  };
+
+  if (runs.length === 0) {
+    return null;
+  }
+
+  return (
+    <div style={styles.container}>
+      <h2 style={styles.heading}>Previous Analyses</h2>
+      <ul style={styles.list}>
+        {runs.map((run) => (
+          <li key={run.id} style={styles.item}>
+            <span>
+              {run.job_title}
+              <br />
+              <span style={styles.meta}>
+                {new Date(`${run.created_at}Z`).toLocaleString()} · {run.file_count} resumes · {run.status}
+              </span>
+            </span>
+            <span>
+              <button onClick={() => onOpen(run.id)} style={styles.button}>Open</button>
+              {!readOnly && (
+                <button onClick={() => deleteRun(run.id)} style={{ ...styles.button, backgroundColor: '#ef5350' }}>Delete</button>
+              )}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default HistoryPanel;
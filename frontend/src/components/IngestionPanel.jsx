@@ -0,0 +1,271 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../api.js';
+
+const KIND_LABELS = { imap: 'IMAP mailbox', folder: 'Watched folder' };
+
+const STATUS_COLORS = { ok: '#4caf50', pending: '#ffb74d', error: '#ef5350', queued: '#4caf50', duplicate: '#ffb74d', rejected: '#ef5350' };
+
+const styles = {
+  container: {
+    marginBottom: 20,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0,0,0,0.3)',
+  },
+  heading: {
+    marginTop: 0,
+    fontSize: 18,
+    color: '#fff',
+  },
+  list: {
+    listStyle: 'none',
+    padding: 0,
+    margin: '0 0 10px',
+    fontSize: 14,
+  },
+  item: {
+    padding: '4px 0',
+    borderBottom: '1px solid rgba(255,255,255,0.1)',
+  },
+  row: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: 8,
+  },
+  meta: {
+    color: '#ccc',
+    fontSize: 12,
+  },
+  form: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: 8,
+    alignItems: 'center',
+  },
+  input: {
+    flex: '1 1 150px',
+    padding: 8,
+    borderRadius: 6,
+    border: 'none',
+    fontSize: 14,
+  },
+  button: {
+    padding: '4px 10px',
+    marginLeft: 6,
+    fontSize: 13,
+    backgroundColor: '#6c5ce7',
+    color: 'white',
+    border: 'none',
+    borderRadius: 6,
+    cursor: 'pointer',
+  },
+  items: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    margin: '6px 0',
+    fontSize: 12,
+  },
+  cell: {
+    padding: '3px 4px',
+    borderBottom: '1px solid rgba(255,255,255,0.1)',
+  },
+  notice: {
+    padding: 8,
+    margin: '8px 0',
+    borderRadius: 6,
+    backgroundColor: 'rgba(76,175,80,0.2)',
+    fontSize: 13,
+  },
+  error: {
+    color: '#ffdddd',
+    backgroundColor: 'rgba(255,0,0,0.3)',
+    padding: 8,
+    borderRadius: 5,
+  },
+};
+
+const EMPTY_SOURCE = {
+  name: '', kind: 'imap', jobId: '', host: '', port: 993, secure: true, user: '', password: '', mailbox: 'INBOX', path: '',
+};
+
+/**
+ * Lets a workspace admin set up the sources applications are ingested from: IMAP mailboxes, whose
+ * attachments are taken from new emails, and folders on the server that files are dropped into. Each
+ * source scores what it finds against a saved job; its status and a log of what it found are shown here.
+ */
+function IngestionPanel() {
+  const [options, setOptions] = useState({ kinds: [], foldersEnabled: false });
+  const [sources, setSources] = useState([]);
+  const [jobs, setJobs] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_SOURCE);
+  const [openSourceId, setOpenSourceId] = useState(null);
+  const [items, setItems] = useState([]);
+  const [checked, setChecked] = useState(null); // What the last "Check Now" found
+  const [error, setError] = useState(null);
+
+  const loadSources = () => axios.get(`${API_BASE_URL}/ingestion/sources`)
+    .then((response) => setSources(response.data))
+    .catch((err) => console.error('Error loading ingestion sources:', err));
+
+  const loadItems = (sourceId) => axios.get(`${API_BASE_URL}/ingestion/sources/${sourceId}/items`)
+    .then((response) => setItems(response.data))
+    .catch((err) => console.error('Error loading ingested items:', err));
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/ingestion/options`)
+      .then((response) => setOptions(response.data))
+      .catch((err) => console.error('Error loading ingestion options:', err));
+    axios.get(`${API_BASE_URL}/jobs`, { params: { templates: true } })
+      .then((response) => setJobs(response.data))
+      .catch((err) => console.error('Error loading jobs:', err));
+    loadSources();
+  }, []);
+
+  // Runs a request, reporting its error in the panel
+  const attempt = async (request, fallbackMessage) => {
+    setError(null);
+    try {
+      return await request();
+    } catch (err) {
+      setError(err.response?.data?.error || fallbackMessage);
+      return null;
+    }
+  };
+
+  const createSource = async (event) => {
+    event.preventDefault();
+    const { name, kind, jobId, path, ...mailbox } = draft;
+    const settings = kind === 'folder' ? { path } : mailbox;
+    const response = await attempt(
+      () => axios.post(`${API_BASE_URL}/ingestion/sources`, { name, kind, jobId: Number(jobId), settings }),
+      'Failed to add the source.'
+    );
+    if (response) {
+      setDraft(EMPTY_SOURCE);
+      loadSources();
+    }
+  };
+
+  const updateSource = async (source, changes) => {
+    await attempt(() => axios.put(`${API_BASE_URL}/ingestion/sources/${source.id}`, changes), 'Failed to update the source.');
+    loadSources();
+  };
+
+  const removeSource = async (source) => {
+    if (!window.confirm(`Delete the source "${source.name}" and its log? The runs it queued are kept.`)) {
+      return;
+    }
+    await attempt(() => axios.delete(`${API_BASE_URL}/ingestion/sources/${source.id}`), 'Failed to delete the source.');
+    loadSources();
+  };
+
+  const checkSource = async (source) => {
+    setChecked(null);
+    const response = await attempt(() => axios.post(`${API_BASE_URL}/ingestion/sources/${source.id}/check`), 'Failed to check the source.');
+    if (response) {
+      const { found, queued, duplicate, rejected } = response.data;
+      setChecked(found === 0
+        ? `Nothing new in "${source.name}".`
+        : `Found ${found} in "${source.name}": ${queued} queued for scoring, ${duplicate} duplicate, ${rejected} rejected.`);
+    }
+    if (openSourceId === source.id) {
+      loadItems(source.id);
+    }
+    loadSources();
+  };
+
+  const showItems = (sourceId) => {
+    setOpenSourceId(openSourceId === sourceId ? null : sourceId);
+    if (openSourceId !== sourceId) {
+      loadItems(sourceId);
+    }
+  };
+
+  const describe = (source) => (source.kind === 'folder'
+    ? `folder ${source.settings.path || '(root)'}`
+    : `${source.settings.user}@${source.settings.host}:${source.settings.port} ${source.settings.mailbox}`);
+
+  return (
+    <div style={styles.container}>
+      <h2 style={styles.heading}>Application Ingestion</h2>
+      <div style={styles.meta}>
+        New resumes attached to emails in a mailbox, or dropped into a folder on the server, are queued for scoring
+        against the source's job every few minutes. Each file is only ingested once, and files a source already
+        ingested are skipped as duplicates.
+      </div>
+      {checked && <div style={styles.notice}>{checked}</div>}
+      <ul style={styles.list}>
+        {sources.map((source) => (
+          <li key={source.id} style={styles.item}>
+            <div style={styles.row}>
+              <span>
+                {source.name} <span style={{ ...styles.meta, color: STATUS_COLORS[source.status] }}>{source.status}</span>
+                <div style={styles.meta}>
+                  {KIND_LABELS[source.kind] ?? source.kind} · {describe(source)} · for {source.jobTitle}
+                  {' · '}{source.items.queued ?? 0} queued, {source.items.duplicate ?? 0} duplicate, {source.items.rejected ?? 0} rejected
+                  {' · '}last checked {source.lastCheckedAt ?? 'never'}
+                  {!source.active && ' · paused'}
+                </div>
+                {source.lastError && <div style={{ ...styles.meta, color: STATUS_COLORS.error }}>{source.lastError}</div>}
+              </span>
+              <span>
+                <button onClick={() => checkSource(source)} style={styles.button}>Check Now</button>
+                <button onClick={() => showItems(source.id)} style={styles.button}>{openSourceId === source.id ? 'Hide Log' : 'Log'}</button>
+                <button onClick={() => updateSource(source, { active: !source.active })} style={styles.button}>{source.active ? 'Pause' : 'Resume'}</button>
+                <button onClick={() => removeSource(source)} style={{ ...styles.button, backgroundColor: '#ef5350' }}>Delete</button>
+              </span>
+            </div>
+            {openSourceId === source.id && (
+              items.length === 0 ? <p style={styles.meta}>Nothing was ingested yet.</p> : (
+                <table style={styles.items}>
+                  <tbody>
+                    {items.map((item) => (
+                      <tr key={item.id}>
+                        <td style={styles.cell}>{item.createdAt}</td>
+                        <td style={styles.cell}>{item.filename}</td>
+                        <td style={{ ...styles.cell, color: STATUS_COLORS[item.status] }}>{item.status}</td>
+                        <td style={styles.cell}>{item.detail ?? (item.runId && `run ${item.runId.slice(0, 8)}`)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )
+            )}
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={createSource} style={styles.form}>
+        <input placeholder="Name, e.g. Careers inbox" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} style={styles.input} />
+        <select value={draft.kind} onChange={(e) => setDraft({ ...draft, kind: e.target.value })} style={styles.input}>
+          {options.kinds.filter((kind) => kind !== 'folder' || options.foldersEnabled).map((kind) => (
+            <option key={kind} value={kind}>{KIND_LABELS[kind] ?? kind}</option>
+          ))}
+        </select>
+        <select value={draft.jobId} onChange={(e) => setDraft({ ...draft, jobId: e.target.value })} style={styles.input}>
+          <option value="">Score against job…</option>
+          {jobs.map((job) => <option key={job.id} value={job.id}>{job.title}</option>)}
+        </select>
+        {draft.kind === 'folder' ? (
+          <input placeholder="Folder, relative to the server's ingestion root" value={draft.path} onChange={(e) => setDraft({ ...draft, path: e.target.value })} style={styles.input} />
+        ) : (
+          <>
+            <input placeholder="IMAP host, e.g. imap.example.com" value={draft.host} onChange={(e) => setDraft({ ...draft, host: e.target.value })} style={styles.input} />
+            <input type="number" placeholder="Port" value={draft.port} onChange={(e) => setDraft({ ...draft, port: e.target.value })} style={{ ...styles.input, flex: '0 1 80px' }} />
+            <label style={styles.meta}>
+              <input type="checkbox" checked={draft.secure} onChange={(e) => setDraft({ ...draft, secure: e.target.checked })} /> TLS
+            </label>
+            <input placeholder="User" value={draft.user} onChange={(e) => setDraft({ ...draft, user: e.target.value })} style={styles.input} />
+            <input type="password" placeholder="Password" value={draft.password} onChange={(e) => setDraft({ ...draft, password: e.target.value })} style={styles.input} />
+            <input placeholder="Mailbox" value={draft.mailbox} onChange={(e) => setDraft({ ...draft, mailbox: e.target.value })} style={styles.input} />
+          </>
+        )}
+        <button type="submit" style={styles.button}>Add Source</button>
+      </form>
+      {error && <p style={styles.error}>{error}</p>}
+    </div>
+  );
+}
+
+export default IngestionPanel;
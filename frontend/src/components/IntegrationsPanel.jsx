@@ -0,0 +1,324 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../api.js';
+
+const ROLE_LABELS = {
+  admin: 'Admin',
+  recruiter: 'Recruiter',
+  hiring_manager: 'Hiring manager (read-only)',
+};
+
+const STATUS_COLORS = { delivered: '#4caf50', pending: '#ffb74d', failed: '#ef5350' };
+
+const styles = {
+  container: {
+    marginBottom: 20,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0,0,0,0.3)',
+  },
+  heading: {
+    marginTop: 0,
+    fontSize: 18,
+    color: '#fff',
+  },
+  subheading: {
+    margin: '15px 0 6px',
+    fontSize: 16,
+    color: '#fff',
+  },
+  list: {
+    listStyle: 'none',
+    padding: 0,
+    margin: '0 0 10px',
+    fontSize: 14,
+  },
+  item: {
+    padding: '4px 0',
+    borderBottom: '1px solid rgba(255,255,255,0.1)',
+  },
+  row: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: 8,
+  },
+  meta: {
+    color: '#ccc',
+    fontSize: 12,
+  },
+  form: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: 8,
+    alignItems: 'center',
+  },
+  input: {
+    flex: '1 1 150px',
+    padding: 8,
+    borderRadius: 6,
+    border: 'none',
+    fontSize: 14,
+  },
+  button: {
+    padding: '4px 10px',
+    marginLeft: 6,
+    fontSize: 13,
+    backgroundColor: '#6c5ce7',
+    color: 'white',
+    border: 'none',
+    borderRadius: 6,
+    cursor: 'pointer',
+  },
+  secret: {
+    padding: 8,
+    margin: '8px 0',
+    borderRadius: 6,
+    backgroundColor: 'rgba(255,235,59,0.15)',
+    fontSize: 13,
+    wordBreak: 'break-all',
+  },
+  deliveries: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    margin: '6px 0',
+    fontSize: 12,
+  },
+  cell: {
+    padding: '3px 4px',
+    borderBottom: '1px solid rgba(255,255,255,0.1)',
+  },
+  error: {
+    color: '#ffdddd',
+    backgroundColor: 'rgba(255,0,0,0.3)',
+    padding: 8,
+    borderRadius: 5,
+  },
+};
+
+// The public API is at /api/v1 of the backend's host, whether the app is served from its root or from /api (Vercel)
+const PUBLIC_API_URL = new URL('/api/v1', new URL(API_BASE_URL, window.location.origin)).href;
+
+const EMPTY_KEY = { name: '', role: 'recruiter' };
+const EMPTY_WEBHOOK = { url: '', events: ['analysis.completed'], format: 'native' };
+
+/**
+ * Lets a workspace admin connect other systems, such as an ATS: API keys for the public API
+ * (/api/v1), and webhooks that are sent signed results when a run completes or a candidate is
+ * shortlisted, with each webhook's delivery log. Keys and signing secrets are shown once.
+ */
+function IntegrationsPanel() {
+  const [options, setOptions] = useState({ events: [], formats: [] });
+  const [apiKeys, setApiKeys] = useState([]);
+  const [webhooks, setWebhooks] = useState([]);
+  const [keyDraft, setKeyDraft] = useState(EMPTY_KEY);
+  const [webhookDraft, setWebhookDraft] = useState(EMPTY_WEBHOOK);
+  const [revealed, setRevealed] = useState(null); // The key or secret just created, shown once
+  const [openWebhookId, setOpenWebhookId] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [error, setError] = useState(null);
+
+  const loadApiKeys = () => axios.get(`${API_BASE_URL}/integrations/api-keys`)
+    .then((response) => setApiKeys(response.data))
+    .catch((err) => console.error('Error loading API keys:', err));
+
+  const loadWebhooks = () => axios.get(`${API_BASE_URL}/integrations/webhooks`)
+    .then((response) => setWebhooks(response.data))
+    .catch((err) => console.error('Error loading webhooks:', err));
+
+  const loadDeliveries = (webhookId) => axios.get(`${API_BASE_URL}/integrations/webhooks/${webhookId}/deliveries`)
+    .then((response) => setDeliveries(response.data))
+    .catch((err) => console.error('Error loading webhook deliveries:', err));
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/integrations/options`)
+      .then((response) => setOptions(response.data))
+      .catch((err) => console.error('Error loading integration options:', err));
+    loadApiKeys();
+    loadWebhooks();
+  }, []);
+
+  // Runs a request, reporting its error in the panel
+  const attempt = async (request, fallbackMessage) => {
+    setError(null);
+    try {
+      return await request();
+    } catch (err) {
+      setError(err.response?.data?.error || fallbackMessage);
+      return null;
+    }
+  };
+
+  const createKey = async (event) => {
+    event.preventDefault();
+    const response = await attempt(() => axios.post(`${API_BASE_URL}/integrations/api-keys`, keyDraft), 'Failed to create the API key.');
+    if (response) {
+      const { key, ...apiKey } = response.data;
+      setApiKeys((existing) => [apiKey, ...existing]);
+      setRevealed({ label: `API key "${apiKey.name}"`, value: key });
+      setKeyDraft(EMPTY_KEY);
+    }
+  };
+
+  const revokeKey = async (apiKey) => {
+    if (!window.confirm(`Revoke the API key "${apiKey.name}"? Integrations using it stop working.`)) {
+      return;
+    }
+    await attempt(() => axios.delete(`${API_BASE_URL}/integrations/api-keys/${apiKey.id}`), 'Failed to revoke the API key.');
+    loadApiKeys();
+  };
+
+  const createWebhook = async (event) => {
+    event.preventDefault();
+    const response = await attempt(() => axios.post(`${API_BASE_URL}/integrations/webhooks`, webhookDraft), 'Failed to add the webhook.');
+    if (response) {
+      setRevealed({ label: `Signing secret of ${response.data.url}`, value: response.data.secret });
+      setWebhookDraft(EMPTY_WEBHOOK);
+      loadWebhooks();
+    }
+  };
+
+  const updateWebhook = async (webhook, changes) => {
+    const response = await attempt(() => axios.put(`${API_BASE_URL}/integrations/webhooks/${webhook.id}`, changes), 'Failed to update the webhook.');
+    if (response?.data.secret) {
+      setRevealed({ label: `New signing secret of ${webhook.url}`, value: response.data.secret });
+    }
+    loadWebhooks();
+  };
+
+  const removeWebhook = async (webhook) => {
+    if (!window.confirm(`Delete the webhook ${webhook.url} and its delivery log?`)) {
+      return;
+    }
+    await attempt(() => axios.delete(`${API_BASE_URL}/integrations/webhooks/${webhook.id}`), 'Failed to delete the webhook.');
+    loadWebhooks();
+  };
+
+  const showDeliveries = (webhookId) => {
+    setOpenWebhookId(openWebhookId === webhookId ? null : webhookId);
+    if (openWebhookId !== webhookId) {
+      loadDeliveries(webhookId);
+    }
+  };
+
+  const testWebhook = async (webhook) => {
+    await attempt(() => axios.post(`${API_BASE_URL}/integrations/webhooks/${webhook.id}/test`), 'Failed to send the test event.');
+    setOpenWebhookId(webhook.id);
+    loadDeliveries(webhook.id);
+    loadWebhooks();
+  };
+
+  const redeliver = async (delivery) => {
+    await attempt(() => axios.post(`${API_BASE_URL}/integrations/deliveries/${delivery.id}/redeliver`), 'Failed to send the delivery again.');
+    loadDeliveries(delivery.webhookId);
+    loadWebhooks();
+  };
+
+  const toggleEvent = (eventName) => (e) => setWebhookDraft((current) => ({
+    ...current,
+    events: e.target.checked ? [...current.events, eventName] : current.events.filter((existing) => existing !== eventName),
+  }));
+
+  return (
+    <div style={styles.container}>
+      <h2 style={styles.heading}>Integrations</h2>
+      {revealed && (
+        <div style={styles.secret}>
+          {revealed.label}: <code>{revealed.value}</code>
+          <div style={styles.meta}>Copy it now; it won't be shown again.</div>
+          <button onClick={() => setRevealed(null)} style={{ ...styles.button, marginLeft: 0, marginTop: 6 }}>Done</button>
+        </div>
+      )}
+
+      <h3 style={styles.subheading}>API Keys</h3>
+      <div style={styles.meta}>
+        Send a key as <code>Authorization: Bearer &lt;key&gt;</code> to the public API at <code>{PUBLIC_API_URL}</code> to submit resumes and fetch results.
+      </div>
+      <ul style={styles.list}>
+        {apiKeys.map((apiKey) => (
+          <li key={apiKey.id} style={{ ...styles.item, ...styles.row }}>
+            <span>
+              {apiKey.name} <span style={styles.meta}>{apiKey.prefix}… · {ROLE_LABELS[apiKey.role] ?? apiKey.role} · last used {apiKey.lastUsedAt ?? 'never'}</span>
+            </span>
+            {apiKey.revokedAt
+              ? <span style={styles.meta}>Revoked</span>
+              : <button onClick={() => revokeKey(apiKey)} style={{ ...styles.button, backgroundColor: '#ef5350' }}>Revoke</button>}
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={createKey} style={styles.form}>
+        <input placeholder="What the key is for, e.g. Greenhouse" value={keyDraft.name} onChange={(e) => setKeyDraft({ ...keyDraft, name: e.target.value })} style={styles.input} />
+        <select value={keyDraft.role} onChange={(e) => setKeyDraft({ ...keyDraft, role: e.target.value })} style={styles.input}>
+          {Object.entries(ROLE_LABELS).map(([role, label]) => <option key={role} value={role}>{label}</option>)}
+        </select>
+        <button type="submit" style={styles.button}>Create Key</button>
+      </form>
+
+      <h3 style={styles.subheading}>Webhooks</h3>
+      <div style={styles.meta}>
+        Each delivery is a POST signed with the webhook's secret: <code>X-ResumeBot-Signature</code> is the HMAC-SHA256 of
+        <code> &lt;X-ResumeBot-Timestamp&gt;.&lt;body&gt;</code>. Failed deliveries are retried with a growing delay.
+      </div>
+      <ul style={styles.list}>
+        {webhooks.map((webhook) => (
+          <li key={webhook.id} style={styles.item}>
+            <div style={styles.row}>
+              <span>
+                {webhook.url}
+                <div style={styles.meta}>
+                  {webhook.events.join(', ')} · {options.formats.find((format) => format.id === webhook.format)?.label ?? webhook.format} format
+                  {' · '}{webhook.deliveries.delivered} delivered, {webhook.deliveries.pending} pending, {webhook.deliveries.failed} failed
+                  {!webhook.active && ' · paused'}
+                </div>
+              </span>
+              <span>
+                <button onClick={() => testWebhook(webhook)} style={styles.button}>Test</button>
+                <button onClick={() => showDeliveries(webhook.id)} style={styles.button}>{openWebhookId === webhook.id ? 'Hide Log' : 'Log'}</button>
+                <button onClick={() => updateWebhook(webhook, { active: !webhook.active })} style={styles.button}>{webhook.active ? 'Pause' : 'Resume'}</button>
+                <button onClick={() => updateWebhook(webhook, { rotateSecret: true })} style={styles.button}>New Secret</button>
+                <button onClick={() => removeWebhook(webhook)} style={{ ...styles.button, backgroundColor: '#ef5350' }}>Delete</button>
+              </span>
+            </div>
+            {openWebhookId === webhook.id && (
+              deliveries.length === 0 ? <p style={styles.meta}>Nothing was sent yet.</p> : (
+                <table style={styles.deliveries}>
+                  <tbody>
+                    {deliveries.map((delivery) => (
+                      <tr key={delivery.id}>
+                        <td style={styles.cell}>{delivery.createdAt}</td>
+                        <td style={styles.cell}>{delivery.event}</td>
+                        <td style={{ ...styles.cell, color: STATUS_COLORS[delivery.status] }}>
+                          {delivery.status}{delivery.status === 'pending' && delivery.nextAttemptAt && ` (next attempt ${delivery.nextAttemptAt})`}
+                        </td>
+                        <td style={styles.cell}>{delivery.attempts} attempt{delivery.attempts === 1 ? '' : 's'}</td>
+                        <td style={styles.cell}>{delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : delivery.error ?? ''}</td>
+                        <td style={styles.cell}>
+                          {delivery.status !== 'delivered' && <button onClick={() => redeliver(delivery)} style={styles.button}>Send Again</button>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )
+            )}
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={createWebhook} style={styles.form}>
+        <input placeholder="https://example.com/webhooks/resumes" value={webhookDraft.url} onChange={(e) => setWebhookDraft({ ...webhookDraft, url: e.target.value })} style={styles.input} />
+        <select value={webhookDraft.format} onChange={(e) => setWebhookDraft({ ...webhookDraft, format: e.target.value })} style={styles.input}>
+          {options.formats.map((format) => <option key={format.id} value={format.id}>{format.label} format</option>)}
+        </select>
+        {options.events.map((eventName) => (
+          <label key={eventName} style={styles.meta}>
+            <input type="checkbox" checked={webhookDraft.events.includes(eventName)} onChange={toggleEvent(eventName)} /> {eventName}
+          </label>
+        ))}
+        <button type="submit" style={styles.button}>Add Webhook</button>
+      </form>
+      {error && <p style={styles.error}>{error}</p>}
+    </div>
+  );
+}
+
+export default IntegrationsPanel;
@@ -0,0 +1,234 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../api.js';
+
+const styles = {
+  row: {
+    display: 'flex',
+    gap: 10,
+    marginBottom: 10,
+    alignItems: 'center',
+  },
+  select: {
+    flex: 1,
+    padding: 8,
+    borderRadius: 8,
+    border: 'none',
+    fontSize: 14,
+    backgroundColor: 'rgba(255,255,255,0.8)',
+    color: '#000',
+  },
+  button: {
+    padding: '8px 14px',
+    fontSize: 14,
+    backgroundColor: '#6c5ce7',
+    color: 'white',
+    border: 'none',
+    borderRadius: 8,
+    cursor: 'pointer',
+  },
+  smallButton: {
+    padding: '4px 10px',
+    fontSize: 13,
+    backgroundColor: 'rgba(0,0,0,0.4)',
+    color: 'white',
+    border: 'none',
+    borderRadius: 6,
+    cursor: 'pointer',
+  },
+  editor: {
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0,0,0,0.3)',
+    marginBottom: 20,
+  },
+  label: {
+    display: 'block',
+    fontSize: 13,
+    marginBottom: 4,
+    color: '#ddd',
+  },
+  input: {
+    width: '100%',
+    padding: 8,
+    borderRadius: 6,
+    border: 'none',
+    fontSize: 14,
+    boxSizing: 'border-box',
+    backgroundColor: 'rgba(255,255,255,0.8)',
+    color: '#000',
+  },
+  weightInput: {
+    width: 60,
+    padding: 8,
+    borderRadius: 6,
+    border: 'none',
+    fontSize: 14,
+    backgroundColor: 'rgba(255,255,255,0.8)',
+    color: '#000',
+  },
+  listTitle: {
+    fontWeight: 'bold',
+    margin: '12px 0 6px',
+  },
+  error: {
+    color: '#ffdddd',
+    backgroundColor: 'rgba(255,0,0,0.3)',
+    padding: 8,
+    borderRadius: 5,
+  },
+};
+
+const REQUIREMENT_LISTS = [
+  { key: 'mustHave', title: 'Must-have requirements', defaultWeight: 2 },
+  { key: 'niceToHave', title: 'Nice-to-have requirements', defaultWeight: 1 },
+];
+
+/**
+ * Picks a saved job template, and parses the pasted job description into weighted
+ * requirements that can be edited and saved as a template for reuse.
+ */
+function JobPanel({ jobDescription, selectedJob, onSelect }) {
+  const [templates, setTemplates] = useState([]);
+  const [draft, setDraft] = useState(null); // The job being edited, if any
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadTemplates = () => axios.get(`${API_BASE_URL}/jobs`, { params: { templates: true } })
+    .then((response) => setTemplates(response.data))
+    .catch((err) => console.error('Error loading job templates:', err));
+
+  useEffect(() => {
+    loadTemplates();
+  }, []);
+
+  const parseDescription = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/jobs/parse`, { description: jobDescription });
+      setDraft(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to parse the job description.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveDraft = async () => {
+    setBusy(true);
+    setError(null);
+    const job = {
+      title: draft.title,
+      description: draft.description,
+      location: draft.location || null,
+      minExperienceYears: draft.minExperienceYears === '' || draft.minExperienceYears === null ? null : Number(draft.minExperienceYears),
+      education: draft.education || null,
+      mustHave: draft.mustHave.filter((item) => item.skill.trim()),
+      niceToHave: draft.niceToHave.filter((item) => item.skill.trim()),
+    };
+    try {
+      const response = draft.id
+        ? await axios.put(`${API_BASE_URL}/jobs/${draft.id}`, job)
+        : await axios.post(`${API_BASE_URL}/jobs`, job);
+      await loadTemplates();
+      setDraft(null);
+      onSelect(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save the job template.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const updateDraft = (changes) => setDraft((current) => ({ ...current, ...changes }));
+
+  const updateItem = (listKey, index, changes) => {
+    updateDraft({ [listKey]: draft[listKey].map((item, idx) => (idx === index ? { ...item, ...changes } : item)) });
+  };
+
+  return (
+    <div>
+      <div style={styles.row}>
+        <select
+          value={selectedJob?.id ?? ''}
+          onChange={(e) => onSelect(templates.find((template) => String(template.id) === e.target.value) ?? null)}
+          style={styles.select}
+        >
+          <option value="">Paste a new job description, or pick a saved job...</option>
+          {templates.map((template) => (
+            <option key={template.id} value={template.id}>{template.title}</option>
+          ))}
+        </select>
+        {selectedJob ? (
+          <button onClick={() => setDraft(selectedJob)} style={styles.button}>Edit Job</button>
+        ) : (
+          <button onClick={parseDescription} disabled={busy || !jobDescription.trim()} style={styles.button}>
+            {busy ? 'Parsing...' : 'Parse & Save as Job'}
+          </button>
+        )}
+      </div>
+
+      {error && <p style={styles.error}>{error}</p>}
+
+      {draft && (
+        <div style={styles.editor}>
+          <label style={styles.label}>Title</label>
+          <input value={draft.title} onChange={(e) => updateDraft({ title: e.target.value })} style={styles.input} />
+          <div style={{ ...styles.row, marginTop: 10 }}>
+            <div style={{ flex: 1 }}>
+              <label style={styles.label}>Location</label>
+              <input value={draft.location ?? ''} onChange={(e) => updateDraft({ location: e.target.value })} style={styles.input} />
+            </div>
+            <div style={{ width: 140 }}>
+              <label style={styles.label}>Min. years</label>
+              <input
+                type="number"
+                min="0"
+                value={draft.minExperienceYears ?? ''}
+                onChange={(e) => updateDraft({ minExperienceYears: e.target.value })}
+                style={styles.input}
+              />
+            </div>
+          </div>
+          <label style={styles.label}>Education</label>
+          <input value={draft.education ?? ''} onChange={(e) => updateDraft({ education: e.target.value })} style={styles.input} />
+
+          {REQUIREMENT_LISTS.map(({ key, title, defaultWeight }) => (
+            <div key={key}>
+              <div style={styles.listTitle}>{title} (weight)</div>
+              {draft[key].map((item, idx) => (
+                <div key={idx} style={styles.row}>
+                  <input value={item.skill} onChange={(e) => updateItem(key, idx, { skill: e.target.value })} style={styles.input} />
+                  <input
+                    type="number"
+                    min="0"
+                    max="10"
+                    value={item.weight}
+                    onChange={(e) => updateItem(key, idx, { weight: Number(e.target.value) })}
+                    style={styles.weightInput}
+                  />
+                  <button onClick={() => updateDraft({ [key]: draft[key].filter((_, i) => i !== idx) })} style={styles.smallButton}>
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <button onClick={() => updateDraft({ [key]: [...draft[key], { skill: '', weight: defaultWeight }] })} style={styles.smallButton}>
+                + Add
+              </button>
+            </div>
+          ))}
+
+          <div style={{ ...styles.row, marginTop: 15, marginBottom: 0 }}>
+            <button onClick={saveDraft} disabled={busy || !draft.title.trim()} style={styles.button}>
+              {draft.id ? 'Update Job' : 'Save Job'}
+            </button>
+            <button onClick={() => setDraft(null)} style={{ ...styles.button, backgroundColor: '#6c757d' }}>Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default JobPanel;
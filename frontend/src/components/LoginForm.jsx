@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../api.js';
+
+const styles = {
+  form: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 12,
+  },
+  input: {
+    padding: 12,
+    borderRadius: 10,
+    border: 'none',
+    fontSize: 16,
+    backgroundColor: 'rgba(255,255,255,0.8)',
+    color: '#000',
+  },
+  button: {
+    padding: '12px 24px',
+    fontSize: 16,
+    backgroundColor: '#28a745',
+    color: 'white',
+    border: 'none',
+    borderRadius: 10,
+    cursor: 'pointer',
+  },
+  switch: {
+    background: 'none',
+    border: 'none',
+    color: '#fff',
+    textDecoration: 'underline',
+    cursor: 'pointer',
+    fontSize: 14,
+  },
+  error: {
+    color: '#ffdddd',
+    backgroundColor: 'rgba(255,0,0,0.3)',
+    padding: 10,
+    borderRadius: 5,
+    textAlign: 'center',
+  },
+};
+
+/**
+ * Sign-in form. When the server allows it, it can also create a new workspace
+ * with the person signing up as its admin.
+ */
+function LoginForm({ signupOpen, onSignedIn }) {
+  const [mode, setMode] = useState(signupOpen ? 'register' : 'login');
+  const [fields, setFields] = useState({ workspaceName: '', name: '', email: '', password: '' });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const update = (key) => (e) => setFields((current) => ({ ...current, [key]: e.target.value }));
+
+  const submit = async (event) => {
+    event.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const response = mode === 'register'
+        ? await axios.post(`${API_BASE_URL}/auth/register`, fields)
+        : await axios.post(`${API_BASE_URL}/auth/login`, { email: fields.email, password: fields.password });
+      onSignedIn(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not reach the server. Ensure the backend server is running and accessible.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} style={styles.form}>
+      {mode === 'register' && (
+        <>
+          <input placeholder="Workspace (team) name" value={fields.workspaceName} onChange={update('workspaceName')} style={styles.input} />
+          <input placeholder="Your name" value={fields.name} onChange={update('name')} style={styles.input} />
+        </>
+      )}
+      <input type="email" placeholder="Email" value={fields.email} onChange={update('email')} autoComplete="username" style={styles.input} />
+      <input
+        type="password"
+        placeholder="Password"
+        value={fields.password}
+        onChange={update('password')}
+        autoComplete={mode === 'register' ? 'new-password' : 'current-password'}
+        style={styles.input}
+      />
+      <button type="submit" disabled={busy} style={styles.button}>
+        {mode === 'register' ? 'Create Workspace' : 'Sign In'}
+      </button>
+      {signupOpen && (
+        <button type="button" onClick={() => setMode(mode === 'register' ? 'login' : 'register')} style={styles.switch}>
+          {mode === 'register' ? 'I already have an account' : 'Create a new workspace'}
+        </button>
+      )}
+      {error && <p style={styles.error}>{error}</p>}
+    </form>
+  );
+}
+
+export default LoginForm;
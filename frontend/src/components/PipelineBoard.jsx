@@ -0,0 +1,438 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../api.js';
+
+const OUTCOME_COLORS = { hired: '#4caf50', rejected: '#ef5350' };
+
+const styles = {
+  container: {
+    marginBottom: 20,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0,0,0,0.3)',
+  },
+  heading: {
+    marginTop: 0,
+    fontSize: 18,
+    color: '#fff',
+  },
+  subheading: {
+    margin: '15px 0 6px',
+    fontSize: 16,
+    color: '#fff',
+  },
+  toolbar: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: 8,
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  input: {
+    flex: '1 1 150px',
+    padding: 8,
+    borderRadius: 6,
+    border: 'none',
+    fontSize: 14,
+  },
+  button: {
+    padding: '4px 10px',
+    marginLeft: 6,
+    fontSize: 13,
+    backgroundColor: '#6c5ce7',
+    color: 'white',
+    border: 'none',
+    borderRadius: 6,
+    cursor: 'pointer',
+  },
+  board: {
+    display: 'flex',
+    gap: 8,
+    overflowX: 'auto',
+    paddingBottom: 6,
+  },
+  column: {
+    flex: '1 0 150px',
+    minHeight: 120,
+    padding: 6,
+    borderRadius: 8,
+    backgroundColor: 'rgba(255,255,255,0.08)',
+  },
+  columnOver: {
+    backgroundColor: 'rgba(108,92,231,0.35)',
+  },
+  columnTitle: {
+    margin: '0 0 6px',
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  card: {
+    padding: 6,
+    marginBottom: 6,
+    borderRadius: 6,
+    backgroundColor: 'rgba(0,0,0,0.35)',
+    fontSize: 13,
+    color: '#fff',
+    cursor: 'pointer',
+  },
+  meta: {
+    color: '#ccc',
+    fontSize: 12,
+  },
+  detail: {
+    marginTop: 10,
+    padding: 10,
+    borderRadius: 8,
+    backgroundColor: 'rgba(0,0,0,0.25)',
+    fontSize: 13,
+  },
+  list: {
+    listStyle: 'none',
+    padding: 0,
+    margin: '0 0 10px',
+    fontSize: 13,
+  },
+  item: {
+    padding: '4px 0',
+    borderBottom: '1px solid rgba(255,255,255,0.1)',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: 13,
+  },
+  cell: {
+    padding: '3px 4px',
+    borderBottom: '1px solid rgba(255,255,255,0.1)',
+    textAlign: 'left',
+  },
+  error: {
+    color: '#ffdddd',
+    backgroundColor: 'rgba(255,0,0,0.3)',
+    padding: 8,
+    borderRadius: 5,
+  },
+};
+
+const percent = (value) => (value === null ? '–' : `${Math.round(value * 100)}%`);
+
+/**
+ * A job's hiring pipeline: its candidates as cards on a board of stages, dragged from stage to stage,
+ * with each candidate's stage history and reviewers' notes and ratings, the job's stages to edit and its
+ * funnel analytics. Hiring managers can't move candidates or edit stages, but can leave notes.
+ */
+function PipelineBoard({ initialJobId, currentUser }) {
+  const readOnly = currentUser.role === 'hiring_manager';
+  const [jobs, setJobs] = useState([]);
+  const [jobId, setJobId] = useState(initialJobId ?? '');
+  const [board, setBoard] = useState(null);
+  const [dragging, setDragging] = useState(null); // Candidate id of the card being dragged
+  const [overStageId, setOverStageId] = useState(null);
+  const [openCandidateId, setOpenCandidateId] = useState(null);
+  const [detail, setDetail] = useState(null); // History and notes of the open candidate
+  const [note, setNote] = useState({ body: '', rating: '' });
+  const [stageDraft, setStageDraft] = useState(null); // Stages being edited
+  const [analytics, setAnalytics] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/jobs`)
+      .then((response) => setJobs(response.data))
+      .catch((err) => console.error('Error loading jobs:', err));
+  }, []);
+
+  const loadBoard = (id) => axios.get(`${API_BASE_URL}/pipeline/${id}`)
+    .then((response) => setBoard(response.data))
+    .catch((err) => console.error('Error loading the pipeline:', err));
+
+  const loadDetail = (candidateId) => axios.get(`${API_BASE_URL}/pipeline/${jobId}/candidates/${candidateId}`)
+    .then((response) => setDetail(response.data))
+    .catch((err) => console.error('Error loading the candidate\'s notes:', err));
+
+  useEffect(() => {
+    setBoard(null);
+    setAnalytics(null);
+    setOpenCandidateId(null);
+    setStageDraft(null);
+    if (jobId) {
+      loadBoard(jobId);
+    }
+  }, [jobId]);
+
+  // Runs a request, reporting its error in the panel
+  const attempt = async (request, fallbackMessage) => {
+    setError(null);
+    try {
+      return await request();
+    } catch (err) {
+      setError(err.response?.data?.error || fallbackMessage);
+      return null;
+    }
+  };
+
+  const move = async (candidateId, stageId, position) => {
+    const response = await attempt(
+      () => axios.put(`${API_BASE_URL}/pipeline/${jobId}/candidates/${candidateId}`, { stageId, position }),
+      'Failed to move the candidate.'
+    );
+    if (response) {
+      setBoard((current) => ({ ...current, ...response.data }));
+      if (openCandidateId === candidateId) {
+        loadDetail(candidateId);
+      }
+      if (analytics) {
+        loadAnalytics();
+      }
+    }
+  };
+
+  // Dropping on a card puts the dragged one before it; dropping on the column puts it last
+  const drop = (stageId, beforeCandidateId) => (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    setOverStageId(null);
+    if (dragging === null || dragging === beforeCandidateId) {
+      return;
+    }
+    const column = board.cards.filter((card) => card.stageId === stageId && card.candidateId !== dragging);
+    const position = beforeCandidateId ? column.findIndex((card) => card.candidateId === beforeCandidateId) : column.length;
+    move(dragging, stageId, position);
+    setDragging(null);
+  };
+
+  const openCard = (candidateId) => {
+    setOpenCandidateId(openCandidateId === candidateId ? null : candidateId);
+    setDetail(null);
+    setNote({ body: '', rating: '' });
+    if (openCandidateId !== candidateId) {
+      loadDetail(candidateId);
+    }
+  };
+
+  const addNote = async (event) => {
+    event.preventDefault();
+    const response = await attempt(
+      () => axios.post(`${API_BASE_URL}/pipeline/${jobId}/candidates/${openCandidateId}/notes`, {
+        body: note.body,
+        rating: note.rating ? Number(note.rating) : null,
+      }),
+      'Failed to add the note.'
+    );
+    if (response) {
+      setNote({ body: '', rating: '' });
+      loadDetail(openCandidateId);
+      loadBoard(jobId);
+    }
+  };
+
+  const removeNote = async (noteId) => {
+    await attempt(() => axios.delete(`${API_BASE_URL}/pipeline/${jobId}/notes/${noteId}`), 'Failed to delete the note.');
+    loadDetail(openCandidateId);
+    loadBoard(jobId);
+  };
+
+  const saveStages = async () => {
+    const response = await attempt(() => axios.put(`${API_BASE_URL}/pipeline/${jobId}/stages`, { stages: stageDraft }), 'Failed to save the stages.');
+    if (response) {
+      setStageDraft(null);
+      loadBoard(jobId);
+    }
+  };
+
+  const editStage = (index, changes) => setStageDraft((current) => current.map((stage, i) => (i === index ? { ...stage, ...changes } : stage)));
+
+  const moveStage = (index, offset) => setStageDraft((current) => {
+    const stages = [...current];
+    const [stage] = stages.splice(index, 1);
+    stages.splice(Math.max(0, Math.min(index + offset, stages.length)), 0, stage);
+    return stages;
+  });
+
+  const loadAnalytics = () => axios.get(`${API_BASE_URL}/pipeline/${jobId}/analytics`)
+    .then((response) => setAnalytics(response.data))
+    .catch((err) => console.error('Error loading the funnel:', err));
+
+  const openedCard = board?.cards.find((card) => card.candidateId === openCandidateId);
+
+  return (
+    <div style={styles.container}>
+      <h2 style={styles.heading}>Hiring Pipeline</h2>
+      <div style={styles.toolbar}>
+        <select value={jobId} onChange={(e) => setJobId(e.target.value ? Number(e.target.value) : '')} style={styles.input}>
+          <option value="">Choose a job…</option>
+          {jobs.map((job) => <option key={job.id} value={job.id}>{job.title}</option>)}
+        </select>
+        {board && (
+          <span>
+            {!readOnly && (
+              <button onClick={() => setStageDraft(stageDraft ? null : board.stages.map(({ id, name, outcome }) => ({ id, name, outcome })))} style={styles.button}>
+                {stageDraft ? 'Cancel' : 'Edit Stages'}
+              </button>
+            )}
+            <button onClick={() => (analytics ? setAnalytics(null) : loadAnalytics())} style={styles.button}>{analytics ? 'Hide Funnel' : 'Funnel'}</button>
+          </span>
+        )}
+      </div>
+
+      {stageDraft && (
+        <div style={styles.detail}>
+          {stageDraft.map((stage, index) => (
+            <div key={stage.id ?? `new-${index}`} style={styles.toolbar}>
+              <input value={stage.name} onChange={(e) => editStage(index, { name: e.target.value })} style={styles.input} />
+              <select value={stage.outcome ?? ''} onChange={(e) => editStage(index, { outcome: e.target.value || null })} style={{ ...styles.input, flex: '0 1 140px' }}>
+                <option value="">In progress</option>
+                <option value="hired">Hired</option>
+                <option value="rejected">Rejected</option>
+              </select>
+              <button onClick={() => moveStage(index, -1)} style={styles.button} disabled={index === 0}>←</button>
+              <button onClick={() => moveStage(index, 1)} style={styles.button} disabled={index === stageDraft.length - 1}>→</button>
+              <button onClick={() => setStageDraft(stageDraft.filter((_, i) => i !== index))} style={{ ...styles.button, backgroundColor: '#ef5350' }}>Remove</button>
+            </div>
+          ))}
+          <button onClick={() => setStageDraft([...stageDraft, { name: '', outcome: null }])} style={{ ...styles.button, marginLeft: 0 }}>Add Stage</button>
+          <button onClick={saveStages} style={styles.button}>Save Stages</button>
+        </div>
+      )}
+
+      {board && (
+        board.cards.length === 0 ? <p style={styles.meta}>No candidates were analyzed for this job yet.</p> : (
+          <div style={styles.board}>
+            {board.stages.map((stage) => (
+              <div
+                key={stage.id}
+                style={overStageId === stage.id ? { ...styles.column, ...styles.columnOver } : styles.column}
+                onDragOver={readOnly ? undefined : (e) => { e.preventDefault(); setOverStageId(stage.id); }}
+                onDragLeave={() => setOverStageId(null)}
+                onDrop={readOnly ? undefined : drop(stage.id, null)}
+              >
+                <p style={{ ...styles.columnTitle, color: OUTCOME_COLORS[stage.outcome] ?? styles.columnTitle.color }}>
+                  {stage.name} ({board.cards.filter((card) => card.stageId === stage.id).length})
+                </p>
+                {board.cards.filter((card) => card.stageId === stage.id).map((card) => (
+                  <div
+                    key={card.candidateId}
+                    draggable={!readOnly}
+                    onDragStart={() => setDragging(card.candidateId)}
+                    onDragEnd={() => setDragging(null)}
+                    onDrop={readOnly ? undefined : drop(stage.id, card.candidateId)}
+                    onClick={() => openCard(card.candidateId)}
+                    style={openCandidateId === card.candidateId ? { ...styles.card, outline: '2px solid #6c5ce7' } : styles.card}
+                  >
+                    {card.name}
+                    <div style={styles.meta}>
+                      AI score {card.score ?? '–'}
+                      {card.rating !== null && ` · ★ ${card.rating}`}
+                      {card.noteCount > 0 && ` · ${card.noteCount} note${card.noteCount === 1 ? '' : 's'}`}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        )
+      )}
+
+      {openedCard && (
+        <div style={styles.detail}>
+          <strong>{openedCard.name}</strong> <span style={styles.meta}>in {board.stages.find((stage) => stage.id === openedCard.stageId)?.name} since {openedCard.movedAt}</span>
+          {detail && (
+            <>
+              <h3 style={styles.subheading}>Notes</h3>
+              <ul style={styles.list}>
+                {detail.notes.map((existing) => (
+                  <li key={existing.id} style={styles.item}>
+                    {existing.rating && <span>{'★'.repeat(existing.rating)} </span>}{existing.body}
+                    <div style={styles.meta}>
+                      {existing.userName ?? 'Former user'} · {existing.createdAt}
+                      {(existing.userId === currentUser.id || currentUser.role === 'admin') && (
+                        <button onClick={() => removeNote(existing.id)} style={{ ...styles.button, padding: '0 6px' }}>Delete</button>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+              <form onSubmit={addNote} style={styles.toolbar}>
+                <input placeholder="Add a note for the other reviewers" value={note.body} onChange={(e) => setNote({ ...note, body: e.target.value })} style={styles.input} />
+                <select value={note.rating} onChange={(e) => setNote({ ...note, rating: e.target.value })} style={{ ...styles.input, flex: '0 1 110px' }}>
+                  <option value="">No rating</option>
+                  {[5, 4, 3, 2, 1].map((rating) => <option key={rating} value={rating}>{'★'.repeat(rating)}</option>)}
+                </select>
+                <button type="submit" style={styles.button}>Add Note</button>
+              </form>
+              <h3 style={styles.subheading}>History</h3>
+              <ul style={styles.list}>
+                {detail.history.map((entry) => (
+                  <li key={entry.id} style={styles.item}>
+                    {entry.fromStage ? `${entry.fromStage} → ${entry.toStage}` : `Added to ${entry.toStage}`}
+                    <span style={styles.meta}> · {entry.userId ? entry.userName ?? 'Former user' : 'after screening'} · {entry.createdAt}</span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+
+      {analytics && (
+        <div style={styles.detail}>
+          <h3 style={{ ...styles.subheading, marginTop: 0 }}>Funnel</h3>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.cell}>Stage</th>
+                <th style={styles.cell}>Reached</th>
+                <th style={styles.cell}>Conversion</th>
+                <th style={styles.cell}>Now</th>
+                <th style={styles.cell}>Rejected after</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analytics.stages.map((stage) => (
+                <tr key={stage.id}>
+                  <td style={styles.cell}>{stage.name}</td>
+                  <td style={styles.cell}>{stage.reached}</td>
+                  <td style={styles.cell}>{percent(stage.conversion)}</td>
+                  <td style={styles.cell}>{stage.current}</td>
+                  <td style={styles.cell}>{stage.droppedHere}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <h3 style={styles.subheading}>AI Score and Outcome</h3>
+          <p style={styles.meta}>
+            Mean AI score: hired {analytics.outcomes.hired.meanScore ?? '–'} ({analytics.outcomes.hired.count}),
+            rejected {analytics.outcomes.rejected.meanScore ?? '–'} ({analytics.outcomes.rejected.count}),
+            still open {analytics.outcomes.open.meanScore ?? '–'} ({analytics.outcomes.open.count}).
+            {' '}Correlation of score with being hired: {analytics.scoreOutcomeCorrelation ?? 'not enough decided candidates yet'}.
+          </p>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.cell}>AI score</th>
+                <th style={styles.cell}>Candidates</th>
+                <th style={styles.cell}>Hired</th>
+                <th style={styles.cell}>Rejected</th>
+                <th style={styles.cell}>Hire rate</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analytics.scoreBands.map((band) => (
+                <tr key={band.band}>
+                  <td style={styles.cell}>{band.band}</td>
+                  <td style={styles.cell}>{band.candidates}</td>
+                  <td style={styles.cell}>{band.hired}</td>
+                  <td style={styles.cell}>{band.rejected}</td>
+                  <td style={styles.cell}>{percent(band.hireRate)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {error && <p style={styles.error}>{error}</p>}
+    </div>
+  );
+}
+
+export default PipelineBoard;
@@ -0,0 +1,40 @@
+import React from 'react';
+
+const styles = {
+  container: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '4px 16px',
+    fontSize: 14,
+    color: '#ddd',
+    marginBottom: 10,
+  },
+  name: {
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+};
+
+/**
+ * One line of contact details and total experience from a parsed candidate profile.
+ */
+function ProfileSummary({ profile }) {
+  if (!profile) {
+    return null;
+  }
+
+  return (
+    <div style={styles.container}>
+      {profile.name && <span style={styles.name}>{profile.name}</span>}
+      {profile.email && <a href={`mailto:${profile.email}`}>{profile.email}</a>}
+      {profile.phone && <span>{profile.phone}</span>}
+      <span>
+        {profile.totalExperienceYears !== null && profile.totalExperienceYears !== undefined
+          ? `${profile.totalExperienceYears} years experience`
+          : 'Experience not dated'}
+      </span>
+    </div>
+  );
+}
+
+export default ProfileSummary;
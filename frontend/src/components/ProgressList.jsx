@@ -0,0 +1,70 @@
+import React from 'react';
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  processing: 'Analyzing...',
+  retrying: 'Rate limited, retrying...',
+  done: 'Done',
+  error: 'Failed',
+};
+
+const STATUS_COLORS = {
+  queued: '#ccc',
+  processing: '#ffeb3b',
+  retrying: '#ff9800',
+  done: '#8bc34a',
+  error: '#ef5350',
+};
+
+const styles = {
+  container: {
+    marginTop: 20,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0,0,0,0.3)',
+  },
+  summary: {
+    marginTop: 0,
+    fontWeight: 'bold',
+  },
+  list: {
+    listStyle: 'none',
+    padding: 0,
+    margin: 0,
+    fontSize: 14,
+  },
+  item: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    padding: '4px 0',
+    borderBottom: '1px solid rgba(255,255,255,0.1)',
+  },
+};
+
+/**
+ * Live per-file status of a running analysis job.
+ */
+function ProgressList({ files }) {
+  const finished = files.filter((file) => file.status === 'done' || file.status === 'error').length;
+
+  return (
+    <div style={styles.container}>
+      <p style={styles.summary}>
+        Analyzed {finished} of {files.length} resumes
+      </p>
+      <ul style={styles.list}>
+        {files.map((file, idx) => (
+          <li key={idx} style={styles.item}>
+            <span>{file.filename}</span>
+            <span style={{ color: STATUS_COLORS[file.status] }}>
+              {STATUS_LABELS[file.status] || file.status}
+              {file.attempts > 1 && ` (attempt ${file.attempts})`}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default ProgressList;
@@ -0,0 +1,219 @@
+import React, { useState } from 'react';
+
+const SORT_COLUMNS = [
+  { key: 'score', label: 'Score' },
+  { key: 'requirements', label: 'Req.' },
+  { key: 'skills', label: 'Skills' },
+  { key: 'experience', label: 'Exp.' },
+  { key: 'education', label: 'Edu.' },
+];
+
+const DECISION_COLORS = { shortlisted: '#8bc34a', rejected: '#ef5350' };
+
+// Most candidates that can be compared side by side
+const MAX_COMPARED = 4;
+
+const styles = {
+  filters: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: 10,
+    marginBottom: 10,
+    fontSize: 14,
+    alignItems: 'center',
+  },
+  input: {
+    width: 60,
+    padding: 4,
+    borderRadius: 5,
+    border: 'none',
+  },
+  select: {
+    padding: 4,
+    borderRadius: 5,
+    border: 'none',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: 14,
+  },
+  headerCell: {
+    textAlign: 'left',
+    padding: '6px 4px',
+    borderBottom: '1px solid rgba(255,255,255,0.3)',
+    cursor: 'pointer',
+    userSelect: 'none',
+    whiteSpace: 'nowrap',
+  },
+  cell: {
+    padding: '6px 4px',
+    borderBottom: '1px solid rgba(255,255,255,0.1)',
+  },
+  name: {
+    background: 'none',
+    border: 'none',
+    color: '#fff',
+    textDecoration: 'underline',
+    cursor: 'pointer',
+    padding: 0,
+    textAlign: 'left',
+  },
+  tagButton: {
+    padding: '2px 8px',
+    marginRight: 4,
+    fontSize: 12,
+    border: 'none',
+    borderRadius: 8,
+    cursor: 'pointer',
+    color: '#000',
+    backgroundColor: 'rgba(255,255,255,0.5)',
+  },
+  badge: {
+    fontSize: 12,
+    color: '#ffb74d',
+  },
+  empty: {
+    color: '#ccc',
+    fontStyle: 'italic',
+  },
+};
+
+/**
+ * Returns the value a result is sorted by; failed analyses sort last.
+ * @param {object} result
+ * @param {string} key - "score", a breakdown key or "name".
+ * @returns {number|string}
+ */
+function sortValue(result, key) {
+  if (key === 'name') {
+    return (result.profile?.name || result.filename || '').toLowerCase();
+  }
+  if (result.error) {
+    return -1;
+  }
+  return key === 'score' ? result.score : result.breakdown?.[key] ?? -1;
+}
+
+/**
+ * Ranked, sortable and filterable table of the analyzed resumes of a run,
+ * with shortlist/reject tags and a selection for the side-by-side comparison.
+ * With `readOnly` the tags are shown but can't be changed.
+ */
+function RankingTable({ results, selected, onToggleSelected, onDecision, onOpen, readOnly = false }) {
+  const [sort, setSort] = useState({ key: 'score', descending: true });
+  const [minScore, setMinScore] = useState('');
+  const [skill, setSkill] = useState('');
+  const [status, setStatus] = useState('all'); // all, scored or errors
+  const [decision, setDecision] = useState('all'); // all, shortlisted, rejected or untagged
+
+  const skills = [...new Set(results.flatMap((result) => result.matchedSkills || []))].sort();
+
+  const rows = results
+    .filter((result) => status === 'all' || (status === 'errors' ? result.error : !result.error))
+    .filter((result) => minScore === '' || (!result.error && result.score >= Number(minScore)))
+    .filter((result) => !skill || (result.matchedSkills || []).includes(skill))
+    .filter((result) => decision === 'all' || (decision === 'untagged' ? !result.decision : result.decision === decision))
+    .sort((a, b) => {
+      const [first, second] = sort.descending ? [b, a] : [a, b];
+      const [x, y] = [sortValue(first, sort.key), sortValue(second, sort.key)];
+      return typeof x === 'string' ? x.localeCompare(y) : x - y;
+    });
+
+  const sortBy = (key) => {
+    setSort((current) => ({ key, descending: current.key === key ? !current.descending : key !== 'name' }));
+  };
+  const sortLabel = (key, label) => `${label}${sort.key === key ? (sort.descending ? ' ▼' : ' ▲') : ''}`;
+
+  return (
+    <div>
+      <div style={styles.filters}>
+        <label>
+          Min score{' '}
+          <input type="number" min="0" max="100" value={minScore} onChange={(e) => setMinScore(e.target.value)} style={styles.input} />
+        </label>
+        <label>
+          Skill{' '}
+          <select value={skill} onChange={(e) => setSkill(e.target.value)} style={styles.select}>
+            <option value="">Any</option>
+            {skills.map((name) => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+        <label>
+          Status{' '}
+          <select value={status} onChange={(e) => setStatus(e.target.value)} style={styles.select}>
+            <option value="all">All</option>
+            <option value="scored">Scored</option>
+            <option value="errors">Failed</option>
+          </select>
+        </label>
+        <label>
+          Tag{' '}
+          <select value={decision} onChange={(e) => setDecision(e.target.value)} style={styles.select}>
+            <option value="all">All</option>
+            <option value="shortlisted">Shortlisted</option>
+            <option value="rejected">Rejected</option>
+            <option value="untagged">Untagged</option>
+          </select>
+        </label>
+      </div>
+
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={{ ...styles.headerCell, cursor: 'default' }} title={`Select up to ${MAX_COMPARED} to compare`}>⇄</th>
+            <th style={styles.headerCell}>#</th>
+            <th style={styles.headerCell} onClick={() => sortBy('name')}>{sortLabel('name', 'Candidate')}</th>
+            {SORT_COLUMNS.map(({ key, label }) => (
+              <th key={key} style={styles.headerCell} onClick={() => sortBy(key)}>{sortLabel(key, label)}</th>
+            ))}
+            <th style={{ ...styles.headerCell, cursor: 'default' }}>Tag</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((result, rank) => (
+            <tr key={result.index} style={result.decision ? { backgroundColor: `${DECISION_COLORS[result.decision]}33` } : undefined}>
+              <td style={styles.cell}>
+                <input
+                  type="checkbox"
+                  checked={selected.includes(result.index)}
+                  disabled={Boolean(result.error) || (!selected.includes(result.index) && selected.length >= MAX_COMPARED)}
+                  onChange={() => onToggleSelected(result.index)}
+                />
+              </td>
+              <td style={styles.cell}>{rank + 1}</td>
+              <td style={styles.cell}>
+                <button onClick={() => onOpen(result.index)} style={styles.name}>
+                  {result.profile?.name || result.filename}
+                </button>
+                {result.duplicate && <div style={styles.badge}>Returning candidate</div>}
+                {!result.duplicate && result.possibleDuplicates?.length > 0 && <div style={styles.badge}>Possible duplicate</div>}
+                {result.error && <div style={{ color: DECISION_COLORS.rejected, fontSize: 12 }}>{result.error}</div>}
+              </td>
+              <td style={{ ...styles.cell, fontWeight: 'bold', color: '#ffeb3b' }}>{result.error ? '-' : result.score}</td>
+              {SORT_COLUMNS.slice(1).map(({ key }) => (
+                <td key={key} style={styles.cell}>{result.breakdown?.[key] ?? '-'}</td>
+              ))}
+              <td style={{ ...styles.cell, whiteSpace: 'nowrap' }}>
+                {Object.entries(DECISION_COLORS).map(([value, color]) => (
+                  <button
+                    key={value}
+                    onClick={() => onDecision(result.index, result.decision === value ? null : value)}
+                    disabled={readOnly}
+                    style={result.decision === value ? { ...styles.tagButton, backgroundColor: color } : styles.tagButton}
+                    title={result.decision === value ? 'Clear tag' : undefined}
+                  >
+                    {value === 'shortlisted' ? 'Shortlist' : 'Reject'}
+                  </button>
+                ))}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {rows.length === 0 && <p style={styles.empty}>No candidates match these filters.</p>}
+    </div>
+  );
+}
+
+export default RankingTable;
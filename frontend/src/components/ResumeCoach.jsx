@@ -0,0 +1,209 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../api.js';
+
+const SEVERITY_COLORS = { high: '#ef5350', medium: '#ffb74d', low: '#aed581' };
+
+const IMPORTANCE_LABELS = { required: 'Required', 'nice-to-have': 'Nice to have', mentioned: 'Mentioned in the job' };
+
+const styles = {
+  container: {
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0,0,0,0.3)',
+    fontSize: 14,
+  },
+  heading: {
+    marginTop: 0,
+    fontSize: 18,
+    color: '#fff',
+  },
+  subheading: {
+    margin: '18px 0 6px',
+    fontSize: 16,
+    color: '#fff',
+  },
+  textarea: {
+    width: '100%',
+    boxSizing: 'border-box',
+    padding: 8,
+    marginBottom: 8,
+    borderRadius: 6,
+    border: 'none',
+    fontSize: 13,
+    fontFamily: 'inherit',
+  },
+  row: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: 8,
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  button: {
+    padding: '6px 14px',
+    fontSize: 14,
+    backgroundColor: '#6c5ce7',
+    color: 'white',
+    border: 'none',
+    borderRadius: 6,
+    cursor: 'pointer',
+  },
+  score: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#ffeb3b',
+  },
+  issue: {
+    margin: '6px 0',
+    paddingLeft: 8,
+    borderLeft: '4px solid',
+  },
+  chip: {
+    display: 'inline-block',
+    margin: '0 6px 6px 0',
+    padding: '2px 8px',
+    borderRadius: 10,
+    backgroundColor: 'rgba(255,255,255,0.15)',
+    fontSize: 13,
+  },
+  bullet: {
+    margin: '8px 0',
+    padding: 8,
+    borderRadius: 6,
+    backgroundColor: 'rgba(0,0,0,0.2)',
+  },
+  original: {
+    color: '#ccc',
+    textDecoration: 'line-through',
+  },
+  rewrite: {
+    color: '#b9f6ca',
+  },
+  meta: {
+    color: '#ccc',
+    fontSize: 12,
+  },
+  error: {
+    color: '#ffdddd',
+    backgroundColor: 'rgba(255,0,0,0.3)',
+    padding: 8,
+    borderRadius: 5,
+  },
+};
+
+/**
+ * Resume improvement for job seekers: one resume is checked against a job description, as an ATS would,
+ * for missing keywords, weak bullet points (with suggested rewrites) and formatting problems, and scored
+ * before and after the rewrites. The improved text can be edited and scored again.
+ */
+function ResumeCoach({ accept }) {
+  const [jobDescription, setJobDescription] = useState('');
+  const [resume, setResume] = useState(null);
+  const [report, setReport] = useState(null);
+  const [improvedText, setImprovedText] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Sends the uploaded file, or the (edited) improved text of the last report
+  const check = async (resumeText) => {
+    setLoading(true);
+    setError(null);
+    const formData = new FormData();
+    formData.append('jobDescription', jobDescription);
+    if (resumeText === undefined) {
+      formData.append('resume', resume);
+    } else {
+      formData.append('resumeText', resumeText);
+    }
+    try {
+      const response = await axios.post(`${API_BASE_URL}/coach`, formData);
+      setReport(response.data);
+      setImprovedText(response.data.improvedText);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to check the resume.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <h3 style={styles.heading}>Improve Your Resume</h3>
+      <p style={styles.meta}>
+        See your resume the way an applicant tracking system does, and how to improve it for a job. Your resume is not stored.
+      </p>
+      <textarea
+        placeholder="Paste the Job Description"
+        value={jobDescription}
+        onChange={(e) => setJobDescription(e.target.value)}
+        rows={6}
+        style={styles.textarea}
+      />
+      <div style={styles.row}>
+        <input type="file" accept={accept} onChange={(e) => setResume(e.target.files[0] ?? null)} />
+        <button onClick={() => check()} disabled={loading || !resume || !jobDescription.trim()} style={styles.button}>
+          {loading ? 'Checking...' : 'Check My Resume'}
+        </button>
+      </div>
+      {error && <p style={styles.error}>{error}</p>}
+
+      {report && (
+        <>
+          <h4 style={styles.subheading}>Match Score</h4>
+          <div>
+            <span style={styles.score}>{report.score.before}</span> now
+            {' → '}
+            <span style={styles.score}>{report.score.after}</span> with the suggested rewrites
+          </div>
+          <div style={styles.meta}>
+            Scored by {report.score.engine === 'llm' ? 'the LLM' : 'keyword matching'}
+            {report.llmSkipped && ` (${report.llmSkipped})`}. Adding real results where the rewrites ask for them raises it further.
+          </div>
+
+          <h4 style={styles.subheading}>Formatting</h4>
+          {report.formatting.length === 0 ? <p>No formatting problems found.</p> : report.formatting.map((issue) => (
+            <div key={issue.id} style={{ ...styles.issue, borderColor: SEVERITY_COLORS[issue.severity] }}>
+              <strong>{issue.title}</strong>
+              <div style={styles.meta}>{issue.detail}</div>
+            </div>
+          ))}
+
+          <h4 style={styles.subheading}>Missing Keywords</h4>
+          {report.missingKeywords.length === 0 ? <p>Your resume covers every keyword of the job.</p> : (
+            <>
+              <div>
+                {report.missingKeywords.map(({ keyword, importance }) => (
+                  <span key={keyword} style={styles.chip} title={IMPORTANCE_LABELS[importance]}>
+                    {keyword}{importance === 'required' && ' *'}
+                  </span>
+                ))}
+              </div>
+              <div style={styles.meta}>* Required by the job. Only add what you really have experience with.</div>
+            </>
+          )}
+
+          <h4 style={styles.subheading}>Bullet Points</h4>
+          {report.bullets.length === 0 ? <p>No weak bullet points found.</p> : report.bullets.map((bullet) => (
+            <div key={bullet.line} style={styles.bullet}>
+              <div style={styles.original}>{bullet.original}</div>
+              <div style={styles.rewrite}>{bullet.rewrite}</div>
+              <div style={styles.meta}>{bullet.problems.map((problem) => problem.detail).join(' ')}</div>
+            </div>
+          ))}
+          {report.bullets.length > 0 && (
+            <div style={styles.meta}>Rewrites {report.rewriteSource === 'llm' ? 'written by the LLM' : 'from templates'}; check every fact before using them.</div>
+          )}
+
+          <h4 style={styles.subheading}>Improved Resume</h4>
+          <textarea rows={14} value={improvedText} onChange={(e) => setImprovedText(e.target.value)} style={styles.textarea} />
+          <button onClick={() => check(improvedText)} disabled={loading || !improvedText.trim() || !jobDescription.trim()} style={styles.button}>
+            {loading ? 'Checking...' : 'Score Again'}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ResumeCoach;
@@ -0,0 +1,170 @@
+import React from 'react';
+
+const MET_ICONS = { yes: '✔', partial: '◐', no: '✘' };
+const MET_COLORS = { yes: '#8bc34a', partial: '#ffeb3b', no: '#ef5350' };
+
+const SUB_SCORE_LABELS = {
+  requirements: 'Requirements',
+  skills: 'Skills',
+  experience: 'Experience',
+  education: 'Education',
+};
+
+const styles = {
+  section: {
+    marginTop: 12,
+  },
+  sectionTitle: {
+    fontWeight: 'bold',
+    marginBottom: 6,
+    color: '#fff',
+  },
+  barRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 10,
+    marginBottom: 4,
+    fontSize: 14,
+  },
+  barLabel: {
+    width: 150,
+  },
+  barTrack: {
+    flex: 1,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    overflow: 'hidden',
+  },
+  barFill: {
+    height: '100%',
+    backgroundColor: '#ffeb3b',
+  },
+  barValue: {
+    width: 36,
+    textAlign: 'right',
+  },
+  requirementList: {
+    listStyle: 'none',
+    padding: 0,
+    margin: 0,
+    fontSize: 14,
+  },
+  requirement: {
+    marginBottom: 4,
+  },
+  requirementType: {
+    fontSize: 11,
+    padding: '1px 6px',
+    borderRadius: 8,
+    marginLeft: 6,
+    backgroundColor: 'rgba(0,0,0,0.3)',
+  },
+  evidence: {
+    display: 'block',
+    marginLeft: 20,
+    fontSize: 12,
+    color: '#ccc',
+  },
+  chips: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  chip: {
+    fontSize: 12,
+    padding: '2px 8px',
+    borderRadius: 10,
+    color: '#000',
+  },
+  note: {
+    fontSize: 13,
+    color: '#ccc',
+  },
+};
+
+/**
+ * Renders the structured scoring result of one resume: weighted sub-scores,
+ * per-requirement matches, skill coverage, experience and education.
+ */
+function ScoreBreakdown({ result }) {
+  const { breakdown = {}, weights = {}, requirements = [], matchedSkills = [], missingSkills = [], education } = result;
+  // LLM results carry the local pre-screen they were selected by; local results are the pre-screen
+  const prescreen = result.engine === 'llm' ? result.prescreen : result;
+
+  return (
+    <div>
+      {result.engine && (
+        <div style={styles.note}>
+          Scored by {result.engine === 'llm' ? 'the LLM' : 'the local pre-screen'}
+          {result.llmSkipped && ` (${result.llmSkipped})`}
+          {result.cached && ' (cached analysis, no new LLM call)'}
+          {result.scoringConfig && ` · prompt ${result.scoringConfig.name} v${result.scoringConfig.version}`}
+          {prescreen && ` · pre-screen score ${prescreen.score}, text similarity ${prescreen.similarity}%`}
+          {result.redactions && Object.keys(result.redactions).length > 0 && (
+            <span style={{ ...styles.evidence, marginLeft: 0 }}>
+              Masked before the LLM saw it: {Object.entries(result.redactions).map(([type, count]) => `${type.replace(/-/g, ' ')} ×${count}`).join(', ')}
+            </span>
+          )}
+          {prescreen?.hardFilters?.filter((filter) => !filter.passed).map((filter) => (
+            <span key={filter.rule} style={{ ...styles.evidence, marginLeft: 0, color: MET_COLORS.no }}>
+              {MET_ICONS.no} {filter.detail}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div style={styles.section}>
+        {Object.entries(SUB_SCORE_LABELS).map(([key, label]) => (
+          <div key={key} style={styles.barRow}>
+            <span style={styles.barLabel}>
+              {label} {weights[key] !== undefined && `(${Math.round(weights[key] * 100)}%)`}
+            </span>
+            <div style={styles.barTrack}>
+              <div style={{ ...styles.barFill, width: `${breakdown[key] ?? 0}%` }} />
+            </div>
+            <span style={styles.barValue}>{breakdown[key] ?? '-'}</span>
+          </div>
+        ))}
+      </div>
+
+      {requirements.length > 0 && (
+        <div style={styles.section}>
+          <div style={styles.sectionTitle}>Requirements</div>
+          <ul style={styles.requirementList}>
+            {requirements.map((requirement, idx) => (
+              <li key={idx} style={styles.requirement}>
+                <span style={{ color: MET_COLORS[requirement.met] }}>{MET_ICONS[requirement.met]}</span>{' '}
+                {requirement.requirement}
+                <span style={styles.requirementType}>{requirement.type}</span>
+                {requirement.evidence && <span style={styles.evidence}>{requirement.evidence}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div style={styles.section}>
+        <div style={styles.sectionTitle}>Skills</div>
+        <div style={styles.chips}>
+          {matchedSkills.map((skill) => (
+            <span key={`matched-${skill}`} style={{ ...styles.chip, backgroundColor: '#8bc34a' }}>{skill}</span>
+          ))}
+          {missingSkills.map((skill) => (
+            <span key={`missing-${skill}`} style={{ ...styles.chip, backgroundColor: '#ef5350' }}>{skill}</span>
+          ))}
+        </div>
+      </div>
+
+      <div style={styles.section}>
+        <strong>Experience:</strong> {result.yearsOfExperience ?? 'Unknown'}
+        {result.yearsOfExperience !== null && result.yearsOfExperience !== undefined && ' years'}
+        <br />
+        <strong>Education:</strong> {education?.candidate ?? 'Not stated'}
+        {education?.required && ` (required: ${education.required}, match: ${education.match})`}
+      </div>
+    </div>
+  );
+}
+
+export default ScoreBreakdown;
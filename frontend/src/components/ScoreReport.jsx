@@ -0,0 +1,138 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../api.js';
+
+const SUB_SCORE_LABELS = {
+  requirements: 'Requirements',
+  skills: 'Skills',
+  experience: 'Experience',
+  education: 'Education',
+};
+
+const styles = {
+  container: {
+    marginBottom: 15,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0,0,0,0.3)',
+    fontSize: 14,
+  },
+  heading: {
+    marginTop: 0,
+    fontSize: 18,
+    color: '#fff',
+  },
+  histogram: {
+    display: 'flex',
+    alignItems: 'flex-end',
+    gap: 4,
+    height: 100,
+    margin: '10px 0 4px',
+  },
+  bar: {
+    flex: 1,
+    backgroundColor: '#ffeb3b',
+    borderRadius: '3px 3px 0 0',
+    minHeight: 1,
+  },
+  axis: {
+    display: 'flex',
+    gap: 4,
+    fontSize: 11,
+    color: '#ccc',
+  },
+  meta: {
+    color: '#ccc',
+    fontSize: 12,
+  },
+  flagged: {
+    color: '#ef5350',
+    fontWeight: 'bold',
+  },
+};
+
+/**
+ * Score distribution of a job's candidates (the latest analysis of each) with a histogram, mean sub-scores,
+ * and a summary of the consistency and counterfactual audits run on them.
+ */
+function ScoreReport({ jobId, refreshKey }) {
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/jobs/${jobId}/score-report`)
+      .then((response) => {
+        setReport(response.data);
+        setError(null);
+      })
+      .catch((err) => setError(err.response?.data?.error || 'Failed to load the score report.'));
+  }, [jobId, refreshKey]);
+
+  if (error) {
+    return <div style={styles.container}>{error}</div>;
+  }
+  if (!report) {
+    return null;
+  }
+
+  const tallest = Math.max(1, ...report.histogram.map((bucket) => bucket.count));
+  const { consistency, counterfactual } = report;
+
+  return (
+    <div style={styles.container}>
+      <h3 style={styles.heading}>Score Report: {report.title}</h3>
+      <p>
+        {report.candidates} candidates, {report.scored} scored{report.failed > 0 && `, ${report.failed} failed`}
+        {report.score && ` · mean ${report.score.mean}, median ${report.score.median}, standard deviation ${report.score.stdDev}, range ${report.score.min}-${report.score.max}`}
+      </p>
+
+      <div style={styles.histogram}>
+        {report.histogram.map((bucket) => (
+          <div
+            key={bucket.from}
+            title={`${bucket.from}-${bucket.to}: ${bucket.count}`}
+            style={{ ...styles.bar, height: `${(bucket.count / tallest) * 100}%` }}
+          />
+        ))}
+      </div>
+      <div style={styles.axis}>
+        {report.histogram.map((bucket) => <span key={bucket.from} style={{ flex: 1, textAlign: 'center' }}>{bucket.from}</span>)}
+      </div>
+
+      {report.breakdown && (
+        <p>
+          Mean sub-scores: {Object.entries(SUB_SCORE_LABELS).map(([key, label]) => `${label} ${report.breakdown[key] ?? '-'}`).join(' · ')}
+        </p>
+      )}
+      <p style={styles.meta}>
+        Scored by: {Object.entries(report.engines).map(([engine, count]) => `${engine === 'llm' ? 'LLM' : engine} ${count}`).join(', ') || '-'}
+        {' · '}Tags: {Object.entries(report.decisions).map(([decision, count]) => `${decision} ${count}`).join(', ') || '-'}
+      </p>
+
+      <p>
+        <strong>Consistency:</strong>{' '}
+        {consistency.audits === 0
+          ? 'no audits yet'
+          : `${consistency.audits} audits, mean standard deviation ${consistency.meanStdDev}, widest range ${consistency.maxRange} points`}
+      </p>
+      <p>
+        <strong>Counterfactuals:</strong>{' '}
+        {counterfactual.audits === 0 ? 'no audits yet' : (
+          <>
+            {counterfactual.audits} audits, <span style={counterfactual.flagged ? styles.flagged : undefined}>
+              {counterfactual.flagged} of {counterfactual.variants} variants flagged
+            </span>
+            {Object.entries(counterfactual.byKind).map(([kind, summary]) => (
+              <span key={kind} style={styles.meta}> · {kind}: {summary.flagged}/{summary.tested} flagged, largest change {summary.maxDelta}</span>
+            ))}
+            {counterfactual.skipped > 0 && (
+              <span style={styles.meta}> · {counterfactual.skipped} not tested, as the PII redaction masks them</span>
+            )}
+          </>
+        )}
+      </p>
+    </div>
+  );
+}
+
+export default ScoreReport;
@@ -0,0 +1,322 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../api.js';
+
+const SUB_SCORE_LABELS = {
+  requirements: 'Requirements',
+  skills: 'Skills',
+  experience: 'Experience',
+  education: 'Education',
+};
+
+const styles = {
+  container: {
+    marginBottom: 20,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0,0,0,0.3)',
+    fontSize: 14,
+  },
+  heading: {
+    marginTop: 0,
+    fontSize: 18,
+    color: '#fff',
+  },
+  subheading: {
+    margin: '15px 0 6px',
+    fontSize: 15,
+    color: '#fff',
+  },
+  row: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: 8,
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  input: {
+    flex: '1 1 150px',
+    padding: 8,
+    borderRadius: 6,
+    border: 'none',
+    fontSize: 14,
+  },
+  weight: {
+    width: 60,
+    padding: 6,
+    borderRadius: 6,
+    border: 'none',
+    fontSize: 13,
+  },
+  textarea: {
+    width: '100%',
+    boxSizing: 'border-box',
+    padding: 8,
+    borderRadius: 6,
+    border: 'none',
+    fontSize: 12,
+    fontFamily: 'monospace',
+  },
+  button: {
+    padding: '4px 10px',
+    fontSize: 13,
+    backgroundColor: '#6c5ce7',
+    color: 'white',
+    border: 'none',
+    borderRadius: 6,
+    cursor: 'pointer',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+  },
+  cell: {
+    padding: '3px 4px',
+    borderBottom: '1px solid rgba(255,255,255,0.1)',
+    textAlign: 'left',
+  },
+  prompt: {
+    maxHeight: 250,
+    overflow: 'auto',
+    whiteSpace: 'pre-wrap',
+    padding: 8,
+    borderRadius: 6,
+    backgroundColor: 'rgba(0,0,0,0.3)',
+    fontSize: 12,
+  },
+  meta: {
+    color: '#ccc',
+    fontSize: 12,
+  },
+  error: {
+    color: '#ffdddd',
+    backgroundColor: 'rgba(255,0,0,0.3)',
+    padding: 8,
+    borderRadius: 5,
+  },
+};
+
+/**
+ * Converts a version (or the built-in config) into an editable draft; weights are edited as percentages.
+ * @param {object} version
+ * @returns {object}
+ */
+function toDraft(version) {
+  return {
+    configId: version.configId,
+    name: version.configId ? version.name : '',
+    template: version.template,
+    weights: Object.fromEntries(Object.keys(SUB_SCORE_LABELS).map((key) => [key, Math.round(version.rubric.weights[key] * 100)])),
+    guidance: { ...version.rubric.guidance },
+    notes: '',
+  };
+}
+
+const versionLabel = (version) => `${version.name} v${version.version}`;
+
+/**
+ * Lets a workspace admin write the prompt templates and scoring rubrics jobs are scored with. Saving an
+ * edit adds a new version; drafts can be previewed or dry-run on a sample resume, and saved versions
+ * compared on the resumes of the run being shown (`runId`).
+ */
+function ScoringConfigsPanel({ runId, onSaved }) {
+  const [catalog, setCatalog] = useState(null); // Built-in config, placeholders and the workspace's configs
+  const [versions, setVersions] = useState([]); // Versions of the config being edited, newest first
+  const [draft, setDraft] = useState(null);
+  const [sample, setSample] = useState({ resumeText: '', jobDescription: '' });
+  const [preview, setPreview] = useState(null);
+  const [compareIds, setCompareIds] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadCatalog = () => axios.get(`${API_BASE_URL}/scoring-configs`)
+    .then((response) => {
+      setCatalog(response.data);
+      setDraft((current) => current ?? toDraft(response.data.builtIn));
+    })
+    .catch((err) => console.error('Error loading prompts:', err));
+
+  useEffect(() => {
+    loadCatalog();
+  }, []);
+
+  const editConfig = async (configId) => {
+    setPreview(null);
+    if (!configId) {
+      setVersions([]);
+      setDraft(toDraft(catalog.builtIn));
+      return;
+    }
+    try {
+      const response = await axios.get(`${API_BASE_URL}/scoring-configs/${configId}`);
+      setVersions(response.data);
+      setDraft(toDraft(response.data[0]));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load the prompt.');
+    }
+  };
+
+  const rubricOf = (current) => ({ weights: current.weights, guidance: current.guidance });
+
+  const save = async () => {
+    setError(null);
+    try {
+      const body = { template: draft.template, rubric: rubricOf(draft), notes: draft.notes };
+      const response = draft.configId
+        ? await axios.post(`${API_BASE_URL}/scoring-configs/${draft.configId}/versions`, body)
+        : await axios.post(`${API_BASE_URL}/scoring-configs`, { ...body, name: draft.name });
+      await loadCatalog();
+      await editConfig(response.data.configId);
+      onSaved?.();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save the prompt.');
+    }
+  };
+
+  const runPreview = async (run) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/scoring-configs/preview`, {
+        template: draft.template,
+        rubric: rubricOf(draft),
+        ...sample,
+        run,
+      });
+      setPreview(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'The preview failed.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const compare = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const versionIds = compareIds.map((id) => (id === 'built-in' ? null : Number(id)));
+      const response = await axios.post(`${API_BASE_URL}/scoring-configs/compare`, { runId, versionIds });
+      setComparison(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'The comparison failed.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!catalog || !draft) {
+    return null;
+  }
+
+  const update = (key) => (e) => setDraft((current) => ({ ...current, [key]: e.target.value }));
+  const updateRubric = (part, key) => (e) => setDraft((current) => ({
+    ...current,
+    [part]: { ...current[part], [key]: part === 'weights' ? Number(e.target.value) : e.target.value },
+  }));
+  const toggleCompared = (id) => setCompareIds((current) => (current.includes(id) ? current.filter((existing) => existing !== id) : [...current, id]));
+
+  return (
+    <div style={styles.container}>
+      <h2 style={styles.heading}>Scoring Prompts</h2>
+      <div style={styles.row}>
+        <select value={draft.configId ?? ''} onChange={(e) => editConfig(e.target.value)} style={styles.input}>
+          <option value="">New prompt (from the built-in one)</option>
+          {catalog.configs.map((config) => (
+            <option key={config.configId} value={config.configId}>{versionLabel(config)}</option>
+          ))}
+        </select>
+        {!draft.configId && <input placeholder="Name, e.g. Engineering roles" value={draft.name} onChange={update('name')} style={styles.input} />}
+      </div>
+
+      <textarea rows={12} value={draft.template} onChange={update('template')} style={styles.textarea} />
+      <p style={styles.meta}>
+        Placeholders: {Object.entries(catalog.placeholders).map(([name, { required, description }]) => (
+          <span key={name} title={description}>{`{{${name}}}`}{required ? '*' : ''} </span>
+        ))}
+        (* required)
+      </p>
+
+      {Object.entries(SUB_SCORE_LABELS).map(([key, label]) => (
+        <div key={key} style={styles.row}>
+          <span style={{ width: 100 }}>{label}</span>
+          <input type="number" min={0} value={draft.weights[key]} onChange={updateRubric('weights', key)} style={styles.weight} />
+          <input placeholder="What a good score means (optional)" value={draft.guidance[key] ?? ''} onChange={updateRubric('guidance', key)} style={styles.input} />
+        </div>
+      ))}
+      <p style={styles.meta}>Weights are relative and scaled to add up to 100% when saved.</p>
+
+      <div style={styles.row}>
+        <input placeholder="What changed (optional)" value={draft.notes} onChange={update('notes')} style={styles.input} />
+        <button onClick={save} style={styles.button}>{draft.configId ? 'Save as New Version' : 'Create Prompt'}</button>
+      </div>
+      {versions.length > 0 && (
+        <p style={styles.meta}>
+          Versions: {versions.map((version) => `v${version.version} (${version.createdAt}${version.createdBy ? `, ${version.createdBy}` : ''}${version.notes ? `: ${version.notes}` : ''})`).join(' · ')}
+        </p>
+      )}
+
+      <h3 style={styles.subheading}>Try It on a Sample</h3>
+      <div style={styles.row}>
+        <textarea rows={4} placeholder="Sample resume text" value={sample.resumeText} onChange={(e) => setSample({ ...sample, resumeText: e.target.value })} style={{ ...styles.textarea, flex: 1 }} />
+        <textarea rows={4} placeholder="Sample job description" value={sample.jobDescription} onChange={(e) => setSample({ ...sample, jobDescription: e.target.value })} style={{ ...styles.textarea, flex: 1 }} />
+      </div>
+      <div style={styles.row}>
+        <button onClick={() => runPreview(false)} disabled={busy} style={styles.button}>Preview Prompt</button>
+        <button onClick={() => runPreview(true)} disabled={busy} style={styles.button}>{busy ? 'Scoring...' : 'Dry Run (1 LLM call)'}</button>
+      </div>
+      {preview?.result && (
+        <p>
+          Score <strong>{preview.result.score}</strong> · {Object.entries(SUB_SCORE_LABELS).map(([key, label]) => `${label} ${preview.result.breakdown[key]}`).join(' · ')}
+        </p>
+      )}
+      {preview && <div style={styles.prompt}>{preview.prompt}</div>}
+
+      {runId && (
+        <>
+          <h3 style={styles.subheading}>Compare Versions on the Current Run</h3>
+          <div style={styles.row}>
+            <label><input type="checkbox" checked={compareIds.includes('built-in')} onChange={() => toggleCompared('built-in')} /> Built-in</label>
+            {catalog.configs.map((config) => (
+              <label key={config.versionId}>
+                <input type="checkbox" checked={compareIds.includes(String(config.versionId))} onChange={() => toggleCompared(String(config.versionId))} /> {versionLabel(config)}
+              </label>
+            ))}
+            {versions.filter((version) => version.versionId !== versions[0].versionId).map((version) => (
+              <label key={version.versionId}>
+                <input type="checkbox" checked={compareIds.includes(String(version.versionId))} onChange={() => toggleCompared(String(version.versionId))} /> {versionLabel(version)}
+              </label>
+            ))}
+            <button onClick={compare} disabled={busy || compareIds.length === 0} style={styles.button}>Compare</button>
+          </div>
+          {comparison && (
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.cell}>Candidate</th>
+                  <th style={styles.cell}>Stored</th>
+                  {comparison.versions.map((version) => <th key={version.versionId ?? 'built-in'} style={styles.cell}>{versionLabel(version)}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.candidates.map((candidate) => (
+                  <tr key={candidate.fileIndex}>
+                    <td style={styles.cell}>{candidate.filename}</td>
+                    <td style={styles.cell}>
+                      {candidate.storedScore ?? '-'} <span style={styles.meta}>{candidate.storedConfig ? versionLabel(candidate.storedConfig) : 'pre-screen'}</span>
+                    </td>
+                    {candidate.scores.map((score, index) => <td key={index} style={styles.cell}>{score}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+      {error && <p style={styles.error}>{error}</p>}
+    </div>
+  );
+}
+
+export default ScoringConfigsPanel;
@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../api.js';
+
+const PERIOD_LABELS = {
+  day: 'Today',
+  month: 'This month',
+  all: 'All time',
+};
+
+const styles = {
+  container: {
+    marginBottom: 20,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0,0,0,0.3)',
+    fontSize: 14,
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  heading: {
+    margin: 0,
+    fontSize: 18,
+    color: '#fff',
+  },
+  select: {
+    padding: 4,
+    borderRadius: 6,
+    border: 'none',
+    fontSize: 13,
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    marginBottom: 10,
+  },
+  cell: {
+    padding: '3px 4px',
+    borderBottom: '1px solid rgba(255,255,255,0.1)',
+    textAlign: 'left',
+  },
+  meta: {
+    color: '#ccc',
+    fontSize: 12,
+  },
+  over: {
+    color: '#ef5350',
+    fontWeight: 'bold',
+  },
+  error: {
+    color: '#ffdddd',
+    backgroundColor: 'rgba(255,0,0,0.3)',
+    padding: 8,
+    borderRadius: 5,
+  },
+};
+
+const formatCost = (cost) => `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+
+/**
+ * The workspace's LLM token usage and estimated cost over a period, per job and per user,
+ * with how much of each budget cap is used and how many analyses the cache answered.
+ */
+function UsagePanel() {
+  const [period, setPeriod] = useState('month');
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/usage?period=${period}`)
+      .then((response) => {
+        setUsage(response.data);
+        setError(null);
+      })
+      .catch((err) => setError(err.response?.data?.error || 'Failed to load LLM usage.'));
+  }, [period]);
+
+  const renderTable = (label, rows, nameOf) => (
+    <table style={styles.table}>
+      <thead>
+        <tr>
+          <th style={styles.cell}>{label}</th>
+          <th style={styles.cell}>Calls</th>
+          <th style={styles.cell}>Tokens</th>
+          <th style={styles.cell}>Cost</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row) => (
+          <tr key={nameOf(row)}>
+            <td style={styles.cell}>{nameOf(row)}</td>
+            <td style={styles.cell}>{row.calls}</td>
+            <td style={styles.cell}>{row.tokens}</td>
+            <td style={styles.cell}>{formatCost(row.cost)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  const renderBudget = (label, budget, format) => (
+    <span>
+      {label}:{' '}
+      {budget.limit === null ? 'no cap' : (
+        <span style={budget.used >= budget.limit ? styles.over : undefined}>
+          {format(budget.used)} of {format(budget.limit)}
+        </span>
+      )}
+    </span>
+  );
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <h3 style={styles.heading}>LLM Usage</h3>
+        <select value={period} onChange={(e) => setPeriod(e.target.value)} style={styles.select}>
+          {Object.entries(PERIOD_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+      </div>
+      {error && <p style={styles.error}>{error}</p>}
+
+      {usage && (
+        <>
+          <p>
+            {usage.totals.calls} calls · {usage.totals.promptTokens} prompt + {usage.totals.completionTokens} completion tokens
+            {' · '}estimated cost {formatCost(usage.totals.cost)}
+          </p>
+          <p style={styles.meta}>
+            Budgets: {renderBudget('today', usage.budgets.dailyTokens, (tokens) => `${tokens} tokens`)}
+            {' · '}{renderBudget('this month', usage.budgets.monthlyCost, formatCost)}
+            {' · '}per run: {usage.budgets.runTokens.limit === null ? 'no cap' : `${usage.budgets.runTokens.limit} tokens`}
+            <br />
+            Cache: {usage.cache.entries} stored analyses, {usage.cache.hits} LLM calls saved
+            {usage.byModel.length > 0 && ` · Models: ${usage.byModel.map((row) => `${row.provider} ${row.model}`).join(', ')}`}
+          </p>
+
+          {usage.totals.calls === 0 ? <p style={styles.meta}>No LLM calls in this period.</p> : (
+            <>
+              {renderTable('Job', usage.byJob, (row) => row.title ?? (row.jobId ? `Job #${row.jobId}` : 'No job'))}
+              {renderTable('User', usage.byUser, (row) => row.name ?? 'Removed user')}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default UsagePanel;
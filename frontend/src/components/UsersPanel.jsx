@@ -0,0 +1,140 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../api.js';
+
+const ROLE_LABELS = {
+  admin: 'Admin',
+  recruiter: 'Recruiter',
+  hiring_manager: 'Hiring manager (read-only)',
+};
+
+const styles = {
+  container: {
+    marginBottom: 20,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0,0,0,0.3)',
+  },
+  heading: {
+    marginTop: 0,
+    fontSize: 18,
+    color: '#fff',
+  },
+  list: {
+    listStyle: 'none',
+    padding: 0,
+    margin: '0 0 15px',
+    fontSize: 14,
+  },
+  item: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '4px 0',
+    borderBottom: '1px solid rgba(255,255,255,0.1)',
+  },
+  meta: {
+    color: '#ccc',
+    fontSize: 12,
+  },
+  form: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  input: {
+    flex: '1 1 150px',
+    padding: 8,
+    borderRadius: 6,
+    border: 'none',
+    fontSize: 14,
+  },
+  button: {
+    padding: '4px 10px',
+    fontSize: 13,
+    backgroundColor: '#6c5ce7',
+    color: 'white',
+    border: 'none',
+    borderRadius: 6,
+    cursor: 'pointer',
+  },
+  error: {
+    color: '#ffdddd',
+    backgroundColor: 'rgba(255,0,0,0.3)',
+    padding: 8,
+    borderRadius: 5,
+  },
+};
+
+const EMPTY_USER = { name: '', email: '', role: 'recruiter', password: '' };
+
+/**
+ * Lets a workspace admin see, add and remove the workspace's user accounts.
+ */
+function UsersPanel({ currentUser }) {
+  const [users, setUsers] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_USER);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/users`)
+      .then((response) => setUsers(response.data))
+      .catch((err) => console.error('Error loading users:', err));
+  }, []);
+
+  const addUser = async (event) => {
+    event.preventDefault();
+    setError(null);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/users`, draft);
+      setUsers((existing) => [...existing, response.data]);
+      setDraft(EMPTY_USER);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to add the user.');
+    }
+  };
+
+  const removeUser = async (user) => {
+    if (!window.confirm(`Remove ${user.name} (${user.email}) from the workspace?`)) {
+      return;
+    }
+    try {
+      await axios.delete(`${API_BASE_URL}/users/${user.id}`);
+      setUsers((existing) => existing.filter((existingUser) => existingUser.id !== user.id));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to remove the user.');
+    }
+  };
+
+  const update = (key) => (e) => setDraft((current) => ({ ...current, [key]: e.target.value }));
+
+  return (
+    <div style={styles.container}>
+      <h2 style={styles.heading}>Workspace Users</h2>
+      <ul style={styles.list}>
+        {users.map((user) => (
+          <li key={user.id} style={styles.item}>
+            <span>
+              {user.name} <span style={styles.meta}>{user.email} · {ROLE_LABELS[user.role] ?? user.role}</span>
+            </span>
+            {user.id !== currentUser.id && (
+              <button onClick={() => removeUser(user)} style={{ ...styles.button, backgroundColor: '#ef5350' }}>Remove</button>
+            )}
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={addUser} style={styles.form}>
+        <input placeholder="Name" value={draft.name} onChange={update('name')} style={styles.input} />
+        <input type="email" placeholder="Email" value={draft.email} onChange={update('email')} style={styles.input} />
+        <input type="password" placeholder="Initial password" value={draft.password} onChange={update('password')} autoComplete="new-password" style={styles.input} />
+        <select value={draft.role} onChange={update('role')} style={styles.input}>
+          {Object.entries(ROLE_LABELS).map(([role, label]) => <option key={role} value={role}>{label}</option>)}
+        </select>
+        <button type="submit" style={styles.button}>Add User</button>
+      </form>
+      {error && <p style={styles.error}>{error}</p>}
+    </div>
+  );
+}
+
+export default UsersPanel;
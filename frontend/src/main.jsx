@@ -1,10 +1,17 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
+import axios from 'axios'
 import './index.css'
 import App from './App.jsx'
+import AuthGate from './components/AuthGate.jsx'
+
+// Every API call carries the session cookie
+axios.defaults.withCredentials = true
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <AuthGate>
+      {(user, signOut) => <App user={user} onSignOut={signOut} />}
+    </AuthGate>
   </StrictMode>,
 )